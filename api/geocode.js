@@ -1,18 +1,31 @@
 /**
- * Vercel Serverless Function - Reverse Geocoding Proxy
+ * Vercel Serverless Function - Geocoding Proxy
  * 
- * Proxies requests to Nominatim OpenStreetMap reverse geocoding API
- * to avoid CORS issues in the browser.
+ * Proxies requests to Nominatim OpenStreetMap reverse and forward geocoding
+ * APIs to avoid CORS issues in the browser.
  * 
- * Usage: GET /api/geocode?lat=<latitude>&lon=<longitude>
+ * Usage:
+ *   GET /api/geocode?lat=<latitude>&lon=<longitude>   (reverse: city/country)
+ *   GET /api/geocode?q=<city name>                    (forward: city search)
  */
 
+const NOMINATIM_HEADERS = {
+  'User-Agent': 'UmmahConfederation/1.0 (prayer-times-widget)',
+  'Accept': 'application/json'
+};
+
+const MAX_SEARCH_RESULTS = 8;
+
 module.exports = async function handler(req, res) {
   // Only allow GET requests
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (req.query.q !== undefined) {
+    return searchLocations(req, res);
+  }
+
   const { lat, lon } = req.query;
 
   // Validate parameters
@@ -34,12 +47,7 @@ module.exports = async function handler(req, res) {
   try {
     const nominatimUrl = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}`;
 
-    const response = await fetch(nominatimUrl, {
-      headers: {
-        'User-Agent': 'UmmahConfederation/1.0 (prayer-times-widget)',
-        'Accept': 'application/json'
-      }
-    });
+    const response = await fetch(nominatimUrl, { headers: NOMINATIM_HEADERS });
 
     if (!response.ok) {
       throw new Error(`Nominatim returned ${response.status}`);
@@ -67,3 +75,60 @@ module.exports = async function handler(req, res) {
     return res.status(502).json({ error: 'Geocoding service unavailable' });
   }
 };
+
+/**
+ * Forward geocoding - search places by name
+ * Responds with { results: [{ name, city, country, latitude, longitude, displayName }] }
+ */
+async function searchLocations(req, res) {
+  const query = String(req.query.q || '').trim();
+
+  if (query.length < 2) {
+    return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+  }
+
+  if (query.length > 200) {
+    return res.status(400).json({ error: 'Search query is too long' });
+  }
+
+  try {
+    const nominatimUrl = `https://nominatim.openstreetmap.org/search?format=json&addressdetails=1&limit=${MAX_SEARCH_RESULTS}&q=${encodeURIComponent(query)}`;
+
+    const response = await fetch(nominatimUrl, { headers: NOMINATIM_HEADERS });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim returned ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    const results = data.map((place) => {
+      const city =
+        place.address?.city ||
+        place.address?.town ||
+        place.address?.village ||
+        place.address?.county ||
+        place.name ||
+        'Unknown';
+
+      return {
+        name: place.name || city,
+        city,
+        country: place.address?.country || 'Unknown',
+        latitude: parseFloat(place.lat),
+        longitude: parseFloat(place.lon),
+        displayName: place.display_name
+      };
+    });
+
+    // Search results change rarely, but cache shorter than reverse lookups
+    res.setHeader('Cache-Control', 'public, max-age=86400, s-maxage=86400'); // 1 day
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    return res.status(200).json({ results });
+
+  } catch (error) {
+    console.error('Geocoding search error:', error);
+    return res.status(502).json({ error: 'Geocoding service unavailable' });
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Account Archetypes Module
+ * Structured institution archetype: profit model × visibility
+ *
+ * - Stored in institutions.profit_model and institutions.visibility
+ *   (see supabase/migrations/20261019000500_institution_archetypes.sql)
+ * - Replaces the "[Non-Profit • Private]" suffix that used to be parsed out
+ *   of institution names (md/account-archetypes.md)
+ * - Keys such as "non_profit.private" identify an archetype in URLs
+ *   (?archetype=) and facets
+ */
+
+import { t } from './i18n.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Profit models (institutions.profit_model)
+ */
+export const PROFIT_MODEL = {
+  NON_PROFIT: 'non_profit',
+  PROFIT: 'profit',
+  USER_PAID: 'user_paid'
+};
+
+/**
+ * Visibilities (institutions.visibility)
+ */
+export const VISIBILITY = {
+  PRIVATE: 'private',
+  PUBLIC: 'public',
+  AT_COST: 'at_cost'
+};
+
+/**
+ * The archetypes an institution can have, in display order
+ */
+export const ACCOUNT_ARCHETYPES = [
+  { profitModel: PROFIT_MODEL.NON_PROFIT, visibility: VISIBILITY.PRIVATE },
+  { profitModel: PROFIT_MODEL.NON_PROFIT, visibility: VISIBILITY.PUBLIC },
+  { profitModel: PROFIT_MODEL.PROFIT, visibility: VISIBILITY.PRIVATE },
+  { profitModel: PROFIT_MODEL.PROFIT, visibility: VISIBILITY.PUBLIC },
+  { profitModel: PROFIT_MODEL.USER_PAID, visibility: VISIBILITY.AT_COST }
+].map(archetype => ({ ...archetype, key: `${archetype.profitModel}.${archetype.visibility}` }));
+
+const ARCHETYPES_BY_KEY = new Map(ACCOUNT_ARCHETYPES.map(archetype => [archetype.key, archetype]));
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+/**
+ * Archetype key of an institution row
+ * @param {Object} institution - Institution row (profit_model, visibility)
+ * @returns {string} Key such as "non_profit.private", or '' when not set
+ */
+export function getArchetypeKey(institution) {
+  const key = `${institution?.profit_model}.${institution?.visibility}`;
+  return ARCHETYPES_BY_KEY.has(key) ? key : '';
+}
+
+/**
+ * Whether a key names a known archetype
+ * @param {string} key - Archetype key
+ * @returns {boolean}
+ */
+export function isArchetypeKey(key) {
+  return ARCHETYPES_BY_KEY.has(key);
+}
+
+/**
+ * Archetype in the UI language, e.g. "Non-Profit • Private"
+ * @param {string} key - Archetype key
+ * @returns {string} Label, or '' for an unknown key
+ */
+export function formatArchetype(key) {
+  const archetype = ARCHETYPES_BY_KEY.get(key);
+  if (!archetype) return '';
+  return `${t(`archetype.profitModel.${archetype.profitModel}`)} • ${t(`archetype.visibility.${archetype.visibility}`)}`;
+}
+
+/**
+ * Archetype as markup that follows the UI language (data-i18n spans,
+ * re-translated by translatePage on locale change)
+ * @param {string} key - Archetype key
+ * @returns {string} HTML, or '' for an unknown key
+ */
+export function formatArchetypeHtml(key) {
+  const archetype = ARCHETYPES_BY_KEY.get(key);
+  if (!archetype) return '';
+  const profitModelKey = `archetype.profitModel.${archetype.profitModel}`;
+  const visibilityKey = `archetype.visibility.${archetype.visibility}`;
+  return `<span data-i18n="${profitModelKey}">${t(profitModelKey)}</span> • <span data-i18n="${visibilityKey}">${t(visibilityKey)}</span>`;
+}
+
+/**
+ * Count items per archetype, in display order (archetypes without items left out)
+ * @param {Array} items - Items to count
+ * @param {Function} getKey - item → archetype key
+ * @returns {Array<{key: string, count: number}>}
+ */
+export function countArchetypes(items, getKey) {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return ACCOUNT_ARCHETYPES
+    .filter(archetype => counts.has(archetype.key))
+    .map(archetype => ({ key: archetype.key, count: counts.get(archetype.key) }));
+}
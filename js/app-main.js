@@ -0,0 +1,124 @@
+/**
+ * App Main Entry Point
+ * Loaded by index.html, library.html and document-viewer.html
+ *
+ * Shared setup runs once per visit: dark mode, the language, the prayer
+ * times marquee, Supabase Realtime and syncing reading progress. Moving between the pages goes
+ * through the router (see router.js), which swaps the page in and mounts
+ * its view: index-main.js, library-main.js or document-viewer.js
+ */
+
+import { startRouter } from './router.js';
+import { applyLocale, translatePage, renderLocaleSwitcher } from './i18n.js';
+import { Marquee } from './marquee.js';
+import { startRealtimeUpdates } from './realtime-updates.js';
+import { startReadingSync } from './reading-progress.js';
+import * as indexView from './index-main.js';
+import * as libraryView from './library-main.js';
+import * as documentView from './document-viewer.js';
+import { detectProfileMode } from './profile-ui.js';
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * Whether a URL is the given page ('/' is the index)
+ * @param {URL} url - URL
+ * @param {string} page - Page file name
+ * @returns {boolean}
+ */
+function isPage(url, page) {
+  return (url.pathname.split('/').pop() || 'index.html') === page;
+}
+
+// First match wins: profiles before the full library
+const ROUTES = [
+  {
+    name: 'home',
+    page: 'index.html',
+    match: (url) => isPage(url, 'index.html'),
+    view: indexView
+  },
+  {
+    name: 'profile',
+    page: 'library.html',
+    match: (url) => isPage(url, 'library.html') && !!detectProfileMode(url),
+    view: libraryView
+  },
+  {
+    name: 'library',
+    page: 'library.html',
+    match: (url) => isPage(url, 'library.html'),
+    view: libraryView
+  },
+  {
+    name: 'document',
+    page: 'document-viewer.html',
+    match: (url) => isPage(url, 'document-viewer.html'),
+    view: documentView
+  }
+];
+
+// ============================================================================
+// Dark Mode Toggle
+// ============================================================================
+
+const DARK_MODE_KEY = 'darkMode';
+
+function initDarkMode() {
+  // Check for saved preference or system preference
+  const savedMode = localStorage.getItem(DARK_MODE_KEY);
+  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+
+  // Apply dark mode if saved preference is 'true' or if no preference and system prefers dark
+  if (savedMode === 'true' || (!savedMode && prefersDark)) {
+    document.documentElement.classList.add('dark');
+  }
+
+  // Toggle dark mode on click (delegated: every page and document renders its own seal)
+  document.addEventListener('click', (event) => {
+    if (!(event.target instanceof Element) || !event.target.closest('.admin-seal')) return;
+    document.documentElement.classList.toggle('dark');
+    const isDark = document.documentElement.classList.contains('dark');
+    localStorage.setItem(DARK_MODE_KEY, isDark);
+  });
+}
+
+// ============================================================================
+// Pages
+// ============================================================================
+
+let marquee = null;
+
+/**
+ * Prepare a page the router has swapped in, before its view mounts
+ */
+function preparePage() {
+  translatePage();
+  renderLocaleSwitcher(document.getElementById('locale-switcher'));
+
+  // The marquee is kept between pages that have one; it follows the profile
+  if (!document.getElementById('prayer-times-marquee')) return;
+  if (marquee) {
+    marquee.refreshContext();
+  } else {
+    marquee = new Marquee();
+    marquee.init();
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  initDarkMode();
+  // Apply the saved language and text direction (each page gets its switcher in preparePage)
+  applyLocale();
+
+  startRouter(ROUTES, { onPageChange: preparePage });
+
+  // Follow changes: the library, profiles and Feed update in place
+  startRealtimeUpdates();
+
+  // Reading progress and bookmarks follow signed-in readers between devices
+  startReadingSync();
+});
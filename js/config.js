@@ -1,7 +1,8 @@
 /**
  * Configuration Module
  * 
- * Uses Supabase as the data source.
+ * Uses Supabase as the data source, read through the cache in
+ * data-repository.js (calls on one page share their requests).
  * Provides backward-compatible API for the rest of the codebase.
  */
 
@@ -10,16 +11,22 @@ import {
   getJurisdictions,
   getDocuments,
   getDocumentByDocId,
+  getDocumentContents,
+  getLibraryDocumentsPage,
+  getLibraryFacetCounts,
   getInstitutionByFullName,
   getJurisdictionByFullName,
   getCarousels,
   getCarouselsByInstitution,
   getCarouselsByJurisdiction,
+  getJurisdictionMemberships,
   getSquircleIcons,
   getInstitutionConfigLegacy,
-  getJurisdictionConfigLegacy,
-  getDocumentsConfigLegacy
-} from './supabase-client.js';
+  getJurisdictionConfigLegacy
+} from './data-repository.js';
+import { formatDisplayDate } from './i18n.js';
+import { DEFAULT_DOCUMENT_LANGUAGE, listDocumentLanguages } from './document-languages.js';
+import { getArchetypeKey } from './account-archetypes.js';
 
 // =====================================================
 // DOCUMENT CONFIGURATION
@@ -30,11 +37,16 @@ import {
  * @returns {Promise<Object>} The configuration object
  */
 export async function loadDocumentsConfig() {
-  return getDocumentsConfigLegacy();
+  // Built from the document list so preloading shares its cached rows
+  return {
+    version: '2.0.0',
+    lastUpdated: new Date().toISOString(),
+    documents: await getDocumentsList()
+  };
 }
 
 /**
- * Get all visible documents (including Feed items from carousels)
+ * Get all visible documents (including Feed items from carousels), without content
  * @returns {Promise<Array>} Array of document objects
  */
 export async function getDocumentsList() {
@@ -47,14 +59,20 @@ export async function getDocumentsList() {
   // Transform documents to legacy format
   const documents = docs.map(doc => ({
     id: doc.doc_id,
+    rowId: doc.id,
     title: doc.title,
     item: doc.item_type,
     institution: doc.institution?.full_name || '',
     jurisdiction: doc.jurisdiction?.full_name || '',
+    institutionName: doc.institution?.name || '',
+    jurisdictionName: doc.jurisdiction?.name || '',
+    archetype: getArchetypeKey(doc.institution),
     version: doc.version,
     date: doc.doc_date,
     dateFormatted: formatDate(doc.doc_date),
     visible: doc.visible,
+    language: doc.language || DEFAULT_DOCUMENT_LANGUAGE,
+    languages: listDocumentLanguages(doc.language, (doc.translations || []).map(t => t.language)),
     // Use document-viewer.html for Supabase documents
     filename: `document-viewer.html?doc=${doc.doc_id}`
   }));
@@ -66,6 +84,9 @@ export async function getDocumentsList() {
     item: 'Feed',
     institution: carousel.institution?.full_name || '',
     jurisdiction: carousel.jurisdiction?.full_name || '',
+    institutionName: carousel.institution?.name || '',
+    jurisdictionName: carousel.jurisdiction?.name || '',
+    archetype: getArchetypeKey(carousel.institution),
     version: 1,
     date: carousel.created_at,
     dateFormatted: formatDate(carousel.created_at),
@@ -94,15 +115,101 @@ export async function getDocumentById(documentId) {
     item: doc.item_type,
     institution: doc.institution?.full_name || '',
     jurisdiction: doc.jurisdiction?.full_name || '',
+    institutionName: doc.institution?.name || '',
+    jurisdictionName: doc.jurisdiction?.name || '',
+    archetype: getArchetypeKey(doc.institution),
     version: doc.version,
     date: doc.doc_date,
     dateFormatted: formatDate(doc.doc_date),
     visible: doc.visible,
+    language: doc.language || DEFAULT_DOCUMENT_LANGUAGE,
     content: doc.content,
     filename: `document-viewer.html?doc=${doc.doc_id}`
   };
 }
 
+/**
+ * Get the HTML content of every visible document, keyed by document ID
+ * Translations are appended so documents are found in any of their languages
+ * @returns {Promise<Map<string, string>>} doc ID → HTML content
+ */
+export async function getDocumentContentsMap() {
+  const rows = await getDocumentContents();
+  return new Map(rows.map(row => [
+    row.doc_id,
+    [row.content, ...(row.translations || []).flatMap(t => [t.title, t.content])]
+      .filter(Boolean)
+      .join('\n')
+  ]));
+}
+
+// =====================================================
+// LIBRARY PAGES
+// =====================================================
+
+/**
+ * Get a page of the library (published documents, without content)
+ * @param {Object} options - { filters, sort, cursor, limit } (see getLibraryDocumentsPage)
+ * @returns {Promise<{documents: Array, nextCursor: Object|null}>} Documents in legacy format
+ */
+export async function getLibraryPage(options) {
+  const { rows, nextCursor } = await getLibraryDocumentsPage(options);
+  
+  const documents = rows.map(row => ({
+    id: row.doc_id,
+    rowId: row.id,
+    title: row.title,
+    item: row.item_type,
+    institution: row.institution,
+    jurisdiction: row.jurisdiction,
+    institutionName: row.institution_name,
+    jurisdictionName: row.jurisdiction_name,
+    archetype: row.archetype,
+    version: row.version,
+    date: row.doc_date,
+    dateFormatted: formatDate(row.doc_date),
+    visible: row.visible,
+    language: row.language || DEFAULT_DOCUMENT_LANGUAGE,
+    languages: listDocumentLanguages(row.language, row.translation_languages || []),
+    filename: `document-viewer.html?doc=${row.doc_id}`
+  }));
+  
+  return { documents, nextCursor };
+}
+
+/**
+ * Apply a changed documents row (e.g. from Realtime) to a document in legacy format
+ * Institution, jurisdiction and translations are kept: the row only has their IDs
+ * @param {Object} doc - Document object
+ * @param {Object} row - documents row
+ * @returns {Object} Updated document object
+ */
+export function mergeDocumentRow(doc, row) {
+  const language = row.language || DEFAULT_DOCUMENT_LANGUAGE;
+  
+  return {
+    ...doc,
+    title: row.title,
+    item: row.item_type,
+    version: row.version,
+    date: row.doc_date,
+    dateFormatted: formatDate(row.doc_date),
+    visible: row.visible,
+    language,
+    languages: listDocumentLanguages(language, (doc.languages || []).slice(1))
+  };
+}
+
+/**
+ * Get the Filters panel counts for the library
+ * @param {Object} filters - Filter state (see library-facets.js)
+ * @returns {Promise<Object>} { counts: facet key → [{ value, count, label? }], versions: { min, max } }
+ */
+export async function getLibraryFacets(filters) {
+  const { versions, ...counts } = await getLibraryFacetCounts(filters);
+  return { counts, versions };
+}
+
 // =====================================================
 // INSTITUTION CONFIGURATION
 // =====================================================
@@ -125,6 +232,8 @@ export async function getInstitutionMetadata(institutionName) {
   if (!inst) return null;
   
   return {
+    name: inst.name,
+    archetype: getArchetypeKey(inst),
     avatar: inst.avatar_url,
     cover: inst.cover_url,
     bio: inst.bio,
@@ -185,6 +294,8 @@ export async function getJurisdictionMetadata(jurisdictionName) {
   if (!jur) return null;
   
   return {
+    name: jur.name,
+    label: jur.label,
     avatar: jur.avatar_url,
     cover: jur.cover_url,
     bio: jur.bio,
@@ -207,6 +318,25 @@ export async function getJurisdictionsList() {
   return [...jurisdictions].sort((a, b) => a.localeCompare(b));
 }
 
+/**
+ * Get the member institutions of a jurisdiction
+ * @param {string} jurisdictionName - The full jurisdiction name
+ * @returns {Promise<Array>} Array of { name, displayName, role, joinedAt, avatar }, earliest joined first
+ */
+export async function getJurisdictionMembers(jurisdictionName) {
+  const memberships = await getJurisdictionMemberships(jurisdictionName);
+  
+  return memberships
+    .filter(membership => membership.institution)
+    .map(membership => ({
+      name: membership.institution.full_name,
+      displayName: membership.institution.name,
+      role: membership.role,
+      joinedAt: membership.joined_at,
+      avatar: membership.institution.avatar_url
+    }));
+}
+
 /**
  * Get jurisdiction feed configuration
  * @param {string} jurisdictionName - The full jurisdiction name
@@ -298,6 +428,9 @@ export async function getFeedDocuments(profileType, profileName) {
         item: 'Feed',
         institution: carousel.institution?.full_name || '',
         jurisdiction: carousel.jurisdiction?.full_name || '',
+        institutionName: carousel.institution?.name || '',
+        jurisdictionName: carousel.jurisdiction?.name || '',
+        archetype: getArchetypeKey(carousel.institution),
         version: 1,
         date: carousel.created_at,
         dateFormatted: formatDate(carousel.created_at),
@@ -325,20 +458,13 @@ export async function getFeedDocuments(profileType, profileName) {
 // =====================================================
 
 /**
- * Format date for display
+ * Format date for display (Gregorian with Hijri in parentheses)
  * @param {string} dateStr - ISO date string
  * @returns {string} Formatted date string
  */
 function formatDate(dateStr) {
   if (!dateStr) return '';
-  const date = new Date(dateStr);
-  const day = String(date.getDate()).padStart(2, '0');
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const month = months[date.getMonth()];
-  const year = date.getFullYear();
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  return `${day} ${month} ${year} | ${hours}:${minutes}`;
+  return formatDisplayDate(dateStr);
 }
 
 /**
@@ -364,6 +490,6 @@ export async function preloadAllConfigs() {
 // =====================================================
 // BACKWARD COMPATIBILITY RE-EXPORTS
 // =====================================================
-// Re-export functions from supabase-client.js for backward compatibility
+// Re-export the cached functions from data-repository.js for backward compatibility
 
 export { getInstitutions, getJurisdictions, getDocuments };
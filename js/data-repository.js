@@ -0,0 +1,485 @@
+/**
+ * Data Repository Module
+ * Cached reads in front of supabase-client.js
+ *
+ * - Stale-while-revalidate through unifiedCache.getOrFetchStale: cached rows
+ *   are returned at once and refetched in the background once older than
+ *   their entity's `staleAfter`; rows older than `ttl` are fetched first
+ * - Concurrent requests for the same rows share one fetch
+ * - Rows are cached as Supabase returns them; config.js formats them, so
+ *   display fields (dates) follow the current locale
+ * - Each entity has its own cache namespace; writes made through this module
+ *   invalidate the namespaces they affect, invalidateCache() the rest
+ * - Returned rows are shared between callers: treat them as read-only
+ * - Publishing portal reads (drafts, own institution) go to supabase-client.js
+ *   directly and are never cached; so do unpublished rows the viewer fetches
+ *   for signed-in members previewing them
+ */
+
+import {
+  getInstitutions as fetchInstitutions,
+  getInstitutionByFullName as fetchInstitutionByFullName,
+  getJurisdictions as fetchJurisdictions,
+  getJurisdictionByFullName as fetchJurisdictionByFullName,
+  getDocuments as fetchDocuments,
+  getDocumentByDocId as fetchDocumentByDocId,
+  getDocumentContents as fetchDocumentContents,
+  getLibraryDocumentsPage as fetchLibraryDocumentsPage,
+  getLibraryFacetCounts as fetchLibraryFacetCounts,
+  getDocumentVersions as fetchDocumentVersions,
+  getDocumentVersion as fetchDocumentVersion,
+  getDocumentTranslations as fetchDocumentTranslations,
+  getDocumentTranslation as fetchDocumentTranslation,
+  getCarousels as fetchCarousels,
+  getCarouselsByInstitution as fetchCarouselsByInstitution,
+  getCarouselsByJurisdiction as fetchCarouselsByJurisdiction,
+  getJurisdictionMemberships as fetchJurisdictionMemberships,
+  getSquircleIcons as fetchSquircleIcons,
+  getInstitutionConfigLegacy as fetchInstitutionConfigLegacy,
+  getJurisdictionConfigLegacy as fetchJurisdictionConfigLegacy,
+  saveDocument as writeDocument,
+  deleteDocument as removeDocument,
+  setDocumentStatus as writeDocumentStatus,
+  saveCarousel as writeCarousel,
+  saveCarouselSlides as writeCarouselSlides,
+  deleteCarousel as removeCarousel,
+  updateInstitutionProfile as writeInstitutionProfile,
+  signOut as endSession
+} from './supabase-client.js';
+import { unifiedCache, CACHE_NAMESPACES, CACHE_DEFAULT_TTL } from './unified-cache.js';
+import { isReadable } from './document-lifecycle.js';
+
+// ============================================================================
+// Cache policies
+// ============================================================================
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Per-entity cache policy: namespace → { ttl, staleAfter } (milliseconds)
+ * `ttl`: how long rows may be served at all; `staleAfter`: age after which
+ * a cached answer triggers a background refetch
+ */
+const CACHE_POLICIES = {
+  [CACHE_NAMESPACES.DOCUMENTS]: { ttl: CACHE_DEFAULT_TTL.DOCUMENTS, staleAfter: MINUTE },
+  [CACHE_NAMESPACES.LIBRARY]: { ttl: CACHE_DEFAULT_TTL.LIBRARY, staleAfter: MINUTE / 2 },
+  [CACHE_NAMESPACES.INSTITUTIONS]: { ttl: CACHE_DEFAULT_TTL.INSTITUTIONS, staleAfter: 5 * MINUTE },
+  [CACHE_NAMESPACES.JURISDICTIONS]: { ttl: CACHE_DEFAULT_TTL.JURISDICTIONS, staleAfter: 5 * MINUTE },
+  [CACHE_NAMESPACES.FEED]: { ttl: CACHE_DEFAULT_TTL.FEED, staleAfter: MINUTE },
+  [CACHE_NAMESPACES.CONFIG]: { ttl: CACHE_DEFAULT_TTL.CONFIG, staleAfter: CACHE_DEFAULT_TTL.CONFIG * 0.8 }
+};
+
+/**
+ * Namespaces whose rows embed institution or jurisdiction names
+ * (cleared with them when a profile changes)
+ */
+const PROFILE_DEPENDENT_NAMESPACES = [
+  CACHE_NAMESPACES.DOCUMENTS,
+  CACHE_NAMESPACES.LIBRARY,
+  CACHE_NAMESPACES.FEED
+];
+
+// Fetches in progress: cache key → Promise
+const inFlight = new Map();
+
+// ============================================================================
+// Core
+// ============================================================================
+
+/**
+ * Read through the cache
+ * @param {string} namespace - Cache namespace (one of CACHE_POLICIES)
+ * @param {Array} parts - Key parts (objects are serialized)
+ * @param {Function} fetchFn - Fetches fresh rows from Supabase
+ * @returns {Promise<*>} Cached or fresh rows
+ */
+async function cachedRead(namespace, parts, fetchFn) {
+  const { ttl, staleAfter } = CACHE_POLICIES[namespace];
+  const key = unifiedCache.generateKey(namespace, ...parts.map(serializeKeyPart));
+
+  const { value } = await unifiedCache.getOrFetchStale(key, () => dedupe(key, fetchFn), ttl, staleAfter, {
+    revalidateStored: true
+  });
+  return value;
+}
+
+/**
+ * Share one fetch between concurrent requests for the same key
+ * (foreground fetches and background revalidation alike)
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Fetches fresh rows
+ * @returns {Promise<*>}
+ */
+function dedupe(key, fetchFn) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = fetchFn().finally(() => {
+    if (inFlight.get(key) === request) inFlight.delete(key);
+  });
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Serialize a key part
+ * Objects (filters, cursors) become JSON with sorted keys, so equal
+ * options share an entry
+ * @param {*} part - Key part
+ * @returns {string}
+ */
+function serializeKeyPart(part) {
+  if (part === null || part === undefined) return '';
+  if (typeof part !== 'object') return String(part);
+  return JSON.stringify(sortKeys(part));
+}
+
+/**
+ * Copy of a value with object keys in sorted order, at every level
+ * @param {*} value - JSON-compatible value
+ * @returns {*}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.keys(value).sort().map(key => [key, sortKeys(value[key])])
+  );
+}
+
+/**
+ * Drop cached rows of one or more namespaces
+ * Fetches still in progress for them are no longer shared, so the next
+ * read starts a fresh one
+ * @param {...string} namespaces - Cache namespaces (CACHE_NAMESPACES)
+ * @returns {Promise<void>}
+ */
+export async function invalidateCache(...namespaces) {
+  for (const key of inFlight.keys()) {
+    if (namespaces.some(namespace => key.startsWith(`${namespace}:`))) {
+      inFlight.delete(key);
+    }
+  }
+  await Promise.all(namespaces.map(namespace => unifiedCache.invalidateNamespace(namespace)));
+}
+
+// ============================================================================
+// Institutions and jurisdictions
+// ============================================================================
+
+/**
+ * Get all institutions
+ * @returns {Promise<Array>} Array of institution objects
+ */
+export function getInstitutions() {
+  return cachedRead(CACHE_NAMESPACES.INSTITUTIONS, ['all'], fetchInstitutions);
+}
+
+/**
+ * Get institution by full name
+ * @param {string} fullName - Full institution name
+ * @returns {Promise<Object|null>} Institution object or null
+ */
+export function getInstitutionByFullName(fullName) {
+  return cachedRead(CACHE_NAMESPACES.INSTITUTIONS, ['byName', fullName], () => fetchInstitutionByFullName(fullName));
+}
+
+/**
+ * Get institution config in legacy format
+ * @returns {Promise<Object>} Config object matching institution-config.json structure
+ */
+export function getInstitutionConfigLegacy() {
+  return cachedRead(CACHE_NAMESPACES.INSTITUTIONS, ['legacy'], fetchInstitutionConfigLegacy);
+}
+
+/**
+ * Get all jurisdictions
+ * @returns {Promise<Array>} Array of jurisdiction objects
+ */
+export function getJurisdictions() {
+  return cachedRead(CACHE_NAMESPACES.JURISDICTIONS, ['all'], fetchJurisdictions);
+}
+
+/**
+ * Get jurisdiction by full name
+ * @param {string} fullName - Full jurisdiction name
+ * @returns {Promise<Object|null>} Jurisdiction object or null
+ */
+export function getJurisdictionByFullName(fullName) {
+  return cachedRead(CACHE_NAMESPACES.JURISDICTIONS, ['byName', fullName], () => fetchJurisdictionByFullName(fullName));
+}
+
+/**
+ * Get jurisdiction config in legacy format
+ * @returns {Promise<Object>} Config object matching jurisdiction-config.json structure
+ */
+export function getJurisdictionConfigLegacy() {
+  return cachedRead(CACHE_NAMESPACES.JURISDICTIONS, ['legacy'], fetchJurisdictionConfigLegacy);
+}
+
+/**
+ * Get the member institutions of a jurisdiction
+ * @param {string} jurisdictionName - Full jurisdiction name
+ * @returns {Promise<Array>} Array of membership objects with institution, earliest joined first
+ */
+export function getJurisdictionMemberships(jurisdictionName) {
+  return cachedRead(CACHE_NAMESPACES.JURISDICTIONS, ['members', jurisdictionName], () => fetchJurisdictionMemberships(jurisdictionName));
+}
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/**
+ * Get all published documents (without content)
+ * @returns {Promise<Array>} Array of document objects
+ */
+export function getDocuments() {
+  return cachedRead(CACHE_NAMESPACES.DOCUMENTS, ['all'], fetchDocuments);
+}
+
+/**
+ * Get document by doc_id
+ * Only rows every reader may see are cached. Drafts, documents in review and
+ * scheduled ones reach signed-in members previewing them, and must not
+ * outlive their session in the shared, persistent cache: for those the
+ * cache holds null and the row is fetched each time.
+ * @param {string} docId - Document ID
+ * @returns {Promise<Object|null>} Document object or null
+ */
+export async function getDocumentByDocId(docId) {
+  const row = await cachedRead(CACHE_NAMESPACES.DOCUMENTS, ['byId', docId], async () => {
+    const fresh = await fetchDocumentByDocId(docId);
+    return fresh && isReadable(fresh) ? fresh : null;
+  });
+  if (row) return row;
+
+  return dedupe(`preview:${docId}`, () => fetchDocumentByDocId(docId));
+}
+
+/**
+ * Read a document's versions or translations through the cache
+ * They carry no status of their own, so they follow their document's: cached
+ * while it is readable, fetched each time while it is only being previewed
+ * (same rule as getDocumentByDocId)
+ * @param {string} docId - Document ID
+ * @param {Array} parts - Key parts
+ * @param {Function} fetchFn - Fetches fresh rows from Supabase
+ * @returns {Promise<*>} Cached or fresh rows
+ */
+async function readableDocumentRead(docId, parts, fetchFn) {
+  const rows = await cachedRead(CACHE_NAMESPACES.DOCUMENTS, parts, async () => {
+    const [document, fresh] = await Promise.all([getDocumentByDocId(docId), fetchFn()]);
+    return document && isReadable(document) ? fresh : null;
+  });
+  if (rows) return rows;
+
+  return dedupe(`preview:${parts.map(serializeKeyPart).join(':')}`, fetchFn);
+}
+
+/**
+ * Get the HTML content of all published documents (for search indexing)
+ * @returns {Promise<Array>} Array of { doc_id, content, translations: [{ title, content }] }
+ */
+export function getDocumentContents() {
+  return cachedRead(CACHE_NAMESPACES.DOCUMENTS, ['contents'], fetchDocumentContents);
+}
+
+/**
+ * List the recorded versions of a document (without content)
+ * @param {string} docId - Document ID
+ * @returns {Promise<Array>} Array of { version, title, doc_date, created_at }, newest first
+ */
+export function getDocumentVersions(docId) {
+  return readableDocumentRead(docId, ['versions', docId], () => fetchDocumentVersions(docId));
+}
+
+/**
+ * Get one version of a document, including its content
+ * @param {string} docId - Document ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version object or null
+ */
+export function getDocumentVersion(docId, version) {
+  return readableDocumentRead(docId, ['version', docId, version], () => fetchDocumentVersion(docId, version));
+}
+
+/**
+ * List the translations of a document (without content)
+ * @param {string} docId - Document ID
+ * @returns {Promise<Array>} Array of { language, title, source_version, updated_at }
+ */
+export function getDocumentTranslations(docId) {
+  return readableDocumentRead(docId, ['translations', docId], () => fetchDocumentTranslations(docId));
+}
+
+/**
+ * Get one translation of a document, including its content
+ * @param {string} docId - Document ID
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} Translation object or null
+ */
+export function getDocumentTranslation(docId, language) {
+  return readableDocumentRead(docId, ['translation', docId, language], () => fetchDocumentTranslation(docId, language));
+}
+
+// ============================================================================
+// Library pages
+// ============================================================================
+
+/**
+ * Get one page of library documents (see supabase-client.js)
+ * @param {Object} options - { filters, sort, cursor, limit }
+ * @returns {Promise<{rows: Array, nextCursor: Object|null}>}
+ */
+export function getLibraryDocumentsPage(options = {}) {
+  return cachedRead(CACHE_NAMESPACES.LIBRARY, ['page', options], () => fetchLibraryDocumentsPage(options));
+}
+
+/**
+ * Get the Filters panel counts for the library
+ * @param {Object} filters - Filter state
+ * @returns {Promise<Object>} Counts per facet and version bounds
+ */
+export function getLibraryFacetCounts(filters = {}) {
+  return cachedRead(CACHE_NAMESPACES.LIBRARY, ['facets', filters], () => fetchLibraryFacetCounts(filters));
+}
+
+// ============================================================================
+// Carousels and icons
+// ============================================================================
+
+/**
+ * Get all carousels with their slides
+ * @returns {Promise<Array>} Array of carousel objects with slides
+ */
+export function getCarousels() {
+  return cachedRead(CACHE_NAMESPACES.FEED, ['all'], fetchCarousels);
+}
+
+/**
+ * Get carousels by institution
+ * @param {string} institutionName - Full institution name
+ * @returns {Promise<Array>} Array of carousel objects with slides
+ */
+export function getCarouselsByInstitution(institutionName) {
+  return cachedRead(CACHE_NAMESPACES.FEED, ['institution', institutionName], () => fetchCarouselsByInstitution(institutionName));
+}
+
+/**
+ * Get carousels by jurisdiction
+ * @param {string} jurisdictionName - Full jurisdiction name
+ * @returns {Promise<Array>} Array of carousel objects with slides
+ */
+export function getCarouselsByJurisdiction(jurisdictionName) {
+  return cachedRead(CACHE_NAMESPACES.FEED, ['jurisdiction', jurisdictionName], () => fetchCarouselsByJurisdiction(jurisdictionName));
+}
+
+/**
+ * Get all squircle icons
+ * @returns {Promise<Array>} Array of icon objects
+ */
+export function getSquircleIcons() {
+  return cachedRead(CACHE_NAMESPACES.CONFIG, ['squircleIcons'], fetchSquircleIcons);
+}
+
+// ============================================================================
+// Writes
+// ============================================================================
+// Same signatures as supabase-client.js; the affected namespaces are
+// cleared once the write succeeds.
+
+/**
+ * Create or update a document
+ * @param {Object} fields - Document columns
+ * @param {number|null} id - Row ID to update, or null to create
+ * @returns {Promise<Object>} Saved document row
+ */
+export async function saveDocument(fields, id = null) {
+  const saved = await writeDocument(fields, id);
+  await invalidateCache(CACHE_NAMESPACES.DOCUMENTS, CACHE_NAMESPACES.LIBRARY);
+  return saved;
+}
+
+/**
+ * Delete a document (and its version history)
+ * @param {number} id - Row ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDocument(id) {
+  await removeDocument(id);
+  await invalidateCache(CACHE_NAMESPACES.DOCUMENTS, CACHE_NAMESPACES.LIBRARY);
+}
+
+/**
+ * Move a document through its lifecycle
+ * @param {number} id - Row ID
+ * @param {string} status - DOCUMENT_STATUS value
+ * @param {Object} options - { publishAt, reviewNote }
+ * @returns {Promise<Object>} Updated document row
+ */
+export async function setDocumentStatus(id, status, options = {}) {
+  const updated = await writeDocumentStatus(id, status, options);
+  await invalidateCache(CACHE_NAMESPACES.DOCUMENTS, CACHE_NAMESPACES.LIBRARY);
+  return updated;
+}
+
+/**
+ * Create or update a carousel
+ * @param {Object} fields - Carousel columns
+ * @param {number|null} id - Row ID to update, or null to create
+ * @returns {Promise<Object>} Saved carousel row
+ */
+export async function saveCarousel(fields, id = null) {
+  const saved = await writeCarousel(fields, id);
+  await invalidateCache(CACHE_NAMESPACES.FEED);
+  return saved;
+}
+
+/**
+ * Replace the slides of a carousel
+ * @param {number} carouselId - Carousel ID
+ * @param {Array} slides - Array of { image_url, linked_document } in display order
+ * @returns {Promise<void>}
+ */
+export async function saveCarouselSlides(carouselId, slides) {
+  await writeCarouselSlides(carouselId, slides);
+  await invalidateCache(CACHE_NAMESPACES.FEED);
+}
+
+/**
+ * Delete a carousel and its slides
+ * @param {number} id - Row ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCarousel(id) {
+  await removeCarousel(id);
+  await invalidateCache(CACHE_NAMESPACES.FEED);
+}
+
+/**
+ * Update an institution's profile
+ * Documents, library rows and carousels embed the institution, so they are
+ * cleared too
+ * @param {number} id - Institution ID
+ * @param {Object} fields - Profile columns
+ * @returns {Promise<Object>} Updated institution row
+ */
+export async function updateInstitutionProfile(id, fields) {
+  const updated = await writeInstitutionProfile(id, fields);
+  await invalidateCache(CACHE_NAMESPACES.INSTITUTIONS, ...PROFILE_DEPENDENT_NAMESPACES);
+  return updated;
+}
+
+/**
+ * Sign out
+ * Rows read while signed in may include drafts the member could see, so
+ * cached documents (with their versions and translations) and library
+ * pages are dropped
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  await endSession();
+  await invalidateCache(CACHE_NAMESPACES.DOCUMENTS, CACHE_NAMESPACES.LIBRARY);
+}
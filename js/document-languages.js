@@ -0,0 +1,129 @@
+/**
+ * Document Languages Module
+ * Language codes, names and text direction for document translations
+ *
+ * - Documents are written in one language (documents.language) and may
+ *   carry translations (document_translations) in others
+ * - Codes are BCP 47 ("ar", "en", "ms", "ur-PK"); the primary subtag
+ *   decides the script direction
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Language of documents without an explicit language
+ */
+export const DEFAULT_DOCUMENT_LANGUAGE = 'en';
+
+/**
+ * Languages written right to left (primary subtags)
+ */
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+/**
+ * Names for the languages we publish in (native name, English name)
+ */
+const LANGUAGE_NAMES = {
+  ar: { native: 'العربية', english: 'Arabic' },
+  en: { native: 'English', english: 'English' },
+  id: { native: 'Bahasa Indonesia', english: 'Indonesian' },
+  ms: { native: 'Bahasa Melayu', english: 'Malay' },
+  ur: { native: 'اردو', english: 'Urdu' },
+  fa: { native: 'فارسی', english: 'Persian' },
+  tr: { native: 'Türkçe', english: 'Turkish' },
+  fr: { native: 'Français', english: 'French' },
+  bn: { native: 'বাংলা', english: 'Bengali' },
+  sw: { native: 'Kiswahili', english: 'Swahili' }
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Primary subtag of a language code ("ur-PK" → "ur")
+ * @param {string} code - Language code
+ * @returns {string}
+ */
+function primarySubtag(code) {
+  return String(code || '').toLowerCase().split('-')[0];
+}
+
+/**
+ * Normalize a language code from a URL or the database
+ * @param {string} code - Raw code
+ * @returns {string|null} Normalized code or null if invalid
+ */
+export function normalizeLanguageCode(code) {
+  const value = String(code || '').trim();
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value)) return null;
+  const [primary, ...rest] = value.split('-');
+  return [primary.toLowerCase(), ...rest].join('-');
+}
+
+/**
+ * Text direction for a language
+ * @param {string} code - Language code
+ * @returns {'rtl'|'ltr'}
+ */
+export function getLanguageDirection(code) {
+  return RTL_LANGUAGES.has(primarySubtag(code)) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Display name of a language in that language (e.g., "العربية")
+ * @param {string} code - Language code
+ * @returns {string}
+ */
+export function getLanguageName(code) {
+  const known = LANGUAGE_NAMES[primarySubtag(code)];
+  if (known) return known.native;
+
+  try {
+    return new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * English name of a language (e.g., "Arabic"), for titles and labels
+ * @param {string} code - Language code
+ * @returns {string}
+ */
+export function getLanguageEnglishName(code) {
+  const known = LANGUAGE_NAMES[primarySubtag(code)];
+  if (known) return known.english;
+
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Short badge label ("AR", "EN", "UR-PK")
+ * @param {string} code - Language code
+ * @returns {string}
+ */
+export function getLanguageBadge(code) {
+  return String(code || '').toUpperCase();
+}
+
+/**
+ * Languages of a document: the original first, then translations A–Z
+ * @param {string} original - documents.language
+ * @param {Array<string>} translations - Translation language codes
+ * @returns {Array<string>} Unique codes
+ */
+export function listDocumentLanguages(original, translations = []) {
+  const first = normalizeLanguageCode(original) || DEFAULT_DOCUMENT_LANGUAGE;
+  const others = translations
+    .map(normalizeLanguageCode)
+    .filter(code => code && code !== first)
+    .sort();
+  return [first, ...new Set(others)];
+}
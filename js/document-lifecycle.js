@@ -0,0 +1,138 @@
+/**
+ * Document Lifecycle Module
+ * Statuses, reader visibility and allowed transitions for documents
+ *
+ * - draft → in_review → approved → published (optionally scheduled) → archived
+ * - Documents posted in a jurisdiction need that jurisdiction's approval;
+ *   documents without one are published straight from draft
+ * - Mirrors enforce_document_lifecycle() in
+ *   supabase/migrations/20261019000300_document_lifecycle.sql, which is what
+ *   actually enforces it; this module only decides what the UI offers
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Document statuses (documents.status)
+ */
+export const DOCUMENT_STATUS = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  APPROVED: 'approved',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived'
+};
+
+/**
+ * Who may make a transition
+ */
+const ACTOR = {
+  PUBLISHER: 'publisher',   // Member of the document's institution
+  REVIEWER: 'reviewer'      // Member of the document's jurisdiction
+};
+
+/**
+ * Allowed transitions, in the order the UI offers them
+ * `review`: true = only with a jurisdiction, false = only without one
+ */
+const TRANSITIONS = [
+  { from: DOCUMENT_STATUS.DRAFT, to: DOCUMENT_STATUS.IN_REVIEW, action: 'submit', actors: [ACTOR.PUBLISHER], review: true },
+  { from: DOCUMENT_STATUS.DRAFT, to: DOCUMENT_STATUS.PUBLISHED, action: 'publish', actors: [ACTOR.PUBLISHER], review: false },
+  { from: DOCUMENT_STATUS.IN_REVIEW, to: DOCUMENT_STATUS.APPROVED, action: 'approve', actors: [ACTOR.REVIEWER] },
+  { from: DOCUMENT_STATUS.IN_REVIEW, to: DOCUMENT_STATUS.DRAFT, action: 'withdraw', actors: [ACTOR.PUBLISHER] },
+  { from: DOCUMENT_STATUS.IN_REVIEW, to: DOCUMENT_STATUS.DRAFT, action: 'requestChanges', actors: [ACTOR.REVIEWER] },
+  { from: DOCUMENT_STATUS.APPROVED, to: DOCUMENT_STATUS.PUBLISHED, action: 'publish', actors: [ACTOR.PUBLISHER] },
+  { from: DOCUMENT_STATUS.APPROVED, to: DOCUMENT_STATUS.DRAFT, action: 'withdraw', actors: [ACTOR.PUBLISHER] },
+  { from: DOCUMENT_STATUS.APPROVED, to: DOCUMENT_STATUS.DRAFT, action: 'requestChanges', actors: [ACTOR.REVIEWER] },
+  { from: DOCUMENT_STATUS.PUBLISHED, to: DOCUMENT_STATUS.ARCHIVED, action: 'archive', actors: [ACTOR.PUBLISHER, ACTOR.REVIEWER] },
+  { from: DOCUMENT_STATUS.PUBLISHED, to: DOCUMENT_STATUS.DRAFT, action: 'unpublish', actors: [ACTOR.PUBLISHER] },
+  { from: DOCUMENT_STATUS.ARCHIVED, to: DOCUMENT_STATUS.PUBLISHED, action: 'restore', actors: [ACTOR.PUBLISHER] }
+];
+
+// ============================================================================
+// Status
+// ============================================================================
+
+/**
+ * Status of a document row (rows from before the lifecycle only had `visible`)
+ * @param {Object} doc - Document row
+ * @returns {string} DOCUMENT_STATUS value
+ */
+export function getDocumentStatus(doc) {
+  if (doc?.status) return doc.status;
+  return doc?.visible ? DOCUMENT_STATUS.PUBLISHED : DOCUMENT_STATUS.DRAFT;
+}
+
+/**
+ * Whether a published document is waiting for its publish date
+ * @param {Object} doc - Document row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isScheduled(doc, now = new Date()) {
+  return getDocumentStatus(doc) === DOCUMENT_STATUS.PUBLISHED
+    && Boolean(doc.publish_at)
+    && new Date(doc.publish_at) > now;
+}
+
+/**
+ * Whether readers see a document in the library
+ * @param {Object} doc - Document row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isPublished(doc, now = new Date()) {
+  return getDocumentStatus(doc) === DOCUMENT_STATUS.PUBLISHED && !isScheduled(doc, now);
+}
+
+/**
+ * Whether readers can open a document by link (published or archived)
+ * @param {Object} doc - Document row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isReadable(doc, now = new Date()) {
+  return isPublished(doc, now) || getDocumentStatus(doc) === DOCUMENT_STATUS.ARCHIVED;
+}
+
+// ============================================================================
+// Transitions
+// ============================================================================
+
+/**
+ * Whether saving content changes sends a document back to draft
+ * (anything in review or approved, and published or archived documents
+ * that need review)
+ * @param {Object} doc - Document row (status, jurisdiction_id)
+ * @returns {boolean}
+ */
+export function editResetsReview(doc) {
+  const status = getDocumentStatus(doc);
+  if ([DOCUMENT_STATUS.IN_REVIEW, DOCUMENT_STATUS.APPROVED].includes(status)) return true;
+  return doc.jurisdiction_id != null
+    && [DOCUMENT_STATUS.PUBLISHED, DOCUMENT_STATUS.ARCHIVED].includes(status);
+}
+
+/**
+ * Transitions the signed-in user can make on a document
+ * @param {Object} doc - Document row (status, jurisdiction_id)
+ * @param {Object} roles
+ * @param {boolean} roles.publisher - Member of the document's institution
+ * @param {boolean} roles.reviewer - Member of the document's jurisdiction
+ * @returns {Array<{to: string, action: string}>}
+ */
+export function getAvailableTransitions(doc, { publisher = false, reviewer = false } = {}) {
+  const status = getDocumentStatus(doc);
+  const needsReview = doc.jurisdiction_id != null;
+
+  return TRANSITIONS
+    .filter(transition => transition.from === status)
+    .filter(transition => transition.review === undefined || transition.review === needsReview)
+    .filter(transition => (
+      (publisher && transition.actors.includes(ACTOR.PUBLISHER))
+      || (reviewer && needsReview && transition.actors.includes(ACTOR.REVIEWER))
+    ))
+    .map(({ to, action }) => ({ to, action }));
+}
@@ -0,0 +1,149 @@
+/**
+ * Document Print Module
+ * Print / "Save as PDF" layout for the document viewer
+ *
+ * - @page rules with running headers and footers (institution,
+ *   jurisdiction, version, date) and "Page N of M" page numbers, built per
+ *   document because CSS margin boxes only take literal strings
+ * - A QR code and permalink to the exact version, shown on paper only
+ * - The static print styles (paper sheet, page breaks) live in
+ *   src/styles/_components.css; scripts/render-document.mjs produces the
+ *   same layout at build time
+ */
+
+import qrcode from 'qrcode-generator';
+import { t } from './i18n.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Id of the generated @page stylesheet
+ */
+const PRINT_STYLE_ID = 'document-print-page';
+
+/**
+ * QR module size in pixels (SVG scales on paper)
+ */
+const QR_CELL_SIZE = 3;
+
+// ============================================================================
+// Page Layout
+// ============================================================================
+
+/**
+ * Quote a value as a CSS string
+ * @param {string} value - Raw value
+ * @returns {string} CSS string literal
+ */
+function cssString(value) {
+  return `"${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/[\r\n]+/g, ' ')}"`;
+}
+
+/**
+ * Build @page rules with running headers, footers and page numbers
+ * @param {Object} meta
+ * @param {string} meta.institution - Institution name
+ * @param {string} meta.jurisdiction - Jurisdiction name
+ * @param {number} meta.version - Version number
+ * @param {string} meta.date - Formatted date ('' to omit)
+ * @returns {string} CSS
+ */
+export function buildPrintPageCss({ institution, jurisdiction, version, date }) {
+  const versionLine = [`Version ${version || 1}`, date].filter(Boolean).join(' · ');
+
+  return `
+@page {
+  size: A4;
+  margin: 22mm 18mm 20mm;
+  @top-left { content: ${cssString(institution)}; font-size: 8pt; color: #555; }
+  @top-right { content: ${cssString(jurisdiction)}; font-size: 8pt; color: #555; }
+  @bottom-left { content: ${cssString(versionLine)}; font-size: 8pt; color: #555; }
+  @bottom-right { content: "Page " counter(page) " of " counter(pages); font-size: 8pt; color: #555; }
+}`;
+}
+
+/**
+ * Install (or replace) the @page rules for the document being viewed
+ * @param {Object} meta - See buildPrintPageCss
+ */
+export function applyPrintPageStyle(meta) {
+  let style = document.getElementById(PRINT_STYLE_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = PRINT_STYLE_ID;
+    style.media = 'print';
+    document.head.appendChild(style);
+  }
+  style.textContent = buildPrintPageCss(meta);
+}
+
+/**
+ * Remove the @page rules when the viewer is left (see router.js)
+ */
+export function removePrintPageStyle() {
+  document.getElementById(PRINT_STYLE_ID)?.remove();
+}
+
+// ============================================================================
+// QR Code and Permalink
+// ============================================================================
+
+/**
+ * QR code for a URL as an SVG string
+ * @param {string} url - URL to encode
+ * @returns {string} SVG markup
+ */
+export function buildQrSvg(url) {
+  // Type 0 picks the smallest version that fits; 'M' survives light smudging
+  const qr = qrcode(0, 'M');
+  qr.addData(url);
+  qr.make();
+  return qr.createSvgTag({ cellSize: QR_CELL_SIZE, margin: QR_CELL_SIZE * 4, scalable: true });
+}
+
+/**
+ * Build the printed permalink block (QR code plus URL)
+ * @param {string} permalink - Absolute URL of the exact version
+ * @returns {string} HTML
+ */
+export function buildPrintPermalinkHtml(permalink) {
+  const escaped = String(permalink)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  return `
+    <div class="document-print-permalink">
+      <div class="document-print-qr" aria-hidden="true">${buildQrSvg(permalink)}</div>
+      <p>
+        <span>Permanent link to this version:</span><br />
+        <span class="document-print-url">${escaped}</span>
+      </p>
+    </div>
+  `;
+}
+
+// ============================================================================
+// Print Button
+// ============================================================================
+
+/**
+ * Add a "Print / Save as PDF" button to a container (once)
+ * @param {HTMLElement} container - Toolbar element
+ */
+export function renderPrintButton(container) {
+  if (!container || container.querySelector('.document-print-button')) return;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'document-print-button';
+  button.textContent = t('viewer.print');
+  button.addEventListener('click', () => window.print());
+  container.appendChild(button);
+}
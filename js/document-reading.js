@@ -0,0 +1,414 @@
+/**
+ * Document Reading Module
+ * Reading position and bookmarks for the document viewer
+ *
+ * - While the latest version is read, the position is saved (throttled) as
+ *   the section or paragraph at the top of the screen (#section-N /
+ *   #paragraph-N ids from document-toc.js) plus how far it was scrolled past
+ * - Opening a document without a #link resumes at the saved position, with
+ *   a toast offering to start over
+ * - The bookmarks panel in the document toolbar adds a bookmark (with an
+ *   optional note) at the current position and lists the document's
+ *   bookmarks to jump to, annotate or delete
+ * - Entries are stored and synced by reading-progress.js
+ */
+
+import {
+  saveReadingProgress,
+  getReadingProgress,
+  addBookmark,
+  updateBookmarkNote,
+  removeBookmark,
+  listBookmarks,
+  onReadingChange,
+  STARTED_PROGRESS,
+  FINISHED_PROGRESS
+} from './reading-progress.js';
+import { showToast } from './utils.js';
+import { t, formatNumber } from './i18n.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Elements a position can be anchored to (ids given by document-toc.js)
+ */
+const ANCHOR_SELECTOR = '[id^="section-"], [id^="paragraph-"]';
+
+/**
+ * Save the position at most this often while scrolling
+ */
+const SAVE_INTERVAL = 1000;
+
+/**
+ * Characters of the bookmarked text kept as its excerpt
+ */
+const EXCERPT_LENGTH = 140;
+
+// Active tracking (replaced on every render of the latest version)
+let activeReading = null;
+
+// ============================================================================
+// Position
+// ============================================================================
+
+/**
+ * Where the reader is in the content
+ * @param {HTMLElement} content - Rendered document content
+ * @returns {{anchor: string|null, offset: number, progress: number}}
+ */
+function measurePosition(content) {
+  const rect = content.getBoundingClientRect();
+  const scrollable = rect.height - window.innerHeight;
+  const progress = scrollable > 0 ? Math.min(1, Math.max(0, -rect.top / scrollable)) : 1;
+
+  const element = findTopElement(content);
+  return {
+    anchor: element?.id || null,
+    offset: element ? Math.max(0, -element.getBoundingClientRect().top) : 0,
+    progress
+  };
+}
+
+/**
+ * First anchored element not yet scrolled past (anchors are in document order)
+ * @param {HTMLElement} content - Rendered document content
+ * @returns {HTMLElement|null}
+ */
+function findTopElement(content) {
+  const elements = content.querySelectorAll(ANCHOR_SELECTOR);
+  let low = 0;
+  let high = elements.length - 1;
+  let found = null;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (elements[middle].getBoundingClientRect().bottom > 0) {
+      found = elements[middle];
+      high = middle - 1;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Scroll back to a saved position
+ * Falls back to the share read when the anchor is gone (e.g. another language)
+ * @param {HTMLElement} content - Rendered document content
+ * @param {Object} position - { anchor, offset, progress }
+ */
+function scrollToPosition(content, { anchor, offset, progress }) {
+  const element = anchor ? content.querySelector(`#${CSS.escape(anchor)}`) : null;
+  let top;
+  if (element) {
+    top = element.getBoundingClientRect().top + window.scrollY + offset;
+  } else {
+    const rect = content.getBoundingClientRect();
+    top = rect.top + window.scrollY + progress * Math.max(0, rect.height - window.innerHeight);
+  }
+  window.scrollTo({ top, left: 0, behavior: 'instant' });
+}
+
+/**
+ * Track the reading position of freshly rendered content
+ * @param {HTMLElement} content - Element holding the document content
+ * @param {Object} meta
+ * @param {string} meta.docId - Document ID
+ * @param {number|null} meta.version - Version shown
+ * @param {string|null} meta.language - Language shown
+ * @param {string} meta.title - Document title
+ * @param {string} meta.institution - Institution full name
+ * @param {Object} options
+ * @param {boolean} options.resume - Scroll to the saved position first
+ * @returns {Promise<void>}
+ */
+export async function initReadingPosition(content, meta, { resume = false } = {}) {
+  destroyReadingPosition();
+  if (!content) return;
+
+  let saveTimer = null;
+  let ready = !resume;
+
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!ready || !content.isConnected) return;
+    saveReadingProgress(meta.docId, { ...meta, ...measurePosition(content) }).catch((error) => {
+      console.warn('[DocumentReading] Position not saved:', error);
+    });
+  };
+  const onScroll = () => {
+    if (!saveTimer) saveTimer = setTimeout(save, SAVE_INTERVAL);
+  };
+
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('pagehide', save);
+
+  const reading = {
+    content,
+    meta,
+    // Save the last position when the document is left
+    destroy() {
+      if (saveTimer) save();
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('pagehide', save);
+      document.querySelector('.document-resume-toast')?.remove();
+    }
+  };
+  activeReading = reading;
+
+  if (!resume) return;
+
+  try {
+    const saved = await getReadingProgress(meta.docId);
+    if (activeReading !== reading) return;
+    if (saved && saved.progress >= STARTED_PROGRESS && saved.progress < FINISHED_PROGRESS) {
+      scrollToPosition(content, saved);
+      showResumeToast(saved.progress);
+    }
+  } catch (error) {
+    console.warn('[DocumentReading] Saved position not read:', error);
+  } finally {
+    ready = true;
+  }
+}
+
+/**
+ * Share read as a percentage in the active locale
+ * @param {number} progress - Share read (0-1)
+ * @returns {string} e.g. "42%"
+ */
+function formatPercent(progress) {
+  return formatNumber(progress, { style: 'percent', maximumFractionDigits: 0 });
+}
+
+/**
+ * Tell the reader where the document was resumed, with a way back to the top
+ * @param {number} progress - Share read (0-1)
+ */
+function showResumeToast(progress) {
+  const toast = showToast(t('reading.resume', { percent: formatPercent(progress) }), {
+    actionLabel: t('reading.startOver'),
+    closeLabel: t('common.close'),
+    onAction: () => window.scrollTo({ top: 0, left: 0, behavior: 'instant' }),
+    duration: 8000
+  });
+  toast.classList.add('document-resume-toast');
+}
+
+/**
+ * Stop tracking the position (the last one is saved)
+ */
+export function destroyReadingPosition() {
+  activeReading?.destroy();
+  activeReading = null;
+}
+
+// ============================================================================
+// Bookmarks
+// ============================================================================
+
+/**
+ * Render the bookmarks toggle and panel into the document toolbar
+ * @param {HTMLElement} container - Document toolbar
+ * @param {string} docId - Document ID
+ */
+export function renderBookmarkControls(container, docId) {
+  if (!container || container.querySelector('.document-bookmarks')) return;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'document-bookmarks';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'document-bookmarks-button';
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.setAttribute('aria-controls', 'document-bookmarks-panel');
+
+  const panel = document.createElement('div');
+  panel.id = 'document-bookmarks-panel';
+  panel.className = 'document-bookmarks-panel hidden';
+  panel.innerHTML = `
+    <form class="document-bookmark-form">
+      <label class="document-bookmark-label" for="document-bookmark-note">${t('reading.bookmarkHere')}</label>
+      <textarea id="document-bookmark-note" class="document-bookmark-note-input" dir="auto" rows="2" maxlength="1000" placeholder="${t('reading.notePlaceholder')}"></textarea>
+      <button type="submit" class="document-bookmark-add">${t('reading.addBookmark')}</button>
+    </form>
+    <ol class="document-bookmark-list"></ol>
+  `;
+
+  toggle.addEventListener('click', () => {
+    const open = panel.classList.toggle('hidden') === false;
+    toggle.setAttribute('aria-expanded', String(open));
+    if (open) refreshBookmarks(panel, toggle, docId);
+  });
+
+  panel.querySelector('form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const input = panel.querySelector('.document-bookmark-note-input');
+    if (await addBookmarkHere(docId, input.value)) input.value = '';
+  });
+
+  wrapper.append(toggle, panel);
+  container.appendChild(wrapper);
+
+  // Follow bookmarks added elsewhere or synced; stops once the page is left
+  const unsubscribe = onReadingChange((detail) => {
+    if (!wrapper.isConnected) {
+      unsubscribe();
+      return;
+    }
+    if (detail.docId === null || detail.docId === docId) refreshBookmarks(panel, toggle, docId);
+  });
+
+  refreshBookmarks(panel, toggle, docId);
+}
+
+/**
+ * Bookmark the current position
+ * @param {string} docId - Document ID
+ * @param {string} note - Note
+ * @returns {Promise<boolean>} Whether a bookmark was added
+ */
+async function addBookmarkHere(docId, note) {
+  if (activeReading?.meta.docId !== docId) {
+    showToast(t('reading.latestOnly'), { closeLabel: t('common.close'), duration: 5000 });
+    return false;
+  }
+
+  const { content, meta } = activeReading;
+  const position = measurePosition(content);
+  const element = position.anchor ? content.querySelector(`#${CSS.escape(position.anchor)}`) : null;
+  const text = (element?.textContent || '').replace(/\s+/g, ' ').replace(/#$/, '').trim();
+
+  try {
+    await addBookmark(docId, {
+      anchor: position.anchor,
+      excerpt: text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text,
+      note,
+      progress: position.progress,
+      title: meta.title
+    });
+    return true;
+  } catch (error) {
+    console.error('[DocumentReading] Bookmark not added:', error);
+    showToast(t('reading.addFailed', { message: error.message }), { closeLabel: t('common.close'), duration: 5000 });
+    return false;
+  }
+}
+
+/**
+ * Render the bookmark list and count
+ * @param {HTMLElement} panel - Bookmarks panel
+ * @param {HTMLButtonElement} toggle - Panel toggle
+ * @param {string} docId - Document ID
+ * @returns {Promise<void>}
+ */
+async function refreshBookmarks(panel, toggle, docId) {
+  const bookmarks = await listBookmarks(docId);
+  toggle.textContent = bookmarks.length
+    ? t('reading.bookmarksCount', { count: formatNumber(bookmarks.length) })
+    : t('reading.bookmarks');
+
+  const list = panel.querySelector('.document-bookmark-list');
+  list.replaceChildren(...bookmarks.map(bookmark => buildBookmarkItem(bookmark)));
+  if (bookmarks.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'document-bookmark-empty';
+    empty.textContent = t('reading.empty');
+    list.appendChild(empty);
+  }
+}
+
+/**
+ * One bookmark: jump to it, edit its note or delete it
+ * @param {Object} bookmark - From listBookmarks()
+ * @returns {HTMLLIElement}
+ */
+function buildBookmarkItem(bookmark) {
+  const item = document.createElement('li');
+  item.className = 'document-bookmark';
+
+  const go = document.createElement('button');
+  go.type = 'button';
+  go.className = 'document-bookmark-go';
+  // The excerpt is in the document's language, which may run the other way
+  const excerpt = document.createElement('bdi');
+  excerpt.textContent = bookmark.excerpt || t('reading.startOfDocument');
+  go.append(`${formatPercent(bookmark.progress)} · `, excerpt);
+  go.addEventListener('click', () => goToBookmark(bookmark));
+
+  const note = document.createElement('p');
+  note.className = 'document-bookmark-note';
+  note.textContent = bookmark.note;
+  note.dir = 'auto';
+  note.classList.toggle('hidden', !bookmark.note);
+
+  const edit = document.createElement('button');
+  edit.type = 'button';
+  edit.className = 'document-bookmark-edit';
+  edit.textContent = bookmark.note ? t('reading.editNote') : t('reading.addNote');
+  edit.addEventListener('click', () => editBookmarkNote(item, bookmark));
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'document-bookmark-remove';
+  remove.textContent = t('reading.delete');
+  remove.addEventListener('click', () => {
+    removeBookmark(bookmark.id).catch((error) => {
+      console.error('[DocumentReading] Bookmark not deleted:', error);
+    });
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'document-bookmark-actions';
+  actions.append(edit, remove);
+
+  item.append(go, note, actions);
+  return item;
+}
+
+/**
+ * Swap a bookmark's note for an editor
+ * @param {HTMLLIElement} item - Bookmark item
+ * @param {Object} bookmark - Bookmark
+ */
+function editBookmarkNote(item, bookmark) {
+  const form = document.createElement('form');
+  form.className = 'document-bookmark-note-form';
+  form.innerHTML = `
+    <textarea class="document-bookmark-note-input" dir="auto" rows="2" maxlength="1000" aria-label="${t('reading.note')}"></textarea>
+    <button type="submit">${t('reading.save')}</button>
+    <button type="button" class="document-bookmark-cancel">${t('reading.cancel')}</button>
+  `;
+  const input = form.querySelector('textarea');
+  input.value = bookmark.note;
+
+  form.querySelector('.document-bookmark-cancel').addEventListener('click', () => {
+    form.remove();
+    item.querySelectorAll('.document-bookmark-note, .document-bookmark-actions').forEach(el => { el.hidden = false; });
+  });
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    // The list is rendered again once the note is saved
+    updateBookmarkNote(bookmark.id, input.value).catch((error) => {
+      console.error('[DocumentReading] Note not saved:', error);
+    });
+  });
+
+  item.querySelectorAll('.document-bookmark-note, .document-bookmark-actions').forEach(el => { el.hidden = true; });
+  item.appendChild(form);
+  input.focus();
+}
+
+/**
+ * Scroll to a bookmark in the shown content
+ * @param {Object} bookmark - Bookmark
+ */
+function goToBookmark(bookmark) {
+  const content = activeReading?.content || document.querySelector('#document-body .document-content');
+  if (!content) return;
+  scrollToPosition(content, { anchor: bookmark.anchor, offset: 0, progress: bookmark.progress });
+}
@@ -0,0 +1,323 @@
+/**
+ * Document Navigation Module
+ * Table of contents, heading anchors, scroll-spy and paragraph links for
+ * the document viewer
+ *
+ * - Headings (h1-h4) in the content get stable ids by position:
+ *   #section-1, #section-2, ... so links like ?doc=book0#section-3 keep
+ *   working across renders
+ * - Paragraphs, list items and quotes get #paragraph-N ids for
+ *   "copy link to paragraph"
+ * - The table of contents is a collapsible <details>; on wide screens it is
+ *   pinned beside the paper sheet and the current section is highlighted
+ */
+
+import { t } from './i18n.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Headings included in the table of contents
+ */
+const HEADING_SELECTOR = 'h1, h2, h3, h4';
+
+/**
+ * Blocks that can be linked to from a selection
+ */
+const PARAGRAPH_SELECTOR = 'p, li, blockquote';
+
+/**
+ * Minimum headings for a table of contents to be worth showing
+ */
+const MIN_TOC_HEADINGS = 2;
+
+/**
+ * Distance from the top of the viewport at which a heading becomes current
+ */
+const SCROLL_SPY_OFFSET = 120;
+
+// Active navigation (replaced on every render)
+let activeNavigation = null;
+
+// ============================================================================
+// Anchors
+// ============================================================================
+
+/**
+ * Give headings and paragraphs stable ids and add heading anchor links
+ * @param {HTMLElement} content - Rendered document content
+ * @returns {Array<{element: HTMLElement, label: string}>} Headings in document order
+ */
+function addAnchors(content) {
+  const headings = Array.from(content.querySelectorAll(HEADING_SELECTOR)).map((element, index) => {
+    element.id = `section-${index + 1}`;
+    return { element, label: element.textContent.trim() };
+  });
+
+  headings.forEach(({ element: heading, label }) => {
+    const anchor = document.createElement('a');
+    anchor.className = 'heading-anchor';
+    anchor.href = `#${heading.id}`;
+    anchor.setAttribute('aria-label', t('viewer.toc.headingLink', { label }));
+    anchor.textContent = '#';
+    heading.appendChild(anchor);
+  });
+
+  content.querySelectorAll(PARAGRAPH_SELECTOR).forEach((paragraph, index) => {
+    // Footnotes keep their own ids (fn1, ...) for their back-links
+    if (!paragraph.id) {
+      paragraph.id = `paragraph-${index + 1}`;
+    }
+  });
+
+  return headings;
+}
+
+/**
+ * URL of the current page pointing at an element
+ * @param {string} id - Element id
+ * @returns {string}
+ */
+function buildAnchorUrl(id) {
+  const url = new URL(window.location.href);
+  url.hash = id;
+  return url.toString();
+}
+
+// ============================================================================
+// Table of Contents
+// ============================================================================
+
+/**
+ * Build the table of contents element
+ * @param {Array<{element: HTMLElement, label: string}>} headings - Headings with ids
+ * @returns {HTMLElement}
+ */
+function buildToc(headings) {
+  const toc = document.createElement('details');
+  toc.className = 'document-toc';
+  toc.open = window.matchMedia('(min-width: 1280px)').matches;
+
+  const summary = document.createElement('summary');
+  summary.textContent = t('viewer.toc.contents');
+  toc.appendChild(summary);
+
+  const list = document.createElement('ol');
+  list.className = 'document-toc-list';
+
+  headings.forEach(({ element: heading, label }) => {
+    const level = Number(heading.tagName.slice(1));
+    const item = document.createElement('li');
+    item.className = `document-toc-item document-toc-level-${level}`;
+
+    const link = document.createElement('a');
+    link.href = `#${heading.id}`;
+    link.dataset.target = heading.id;
+    link.textContent = label;
+
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+
+  toc.appendChild(list);
+  return toc;
+}
+
+/**
+ * Highlight the table of contents entry for the section being read
+ * @param {HTMLElement} toc - Table of contents
+ * @param {Array<HTMLElement>} headings - Heading elements in document order
+ * @returns {IntersectionObserver|null}
+ */
+function startScrollSpy(toc, headings) {
+  if (!('IntersectionObserver' in window)) return null;
+
+  const links = new Map(
+    Array.from(toc.querySelectorAll('a[data-target]')).map(link => [link.dataset.target, link])
+  );
+
+  const update = () => {
+    // Current section: last heading scrolled past the offset line
+    let current = headings[0];
+    for (const heading of headings) {
+      if (heading.getBoundingClientRect().top > SCROLL_SPY_OFFSET) break;
+      current = heading;
+    }
+
+    links.forEach((link, id) => {
+      const isCurrent = id === current?.id;
+      link.classList.toggle('active', isCurrent);
+      if (isCurrent) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  };
+
+  const observer = new IntersectionObserver(update, {
+    rootMargin: `-${SCROLL_SPY_OFFSET}px 0px 0px 0px`,
+    threshold: [0, 1]
+  });
+  headings.forEach(heading => observer.observe(heading));
+  update();
+
+  return observer;
+}
+
+// ============================================================================
+// Paragraph Links
+// ============================================================================
+
+/**
+ * Show a "copy link to paragraph" button next to selections in the content
+ * @param {HTMLElement} content - Rendered document content
+ * @returns {Function} Cleanup
+ */
+function initParagraphLinks(content) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'paragraph-link-button hidden';
+  button.textContent = t('viewer.toc.copyParagraphLink');
+  document.body.appendChild(button);
+
+  let targetId = null;
+
+  const hide = () => {
+    button.classList.add('hidden');
+    targetId = null;
+  };
+
+  const onSelectionChange = () => {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      hide();
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    const startNode = range.startContainer.nodeType === Node.ELEMENT_NODE
+      ? range.startContainer
+      : range.startContainer.parentElement;
+    const paragraph = startNode?.closest(PARAGRAPH_SELECTOR);
+
+    if (!paragraph || !content.contains(paragraph)) {
+      hide();
+      return;
+    }
+
+    targetId = paragraph.id;
+    const rect = range.getBoundingClientRect();
+    button.style.top = `${window.scrollY + rect.bottom + 8}px`;
+    button.style.left = `${window.scrollX + rect.left}px`;
+    button.textContent = t('viewer.toc.copyParagraphLink');
+    button.classList.remove('hidden');
+  };
+
+  // Keep the selection when the button is pressed
+  const onMouseDown = (event) => event.preventDefault();
+
+  const onClick = async () => {
+    if (!targetId) return;
+    const url = buildAnchorUrl(targetId);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      button.textContent = t('common.copied');
+    } catch {
+      // Clipboard unavailable: put the link in the address bar instead
+      history.replaceState(history.state, '', url);
+      button.textContent = t('viewer.toc.linkInAddressBar');
+    }
+  };
+
+  document.addEventListener('selectionchange', onSelectionChange);
+  button.addEventListener('mousedown', onMouseDown);
+  button.addEventListener('click', onClick);
+
+  return () => {
+    document.removeEventListener('selectionchange', onSelectionChange);
+    button.remove();
+  };
+}
+
+// ============================================================================
+// Deep Links
+// ============================================================================
+
+/**
+ * Scroll to the element named in the URL hash, if it is in the content
+ * @param {HTMLElement} content - Rendered document content
+ */
+function scrollToHash(content) {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  if (!id) return;
+
+  const target = content.querySelector(`#${CSS.escape(id)}`);
+  if (!target) return;
+
+  content.querySelectorAll('.is-link-target').forEach(el => el.classList.remove('is-link-target'));
+  target.classList.add('is-link-target');
+  target.scrollIntoView({ block: 'start' });
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Set up navigation for freshly rendered document content
+ * @param {HTMLElement} content - Element holding the document content
+ * @param {Object} options
+ * @param {HTMLElement} options.tocContainer - Where to insert the table of contents (before content by default)
+ */
+export function initDocumentNavigation(content, options = {}) {
+  destroyDocumentNavigation();
+  if (!content) return;
+
+  const headings = addAnchors(content);
+  let toc = null;
+  let observer = null;
+
+  if (headings.length >= MIN_TOC_HEADINGS) {
+    toc = buildToc(headings);
+    if (options.tocContainer) {
+      options.tocContainer.appendChild(toc);
+    } else {
+      content.before(toc);
+    }
+    observer = startScrollSpy(toc, headings.map(({ element }) => element));
+
+    // Close the inline (narrow screen) TOC after picking a section
+    toc.addEventListener('click', (event) => {
+      if (event.target.closest('a') && !window.matchMedia('(min-width: 1280px)').matches) {
+        toc.open = false;
+      }
+    });
+  }
+
+  const cleanupParagraphLinks = initParagraphLinks(content);
+  const onHashChange = () => scrollToHash(content);
+  window.addEventListener('hashchange', onHashChange);
+
+  activeNavigation = {
+    destroy() {
+      observer?.disconnect();
+      toc?.remove();
+      cleanupParagraphLinks();
+      window.removeEventListener('hashchange', onHashChange);
+    }
+  };
+
+  scrollToHash(content);
+}
+
+/**
+ * Tear down the current navigation (observers, listeners, floating button)
+ */
+export function destroyDocumentNavigation() {
+  activeNavigation?.destroy();
+  activeNavigation = null;
+}
@@ -2,10 +2,83 @@
  * Document Viewer Module
  * 
  * Fetches and renders document content from Supabase.
- * Used by document-viewer.html to display documents dynamically.
+ * Mounted by the router (see app-main.js) on document-viewer.html.
+ * Without a connection, documents saved for offline reading
+ * (offline-library.js) are shown from their saved copy.
+ * Reading the latest version saves the reader's place and opens the
+ * document there next time (document-reading.js).
  */
 
-import { getDocumentByDocId } from './supabase-client.js';
+import {
+  getDocumentByDocId,
+  getDocumentVersions,
+  getDocumentVersion,
+  getDocumentTranslations,
+  getDocumentTranslation
+} from './data-repository.js';
+import { t, formatDate, formatDisplayDate } from './i18n.js';
+import { diffHtml } from './html-diff.js';
+import { sanitizeHtml } from './html-sanitizer.js';
+import { initDocumentNavigation, destroyDocumentNavigation } from './document-toc.js';
+import { applyPrintPageStyle, removePrintPageStyle, buildPrintPermalinkHtml, renderPrintButton } from './document-print.js';
+import {
+  DEFAULT_DOCUMENT_LANGUAGE,
+  normalizeLanguageCode,
+  getLanguageDirection,
+  getLanguageName,
+  getLanguageEnglishName,
+  listDocumentLanguages
+} from './document-languages.js';
+import { DOCUMENT_STATUS, getDocumentStatus, isReadable, isScheduled } from './document-lifecycle.js';
+import { saveDocumentOffline, removeDocumentOffline, getDocumentOfflineStatus, getSavedDocument } from './offline-library.js';
+import { initReadingPosition, destroyReadingPosition, renderBookmarkControls } from './document-reading.js';
+import { showToast } from './utils.js';
+
+// Viewer state (latest document row, version list, loaded versions, translations)
+const viewerState = {
+  docId: null,
+  latest: null,
+  versions: [],
+  versionCache: new Map(),
+  translations: [],
+  translationCache: new Map(),
+  savedAt: null, // Set when showing the copy saved for offline reading
+  resumed: false // Set once the saved reading position has been offered
+};
+
+// Bumped when the viewer is left, so loads still on their way are dropped
+let viewerSession = 0;
+
+// How unpublished statuses are described to signed-in members previewing them
+const PREVIEW_STATUS_MESSAGES = {
+  [DOCUMENT_STATUS.DRAFT]: 'viewer.status.preview.draft',
+  [DOCUMENT_STATUS.IN_REVIEW]: 'viewer.status.preview.inReview',
+  [DOCUMENT_STATUS.APPROVED]: 'viewer.status.preview.approved'
+};
+
+// Reader's last chosen document language (used when the URL has no ?lang=)
+const LANGUAGE_PREFERENCE_KEY = 'documentLanguage';
+
+// Translations of the opening and closing verses; the Arabic is always shown
+// and languages without an entry fall back to English
+const VERSE_TRANSLATIONS = {
+  en: {
+    opening: 'In the name of Allah. The Most Compassionate. The Most Merciful.',
+    closing: 'Guide us to the straight path.'
+  },
+  id: {
+    opening: 'Dengan nama Allah Yang Maha Pengasih, Maha Penyayang.',
+    closing: 'Tunjukilah kami jalan yang lurus.'
+  },
+  ms: {
+    opening: 'Dengan nama Allah, Yang Maha Pemurah, lagi Maha Mengasihani.',
+    closing: 'Tunjukilah kami jalan yang lurus.'
+  },
+  ur: {
+    opening: 'اللہ کے نام سے جو بڑا مہربان نہایت رحم والا ہے۔',
+    closing: 'ہمیں سیدھا راستہ دکھا۔'
+  }
+};
 
 // =====================================================
 // INITIALIZATION
@@ -15,32 +88,55 @@ import { getDocumentByDocId } from './supabase-client.js';
  * Initialize the document viewer
  */
 async function initDocumentViewer() {
+  const session = viewerSession;
+
   // Get document ID from URL
   const docId = getDocumentIdFromUrl();
   
   if (!docId) {
-    showError('No document ID provided. Use URL format: document-viewer.html?doc=book0');
+    showError(t('viewer.error.noId'));
     return;
   }
   
   try {
-    // Fetch document from Supabase
-    const document = await getDocumentByDocId(docId);
+    // Fetch document from Supabase, or use the copy saved for offline reading
+    let doc;
+    let savedCopy = null;
+    try {
+      doc = await getDocumentByDocId(docId);
+    } catch (error) {
+      savedCopy = await getSavedDocument(docId);
+      if (!savedCopy) throw error;
+      console.warn('[DocumentViewer] Offline, showing the saved copy:', error);
+      doc = savedCopy.row;
+    }
+    if (session !== viewerSession) return;
     
-    if (!document) {
-      showError(`Document "${docId}" not found.`);
+    if (!doc) {
+      showError(t('viewer.error.notFound', { docId }));
       return;
     }
     
-    // Update page title
-    document.title = `DAARUSSALAAM — ${document.title}`;
+    viewerState.docId = docId;
+    viewerState.latest = doc;
+    viewerState.versions = await loadVersionList(docId, doc);
+    if (savedCopy) {
+      useSavedTranslations(savedCopy);
+    } else {
+      viewerState.translations = await loadTranslationList(docId);
+    }
+    if (session !== viewerSession) return;
     
-    // Render document content
-    renderDocument(document);
+    // Back/forward between versions and comparisons
+    window.addEventListener('popstate', showVersionFromUrl);
+    
+    // Render the requested version (?v=) or the latest
+    await showVersionFromUrl();
     
   } catch (error) {
+    if (session !== viewerSession) return;
     console.error('Error loading document:', error);
-    showError(`Failed to load document: ${error.message}`);
+    showError(t('viewer.error.loadFailed', { message: error.message }));
   }
 }
 
@@ -49,18 +145,19 @@ async function initDocumentViewer() {
  * Supports both query param and hash formats:
  * - ?doc=book0
  * - #book0
+ * @param {Location|URL} url - Viewer URL (default: the current page)
  * @returns {string|null} Document ID or null
  */
-function getDocumentIdFromUrl() {
+function getDocumentIdFromUrl(url = window.location) {
   // Try query parameter first
-  const urlParams = new URLSearchParams(window.location.search);
+  const urlParams = new URLSearchParams(url.search);
   const docParam = urlParams.get('doc');
   if (docParam) {
     return docParam;
   }
   
   // Try hash
-  const hash = window.location.hash.slice(1);
+  const hash = url.hash.slice(1);
   if (hash) {
     return hash;
   }
@@ -68,15 +165,662 @@ function getDocumentIdFromUrl() {
   return null;
 }
 
+/**
+ * Get version parameters from URL
+ * - ?doc=book0&v=3 (a specific version)
+ * - ?doc=book0&v=3&compare=2 (diff between two versions)
+ * @returns {{version: number|null, compare: number|null}}
+ */
+function getVersionParamsFromUrl() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const parseVersion = (value) => {
+    const version = parseInt(value, 10);
+    return Number.isInteger(version) && version > 0 ? version : null;
+  };
+  
+  return {
+    version: parseVersion(urlParams.get('v')),
+    compare: parseVersion(urlParams.get('compare'))
+  };
+}
+
+/**
+ * Get language parameters from URL
+ * - ?doc=book0&lang=ar (a translation)
+ * - ?doc=book0&lang=ar&parallel=en (side by side with another language)
+ * @returns {{language: string|null, parallel: string|null}}
+ */
+function getLanguageParamsFromUrl() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return {
+    language: normalizeLanguageCode(urlParams.get('lang')),
+    parallel: normalizeLanguageCode(urlParams.get('parallel'))
+  };
+}
+
+/**
+ * Build a viewer URL for a version (and optional comparison)
+ * @param {number|null} version - Version to show (null for the latest)
+ * @param {number|null} compare - Version to diff against
+ * @returns {string} URL
+ */
+function buildVersionUrl(version, compare = null) {
+  const url = new URL(window.location.href);
+  
+  // Hash-style links (#book0) become ?doc= so the hash is free for anchors
+  if (!url.searchParams.has('doc')) {
+    url.hash = '';
+  }
+  url.searchParams.set('doc', viewerState.docId);
+  
+  if (version) {
+    url.searchParams.set('v', version);
+  } else {
+    url.searchParams.delete('v');
+  }
+  
+  if (compare) {
+    url.searchParams.set('compare', compare);
+  } else {
+    url.searchParams.delete('compare');
+  }
+  
+  return url.toString();
+}
+
+/**
+ * Permanent link to one version (no comparison, no section anchor)
+ * @param {number} version - Version number
+ * @returns {string} URL
+ */
+function buildPermalink(version) {
+  const url = new URL(buildVersionUrl(version));
+  url.hash = '';
+  return url.toString();
+}
+
+// =====================================================
+// VERSIONS
+// =====================================================
+
+/**
+ * Load the version list for a document
+ * @param {string} docId - Document ID
+ * @param {Object} latest - Latest document row
+ * @returns {Promise<Array>} Versions, newest first
+ */
+async function loadVersionList(docId, latest) {
+  let versions = [];
+  
+  try {
+    versions = await getDocumentVersions(docId);
+  } catch (error) {
+    console.warn('[DocumentViewer] Version history unavailable:', error);
+  }
+  
+  // The live row is always selectable, even before history was recorded
+  const latestVersion = latest.version || 1;
+  if (!versions.some(entry => entry.version === latestVersion)) {
+    versions.push({ version: latestVersion, title: latest.title, doc_date: latest.doc_date });
+  }
+  
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Get a version of the current document in the shape of the latest row
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Document object or null if not recorded
+ */
+async function getVersionDocument(version) {
+  const { latest, versionCache } = viewerState;
+  
+  if (version === (latest.version || 1)) {
+    return latest;
+  }
+  
+  if (!versionCache.has(version)) {
+    const row = await getDocumentVersion(viewerState.docId, version);
+    // Institution, jurisdiction and type come from the latest row
+    versionCache.set(version, row ? {
+      ...latest,
+      title: row.title,
+      content: row.content,
+      version: row.version,
+      doc_date: row.doc_date
+    } : null);
+  }
+  
+  return versionCache.get(version);
+}
+
+/**
+ * Render the version (and comparison) requested in the URL
+ */
+async function showVersionFromUrl() {
+  const { docId, latest } = viewerState;
+  const { version, compare } = getVersionParamsFromUrl();
+  
+  // Another document is being opened (see router.js)
+  if (!docId || getDocumentIdFromUrl() !== docId) return;
+  
+  try {
+    const doc = await getVersionDocument(version || latest.version || 1);
+    if (viewerState.docId !== docId) return;
+    if (!doc) {
+      showError(t('viewer.error.versionNotFound', { version, docId }));
+      return;
+    }
+    
+    let diff = null;
+    if (compare && compare !== doc.version) {
+      const base = await getVersionDocument(compare);
+      if (!base) {
+        showError(t('viewer.error.versionNotFound', { version: compare, docId }));
+        return;
+      }
+      
+      // Always show changes from the older version to the newer one
+      const [older, newer] = base.version < doc.version ? [base, doc] : [doc, base];
+      diff = {
+        from: older.version,
+        to: newer.version,
+        ...diffHtml(sanitizeHtml(older.content), sanitizeHtml(newer.content))
+      };
+    }
+    
+    // Translations are of the latest version; older versions and comparisons show the original
+    const isLatest = doc.version === (latest.version || 1);
+    if (diff || !isLatest) {
+      renderDocument({ ...doc, language: getOriginalLanguage() }, diff, null, false);
+      return;
+    }
+    
+    const { language, parallel } = resolveLanguages();
+    const [primary, secondary] = await Promise.all([
+      getLanguageDocument(language),
+      parallel ? getLanguageDocument(parallel) : null
+    ]);
+    if (viewerState.docId !== docId) return;
+    renderDocument(primary, null, secondary?.language === primary.language ? null : secondary, true);
+  } catch (error) {
+    if (viewerState.docId !== docId) return;
+    console.error('Error loading document version:', error);
+    showError(t('viewer.error.loadFailed', { message: error.message }));
+  }
+}
+
+/**
+ * Navigate to a version (and optional comparison) without reloading
+ * @param {number|null} version - Version to show (null for the latest)
+ * @param {number|null} compare - Version to diff against
+ */
+function navigateToVersion(version, compare = null) {
+  history.pushState(null, '', buildVersionUrl(version, compare));
+  showVersionFromUrl();
+}
+
+/**
+ * Render the version switcher above the document
+ * @param {Object} doc - Document version being shown
+ * @param {Object|null} diff - Active comparison
+ */
+function renderVersionControls(doc, diff) {
+  const container = window.document.getElementById('document-content');
+  const documentBody = window.document.getElementById('document-body');
+  
+  let controls = window.document.getElementById('document-versions');
+  if (!controls) {
+    controls = window.document.createElement('nav');
+    controls.id = 'document-versions';
+    controls.className = 'document-versions';
+    controls.setAttribute('aria-label', t('viewer.versions.label'));
+    container.insertBefore(controls, documentBody);
+  }
+  
+  const { versions, latest } = viewerState;
+  const latestVersion = latest.version || 1;
+  
+  // Nothing to switch between
+  if (versions.length < 2) {
+    controls.classList.add('hidden');
+    return;
+  }
+  controls.classList.remove('hidden');
+  
+  const compareVersion = diff ? (diff.from === doc.version ? diff.to : diff.from) : null;
+  const versionLabel = (entry) => {
+    const date = entry.doc_date ? ` — ${formatShortDate(entry.doc_date)}` : '';
+    const suffix = entry.version === latestVersion ? ` ${t('viewer.versions.latest')}` : '';
+    return `v${entry.version}${date}${suffix}`;
+  };
+  
+  const versionOptions = versions.map(entry => `
+    <option value="${entry.version}" ${entry.version === doc.version ? 'selected' : ''}>${escapeHtml(versionLabel(entry))}</option>
+  `).join('');
+  
+  const compareOptions = versions
+    .filter(entry => entry.version !== doc.version)
+    .map(entry => `
+      <option value="${entry.version}" ${entry.version === compareVersion ? 'selected' : ''}>v${entry.version}</option>
+    `).join('');
+  
+  // Older versions are flagged by the status banner (renderStatusBanner)
+  const notice = diff
+    ? t('viewer.versions.changes', { from: diff.from, to: diff.to, count: diff.changes })
+    : '';
+  
+  controls.innerHTML = `
+    <div class="document-versions-controls">
+      <label>
+        <span>${escapeHtml(t('viewer.versions.version'))}</span>
+        <select data-field="version">${versionOptions}</select>
+      </label>
+      <label>
+        <span>${escapeHtml(t('viewer.versions.compare'))}</span>
+        <select data-field="compare">
+          <option value="">—</option>
+          ${compareOptions}
+        </select>
+      </label>
+      <a class="document-versions-permalink" href="${escapeHtml(buildVersionUrl(doc.version, compareVersion))}">${escapeHtml(t('viewer.versions.permalink'))}</a>
+    </div>
+    ${notice ? `<p class="document-versions-notice">${escapeHtml(notice)}</p>` : ''}
+  `;
+  
+  controls.querySelector('[data-field="version"]').addEventListener('change', (event) => {
+    const version = Number(event.target.value);
+    navigateToVersion(version === latestVersion ? null : version);
+  });
+  
+  controls.querySelector('[data-field="compare"]').addEventListener('change', (event) => {
+    const version = doc.version === latestVersion ? null : doc.version;
+    navigateToVersion(version, Number(event.target.value) || null);
+  });
+}
+
+/**
+ * Render lifecycle banners above the document: archived documents, versions
+ * superseded by a newer one, and documents readers cannot see yet (shown to
+ * signed-in members previewing them)
+ * @param {Object} doc - Document version being shown
+ * @param {Object|null} diff - Active comparison
+ */
+function renderStatusBanner(doc, diff) {
+  const container = window.document.getElementById('document-content');
+  
+  let banner = window.document.getElementById('document-status');
+  if (!banner) {
+    banner = window.document.createElement('div');
+    banner.id = 'document-status';
+    banner.className = 'document-status';
+    banner.setAttribute('role', 'note');
+    container.insertBefore(banner, window.document.getElementById('document-versions') || window.document.getElementById('document-body'));
+  }
+  
+  const { latest } = viewerState;
+  const latestVersion = latest.version || 1;
+  const status = getDocumentStatus(latest);
+  const messages = [];
+  
+  if (status === DOCUMENT_STATUS.ARCHIVED) {
+    const text = latest.archived_at
+      ? t('viewer.status.archivedOn', { date: formatShortDate(latest.archived_at) })
+      : t('viewer.status.archived');
+    messages.push({
+      type: 'archived',
+      html: `<strong>${escapeHtml(t('viewer.status.archivedTitle'))}</strong> ${escapeHtml(text)}`
+    });
+  } else if (!isReadable(latest)) {
+    const text = isScheduled(latest)
+      ? t('viewer.status.preview.scheduled', { date: formatShortDate(latest.publish_at) })
+      : t(PREVIEW_STATUS_MESSAGES[status] || PREVIEW_STATUS_MESSAGES[DOCUMENT_STATUS.DRAFT]);
+    messages.push({
+      type: 'preview',
+      html: `<strong>${escapeHtml(t('viewer.status.previewTitle'))}</strong> ${escapeHtml(text)}`
+    });
+  }
+  
+  if (!diff && doc.version !== latestVersion) {
+    messages.push({
+      type: 'superseded',
+      html: `<strong>${escapeHtml(t('viewer.status.supersededTitle', { version: latestVersion }))}</strong> `
+        + `${escapeHtml(t('viewer.status.superseded', { version: doc.version }))} `
+        + `<a href="${escapeHtml(buildVersionUrl(null))}" data-version-link="latest">${escapeHtml(t('viewer.status.viewLatest', { version: latestVersion }))}</a>`
+    });
+  }
+  
+  banner.innerHTML = messages.map(message => `
+    <p class="document-status-banner document-status-${message.type}">${message.html}</p>
+  `).join('');
+  banner.classList.toggle('hidden', messages.length === 0);
+  
+  banner.querySelector('[data-version-link="latest"]')?.addEventListener('click', (event) => {
+    event.preventDefault();
+    navigateToVersion(null);
+  });
+}
+
+/**
+ * Render the document toolbar (print)
+ */
+function renderDocumentActions() {
+  let actions = window.document.getElementById('document-actions');
+  if (!actions) {
+    actions = window.document.createElement('div');
+    actions.id = 'document-actions';
+    actions.className = 'document-actions';
+    const container = window.document.getElementById('document-content');
+    container.insertBefore(actions, container.querySelector('#document-versions') || window.document.getElementById('document-body'));
+  }
+  actions.classList.remove('hidden');
+  renderPrintButton(actions);
+  renderBookmarkControls(actions, viewerState.docId);
+  renderOfflineControls(actions);
+}
+
+// =====================================================
+// OFFLINE COPY
+// =====================================================
+
+/**
+ * Render the "Save for offline" toggle (and a note when reading the saved copy)
+ * @param {HTMLElement} container - Document toolbar
+ */
+async function renderOfflineControls(container) {
+  if (viewerState.savedAt && !container.querySelector('.document-offline-note')) {
+    const note = window.document.createElement('span');
+    note.className = 'document-offline-note';
+    note.textContent = t('viewer.offline.savedOn', { date: formatShortDate(viewerState.savedAt) });
+    container.appendChild(note);
+  }
+  
+  let button = container.querySelector('.document-offline-button');
+  if (!button) {
+    button = window.document.createElement('button');
+    button.type = 'button';
+    button.className = 'document-offline-button';
+    button.addEventListener('click', () => toggleOfflineCopy(button));
+    container.appendChild(button);
+    updateOfflineButton(button, await getDocumentOfflineStatus(viewerState.docId));
+  }
+}
+
+/**
+ * Show whether the document is saved for offline reading
+ * @param {HTMLButtonElement} button - Toggle button
+ * @param {Object|null} status - From getDocumentOfflineStatus()
+ */
+function updateOfflineButton(button, status) {
+  const pinned = Boolean(status?.pinned);
+  button.disabled = false;
+  button.setAttribute('aria-pressed', String(pinned));
+  button.textContent = pinned ? `✓ ${t('viewer.offline.saved')}` : `⬇ ${t('viewer.offline.save')}`;
+  button.title = !pinned && status?.collections.length
+    ? t('viewer.offline.inCollection')
+    : '';
+}
+
+/**
+ * Save or remove the offline copy of the document
+ * @param {HTMLButtonElement} button - Toggle button
+ */
+async function toggleOfflineCopy(button) {
+  const { docId } = viewerState;
+  const status = await getDocumentOfflineStatus(docId);
+  
+  button.disabled = true;
+  button.textContent = status?.pinned ? t('viewer.offline.removing') : t('viewer.offline.saving');
+  let failure = null;
+  try {
+    if (status?.pinned) {
+      await removeDocumentOffline(docId);
+    } else {
+      await saveDocumentOffline(docId);
+    }
+  } catch (error) {
+    console.error('[DocumentViewer] Offline copy not updated:', error);
+    failure = error;
+  }
+  
+  updateOfflineButton(button, await getDocumentOfflineStatus(docId));
+  if (failure) {
+    const message = t('viewer.offline.failed', { message: failure.message });
+    button.title = message;
+    showToast(message, { closeLabel: t('common.close'), duration: 5000 });
+  }
+}
+
+// =====================================================
+// LANGUAGES
+// =====================================================
+
+/**
+ * Load the translation list for a document
+ * @param {string} docId - Document ID
+ * @returns {Promise<Array>} Translations (without content)
+ */
+async function loadTranslationList(docId) {
+  try {
+    return await getDocumentTranslations(docId);
+  } catch (error) {
+    console.warn('[DocumentViewer] Translations unavailable:', error);
+    return [];
+  }
+}
+
+/**
+ * Use the translations stored with the offline copy
+ * @param {Object} savedCopy - From getSavedDocument()
+ */
+function useSavedTranslations(savedCopy) {
+  const { latest, translationCache } = viewerState;
+  
+  viewerState.savedAt = savedCopy.savedAt;
+  viewerState.translations = savedCopy.translations;
+  savedCopy.translations.forEach(row => {
+    translationCache.set(row.language, {
+      ...latest,
+      title: row.title || latest.title,
+      content: row.content,
+      language: row.language,
+      sourceVersion: row.source_version
+    });
+  });
+}
+
+/**
+ * Language the document was written in
+ * @returns {string} Language code
+ */
+function getOriginalLanguage() {
+  return normalizeLanguageCode(viewerState.latest?.language) || DEFAULT_DOCUMENT_LANGUAGE;
+}
+
+/**
+ * Languages the document can be read in (original first)
+ * @returns {Array<string>} Language codes
+ */
+function getAvailableLanguages() {
+  return listDocumentLanguages(
+    getOriginalLanguage(),
+    viewerState.translations.map(translation => translation.language)
+  );
+}
+
+/**
+ * Resolve the languages to show from the URL, then the saved preference
+ * @returns {{language: string, parallel: string|null}}
+ */
+function resolveLanguages() {
+  const available = getAvailableLanguages();
+  let { language, parallel } = getLanguageParamsFromUrl();
+  
+  if (!language) {
+    language = normalizeLanguageCode(localStorage.getItem(LANGUAGE_PREFERENCE_KEY));
+  }
+  if (!available.includes(language)) {
+    language = available[0];
+  }
+  if (!available.includes(parallel) || parallel === language) {
+    parallel = null;
+  }
+  
+  return { language, parallel };
+}
+
+/**
+ * Get the latest version of the document in a language
+ * @param {string} language - Language code
+ * @returns {Promise<Object>} Document object with `language` set
+ *   (and `sourceVersion` for translations); the original if the translation is missing
+ */
+async function getLanguageDocument(language) {
+  const { latest, translationCache } = viewerState;
+  const original = { ...latest, language: getOriginalLanguage() };
+  
+  if (language === original.language) {
+    return original;
+  }
+  
+  if (!translationCache.has(language)) {
+    const row = await getDocumentTranslation(viewerState.docId, language);
+    translationCache.set(language, row ? {
+      ...latest,
+      title: row.title || latest.title,
+      content: row.content,
+      language: row.language,
+      sourceVersion: row.source_version
+    } : null);
+  }
+  
+  const translation = translationCache.get(language);
+  if (!translation) {
+    console.warn(`[DocumentViewer] No ${language} translation of "${viewerState.docId}", showing the original`);
+  }
+  return translation || original;
+}
+
+/**
+ * Switch language (and optional parallel language) without reloading
+ * @param {string} language - Language code
+ * @param {string|null} parallel - Language shown alongside
+ */
+function navigateToLanguage(language, parallel = null) {
+  localStorage.setItem(LANGUAGE_PREFERENCE_KEY, language);
+  
+  const url = new URL(window.location.href);
+  url.searchParams.set('lang', language);
+  if (parallel) {
+    url.searchParams.set('parallel', parallel);
+  } else {
+    url.searchParams.delete('parallel');
+  }
+  
+  history.pushState(null, '', url.toString());
+  showVersionFromUrl();
+}
+
+/**
+ * Render the language switcher above the document
+ * @param {Object} doc - Document being shown
+ * @param {Object|null} parallelDoc - Document shown alongside
+ * @param {boolean} enabled - Whether translations apply (latest version, no comparison)
+ */
+function renderLanguageControls(doc, parallelDoc, enabled) {
+  const container = window.document.getElementById('document-content');
+  const documentBody = window.document.getElementById('document-body');
+  
+  let controls = window.document.getElementById('document-languages');
+  if (!controls) {
+    controls = window.document.createElement('nav');
+    controls.id = 'document-languages';
+    controls.className = 'document-languages';
+    controls.setAttribute('aria-label', t('viewer.languages.label'));
+    container.insertBefore(controls, documentBody);
+  }
+  
+  const available = getAvailableLanguages();
+  
+  // One language, or an older version / comparison (translations follow the latest)
+  if (!enabled || available.length < 2) {
+    controls.classList.add('hidden');
+    return;
+  }
+  controls.classList.remove('hidden');
+  
+  const original = getOriginalLanguage();
+  const languageLabel = (code) => {
+    const english = getLanguageEnglishName(code);
+    const name = getLanguageName(code);
+    const label = `${name}${name === english ? '' : ` (${english})`}`;
+    return code === original ? t('viewer.languages.original', { name: label }) : label;
+  };
+  
+  const languageOptions = available.map(code => `
+    <option value="${escapeHtml(code)}" ${code === doc.language ? 'selected' : ''}>${escapeHtml(languageLabel(code))}</option>
+  `).join('');
+  
+  const parallelOptions = available
+    .filter(code => code !== doc.language)
+    .map(code => `
+      <option value="${escapeHtml(code)}" ${code === parallelDoc?.language ? 'selected' : ''}>${escapeHtml(languageLabel(code))}</option>
+    `).join('');
+  
+  // Translations made from an earlier version may miss later changes
+  const outdated = [doc, parallelDoc].find(entry => entry?.sourceVersion && entry.sourceVersion < (entry.version || 1));
+  const notice = outdated
+    ? `${escapeHtml(t('viewer.languages.outdated', {
+        language: getLanguageName(outdated.language),
+        from: outdated.sourceVersion,
+        version: outdated.version
+      }))} <a href="#" data-language-link="original">${escapeHtml(t('viewer.languages.readOriginal', { language: getLanguageName(original) }))}</a>`
+    : '';
+  
+  controls.innerHTML = `
+    <div class="document-languages-controls">
+      <label>
+        <span>${t('viewer.languages.language')}</span>
+        <select data-field="language">${languageOptions}</select>
+      </label>
+      <label>
+        <span>${t('viewer.languages.parallel')}</span>
+        <select data-field="parallel">
+          <option value="">—</option>
+          ${parallelOptions}
+        </select>
+      </label>
+    </div>
+    ${notice ? `<p class="document-languages-notice">${notice}</p>` : ''}
+  `;
+  
+  controls.querySelector('[data-field="language"]').addEventListener('change', (event) => {
+    const language = event.target.value;
+    navigateToLanguage(language, parallelDoc?.language === language ? null : parallelDoc?.language);
+  });
+  
+  controls.querySelector('[data-field="parallel"]').addEventListener('change', (event) => {
+    navigateToLanguage(doc.language, event.target.value || null);
+  });
+  
+  controls.querySelector('[data-language-link="original"]')?.addEventListener('click', (event) => {
+    event.preventDefault();
+    navigateToLanguage(original, outdated === parallelDoc ? null : parallelDoc?.language);
+  });
+}
+
 // =====================================================
 // RENDERING
 // =====================================================
 
 /**
  * Render document content
- * @param {Object} doc - Document object from Supabase
+ * @param {Object} doc - Document object from Supabase (with `language`)
+ * @param {Object|null} diff - Comparison to show instead of the content
+ * @param {Object|null} parallelDoc - Translation shown side by side
+ * @param {boolean} languagesEnabled - Whether the language switcher applies
  */
-function renderDocument(doc) {
+function renderDocument(doc, diff = null, parallelDoc = null, languagesEnabled = false) {
   const loadingState = window.document.getElementById('loading-state');
   const errorState = window.document.getElementById('error-state');
   const documentBody = window.document.getElementById('document-body');
@@ -88,29 +832,84 @@ function renderDocument(doc) {
   // Show document body
   documentBody.classList.remove('hidden');
   
-  // Build document HTML
-  const html = buildDocumentHtml(doc);
-  documentBody.innerHTML = html;
+  // Build document HTML (diff markup, built from sanitized versions, replaces the content when comparing)
+  let contentHtml = null;
+  if (diff) {
+    contentHtml = `<div class="document-diff">${diff.html || '<p>No differences.</p>'}</div>`;
+  } else if (parallelDoc) {
+    contentHtml = buildParallelHtml(doc, parallelDoc);
+  }
+  documentBody.innerHTML = buildDocumentHtml(doc, contentHtml);
+  
+  // Version and language switchers, archived / superseded banners
+  renderVersionControls(doc, diff);
+  renderStatusBanner(doc, diff);
+  renderLanguageControls(doc, parallelDoc, languagesEnabled);
+  
+  // Table of contents, anchors, scroll-spy and #section-N deep links
+  // (side by side, only the selected language is numbered and linked)
+  const parallel = documentBody.querySelector('.document-parallel');
+  if (parallel) {
+    alignParallelColumns(parallel);
+    initDocumentNavigation(parallel.querySelector('[data-column="primary"]'), {
+      tocContainer: documentBody.querySelector('.document-toc-slot')
+    });
+  } else {
+    initDocumentNavigation(documentBody.querySelector('.document-content'));
+  }
+  
+  // Reading position: kept for the latest version only (older versions and
+  // comparisons are not where the reader left off)
+  if (languagesEnabled) {
+    const content = parallel
+      ? parallel.querySelector('[data-column="primary"]')
+      : documentBody.querySelector('.document-content');
+    initReadingPosition(content, {
+      docId: viewerState.docId,
+      version: doc.version || 1,
+      language: doc.language,
+      title: doc.title,
+      institution: doc.institution?.full_name || doc.institution_name || ''
+    }, { resume: !viewerState.resumed && !hasLinkTarget(content) });
+    viewerState.resumed = true;
+  } else {
+    destroyReadingPosition();
+  }
   
-  // Initialize dark mode toggle on admin seal
-  initAdminSealToggle();
+  // Print layout: running headers/footers, QR code and permalink
+  renderDocumentActions();
+  applyPrintPageStyle({
+    institution: doc.institution?.full_name || doc.institution_name || '',
+    jurisdiction: doc.jurisdiction?.full_name || doc.jurisdiction_name || '',
+    version: doc.version,
+    date: doc.doc_date ? formatShortDate(doc.doc_date) : ''
+  });
+  documentBody.insertAdjacentHTML('beforeend', buildPrintPermalinkHtml(buildPermalink(doc.version || 1)));
   
   // Update page title
-  window.document.title = `DAARUSSALAAM — ${doc.title}`;
+  const isLatest = doc.version === (viewerState.latest?.version || 1);
+  window.document.title = `DAARUSSALAAM — ${doc.title}${isLatest ? '' : ` (v${doc.version})`}`;
 }
 
 /**
  * Build document HTML from document data
  * @param {Object} doc - Document object
+ * @param {string|null} contentHtml - Already-safe content to show instead of doc.content
  * @returns {string} HTML string
  */
-function buildDocumentHtml(doc) {
+function buildDocumentHtml(doc, contentHtml = null) {
   // Format date
-  const dateStr = doc.doc_date ? formatDate(doc.doc_date) : '';
+  const dateStr = doc.doc_date ? formatDisplayDate(doc.doc_date, '/') : '';
+  
+  // Content language and direction; verse translations follow it
+  const language = doc.language || DEFAULT_DOCUMENT_LANGUAGE;
+  const verseLanguage = VERSE_TRANSLATIONS[language.split('-')[0]] ? language.split('-')[0] : 'en';
+  const verses = VERSE_TRANSLATIONS[verseLanguage];
+  const verseAttributes = `lang="${verseLanguage}" dir="${getLanguageDirection(verseLanguage)}"`;
   
   // Get institution and jurisdiction names
-  const institutionName = doc.institution?.full_name || doc.institution_name || 'Unknown Institution';
-  const jurisdictionName = doc.jurisdiction?.full_name || doc.jurisdiction_name || 'Unknown Jurisdiction';
+  const institutionName = doc.institution?.full_name || doc.institution_name || t('viewer.unknownInstitution');
+  const jurisdictionName = doc.jurisdiction?.full_name || doc.jurisdiction_name || t('viewer.unknownJurisdiction');
   
   // Build header
   const header = `
@@ -121,9 +920,9 @@ function buildDocumentHtml(doc) {
       class="admin-seal"
     />
     <div class="arabic right">
-      <p>بسم الله الرحمن الرحيم</p>
-      <p>
-        <em>In the name of Allah. The Most Compassionate. The Most Merciful.</em>
+      <p lang="ar" dir="rtl">بسم الله الرحمن الرحيم</p>
+      <p ${verseAttributes}>
+        <em>${verses.opening}</em>
       </p>
     </div>
 
@@ -135,15 +934,15 @@ function buildDocumentHtml(doc) {
     <hr />
   `;
   
-  // Document content (already HTML)
-  const content = doc.content || '<p>No content available.</p>';
+  // Document content: institution-authored HTML, sanitized before injection
+  const content = contentHtml ?? (sanitizeHtml(doc.content) || '<p>No content available.</p>');
   
   // Build footer
   const footer = `
     <hr />
     <div class="arabic right">
-      <p>اهدنا الصراط المستقيم</p>
-      <p><em>Guide us to the straight path.</em></p>
+      <p lang="ar" dir="rtl">اهدنا الصراط المستقيم</p>
+      <p ${verseAttributes}><em>${verses.closing}</em></p>
     </div>
 
     <hr />
@@ -151,7 +950,66 @@ function buildDocumentHtml(doc) {
     <strong><p class="end-book">END OF ${doc.item_type?.toUpperCase() || 'DOCUMENT'}</p></strong>
   `;
   
-  return header + content + footer;
+  const contentAttributes = `lang="${escapeHtml(language)}" dir="${getLanguageDirection(language)}"`;
+  return `${header}<div class="document-content" ${contentAttributes}>${content}</div>${footer}`;
+}
+
+/**
+ * Build side-by-side content for two languages
+ * @param {Object} doc - Document in the selected language
+ * @param {Object} parallelDoc - Document in the second language
+ * @returns {string} HTML string (contents sanitized)
+ */
+function buildParallelHtml(doc, parallelDoc) {
+  const column = (entry, role) => {
+    const language = entry.language || DEFAULT_DOCUMENT_LANGUAGE;
+    return `
+      <div class="document-parallel-column" data-column="${role}" lang="${escapeHtml(language)}" dir="${getLanguageDirection(language)}">
+        ${sanitizeHtml(entry.content) || '<p>No content available.</p>'}
+      </div>
+    `;
+  };
+  
+  return `
+    <div class="document-toc-slot"></div>
+    <div class="document-parallel">
+      ${column(doc, 'primary')}
+      ${column(parallelDoc, 'secondary')}
+    </div>
+  `;
+}
+
+/**
+ * Line up the blocks of both languages row by row when they correspond
+ * one to one (same number of top-level blocks); otherwise the two columns
+ * simply flow side by side
+ * @param {HTMLElement} parallel - .document-parallel element
+ */
+function alignParallelColumns(parallel) {
+  const [primary, secondary] = parallel.querySelectorAll('.document-parallel-column');
+  const primaryBlocks = Array.from(primary.children);
+  const secondaryBlocks = Array.from(secondary.children);
+  
+  if (primaryBlocks.length === 0 || primaryBlocks.length !== secondaryBlocks.length) {
+    return;
+  }
+  
+  primaryBlocks.forEach((block, index) => {
+    block.style.gridRow = String(index + 1);
+    secondaryBlocks[index].style.gridRow = String(index + 1);
+  });
+  parallel.classList.add('is-aligned');
+}
+
+/**
+ * Whether the URL hash links to a section or paragraph of the content
+ * (legacy #book0 links name the document instead)
+ * @param {HTMLElement} content - Rendered document content
+ * @returns {boolean}
+ */
+function hasLinkTarget(content) {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  return Boolean(id && content?.querySelector(`#${CSS.escape(id)}`));
 }
 
 /**
@@ -179,6 +1037,12 @@ function showError(message) {
   loadingState.classList.add('hidden');
   errorState.classList.remove('hidden');
   errorDetails.textContent = message;
+  
+  destroyDocumentNavigation();
+  window.document.getElementById('document-body')?.classList.add('hidden');
+  window.document.getElementById('document-versions')?.classList.add('hidden');
+  window.document.getElementById('document-languages')?.classList.add('hidden');
+  window.document.getElementById('document-actions')?.classList.add('hidden');
 }
 
 // =====================================================
@@ -186,19 +1050,12 @@ function showError(message) {
 // =====================================================
 
 /**
- * Format date for display
+ * Format date for the version switcher and banners (e.g., "05 Mar 2025")
  * @param {string} dateStr - ISO date string
  * @returns {string} Formatted date string
  */
-function formatDate(dateStr) {
-  const date = new Date(dateStr);
-  const day = String(date.getDate()).padStart(2, '0');
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const month = months[date.getMonth()];
-  const year = date.getFullYear();
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  return `${day}/${month}/${year} | ${hours}:${minutes}`;
+function formatShortDate(dateStr) {
+  return formatDate(dateStr, { day: '2-digit', month: 'short', year: 'numeric' });
 }
 
 /**
@@ -213,25 +1070,61 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+// =====================================================
+// VIEW
+// =====================================================
+
 /**
- * Initialize dark mode toggle on admin seal click
+ * Show the document of the current URL
+ * (the admin seal's dark mode toggle is shared, see app-main.js)
+ * @returns {Promise<void>}
  */
-function initAdminSealToggle() {
-  const adminSeal = window.document.querySelector('.admin-seal');
-  if (!adminSeal) return;
-  
-  const DARK_MODE_KEY = 'darkMode';
-  
-  adminSeal.addEventListener('click', () => {
-    window.document.documentElement.classList.toggle('dark');
-    const isDark = window.document.documentElement.classList.contains('dark');
-    localStorage.setItem(DARK_MODE_KEY, isDark);
+export function mount() {
+  return initDocumentViewer();
+}
+
+/**
+ * Tear down the document before another page is shown
+ */
+export function unmount() {
+  viewerSession += 1;
+  window.removeEventListener('popstate', showVersionFromUrl);
+  destroyReadingPosition();
+  destroyDocumentNavigation();
+  removePrintPageStyle();
+  Object.assign(viewerState, {
+    docId: null,
+    latest: null,
+    versions: [],
+    versionCache: new Map(),
+    translations: [],
+    translationCache: new Map(),
+    savedAt: null,
+    resumed: false
   });
 }
 
-// =====================================================
-// MAIN
-// =====================================================
+/**
+ * Warm a document, its versions and translations before it is opened
+ * @param {URL} url - Viewer URL
+ * @returns {Promise<void>}
+ */
+export async function prefetch(url) {
+  const docId = getDocumentIdFromUrl(url);
+  if (!docId) return;
+  await Promise.all([
+    getDocumentByDocId(docId),
+    getDocumentVersions(docId),
+    getDocumentTranslations(docId)
+  ]);
+}
 
-// Initialize when DOM is ready
-window.document.addEventListener('DOMContentLoaded', initDocumentViewer);
+/**
+ * Versions, languages and #section links of one document stay in the view
+ * (legacy #book0 links are keyed by path alone, their hash being a section too)
+ * @param {URL} url - Viewer URL
+ * @returns {string} Route key (see router.js)
+ */
+export function routeKey(url) {
+  return new URLSearchParams(url.search).get('doc') || '';
+}
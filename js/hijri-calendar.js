@@ -0,0 +1,200 @@
+/**
+ * Hijri Calendar Module
+ * Gregorian → Hijri conversion shared by dates, documents and the prayer widget
+ *
+ * - Umm al-Qura: the browser's ICU tables via Intl ('islamic-umalqura'),
+ *   covering 1300-1600 AH
+ * - Arithmetic fallback: tabular Islamic calendar (civil epoch, 30-year
+ *   leap cycle) when Intl has no Umm al-Qura support or the date is out of range
+ * - Reader adjustment of ±1/2 days (localStorage) to follow local moon sighting
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * localStorage key for the reader's day adjustment
+ */
+const HIJRI_ADJUSTMENT_KEY = 'hijriAdjustment';
+
+/**
+ * Allowed day adjustments
+ */
+export const HIJRI_ADJUSTMENT_OPTIONS = [-2, -1, 0, 1, 2];
+
+/**
+ * Conversion sources
+ */
+export const HIJRI_CALENDAR = {
+  UMM_AL_QURA: 'umm-al-qura',
+  ARITHMETIC: 'arithmetic'
+};
+
+/**
+ * Hijri month names (transliterated)
+ */
+export const HIJRI_MONTHS = [
+  'Muharram', 'Safar', 'Rabiʻ al-Awwal', 'Rabiʻ al-Thani',
+  'Jumada al-Ula', 'Jumada al-Akhirah', 'Rajab', 'Shaʻban',
+  'Ramadan', 'Shawwal', 'Dhu al-Qaʻdah', 'Dhu al-Hijjah'
+];
+
+/**
+ * Julian day of 1 Muharram 1 AH (civil epoch, 16 July 622 Julian)
+ */
+const ISLAMIC_EPOCH = 1948439.5;
+
+/**
+ * Umm al-Qura formatter, or null when the runtime lacks the calendar
+ */
+const ummAlQuraFormatter = (() => {
+  try {
+    const formatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+      day: 'numeric',
+      month: 'numeric',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+    return formatter.resolvedOptions().calendar === 'islamic-umalqura' ? formatter : null;
+  } catch {
+    return null;
+  }
+})();
+
+// ============================================================================
+// Conversion
+// ============================================================================
+
+/**
+ * Julian day number of a Gregorian date (at midnight)
+ */
+function gregorianToJulianDay(year, month, day) {
+  const a = Math.floor((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4)
+    - Math.floor(y / 100) + Math.floor(y / 400) - 32045 - 0.5;
+}
+
+/**
+ * Julian day of a tabular Hijri date
+ */
+function hijriToJulianDay(year, month, day) {
+  return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354
+    + Math.floor((3 + 11 * year) / 30) + ISLAMIC_EPOCH - 1;
+}
+
+/**
+ * Arithmetic (tabular) conversion
+ * @returns {{year: number, month: number, day: number}}
+ */
+function arithmeticHijri(year, month, day) {
+  const jd = Math.floor(gregorianToJulianDay(year, month, day)) + 0.5;
+  const hYear = Math.floor((30 * (jd - ISLAMIC_EPOCH) + 10646) / 10631);
+  const hMonth = Math.min(12, Math.ceil((jd - (29 + hijriToJulianDay(hYear, 1, 1))) / 29.5) + 1);
+  const hDay = jd - hijriToJulianDay(hYear, hMonth, 1) + 1;
+  return { year: hYear, month: hMonth, day: hDay };
+}
+
+/**
+ * Umm al-Qura conversion through Intl
+ * @returns {{year: number, month: number, day: number}|null} Null outside the table range
+ */
+function ummAlQuraHijri(year, month, day) {
+  if (!ummAlQuraFormatter) return null;
+
+  const parts = {};
+  ummAlQuraFormatter.formatToParts(new Date(Date.UTC(year, month - 1, day, 12))).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  if (!parts.year || !parts.month || !parts.day) return null;
+  if (parts.year < 1300 || parts.year > 1600) return null;
+  return { year: parts.year, month: parts.month, day: parts.day };
+}
+
+/**
+ * Convert a Gregorian calendar day to Hijri
+ * @param {number} year - Gregorian year
+ * @param {number} month - Gregorian month (1-12)
+ * @param {number} day - Gregorian day of month
+ * @returns {{year: number, month: number, day: number, calendar: string}}
+ */
+export function gregorianToHijri(year, month, day) {
+  const ummAlQura = ummAlQuraHijri(year, month, day);
+  if (ummAlQura) {
+    return { ...ummAlQura, calendar: HIJRI_CALENDAR.UMM_AL_QURA };
+  }
+  return { ...arithmeticHijri(year, month, day), calendar: HIJRI_CALENDAR.ARITHMETIC };
+}
+
+/**
+ * Hijri date of a Date's local calendar day, with the reader's adjustment
+ * @param {Date|string} date - Date or date string
+ * @param {number} adjustment - Days to shift (default: reader setting)
+ * @returns {{year: number, month: number, day: number, calendar: string}|null}
+ */
+export function toHijri(date, adjustment = getHijriAdjustment()) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) return null;
+
+  // Shift on the calendar (not by 24h) so DST changes cannot skip a day
+  const shifted = new Date(value.getFullYear(), value.getMonth(), value.getDate() + adjustment);
+  return gregorianToHijri(shifted.getFullYear(), shifted.getMonth() + 1, shifted.getDate());
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Format a date as Hijri (e.g., "8 Jumada al-Ula 1448 AH")
+ * @param {Date|string} date - Date or date string
+ * @param {Object} options
+ * @param {number} options.adjustment - Days to shift (default: reader setting)
+ * @returns {string} Formatted date, or '' for invalid input
+ */
+export function formatHijriDate(date, options = {}) {
+  const hijri = toHijri(date, options.adjustment);
+  if (!hijri) return '';
+  return `${hijri.day} ${HIJRI_MONTHS[hijri.month - 1]} ${hijri.year} AH`;
+}
+
+// ============================================================================
+// Reader Adjustment
+// ============================================================================
+
+/**
+ * Get the reader's Hijri day adjustment
+ * @returns {number} One of HIJRI_ADJUSTMENT_OPTIONS
+ */
+export function getHijriAdjustment() {
+  try {
+    const value = parseInt(localStorage.getItem(HIJRI_ADJUSTMENT_KEY), 10);
+    return HIJRI_ADJUSTMENT_OPTIONS.includes(value) ? value : 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Save the reader's Hijri day adjustment
+ * @param {number} adjustment - One of HIJRI_ADJUSTMENT_OPTIONS (0 clears it)
+ */
+export function setHijriAdjustment(adjustment) {
+  const value = Number(adjustment);
+  if (!HIJRI_ADJUSTMENT_OPTIONS.includes(value)) {
+    throw new Error(`Hijri adjustment must be one of ${HIJRI_ADJUSTMENT_OPTIONS.join(', ')}`);
+  }
+
+  try {
+    if (value === 0) {
+      localStorage.removeItem(HIJRI_ADJUSTMENT_KEY);
+    } else {
+      localStorage.setItem(HIJRI_ADJUSTMENT_KEY, String(value));
+    }
+  } catch (error) {
+    console.warn('[HijriCalendar] Failed to save adjustment:', error);
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * HTML Diff Module
+ * Inline diff between two versions of a document's HTML content
+ *
+ * - Block level: top-level elements are compared with an LCS diff; unchanged
+ *   blocks render as-is, added/removed blocks are wrapped and marked
+ * - Word level: a removed block immediately followed by an added block is
+ *   treated as an edit and its text is diffed word by word (<del>/<ins>)
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Largest LCS table (cells) computed before falling back to replace-all
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Diff operation types
+ */
+export const DIFF_OP = {
+  EQUAL: 'equal',
+  INSERT: 'insert',
+  DELETE: 'delete'
+};
+
+// ============================================================================
+// Sequence Diff
+// ============================================================================
+
+/**
+ * Diff two sequences (longest common subsequence)
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @returns {Array<{type: string, items: Array}>} Operations in order, adjacent ops of one type merged
+ */
+export function diffSequences(a, b) {
+  // Trim common prefix/suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  const push = (type, item) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.items.push(item);
+    } else {
+      ops.push({ type, items: [item] });
+    }
+  };
+
+  a.slice(0, start).forEach(item => push(DIFF_OP.EQUAL, item));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+    midA.forEach(item => push(DIFF_OP.DELETE, item));
+    midB.forEach(item => push(DIFF_OP.INSERT, item));
+  } else {
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+    const cols = midB.length + 1;
+    const lengths = new Uint32Array((midA.length + 1) * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push(DIFF_OP.EQUAL, midA[i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        push(DIFF_OP.DELETE, midA[i++]);
+      } else {
+        push(DIFF_OP.INSERT, midB[j++]);
+      }
+    }
+    while (i < midA.length) push(DIFF_OP.DELETE, midA[i++]);
+    while (j < midB.length) push(DIFF_OP.INSERT, midB[j++]);
+  }
+
+  a.slice(endA).forEach(item => push(DIFF_OP.EQUAL, item));
+
+  return ops;
+}
+
+// ============================================================================
+// HTML Diff
+// ============================================================================
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split HTML into top-level blocks
+ * @param {string} html - HTML content
+ * @returns {Array<{html: string, text: string}>}
+ */
+function splitBlocks(html) {
+  const parsed = new DOMParser().parseFromString(html || '', 'text/html');
+  const blocks = [];
+
+  parsed.body.childNodes.forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      blocks.push({ html: node.outerHTML, text: node.textContent || '' });
+    } else if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+      blocks.push({ html: escapeHtml(node.textContent), text: node.textContent });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Word-level diff of two text strings
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {string} HTML with <del>/<ins> markup
+ */
+export function diffText(oldText, newText) {
+  const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+  return diffSequences(tokenize(oldText), tokenize(newText))
+    .map(({ type, items }) => {
+      const text = escapeHtml(items.join(''));
+      if (type === DIFF_OP.INSERT) return `<ins class="diff-ins">${text}</ins>`;
+      if (type === DIFF_OP.DELETE) return `<del class="diff-del">${text}</del>`;
+      return text;
+    })
+    .join('');
+}
+
+/**
+ * Inline diff of two HTML documents
+ * @param {string} oldHtml - Earlier version content
+ * @param {string} newHtml - Later version content
+ * @returns {{html: string, changes: number}} Diff markup and number of changed blocks
+ */
+export function diffHtml(oldHtml, newHtml) {
+  const oldBlocks = splitBlocks(oldHtml);
+  const newBlocks = splitBlocks(newHtml);
+  const ops = diffSequences(
+    oldBlocks.map(block => block.html),
+    newBlocks.map(block => block.html)
+  );
+
+  const textOf = new Map([...oldBlocks, ...newBlocks].map(block => [block.html, block.text]));
+  const parts = [];
+  let changes = 0;
+
+  for (let index = 0; index < ops.length; index++) {
+    const op = ops[index];
+
+    if (op.type === DIFF_OP.EQUAL) {
+      parts.push(op.items.join(''));
+      continue;
+    }
+
+    const next = ops[index + 1];
+    if (op.type === DIFF_OP.DELETE && next?.type === DIFF_OP.INSERT) {
+      // Pair up edited blocks; leftovers are plain removals/additions
+      const pairs = Math.min(op.items.length, next.items.length);
+      for (let k = 0; k < pairs; k++) {
+        parts.push(`<div class="diff-block diff-modified">${diffText(textOf.get(op.items[k]), textOf.get(next.items[k]))}</div>`);
+      }
+      op.items.slice(pairs).forEach(html => parts.push(`<div class="diff-block diff-removed">${html}</div>`));
+      next.items.slice(pairs).forEach(html => parts.push(`<div class="diff-block diff-added">${html}</div>`));
+      changes += Math.max(op.items.length, next.items.length);
+      index++;
+      continue;
+    }
+
+    const className = op.type === DIFF_OP.INSERT ? 'diff-added' : 'diff-removed';
+    op.items.forEach(html => parts.push(`<div class="diff-block ${className}">${html}</div>`));
+    changes += op.items.length;
+  }
+
+  return { html: parts.join(''), changes };
+}
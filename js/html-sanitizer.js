@@ -0,0 +1,277 @@
+/**
+ * HTML Sanitizer Module
+ * Allowlist-based cleaning of institution-authored HTML before it is
+ * injected with innerHTML (document content, carousel captions)
+ *
+ * - Parsed with DOMParser into an inert document (no scripts run, no
+ *   resources load), then rebuilt from allowed elements and attributes only
+ * - Dangerous containers (script, style, iframe, object, svg, forms, ...)
+ *   are dropped with their content; other unknown elements are unwrapped so
+ *   their text survives
+ * - Event handlers and style attributes never pass; URLs are limited to
+ *   http(s), mailto, tel, relative and fragment links (raster data: images
+ *   for img src)
+ * - Classes and ids are limited to the document formatting we use
+ *   (.arabic.right blocks, alignment, footnotes) so content cannot restyle
+ *   or clobber page chrome
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Attributes allowed on every allowed element
+ */
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'dir', 'lang', 'title'];
+
+/**
+ * Allowed elements and their extra attributes (document profile)
+ */
+const DOCUMENT_ELEMENTS = {
+  // Structure
+  p: [], div: [], span: [], br: [], hr: [],
+  section: [], article: [], aside: [], header: [], footer: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  blockquote: ['cite'], pre: [], code: [],
+  // Inline formatting
+  em: [], strong: [], b: [], i: [], u: [], s: [], small: [],
+  sub: [], sup: [], mark: [], abbr: [], cite: [], q: [],
+  del: ['datetime'], ins: ['datetime'], time: ['datetime'],
+  bdi: [], bdo: [], ruby: [], rt: [], rp: [],
+  // Lists
+  ol: ['start', 'type', 'reversed'], ul: [], li: ['value'],
+  dl: [], dt: [], dd: [],
+  // Tables
+  table: [], caption: [], colgroup: ['span'], col: ['span'],
+  thead: [], tbody: [], tfoot: [], tr: [],
+  th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan'],
+  // Links and media
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  figure: [], figcaption: []
+};
+
+/**
+ * Allowed elements for inline fragments (captions, which sit inside a link)
+ */
+const INLINE_ELEMENTS = {
+  span: [], br: [], em: [], strong: [], b: [], i: [], u: [], s: [],
+  small: [], sub: [], sup: [], mark: [], abbr: [], bdi: [], bdo: []
+};
+
+/**
+ * Sanitizer profiles
+ */
+export const SANITIZE_PROFILE = {
+  DOCUMENT: 'document',
+  INLINE: 'inline'
+};
+
+const PROFILE_ELEMENTS = {
+  [SANITIZE_PROFILE.DOCUMENT]: DOCUMENT_ELEMENTS,
+  [SANITIZE_PROFILE.INLINE]: INLINE_ELEMENTS
+};
+
+/**
+ * Elements removed together with everything inside them
+ */
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'template', 'noscript', 'noembed', 'noframes',
+  'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'portal',
+  'svg', 'math', 'canvas', 'audio', 'video', 'source', 'track',
+  'link', 'meta', 'base', 'title', 'head',
+  'form', 'input', 'button', 'textarea', 'select', 'option', 'optgroup',
+  'dialog', 'slot'
+]);
+
+/**
+ * Classes content may use (document formatting, alignment, footnotes)
+ */
+export const ALLOWED_CLASSES = new Set([
+  'arabic', 'right', 'left', 'center', 'justify', 'end-book',
+  'footnotes', 'footnote', 'footnote-ref', 'footnote-backref', 'footnote-item',
+  'footnotes-sep', 'footnotes-list'
+]);
+
+/**
+ * Ids content may use: footnote anchors only (fn1, fnref1, footnote-2, note-3, ...)
+ */
+const ALLOWED_ID_PATTERN = /^(fn|fnref|footnote|footnote-ref|note|noteref)[-_:]?[\w-]*$/i;
+
+/**
+ * URL schemes allowed in href/src/cite
+ */
+const ALLOWED_URL_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+
+/**
+ * Raster image data URLs (img src only)
+ */
+const SAFE_DATA_IMAGE_PATTERN = /^data:image\/(png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+const ENUMERATED_ATTRIBUTES = {
+  dir: new Set(['ltr', 'rtl', 'auto']),
+  target: new Set(['_blank', '_self']),
+  scope: new Set(['row', 'col', 'rowgroup', 'colgroup']),
+  loading: new Set(['lazy', 'eager']),
+  type: new Set(['1', 'a', 'A', 'i', 'I'])
+};
+
+const NUMERIC_ATTRIBUTES = new Set(['start', 'value', 'span', 'colspan', 'rowspan', 'width', 'height']);
+
+// ============================================================================
+// Attribute Checks
+// ============================================================================
+
+/**
+ * Check a URL attribute value
+ * @param {string} value - Attribute value
+ * @param {boolean} allowDataImage - Allow raster data: URLs (img src)
+ * @returns {boolean}
+ */
+export function isSafeUrl(value, allowDataImage = false) {
+  // Browsers ignore control characters and whitespace inside schemes
+  // ("java\tscript:"), so compare with them removed
+  const compact = String(value).replace(/[\u0000-\u0020\u007F-\u009F]/g, '');
+
+  if (allowDataImage && SAFE_DATA_IMAGE_PATTERN.test(value.trim())) {
+    return true;
+  }
+
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) {
+    // Relative URL, fragment or protocol-relative
+    return true;
+  }
+
+  return ALLOWED_URL_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+/**
+ * Clean an attribute value, or return null to drop it
+ * @param {string} tag - Element name
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {string|null}
+ */
+function cleanAttribute(tag, name, value) {
+  if (name === 'class') {
+    const classes = value.split(/\s+/).filter(token => ALLOWED_CLASSES.has(token));
+    return classes.length > 0 ? classes.join(' ') : null;
+  }
+
+  if (name === 'id') {
+    return ALLOWED_ID_PATTERN.test(value) ? value : null;
+  }
+
+  if (URL_ATTRIBUTES.has(name)) {
+    return isSafeUrl(value, tag === 'img' && name === 'src') ? value : null;
+  }
+
+  if (ENUMERATED_ATTRIBUTES[name]) {
+    return ENUMERATED_ATTRIBUTES[name].has(value.trim()) ? value.trim() : null;
+  }
+
+  if (NUMERIC_ATTRIBUTES.has(name)) {
+    return /^\d{1,4}$/.test(value.trim()) ? value.trim() : null;
+  }
+
+  return value;
+}
+
+// ============================================================================
+// Sanitizing
+// ============================================================================
+
+/**
+ * Rebuild a node's children from allowed content only
+ * @param {Node} source - Parsed (inert) node
+ * @param {Node} target - Node to append cleaned children to
+ * @param {Object} allowed - Element allowlist for the profile
+ */
+function cleanChildren(source, target, allowed) {
+  const ownerDocument = target.ownerDocument || target;
+
+  source.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.appendChild(ownerDocument.createTextNode(node.textContent));
+      return;
+    }
+
+    // Comments, processing instructions, CDATA: dropped
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.localName;
+    // Foreign (SVG/MathML) elements never pass, whatever their name
+    const isHtml = node.namespaceURI === 'http://www.w3.org/1999/xhtml';
+
+    if (DROP_WITH_CONTENT.has(tag) || !isHtml) return;
+
+    if (!Object.prototype.hasOwnProperty.call(allowed, tag)) {
+      // Unknown element: keep its (cleaned) content
+      cleanChildren(node, target, allowed);
+      return;
+    }
+
+    const element = ownerDocument.createElement(tag);
+    const allowedAttributes = [...GLOBAL_ATTRIBUTES, ...allowed[tag]];
+
+    for (const { name, value } of Array.from(node.attributes)) {
+      const attribute = name.toLowerCase();
+      if (!allowedAttributes.includes(attribute)) continue;
+
+      const cleaned = cleanAttribute(tag, attribute, value);
+      if (cleaned !== null) {
+        element.setAttribute(attribute, cleaned);
+      }
+    }
+
+    // New-window links must not get a handle on this page
+    if (tag === 'a' && element.getAttribute('target') === '_blank') {
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    cleanChildren(node, element, allowed);
+    target.appendChild(element);
+  });
+}
+
+/**
+ * Sanitize an HTML string
+ * @param {string} html - Untrusted HTML
+ * @param {Object} options
+ * @param {string} options.profile - SANITIZE_PROFILE value (default: DOCUMENT)
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  if (!html) return '';
+
+  const allowed = PROFILE_ELEMENTS[options.profile] || DOCUMENT_ELEMENTS;
+  const parsed = new DOMParser().parseFromString(String(html), 'text/html');
+  const output = parsed.createElement('div');
+
+  cleanChildren(parsed.body, output, allowed);
+  return output.innerHTML;
+}
+
+/**
+ * Sanitize an inline fragment (captions)
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export function sanitizeInlineHtml(html) {
+  return sanitizeHtml(html, { profile: SANITIZE_PROFILE.INLINE });
+}
+
+/**
+ * Plain text of an HTML fragment (for attributes such as alt)
+ * @param {string} html - HTML
+ * @returns {string} Text content
+ */
+export function htmlToPlainText(html) {
+  if (!html) return '';
+  const parsed = new DOMParser().parseFromString(sanitizeHtml(String(html)), 'text/html');
+  return parsed.body.textContent || '';
+}
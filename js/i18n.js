@@ -0,0 +1,407 @@
+/**
+ * i18n Module
+ * UI message catalogs, locale-aware formatting and page direction
+ *
+ * - Catalogs live in js/locales/<code>.js; English is the source catalog and
+ *   the fallback for any missing key
+ * - The reader's locale is saved in localStorage (like the dark-mode
+ *   preference) and applied to <html lang dir>; Arabic and Urdu switch the
+ *   whole layout to right-to-left
+ * - Dates and numbers go through Intl with the active locale
+ * - Modules that render text listen for 'localechange' to re-render
+ */
+
+import { toHijri } from './hijri-calendar.js';
+import en from './locales/en.js';
+import id from './locales/id.js';
+import ms from './locales/ms.js';
+import ar from './locales/ar.js';
+import ur from './locales/ur.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * localStorage key for the reader's locale
+ */
+const LOCALE_KEY = 'locale';
+
+/**
+ * Locale used when nothing else matches
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Message catalogs by locale code
+ */
+const CATALOGS = { en, id, ms, ar, ur };
+
+/**
+ * Locales offered in the switcher, in display order
+ */
+export const SUPPORTED_LOCALES = ['en', 'id', 'ms', 'ar', 'ur'];
+
+/**
+ * Native names shown in the switcher
+ */
+export const LOCALE_NAMES = {
+  en: 'English',
+  id: 'Bahasa Indonesia',
+  ms: 'Bahasa Melayu',
+  ar: 'العربية',
+  ur: 'اردو'
+};
+
+/**
+ * Locales laid out right to left
+ */
+const RTL_LOCALES = new Set(['ar', 'ur']);
+
+/**
+ * Event dispatched on window after the locale changes
+ */
+export const LOCALE_CHANGE_EVENT = 'localechange';
+
+let currentLocale = null;
+const pluralRulesCache = new Map();
+
+// ============================================================================
+// Locale
+// ============================================================================
+
+/**
+ * Map a language tag ("ms-MY", "ar") to a supported locale code
+ * @param {string} tag - BCP 47 language tag
+ * @returns {string|null} Supported locale code, or null
+ */
+function matchLocale(tag) {
+  if (!tag) return null;
+  const primary = String(tag).toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+/**
+ * Resolve the starting locale: saved preference, then browser languages
+ * @returns {string} Locale code
+ */
+function detectLocale() {
+  try {
+    const saved = matchLocale(localStorage.getItem(LOCALE_KEY));
+    if (saved) return saved;
+  } catch {
+    // Storage unavailable (private mode); fall through to the browser
+  }
+
+  const languages = typeof navigator !== 'undefined'
+    ? (navigator.languages || [navigator.language])
+    : [];
+  for (const language of languages) {
+    const match = matchLocale(language);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Get the active locale code
+ * @returns {string} Locale code (e.g., 'en', 'ar')
+ */
+export function getLocale() {
+  if (!currentLocale) {
+    currentLocale = detectLocale();
+  }
+  return currentLocale;
+}
+
+/**
+ * Text direction of a locale
+ * @param {string} locale - Locale code (default: active locale)
+ * @returns {'rtl'|'ltr'}
+ */
+export function getDirection(locale = getLocale()) {
+  return RTL_LOCALES.has(locale) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Whether the active locale is laid out right to left
+ * @returns {boolean}
+ */
+export function isRtl() {
+  return getDirection() === 'rtl';
+}
+
+/**
+ * Apply the active locale to <html lang dir> and translate static markup
+ */
+export function applyLocale() {
+  const locale = getLocale();
+  document.documentElement.lang = locale;
+  document.documentElement.dir = getDirection(locale);
+  translatePage();
+}
+
+/**
+ * Switch locale, save the preference and notify listeners
+ * @param {string} locale - Locale code
+ */
+export function setLocale(locale) {
+  const next = matchLocale(locale);
+  if (!next) {
+    throw new Error(`Unsupported locale: ${locale}`);
+  }
+
+  try {
+    localStorage.setItem(LOCALE_KEY, next);
+  } catch (error) {
+    console.warn('[i18n] Failed to save locale:', error);
+  }
+
+  if (next === getLocale()) return;
+
+  currentLocale = next;
+  applyLocale();
+  window.dispatchEvent(new CustomEvent(LOCALE_CHANGE_EVENT, { detail: { locale: next } }));
+}
+
+/**
+ * Subscribe to locale changes
+ * @param {Function} callback - Called with the new locale code
+ * @returns {Function} Unsubscribe function
+ */
+export function onLocaleChange(callback) {
+  const handler = (event) => callback(event.detail.locale);
+  window.addEventListener(LOCALE_CHANGE_EVENT, handler);
+  return () => window.removeEventListener(LOCALE_CHANGE_EVENT, handler);
+}
+
+// ============================================================================
+// Messages
+// ============================================================================
+
+/**
+ * Look up a raw catalog entry, falling back to English
+ * @param {string} key - Message key
+ * @returns {*} Catalog entry, or undefined
+ */
+function lookup(key) {
+  const catalog = CATALOGS[getLocale()];
+  if (catalog && catalog[key] !== undefined) return catalog[key];
+  return en[key];
+}
+
+/**
+ * Plural category of a count in the active locale
+ * @param {number} count
+ * @returns {string} Intl.PluralRules category
+ */
+function pluralCategory(count) {
+  const locale = getLocale();
+  if (!pluralRulesCache.has(locale)) {
+    pluralRulesCache.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRulesCache.get(locale).select(count);
+}
+
+/**
+ * Whether a message key exists in any catalog
+ * @param {string} key - Message key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+  return lookup(key) !== undefined;
+}
+
+/**
+ * Translate a message key
+ * Placeholders like {name} are replaced from params; numbers are formatted
+ * for the locale. Plural messages pick their form from params.count.
+ * @param {string} key - Message key (e.g., 'library.postedIn')
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated message, or the key when it is unknown
+ */
+export function t(key, params = {}) {
+  let message = lookup(key);
+  if (message === undefined) {
+    console.warn(`[i18n] Missing message: ${key}`);
+    return key;
+  }
+
+  if (message && typeof message === 'object' && !Array.isArray(message)) {
+    const category = pluralCategory(Number(params.count) || 0);
+    message = message[category] ?? message.other;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * Get a list message (e.g., 'hijri.months')
+ * @param {string} key - Message key
+ * @returns {Array<string>}
+ */
+export function tList(key) {
+  const list = lookup(key);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Translate static markup:
+ * data-i18n (text), data-i18n-placeholder, data-i18n-aria-label, data-i18n-title
+ * @param {ParentNode} root - Subtree to translate (default: document)
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.setAttribute('placeholder', t(element.dataset.i18nPlaceholder));
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.setAttribute('title', t(element.dataset.i18nTitle));
+  });
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Format a number for the active locale
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} options
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+/**
+ * Format a date for the active locale
+ * @param {Date|string} date - Date or date string
+ * @param {Intl.DateTimeFormatOptions} options
+ * @returns {string} Formatted date, or '' for invalid input
+ */
+export function formatDate(date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) return '';
+  return new Intl.DateTimeFormat(getLocale(), options).format(value);
+}
+
+/**
+ * Format a time of day for the active locale
+ * @param {Date|string} date - Date or date string
+ * @param {Intl.DateTimeFormatOptions} options
+ * @returns {string} Formatted time, or '' for invalid input
+ */
+export function formatTime(date, options = { hour: 'numeric', minute: '2-digit' }) {
+  return formatDate(date, options);
+}
+
+/**
+ * Format a date as Hijri with the active locale's month names
+ * (e.g., "8 Jumada al-Ula 1448 AH", "٨ جمادى الأولى ١٤٤٨ هـ")
+ * @param {Date|string} date - Date or date string
+ * @param {Object} options
+ * @param {number} options.adjustment - Days to shift (default: reader setting)
+ * @returns {string} Formatted date, or '' for invalid input
+ */
+export function formatHijriDate(date, options = {}) {
+  const hijri = toHijri(date, options.adjustment);
+  if (!hijri) return '';
+  return t('hijri.date', {
+    day: hijri.day,
+    month: tList('hijri.months')[hijri.month - 1],
+    year: formatNumber(hijri.year, { useGrouping: false })
+  });
+}
+
+/**
+ * Format a timestamp for listings: day, month and year, the Hijri date in
+ * parentheses, then a 24-hour time ("19 Oct 2026 (8 Jumada al-Ula 1448 AH) | 14:05")
+ * @param {Date|string} date - Date or date string
+ * @param {string} separator - Between day, month and year (default: space)
+ * @returns {string} Formatted date, or '' for invalid input
+ */
+export function formatDisplayDate(date, separator = ' ') {
+  const value = date instanceof Date ? date : new Date(date);
+  if (!date || isNaN(value.getTime())) return '';
+
+  const parts = {};
+  new Intl.DateTimeFormat(getLocale(), {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(value).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const day = [parts.day, parts.month, parts.year].join(separator);
+  return `${day} (${formatHijriDate(value)}) | ${parts.hour}:${parts.minute}`;
+}
+
+// ============================================================================
+// Locale Switcher
+// ============================================================================
+
+/**
+ * Render a language select into a container
+ * @param {HTMLElement} container - Element to render into
+ */
+export function renderLocaleSwitcher(container) {
+  if (!container) return;
+
+  const label = document.createElement('label');
+  label.className = 'locale-switcher-label';
+
+  const text = document.createElement('span');
+  text.className = 'sr-only';
+  text.dataset.i18n = 'locale.label';
+  text.textContent = t('locale.label');
+
+  const select = document.createElement('select');
+  select.className = 'locale-switcher-select';
+  select.dataset.i18nAriaLabel = 'locale.label';
+  select.setAttribute('aria-label', t('locale.label'));
+
+  SUPPORTED_LOCALES.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.dir = getDirection(code);
+    option.textContent = LOCALE_NAMES[code];
+    select.appendChild(option);
+  });
+  select.value = getLocale();
+
+  select.addEventListener('change', () => setLocale(select.value));
+  const unsubscribe = onLocaleChange(locale => {
+    // Pages shown by the router render a new switcher (see router.js)
+    if (!select.isConnected) {
+      unsubscribe();
+      return;
+    }
+    select.value = locale;
+  });
+
+  label.append(text, select);
+  container.replaceChildren(label);
+}
+
+/**
+ * Apply the saved locale and render the switcher (#locale-switcher) if present
+ */
+export function initLocale() {
+  applyLocale();
+  renderLocaleSwitcher(document.getElementById('locale-switcher'));
+}
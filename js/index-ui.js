@@ -5,19 +5,30 @@
  */
 
 import { getItems, getInstitutions, getJurisdictions, getDocumentsList, getInstitutionMetadata, getJurisdictionMetadata, getSquircleIconMetadata, preloadAllConfigs } from './config.js';
-import { buildFilterUrl } from './utils.js';
+import { buildFilterUrl, escapeHtml } from './utils.js';
+import { t, hasMessage, onLocaleChange } from './i18n.js';
+import { countArchetypes, formatArchetypeHtml } from './account-archetypes.js';
+import { listContinueReading, onReadingChange } from './reading-progress.js';
 
 // State
 let currentTab = 'content';
 let preloadedData = null;
 let galleriesLoaded = false;
+let accountArchetype = null; // Archetype key selected in the Account facet (null = all)
+let stopContinueReading = null; // Stops the Continue reading shelf following changes
 
 /**
  * Initialize the UI functionality
+ * Coming back to the index (see router.js) reopens the last tab
  */
 export function initUIMode() {
   // Initialize tab buttons
   initTabs();
+  showTab(currentTab);
+  updateTabButtons(currentTab);
+
+  // Documents the reader has started, above the tabs
+  initContinueReading();
 
   // Preload all data on initial load to reduce subsequent requests
   preloadData();
@@ -136,6 +147,59 @@ async function loadUIGalleries() {
   }
 }
 
+/**
+ * Show the Continue reading shelf and keep it current (progress synced
+ * from another device, a new language)
+ */
+function initContinueReading() {
+  stopContinueReading?.();
+  renderContinueReading();
+
+  const unsubscribes = [onReadingChange, onLocaleChange].map(subscribe => subscribe(() => {
+    // The index was left (see router.js)
+    if (!document.getElementById('continue-reading')) {
+      stopContinueReading?.();
+      return;
+    }
+    renderContinueReading();
+  }));
+  stopContinueReading = () => {
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    stopContinueReading = null;
+  };
+}
+
+/**
+ * Render the Continue reading shelf (hidden until a document is started)
+ */
+async function renderContinueReading() {
+  const section = document.getElementById('continue-reading');
+  const list = document.getElementById('continue-reading-list');
+  if (!section || !list) return;
+
+  let entries = [];
+  try {
+    entries = await listContinueReading();
+  } catch (error) {
+    console.warn('Failed to load reading progress:', error);
+  }
+
+  section.classList.toggle('hidden', entries.length === 0);
+  list.innerHTML = entries.map(({ docId, title, institution, progress }) => {
+    const percent = Math.round(progress * 100);
+    return `
+      <a class="continue-reading-card" href="document-viewer.html?doc=${encodeURIComponent(docId)}">
+        <span class="continue-reading-title">${escapeHtml(title || docId)}</span>
+        ${institution ? `<span class="continue-reading-institution">${escapeHtml(institution)}</span>` : ''}
+        <span class="reading-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+          <span class="reading-progress-bar" style="width: ${percent}%"></span>
+        </span>
+        <span class="continue-reading-percent">${t('library.readingProgress', { percent })}</span>
+      </a>
+    `;
+  }).join('');
+}
+
 /**
  * Render Content tab gallery with squircle items
  */
@@ -155,7 +219,7 @@ async function renderContentGallery(items) {
   <div class="squircle">
     <span class="squircle-emoji">📂</span>
   </div>
-  <span class="squircle-label">All</span>
+  <span class="squircle-label" data-i18n="common.all">${t('common.all')}</span>
  `;
 
 
@@ -185,11 +249,17 @@ async function renderContentGallery(items) {
    iconMetadataLowerMap[item.toLowerCase()]?.emoji ||
    '📄';
 
+  // Known item types follow the UI language (re-translated on locale change)
+  const labelKey = `itemType.${item.toLowerCase()}`;
+  const label = hasMessage(labelKey)
+    ? `<span class="squircle-label" data-i18n="${labelKey}">${t(labelKey)}</span>`
+    : `<span class="squircle-label">${item}</span>`;
+
  link.innerHTML = `
   <div class="squircle">
     <span class="squircle-emoji">${emoji}</span>
   </div>
-  <span class="squircle-label">${item}</span>
+  ${label}
  `;
 
 
@@ -198,14 +268,32 @@ async function renderContentGallery(items) {
 }
 
 /**
- * Extract label and display name from institution name with square brackets
- * e.g., "Ummah Cabinet [Non-Profit • Private]" -> { displayName: "Ummah Cabinet", label: "Government" }
+ * Render the Account facet: one pill per archetype with its account count
+ * @param {Array} institutionCounts - Accounts ({ archetype }) before filtering
+ * @param {Function} onSelect - Called with the selected archetype key (null = all)
  */
-function parseInstitution(institution) {
-  const bracketMatch = institution.match(/\[(.*?)\]/);
-  const label = bracketMatch ? bracketMatch[1] : institution.replace(/^Ummah\s+/, '');
-  const displayName = institution.replace(/\s*\[.*?\]\s*$/, '');
-  return { displayName, label };
+function renderAccountFacet(institutionCounts, onSelect) {
+  const facet = document.getElementById('account-archetype-facet');
+  if (!facet) return;
+
+  const archetypes = countArchetypes(institutionCounts, entry => entry.archetype);
+  facet.classList.toggle('hidden', archetypes.length === 0);
+
+  const pills = [
+    { key: null, label: `<span data-i18n="common.all">${t('common.all')}</span>`, count: institutionCounts.length },
+    ...archetypes.map(({ key, count }) => ({ key, label: formatArchetypeHtml(key), count }))
+  ];
+
+  facet.innerHTML = pills.map(({ key, label, count }) => `
+    <button type="button" class="archetype-facet-pill${key === accountArchetype ? ' active' : ''}" aria-pressed="${key === accountArchetype}" data-archetype="${key || ''}">
+      <span>${label}</span>
+      <span class="archetype-facet-count">${count}</span>
+    </button>
+  `).join('');
+
+  facet.querySelectorAll('.archetype-facet-pill').forEach(pill => {
+    pill.addEventListener('click', () => onSelect(pill.dataset.archetype || null));
+  });
 }
 
 /**
@@ -225,18 +313,30 @@ async function renderAccountGallery(institutions, documents) {
   for (const institution of institutions) {
     // Count documents for this institution
     const docCount = documents.filter(doc => doc.institution === institution).length;
-    institutionCounts.push({ institution, docCount });
+    const archetype = institutionMeta[institution]?.archetype || '';
+    institutionCounts.push({ institution, docCount, archetype });
   }
   
   // Sort by contribution count in descending order
   institutionCounts.sort((a, b) => b.docCount - a.docCount);
 
-  for (const { institution, docCount } of institutionCounts) {
-    // Parse institution name to get display name and label
-    const { displayName, label } = parseInstitution(institution);
+  // Archetype facet (the selection survives re-renders)
+  if (accountArchetype && !institutionCounts.some(entry => entry.archetype === accountArchetype)) {
+    accountArchetype = null;
+  }
+  renderAccountFacet(institutionCounts, (archetype) => {
+    accountArchetype = archetype;
+    renderAccountGallery(institutions, documents);
+  });
+  const shownInstitutions = accountArchetype
+    ? institutionCounts.filter(entry => entry.archetype === accountArchetype)
+    : institutionCounts;
 
+  for (const { institution, docCount, archetype } of shownInstitutions) {
     // Get institution metadata from preloaded data
     const metadata = institutionMeta[institution] || null;
+    const displayName = escapeHtml(metadata?.name || institution);
+    const label = formatArchetypeHtml(archetype);
     const avatarUrl = metadata?.avatar || null;
     const coverUrl = metadata?.cover || null;
 
@@ -283,10 +383,8 @@ async function renderSpaceGallery(jurisdictions, documents) {
   // Build array of jurisdictions with contributor counts
   const jurisdictionCounts = [];
   for (const jurisdiction of jurisdictions) {
-    // Extract label from square brackets if present
-    const bracketMatch = jurisdiction.match(/\[(.*?)\]/);
-    const label = bracketMatch ? bracketMatch[1] : 'Community';
-    const displayName = jurisdiction.replace(/\s*\[.*?\]\s*$/, '');
+    const displayName = escapeHtml(jurisdictionMeta[jurisdiction]?.name || jurisdiction);
+    const label = escapeHtml(jurisdictionMeta[jurisdiction]?.label || 'Community');
 
     // Count unique institutions that have posted in this jurisdiction
     const docsInJurisdiction = documents.filter(doc => doc.jurisdiction === jurisdiction);
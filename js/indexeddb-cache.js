@@ -86,6 +86,7 @@ export class IndexedDBCache {
 
   /**
    * Set cached value
+   * Failures are logged, not thrown (use put() when the caller must know)
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} ttl - Time to live in milliseconds
@@ -93,31 +94,42 @@ export class IndexedDBCache {
    */
   async set(key, value, ttl = 5 * 60 * 1000) {
     try {
-      const db = await this.init();
-      return new Promise((resolve, reject) => {
-        const transaction = db.transaction([this.storeName], 'readwrite');
-        const store = transaction.objectStore(this.storeName);
-
-        const data = {
-          key,
-          value,
-          timestamp: Date.now(),
-          ttl
-        };
-
-        const request = store.put(data);
-
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(new Error(`Failed to set cache: ${request.error}`));
-
-        transaction.oncomplete = () => resolve();
-        transaction.onerror = () => reject(new Error(`Transaction failed: ${transaction.error}`));
-      });
+      await this.put(key, value, ttl);
     } catch (error) {
       console.warn('IndexedDB set error:', error);
     }
   }
 
+  /**
+   * Store a value, rejecting if it was not written
+   * Resolves once the transaction commits: a full disk aborts the
+   * transaction after the put itself succeeded
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async put(key, value, ttl = 5 * 60 * 1000) {
+    const db = await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+
+      const data = {
+        key,
+        value,
+        timestamp: Date.now(),
+        ttl
+      };
+
+      store.put(data);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error(`Failed to set cache: ${transaction.error}`));
+      transaction.onabort = () => reject(new Error(`Transaction aborted: ${transaction.error}`));
+    });
+  }
+
   /**
    * Get cached value or fetch if not available
    * @param {string} key - Cache key
@@ -0,0 +1,304 @@
+/**
+ * Library Facets Module
+ * Combined library filters, their URL encoding and facet counts
+ *
+ * - Multi-select facets: item type, posted by (institution), posted in
+ *   (jurisdiction) and account archetype; values within a facet are OR-ed,
+ *   facets are AND-ed
+ * - Document date range and version range
+ * - Encoded as repeatable URL params (?item=Book&item=Policy&from=2024-01-01)
+ *   in the query string, or in the hash for pages routed by hash
+ * - `institution` / `jurisdiction` stay single-valued: they select a profile
+ *   (see profile-ui.js), not a facet
+ * - Counts follow the usual faceted-search rule: a facet's counts apply every
+ *   other active filter but not its own, so options stay selectable
+ * - Profiles are filtered and counted here, in memory; the full library is
+ *   filtered and counted by the server with the same rules
+ *   (supabase/migrations/20261019000600_library_pagination.sql)
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Multi-select facets: filter key → URL param, document field and the
+ * document field holding its display name (if any)
+ */
+export const FACETS = [
+  { key: 'items', param: 'item', field: 'item' },
+  { key: 'postedBy', param: 'postedBy', field: 'institution', labelField: 'institutionName' },
+  { key: 'postedIn', param: 'postedIn', field: 'jurisdiction', labelField: 'jurisdictionName' },
+  { key: 'archetypes', param: 'archetype', field: 'archetype' }
+];
+
+/**
+ * Single-valued params: filter key → URL param
+ */
+const SINGLE_PARAMS = [
+  { key: 'institution', param: 'institution' },
+  { key: 'jurisdiction', param: 'jurisdiction' },
+  { key: 'dateFrom', param: 'from' },
+  { key: 'dateTo', param: 'to' },
+  { key: 'versionMin', param: 'minVersion' },
+  { key: 'versionMax', param: 'maxVersion' },
+  { key: 'q', param: 'q' }
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// Filter state
+// ============================================================================
+
+/**
+ * Filters with nothing selected
+ * @returns {Object} Filter state
+ */
+export function createEmptyFilters() {
+  return {
+    institution: null,
+    jurisdiction: null,
+    items: [],
+    postedBy: [],
+    postedIn: [],
+    archetypes: [],
+    dateFrom: null,
+    dateTo: null,
+    versionMin: null,
+    versionMax: null,
+    q: null
+  };
+}
+
+/**
+ * Whether any facet or range filter is set (profile and search excluded)
+ * @param {Object} filters - Filter state
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return FACETS.some(({ key }) => filters[key]?.length > 0)
+    || Boolean(filters.dateFrom || filters.dateTo)
+    || filters.versionMin != null
+    || filters.versionMax != null;
+}
+
+/**
+ * Number of active facet values and ranges (for the panel summary)
+ * @param {Object} filters - Filter state
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+  return FACETS.reduce((total, { key }) => total + (filters[key]?.length || 0), 0)
+    + (filters.dateFrom || filters.dateTo ? 1 : 0)
+    + (filters.versionMin != null || filters.versionMax != null ? 1 : 0);
+}
+
+// ============================================================================
+// URL encoding
+// ============================================================================
+
+/**
+ * Read filters from URL params
+ * @param {URLSearchParams} params - Query or hash params
+ * @returns {Object} Filter state
+ */
+export function readFilterParams(params) {
+  const filters = createEmptyFilters();
+
+  FACETS.forEach(({ key, param }) => {
+    filters[key] = [...new Set(params.getAll(param).filter(Boolean))];
+  });
+  SINGLE_PARAMS.forEach(({ key, param }) => {
+    filters[key] = params.get(param) || null;
+  });
+
+  if (filters.dateFrom && !DATE_PATTERN.test(filters.dateFrom)) filters.dateFrom = null;
+  if (filters.dateTo && !DATE_PATTERN.test(filters.dateTo)) filters.dateTo = null;
+  filters.versionMin = parseVersion(filters.versionMin);
+  filters.versionMax = parseVersion(filters.versionMax);
+
+  return filters;
+}
+
+/**
+ * Write filters into URL params
+ * Only the keys present in `filters` are touched, so callers can update
+ * one part of the state (e.g. the profile's item types) without the rest
+ * @param {URLSearchParams} params - Params to update in place
+ * @param {Object} filters - (Partial) filter state
+ */
+export function writeFilterParams(params, filters) {
+  FACETS.forEach(({ key, param }) => {
+    if (!(key in filters)) return;
+    params.delete(param);
+    filters[key].forEach(value => params.append(param, value));
+  });
+  SINGLE_PARAMS.forEach(({ key, param }) => {
+    if (!(key in filters)) return;
+    if (filters[key] == null || filters[key] === '') {
+      params.delete(param);
+    } else {
+      params.set(param, String(filters[key]));
+    }
+  });
+}
+
+/**
+ * Keep the URL in sync with the filters (history entry replaced, not added)
+ * Pages opened with filters in the hash keep them there; otherwise the
+ * query string is used
+ * @param {Object} filters - (Partial) filter state
+ */
+export function updateFilterUrl(filters) {
+  const url = new URL(window.location.href);
+  const hashParams = new URLSearchParams(url.hash.slice(1));
+  const useHash = !hasFilterParams(url.searchParams) && hasFilterParams(hashParams);
+
+  if (useHash) {
+    writeFilterParams(hashParams, filters);
+    url.hash = hashParams.toString();
+  } else {
+    writeFilterParams(url.searchParams, filters);
+  }
+  history.replaceState(history.state, '', url);
+}
+
+/**
+ * Whether params carry any filter (search query excluded)
+ * @param {URLSearchParams} params
+ * @returns {boolean}
+ */
+function hasFilterParams(params) {
+  return [...FACETS, ...SINGLE_PARAMS]
+    .some(({ param }) => param !== 'q' && params.has(param));
+}
+
+/**
+ * Parse a version bound
+ * @param {string|number|null} value
+ * @returns {number|null} Positive integer or null
+ */
+function parseVersion(value) {
+  const version = Number.parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Whether two facet values are the same (?item=book selects "Book")
+ * @param {string} a - Facet value
+ * @param {string} b - Facet value
+ * @returns {boolean}
+ */
+export function isSameFacetValue(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Day after a "YYYY-MM-DD" date (date ranges end before it, so the last
+ * day is included whatever the time of day)
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function getDayAfter(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a document passes the filters
+ * @param {Object} doc - Document object
+ * @param {Object} filters - Filter state
+ * @param {string|null} skipFacet - Facet key to ignore (for counts)
+ * @returns {boolean}
+ */
+export function matchesFilters(doc, filters, skipFacet = null) {
+  if (filters.institution && (doc.institution || '').toLowerCase() !== filters.institution.toLowerCase()) {
+    return false;
+  }
+  if (filters.jurisdiction && (doc.jurisdiction || '').toLowerCase() !== filters.jurisdiction.toLowerCase()) {
+    return false;
+  }
+
+  for (const { key, field } of FACETS) {
+    const values = filters[key];
+    if (key === skipFacet || !values?.length) continue;
+    if (!values.some(selected => isSameFacetValue(selected, doc[field] || ''))) return false;
+  }
+
+  // Dates are timestamps; the range covers whole (UTC) days
+  const time = doc.date ? Date.parse(doc.date) : NaN;
+  if (filters.dateFrom && !(time >= Date.parse(filters.dateFrom))) return false;
+  if (filters.dateTo && !(time < Date.parse(getDayAfter(filters.dateTo)))) return false;
+
+  const version = Number(doc.version) || 1;
+  if (filters.versionMin != null && version < filters.versionMin) return false;
+  if (filters.versionMax != null && version > filters.versionMax) return false;
+
+  return true;
+}
+
+/**
+ * Count documents per facet value
+ * @param {Array} documents - Documents to count
+ * @param {Object} filters - Filter state
+ * @returns {Object} facet key → Array<{ value, label, count }> (label: display name, or null)
+ */
+export function countFacets(documents, filters) {
+  const counts = {};
+
+  FACETS.forEach(({ key, field, labelField }) => {
+    const options = new Map();
+    documents.forEach(doc => {
+      const value = doc[field];
+      if (!value) return;
+      if (!options.has(value)) {
+        options.set(value, { value, label: labelField ? doc[labelField] || null : null, count: 0 });
+      }
+      if (matchesFilters(doc, filters, key)) options.get(value).count += 1;
+    });
+    counts[key] = [...options.values()];
+  });
+
+  return withSelectedOptions(counts, filters);
+}
+
+/**
+ * Add selected values that no document has any more, so they can be unselected
+ * @param {Object} counts - facet key → Array<{ value, label, count }>
+ * @param {Object} filters - Filter state
+ * @returns {Object} Counts with every selected value listed
+ */
+export function withSelectedOptions(counts, filters) {
+  const result = {};
+
+  FACETS.forEach(({ key }) => {
+    const options = [...(counts[key] || [])];
+    (filters[key] || []).forEach(value => {
+      if (!options.some(option => isSameFacetValue(option.value, value))) {
+        options.push({ value, label: null, count: 0 });
+      }
+    });
+    result[key] = options;
+  });
+
+  return result;
+}
+
+/**
+ * Lowest and highest version among documents
+ * @param {Array} documents - Documents
+ * @returns {{min: number, max: number}}
+ */
+export function getVersionBounds(documents) {
+  const versions = documents.map(doc => Number(doc.version) || 1);
+  return {
+    min: versions.length ? Math.min(...versions) : 1,
+    max: versions.length ? Math.max(...versions) : 1
+  };
+}
@@ -1,84 +1,60 @@
 /**
- * Library Page Main Entry Point
- * Initializes the library page
- * Optimized to preload data and reduce network requests
+ * Library Page View
+ * Mounted by the router (see app-main.js) on library.html, for the full
+ * library and for institution / jurisdiction profiles
+ * The full library is fetched a page at a time (see library-ui.js); only
+ * profiles load their documents up front. Published changes arrive through
+ * Supabase Realtime (see realtime-updates.js)
  */
 
 import {
   initializeLibrary,
   setDocumentsFilter,
-  getCurrentDocuments,
   setCurrentDocuments,
+  resetLibrary,
+  prefetchLibrary,
 } from "./library-ui.js";
 import {
   initializeProfileUI,
+  resetProfileUI,
+  prefetchProfile,
   getFilteredDocuments,
   detectProfileMode,
   getCurrentFilter,
   renderFeedCarousel,
 } from "./profile-ui.js";
-import { preloadAllConfigs, getDocumentsList } from "./config.js";
-import {
-  parseQueryParams,
-  parseHashParams,
-  filterDocuments,
-  sortDocuments,
-} from "./utils.js";
-
-// Dark Mode Toggle Functionality
-const DARK_MODE_KEY = 'darkMode';
+import { parseQueryParams, parseHashParams } from "./utils.js";
+import { hasActiveFilters } from "./library-facets.js";
 
-function initDarkMode() {
-  const adminSeal = document.querySelector('.admin-seal');
-  if (!adminSeal) return;
-
-  // Check for saved preference or system preference
-  const savedMode = localStorage.getItem(DARK_MODE_KEY);
-  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-  
-  // Apply dark mode if saved preference is 'true' or if no preference and system prefers dark
-  if (savedMode === 'true' || (!savedMode && prefersDark)) {
-    document.documentElement.classList.add('dark');
+/**
+ * Parse URL filters (query first, fallback to hash)
+ * @param {Location|URL} url - Library URL
+ * @returns {Object} Filter state (see library-facets.js)
+ */
+function getUrlFilters(url) {
+  const urlFilters = parseQueryParams(url);
+  if (!urlFilters.institution && !urlFilters.jurisdiction && !hasActiveFilters(urlFilters)) {
+    const hashFilters = parseHashParams(url);
+    return { ...hashFilters, q: urlFilters.q || hashFilters.q };
   }
-
-  // Toggle dark mode on click
-  adminSeal.addEventListener('click', () => {
-    document.documentElement.classList.toggle('dark');
-    const isDark = document.documentElement.classList.contains('dark');
-    localStorage.setItem(DARK_MODE_KEY, isDark);
-  });
+  return urlFilters;
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', async () => {
-  // Initialize dark mode
-  initDarkMode();
-  // Preload configs
-  await preloadAllConfigs();
-
-  // Load all documents once (using getDocumentsList for properly transformed data)
-  const allDocuments = await getDocumentsList();
-
-  // Parse URL filters (query first, fallback to hash)
-  let urlFilters = parseQueryParams();
-  if (!urlFilters.institution && !urlFilters.jurisdiction && !urlFilters.item) {
-    urlFilters = parseHashParams();
-  }
+/**
+ * Show the library or profile of the current URL
+ * @returns {Promise<void>}
+ */
+export async function mount() {
+  const urlFilters = getUrlFilters(window.location);
 
   // Detect profile mode
   const profileInfo = detectProfileMode();
 
-  // 1️⃣ Apply URL filters FIRST (item / institution / jurisdiction)
-  const urlFilteredDocs = filterDocuments(allDocuments, urlFilters);
-  let docs = urlFilteredDocs;
-
-  // In non-profile mode, exclude Feed items - Feed should only be accessible from profile pages
-  if (!profileInfo) {
-    docs = docs.filter(doc => doc.item !== "Feed");
-  }
-
+  // 1️⃣ In profile mode, the profile's documents; the URL facets (type /
+  // posted by / posted in / archetype / date / version) are applied on top
+  // by library-ui, which fetches the full library itself otherwise
   if (profileInfo) {
-    // 2️⃣ Initialize profile UI
+    // 2️⃣ Initialize profile UI (its pills pick the item types)
     await initializeProfileUI(async () => {
       const currentFilter = getCurrentFilter();
 
@@ -91,25 +67,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
 
-      const profileDocs = getFilteredDocuments();
-
-      // Merge profile filters WITH URL filters (use urlFilteredDocs, not mutated docs)
-      const profileIds = new Set(profileDocs.map(doc => doc.id));
-      const mergedDocs = urlFilteredDocs.filter(doc => profileIds.has(doc.id));
-
-      setDocumentsFilter(mergedDocs);
+      setDocumentsFilter(getFilteredDocuments());
     });
 
     // Apply initial profile filter
-    const initialFilter = getCurrentFilter();
-    const profileDocs = getFilteredDocuments();
-    const profileIds = new Set(profileDocs.map(doc => doc.id));
-    docs = urlFilteredDocs.filter(doc => profileIds.has(doc.id));
+    setCurrentDocuments(getFilteredDocuments());
   }
 
-  // 3️⃣ Final sort + render
-  docs = sortDocuments(docs, 'name');
-  setCurrentDocuments(docs);
+  // 3️⃣ Filter, sort + render
   await initializeLibrary(urlFilters, profileInfo);
 
   // 4️⃣ If Feed is the default filter in profile mode, render carousel over the table
@@ -122,4 +87,35 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
   }
-});
+}
+
+/**
+ * Stop the list and forget the profile before another page is shown
+ */
+export function unmount() {
+  resetLibrary();
+  resetProfileUI();
+}
+
+/**
+ * Warm the first page (or the profile) of a library URL
+ * @param {URL} url - Library URL
+ * @returns {Promise<void>}
+ */
+export async function prefetch(url) {
+  const profileInfo = detectProfileMode(url);
+  if (profileInfo) {
+    await prefetchProfile(profileInfo);
+  } else {
+    await prefetchLibrary(getUrlFilters(url));
+  }
+}
+
+/**
+ * Profiles can be given in the hash (library.html#institution=...)
+ * @param {URL} url - Library URL
+ * @returns {string} Route key (see router.js)
+ */
+export function routeKey(url) {
+  return `${url.pathname}${url.search}${url.hash}`;
+}
@@ -0,0 +1,325 @@
+/**
+ * Library Search Module
+ * Client-side full-text search over document titles and HTML content
+ *
+ * - Inverted index: term → (document → field term frequencies)
+ * - BM25 ranking with title matches weighted above body matches
+ * - Every query term must match; the last term also matches as a prefix
+ *   so results update while typing
+ * - Arabic-aware normalization: harakat/tatweel removed, alef variants
+ *   (أ إ آ ٱ) folded to ا, ى → ي, ة → ه; Latin diacritics removed
+ * - Snippets with <mark> highlighting built from the original text
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Field weights for ranking
+ */
+const FIELD_WEIGHTS = {
+  title: 3,
+  body: 1
+};
+
+/**
+ * BM25 parameters
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Words of context on each side of the first match in a snippet
+ */
+const SNIPPET_CONTEXT_WORDS = 12;
+
+/**
+ * Words (letters, digits and combining marks such as harakat)
+ */
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+/**
+ * Normalize text for indexing and matching
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')                 // Latin combining diacritics
+    .replace(/[\u064B-\u065F\u0670\u06D6-\u06ED]/g, '') // Arabic harakat and Quranic marks
+    .replace(/\u0640/g, '')                          // Tatweel
+    .normalize('NFC')
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // آ أ إ ٱ → ا
+    .replace(/\u0649/g, '\u064A')                    // ى → ي
+    .replace(/\u0629/g, '\u0647')                    // ة → ه
+    .replace(/\u0624/g, '\u0648')                    // ؤ → و
+    .replace(/\u0626/g, '\u064A')                    // ئ → ي
+    .replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660)) // Arabic-Indic digits
+    .toLowerCase();
+}
+
+/**
+ * Split text into normalized terms
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  return (String(text || '').match(WORD_PATTERN) || [])
+    .map(normalizeText)
+    .filter(term => term.length > 0);
+}
+
+/**
+ * Extract plain text from document HTML
+ * @param {string} html - Document HTML
+ * @returns {string} Text content
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  parsed.querySelectorAll('script, style').forEach(el => el.remove());
+  // Keep words in adjacent blocks apart ("<p>a</p><p>b</p>" → "a b")
+  parsed.body.querySelectorAll('p, div, li, td, th, tr, br, h1, h2, h3, h4, h5, h6, blockquote')
+    .forEach(el => el.after(' '));
+  return (parsed.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// Search Index
+// ============================================================================
+
+export class SearchIndex {
+  constructor() {
+    this.postings = new Map();   // term → Map(docId → { title, body })
+    this.documents = new Map();  // docId → { title, text, length }
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number}
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add (or replace) a document
+   * @param {Object} doc
+   * @param {string} doc.id - Document ID
+   * @param {string} doc.title - Title
+   * @param {string} doc.text - Plain-text body
+   */
+  addDocument({ id, title, text = '' }) {
+    if (this.documents.has(id)) {
+      this.removeDocument(id);
+    }
+
+    const titleTerms = tokenize(title);
+    const bodyTerms = tokenize(text);
+    const length = titleTerms.length * FIELD_WEIGHTS.title + bodyTerms.length * FIELD_WEIGHTS.body;
+
+    this.documents.set(id, { title, text, length });
+    this.totalLength += length;
+
+    const addTerms = (terms, field) => {
+      terms.forEach(term => {
+        let docs = this.postings.get(term);
+        if (!docs) {
+          docs = new Map();
+          this.postings.set(term, docs);
+        }
+        let entry = docs.get(id);
+        if (!entry) {
+          entry = { title: 0, body: 0 };
+          docs.set(id, entry);
+        }
+        entry[field]++;
+      });
+    };
+
+    addTerms(titleTerms, 'title');
+    addTerms(bodyTerms, 'body');
+  }
+
+  /**
+   * Remove a document
+   * @param {string} id - Document ID
+   */
+  removeDocument(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+
+    this.totalLength -= doc.length;
+    this.documents.delete(id);
+
+    for (const [term, docs] of this.postings) {
+      docs.delete(id);
+      if (docs.size === 0) this.postings.delete(term);
+    }
+  }
+
+  /**
+   * Terms in the index matching a query term (exact, or prefix for the last term)
+   * @param {string} queryTerm - Normalized query term
+   * @param {boolean} prefix - Allow prefix matches
+   * @returns {Array<string>}
+   */
+  expandTerm(queryTerm, prefix) {
+    if (!prefix) {
+      return this.postings.has(queryTerm) ? [queryTerm] : [];
+    }
+    const matches = [];
+    for (const term of this.postings.keys()) {
+      if (term.startsWith(queryTerm)) matches.push(term);
+    }
+    return matches;
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Raw query text
+   * @param {Object} options
+   * @param {number} options.limit - Maximum results (default: all)
+   * @returns {Array<Object>} [{ id, score, titleHtml, snippetHtml }] best first
+   */
+  search(query, options = {}) {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+    const docCount = this.documents.size;
+    const averageLength = this.totalLength / docCount || 1;
+    const scores = new Map();
+    const matchedTerms = new Set();
+    let candidates = null;
+
+    queryTerms.forEach((queryTerm, index) => {
+      const isLast = index === queryTerms.length - 1;
+      const terms = this.expandTerm(queryTerm, isLast);
+      const termDocs = new Set();
+
+      terms.forEach(term => {
+        matchedTerms.add(term);
+        const docs = this.postings.get(term);
+        const idf = Math.log(1 + (docCount - docs.size + 0.5) / (docs.size + 0.5));
+        // Exact matches outrank prefix completions
+        const exactBoost = term === queryTerm ? 1 : 0.5;
+
+        docs.forEach((frequencies, id) => {
+          termDocs.add(id);
+          const tf = frequencies.title * FIELD_WEIGHTS.title + frequencies.body * FIELD_WEIGHTS.body;
+          const length = this.documents.get(id).length;
+          const score = idf * exactBoost * (tf * (BM25_K1 + 1)) /
+            (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+          scores.set(id, (scores.get(id) || 0) + score);
+        });
+      });
+
+      // Every query term must match
+      candidates = candidates === null
+        ? termDocs
+        : new Set([...candidates].filter(id => termDocs.has(id)));
+    });
+
+    const results = [...(candidates || [])]
+      .map(id => {
+        const doc = this.documents.get(id);
+        return {
+          id,
+          score: scores.get(id),
+          titleHtml: highlight(doc.title, matchedTerms),
+          snippetHtml: buildSnippet(doc.text, matchedTerms)
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+}
+
+// ============================================================================
+// Highlighting
+// ============================================================================
+
+/**
+ * Escape text and wrap words whose normalized form is a matched term in <mark>
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string} HTML
+ */
+export function highlight(text, terms) {
+  let html = '';
+  let lastIndex = 0;
+
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    html += escapeHtml(text.slice(lastIndex, match.index));
+    html += terms.has(normalizeText(match[0]))
+      ? `<mark>${escapeHtml(match[0])}</mark>`
+      : escapeHtml(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(String(text || '').slice(lastIndex));
+}
+
+/**
+ * Build a highlighted snippet around the first matching word
+ * @param {string} text - Original plain text
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string} HTML ('' when the body has no match)
+ */
+export function buildSnippet(text, terms) {
+  if (!text) return '';
+
+  const words = [...text.matchAll(WORD_PATTERN)];
+  const hit = words.findIndex(word => terms.has(normalizeText(word[0])));
+  if (hit === -1) return '';
+
+  const first = words[Math.max(0, hit - SNIPPET_CONTEXT_WORDS)];
+  const last = words[Math.min(words.length - 1, hit + SNIPPET_CONTEXT_WORDS)];
+  const start = first.index;
+  const end = last.index + last[0].length;
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < text.length ? ' …' : '';
+  return prefix + highlight(text.slice(start, end), terms) + suffix;
+}
+
+// ============================================================================
+// Library Index
+// ============================================================================
+
+/**
+ * Build a search index for library documents
+ * @param {Array<Object>} documents - Library documents (getDocumentsList format)
+ * @param {Map<string, string>} contents - doc id → HTML content
+ * @returns {SearchIndex}
+ */
+export function buildLibraryIndex(documents, contents = new Map()) {
+  const index = new SearchIndex();
+  documents.forEach(doc => {
+    index.addDocument({
+      id: doc.id,
+      title: doc.title,
+      text: htmlToText(contents.get(doc.id))
+    });
+  });
+  return index;
+}
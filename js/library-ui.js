@@ -3,28 +3,128 @@
  * Handles rendering and interaction for the library page
  */
 
-import { getDocumentsList } from "./config.js";
+import { getDocumentsList, getDocumentContentsMap, getLibraryPage, getLibraryFacets, mergeDocumentRow } from "./config.js";
 import {
-  parseQueryParams,
-  parseHashParams,
   sortDocuments,
   filterDocuments,
   escapeHtml,
   showError,
+  showToast,
 } from "./utils.js";
-import { getFilteredDocuments, detectProfileMode, getCurrentFilter } from "./profile-ui.js";
+import { getFilteredDocuments, detectProfileMode, getCurrentFilter, getTypeLabel } from "./profile-ui.js";
+import { buildLibraryIndex } from "./library-search.js";
+import { getLanguageBadge, getLanguageName, getLanguageEnglishName } from "./document-languages.js";
+import { t, onLocaleChange, formatDate } from "./i18n.js";
+import { formatArchetype } from "./account-archetypes.js";
+import {
+  FACETS,
+  createEmptyFilters,
+  countActiveFilters,
+  countFacets,
+  withSelectedOptions,
+  isSameFacetValue,
+  getVersionBounds,
+  updateFilterUrl,
+} from "./library-facets.js";
+import { onRealtimeChange, getNewlyPublishedDocuments, hasTableChanges } from "./realtime-updates.js";
+import { isPublished } from "./document-lifecycle.js";
+import { getReadingProgressMap, onReadingChange, STARTED_PROGRESS } from "./reading-progress.js";
 
 // Current sort state
 let currentSort = "name";
-let currentDocuments = [];
+// The full library is fetched from the server a page at a time; profiles
+// keep their documents in memory (see library-main.js)
+let baseDocuments = []; // Profile documents (pills applied), before facets
+let currentDocuments = []; // Documents listed: facets applied, sorted (server pages as they load)
 let isProfileMode = false;
+let isMounted = false; // Whether library.html is being shown (see library-main.js)
+
+// List paging state
+const PAGE_SIZE = 40;
+const LOAD_AHEAD_MARGIN = "800px 0px"; // Load the next page this far before the end of the list
+let listState = null; // { loadPage, createRow, documents, cursor, done, loading, sentinel }
+let listObserver = null;
+
+// Search state
+const SEARCH_DEBOUNCE_MS = 200;
+let searchQuery = "";
+let searchIndex = null;
+let searchDocuments = []; // Documents in the search index
+let searchIndexPromise = null;
+let searchRanked = true; // Rank by relevance until a sort button is clicked
+let searchDebounceTimer = null;
+
+// Facet, range and profile filters from the URL (see library-facets.js)
+let currentFilters = createEmptyFilters();
+
+// Facet panel state
+let facetsOpen = false;
+let facetPanelWired = false;
+let facetData = null; // Last counts: { counts, versions }
+let facetRequest = 0; // Drops counts that arrive after newer filters
+
+// Live updates (see realtime-updates.js)
+let pendingNewDocuments = 0; // Newly published documents announced but not listed yet
+let newDocumentsToast = null;
+
+// Reader's progress in each document (see reading-progress.js): docId → share read
+let readingProgress = new Map();
+
+/**
+ * Create the language badges of a document (original first), each opening that language
+ * @param {Object} doc - Document object
+ * @returns {HTMLElement|null} Badge row, or null for items without languages (Feed)
+ */
+function createLanguageBadges(doc) {
+  if (!doc.languages?.length) return null;
+
+  const row = document.createElement("div");
+  row.className = "library-card-languages";
+  row.setAttribute("aria-label", t("library.languages"));
+
+  doc.languages.forEach((code, index) => {
+    const badge = document.createElement("a");
+    badge.className = "library-card-language";
+    badge.href = index === 0 ? doc.filename : `${doc.filename}&lang=${encodeURIComponent(code)}`;
+    badge.lang = code;
+    const names = { name: getLanguageName(code), english: getLanguageEnglishName(code) };
+    badge.title = index === 0 ? t("library.languageOriginal", names) : t("library.language", names);
+    badge.textContent = getLanguageBadge(code);
+    row.appendChild(badge);
+  });
+
+  return row;
+}
+
+/**
+ * Create the reading progress bar of a document
+ * @param {Object} doc - Document object
+ * @returns {HTMLElement|null} Progress bar, or null for documents not started
+ */
+function createReadingProgress(doc) {
+  const progress = readingProgress.get(doc.id);
+  if (!progress || progress < STARTED_PROGRESS) return null;
+
+  const percent = Math.round(progress * 100);
+  const label = t("library.readingProgress", { percent });
+  const wrapper = document.createElement("div");
+  wrapper.className = "library-card-progress";
+  wrapper.innerHTML = `
+    <span class="reading-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-label="${escapeHtml(label)}">
+      <span class="reading-progress-bar" style="width: ${percent}%"></span>
+    </span>
+    <span class="library-card-progress-label">${escapeHtml(label)}</span>
+  `;
+  return wrapper;
+}
 
 /**
  * Create a library row element (card-style layout)
  * @param {Object} doc - Document object
+ * @param {Object|null} match - Search result ({ titleHtml, snippetHtml }) when searching
  * @returns {HTMLElement} Row element
  */
-function createLibraryRow(doc) {
+function createLibraryRow(doc, match = null) {
   const profileInfo = detectProfileMode();
   const isInstitutionProfile = profileInfo?.type === "institution";
   const isJurisdictionProfile = profileInfo?.type === "jurisdiction";
@@ -33,6 +133,7 @@ function createLibraryRow(doc) {
   const row = document.createElement("div");
   row.className = "library-card border-b border-gray-200 py-2";
 
+  row.dataset.docId = doc.id;
   row.dataset.name = doc.title;
   row.dataset.version = doc.version;
   row.dataset.date = doc.date;
@@ -45,34 +146,52 @@ function createLibraryRow(doc) {
   titleRow.className = "library-card-title";
   const link = document.createElement("a");
   link.href = doc.filename;
-  link.textContent = doc.title;
+  if (match) {
+    link.innerHTML = match.titleHtml;
+  } else {
+    link.textContent = doc.title;
+  }
   link.className = "library-card-link";
   titleRow.appendChild(link);
 
+  // Highlighted content snippet (search results only)
+  let snippetRow = null;
+  if (match?.snippetHtml) {
+    snippetRow = document.createElement("div");
+    snippetRow.className = "library-card-snippet";
+    snippetRow.innerHTML = match.snippetHtml;
+  }
+
+  // Available languages
+  const languagesRow = createLanguageBadges(doc);
+
+  // How far the reader got
+  const progressRow = createReadingProgress(doc);
+
   // Metadata row
   const metadataRow = document.createElement("div");
   metadataRow.className = "library-card-metadata";
 
   if (isInstitutionProfile) {
     // Institution Profile: Show "Posted in {Jurisdiction Name}" - clickable
-    const jurisdictionName = (doc.jurisdiction || "").replace(/\s*\[.*?\]\s*/g, "");
+    const jurisdictionName = doc.jurisdictionName || "";
     const jurisdictionLink = doc.jurisdiction ? `?jurisdiction=${encodeURIComponent(doc.jurisdiction)}` : "#";
-    metadataRow.innerHTML = `<span class="library-card-label">Posted in</span> <a href="${escapeHtml(jurisdictionLink)}" class="library-profile-link">${escapeHtml(jurisdictionName) || "-"}</a>`;
+    metadataRow.innerHTML = `<span class="library-card-label">${escapeHtml(t("library.postedIn"))}</span> <a href="${escapeHtml(jurisdictionLink)}" class="library-profile-link">${escapeHtml(jurisdictionName) || "-"}</a>`;
   } else if (isJurisdictionProfile) {
     // Jurisdiction Profile: Show "Posted by {Institution Name}" - clickable
-    const institutionName = (doc.institution || "").replace(/\s*\[.*?\]\s*/g, "");
+    const institutionName = doc.institutionName || "";
     const institutionLink = doc.institution ? `?institution=${encodeURIComponent(doc.institution)}` : "#";
-    metadataRow.innerHTML = `<span class="library-card-label">Posted by</span> <a href="${escapeHtml(institutionLink)}" class="library-profile-link">${escapeHtml(institutionName) || "-"}</a>`;
+    metadataRow.innerHTML = `<span class="library-card-label">${escapeHtml(t("library.postedBy"))}</span> <a href="${escapeHtml(institutionLink)}" class="library-profile-link">${escapeHtml(institutionName) || "-"}</a>`;
   } else {
     // Non-profile mode: Show both Posted In and Posted By on separate rows
-    const jurisdictionName = (doc.jurisdiction || "").replace(/\s*\[.*?\]\s*/g, "");
+    const jurisdictionName = doc.jurisdictionName || "";
     const jurisdictionLink = doc.jurisdiction ? `?jurisdiction=${encodeURIComponent(doc.jurisdiction)}` : "#";
-    const institutionName = (doc.institution || "").replace(/\s*\[.*?\]\s*/g, "");
+    const institutionName = doc.institutionName || "";
     const institutionLink = doc.institution ? `?institution=${encodeURIComponent(doc.institution)}` : "#";
     
     metadataRow.innerHTML = `
       <span class="library-card-meta-item">
-        <span class="library-card-label">Posted in</span> 
+        <span class="library-card-label">${escapeHtml(t("library.postedIn"))}</span> 
         <a href="${escapeHtml(jurisdictionLink)}" class="library-profile-link">${escapeHtml(jurisdictionName) || "-"}</a>
       </span>
     `;
@@ -82,43 +201,379 @@ function createLibraryRow(doc) {
     postedByRow.className = "library-card-metadata";
     postedByRow.innerHTML = `
       <span class="library-card-meta-item">
-        <span class="library-card-label">Posted by</span> 
+        <span class="library-card-label">${escapeHtml(t("library.postedBy"))}</span> 
         <a href="${escapeHtml(institutionLink)}" class="library-profile-link">${escapeHtml(institutionName) || "-"}</a>
       </span>
     `;
     
     row.appendChild(titleRow);
+    if (snippetRow) row.appendChild(snippetRow);
     row.appendChild(metadataRow);
     row.appendChild(postedByRow);
+    if (languagesRow) row.appendChild(languagesRow);
+    if (progressRow) row.appendChild(progressRow);
 
     return row;
   }
 
   row.appendChild(titleRow);
+  if (snippetRow) row.appendChild(snippetRow);
   row.appendChild(metadataRow);
+  if (languagesRow) row.appendChild(languagesRow);
+  if (progressRow) row.appendChild(progressRow);
 
   return row;
 }
 
 /**
- * Render the library table
- * @param {Array} documents - Array of document objects
+ * Render the library table: search results, the profile's documents or the
+ * full library, appended a page at a time as the reader scrolls
  */
-function renderLibraryTable(documents) {
+function renderLibraryTable() {
   const container = document.getElementById("library");
   if (!container) {
     console.warn("Library container not found");
     return;
   }
 
-  // Clear container
+  if (searchQuery && searchIndex) {
+    renderSearchResults(container);
+    return;
+  }
+
+  updateSearchStatus("");
+  dismissNewDocuments();
+
+  if (isProfileMode) {
+    renderList(container, getArrayPages(currentDocuments), (doc) => createLibraryRow(doc));
+    return;
+  }
+
+  // Full library: server pages with the current filters and sort
+  const filters = getActiveFilters();
+  const sort = currentSort;
+  const list = renderList(
+    container,
+    (cursor) => getLibraryPage({ filters, sort, cursor, limit: PAGE_SIZE }),
+    (doc) => createLibraryRow(doc)
+  );
+  currentDocuments = list.documents;
+}
+
+/**
+ * Render the documents matching the current search query
+ * @param {HTMLElement} container - Library container
+ */
+function renderSearchResults(container) {
+  const results = searchIndex.search(searchQuery);
+  const ranks = new Map(results.map((result, index) => [result.id, index]));
+
+  // Documents allowed by the active filters (the full library is searched in memory)
+  const documents = isProfileMode
+    ? currentDocuments
+    : sortDocuments(
+        filterDocuments(searchDocuments.filter((doc) => doc.item !== "Feed"), getActiveFilters()),
+        currentSort
+      );
+
+  let matches = documents.filter((doc) => ranks.has(doc.id));
+  if (searchRanked) {
+    matches = [...matches].sort((a, b) => ranks.get(a.id) - ranks.get(b.id));
+  }
+
+  renderList(container, getArrayPages(matches), (doc) => createLibraryRow(doc, results[ranks.get(doc.id)]));
+
+  updateSearchStatus(
+    matches.length === 0
+      ? t("library.search.noMatches", { query: searchQuery })
+      : t("library.search.results", { count: matches.length, query: searchQuery })
+  );
+}
+
+// =====================================================
+// LIST PAGING
+// =====================================================
+
+/**
+ * Pages of an in-memory document array
+ * @param {Array} documents - Documents
+ * @returns {Function} cursor → Promise<{ documents, nextCursor }> (cursor: start index)
+ */
+function getArrayPages(documents) {
+  return async (cursor) => {
+    const start = cursor || 0;
+    const end = start + PAGE_SIZE;
+    return {
+      documents: documents.slice(start, end),
+      nextCursor: end < documents.length ? end : null,
+    };
+  };
+}
+
+/**
+ * Start a list that loads its next page when the reader nears its end
+ * @param {HTMLElement} container - Library container
+ * @param {Function} loadPage - cursor → Promise<{ documents, nextCursor }> (null cursor: first page)
+ * @param {Function} createRow - document → row element
+ * @returns {Object} List state (its documents fill in as pages load)
+ */
+function renderList(container, loadPage, createRow) {
+  listObserver?.disconnect();
   container.innerHTML = "";
 
-  // Add document rows (card-style, no header needed)
-  documents.forEach((doc) => {
-    const row = createLibraryRow(doc);
-    container.appendChild(row);
+  const sentinel = document.createElement("div");
+  sentinel.className = "library-list-sentinel";
+  container.appendChild(sentinel);
+
+  const list = { loadPage, createRow, documents: [], cursor: null, done: false, loading: false, sentinel };
+  listState = list;
+
+  listObserver = new IntersectionObserver((entries) => {
+    if (entries.some((entry) => entry.isIntersecting)) loadNextPage(list);
+  }, { rootMargin: LOAD_AHEAD_MARGIN });
+  listObserver.observe(sentinel);
+
+  return list;
+}
+
+/**
+ * Append the next page of a list
+ * @param {Object} list - List state from renderList()
+ */
+async function loadNextPage(list) {
+  if (list.loading || list.done || list !== listState) return;
+  list.loading = true;
+  list.sentinel.innerHTML = `<span class="library-list-status">${escapeHtml(t("library.loadingMore"))}</span>`;
+
+  let page;
+  try {
+    page = await list.loadPage(list.cursor);
+  } catch (error) {
+    if (list !== listState) return;
+    console.error("Failed to load library page:", error);
+    list.loading = false;
+    list.sentinel.innerHTML = `
+      <span class="library-list-status">${escapeHtml(t("library.loadMoreError"))}</span>
+      <button type="button" class="library-list-retry">${escapeHtml(t("library.retry"))}</button>
+    `;
+    list.sentinel.querySelector("button").addEventListener("click", () => loadNextPage(list));
+    return;
+  }
+
+  // A newer list (other filters or sort) replaced this one meanwhile
+  if (list !== listState) return;
+
+  list.documents.push(...page.documents);
+  list.sentinel.before(...page.documents.map((doc) => list.createRow(doc)));
+  list.cursor = page.nextCursor;
+  list.done = page.nextCursor == null;
+  list.loading = false;
+  list.sentinel.innerHTML = "";
+
+  if (list.done) {
+    listObserver.disconnect();
+  } else {
+    // Observe again: if the end of the list is still in view, the next page loads too
+    listObserver.unobserve(list.sentinel);
+    listObserver.observe(list.sentinel);
+  }
+}
+
+/**
+ * Rebuild the rows loaded so far without reloading them (e.g. in a new language)
+ */
+function rerenderListRows() {
+  const list = listState;
+  if (!list) return;
+
+  while (list.sentinel.previousSibling) {
+    list.sentinel.previousSibling.remove();
+  }
+  list.sentinel.before(...list.documents.map((doc) => list.createRow(doc)));
+}
+
+// =====================================================
+// LIVE UPDATES
+// =====================================================
+
+/**
+ * Apply a batch of realtime changes to the full library (profiles follow
+ * them in profile-ui.js): loaded rows are updated or dropped in place, the
+ * counts refreshed, and newly published documents announced in a toast
+ * @param {Object} batch - { tables, changes } (see realtime-updates.js)
+ */
+function applyRealtimeChanges(batch) {
+  if (!isMounted || isProfileMode || !hasTableChanges(batch, "documents", "institutions", "jurisdictions")) return;
+
+  if (updateLoadedRows(batch.changes)) rerenderListRows();
+  refreshFacets();
+
+  // The next search rebuilds the index; an open search keeps it until "Show"
+  if (!searchQuery) {
+    searchIndex = null;
+    searchIndexPromise = null;
+  }
+
+  const added = getNewlyPublishedDocuments(batch.changes).length;
+  if (added === 0) return;
+
+  pendingNewDocuments += added;
+  newDocumentsToast = showToast(t("library.realtime.newDocuments", { count: pendingNewDocuments }), {
+    actionLabel: t("library.realtime.show"),
+    closeLabel: t("common.close"),
+    onAction: showNewDocuments,
+  });
+}
+
+/**
+ * Update or drop the loaded rows that changed
+ * @param {Array} changes - Batch changes
+ * @returns {boolean} Whether any loaded row changed
+ */
+function updateLoadedRows(changes) {
+  const list = listState;
+  if (!list) return false;
+
+  let changed = false;
+  changes.forEach(({ table, eventType, record, oldRecord }) => {
+    if (table !== "documents") return;
+
+    // Deletions only carry the row ID
+    const index = eventType === "DELETE"
+      ? list.documents.findIndex((doc) => doc.rowId === oldRecord.id)
+      : list.documents.findIndex((doc) => doc.id === record.doc_id);
+    if (index === -1) return;
+
+    if (eventType === "DELETE" || !isPublished(record)) {
+      list.documents.splice(index, 1);
+    } else {
+      list.documents[index] = mergeDocumentRow(list.documents[index], record);
+    }
+    changed = true;
+  });
+
+  return changed;
+}
+
+/**
+ * List the announced documents: reload the list (or the search) from the top
+ */
+function showNewDocuments() {
+  dismissNewDocuments();
+  if (searchQuery) {
+    searchIndex = null;
+    searchIndexPromise = null;
+    setSearchQuery(searchQuery);
+  } else {
+    renderLibraryTable();
+  }
+  document.getElementById("library")?.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Forget announced documents (the list is being reloaded anyway)
+ */
+function dismissNewDocuments() {
+  pendingNewDocuments = 0;
+  newDocumentsToast?.remove();
+  newDocumentsToast = null;
+}
+
+// =====================================================
+// SEARCH
+// =====================================================
+
+/**
+ * Update the search status line
+ * @param {string} message - Status text ('' to clear)
+ */
+function updateSearchStatus(message) {
+  const status = document.getElementById("library-search-status");
+  if (status) status.textContent = message;
+}
+
+/**
+ * Build the search index once (titles plus document content)
+ * @returns {Promise<Object>} SearchIndex
+ */
+function ensureSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = (async () => {
+      const documents = await getDocumentsList();
+      let contents = new Map();
+      try {
+        contents = await getDocumentContentsMap();
+      } catch (error) {
+        // Fall back to title-only search
+        console.warn("Failed to load document content for search:", error);
+      }
+      searchDocuments = documents;
+      searchIndex = buildLibraryIndex(documents, contents);
+      return searchIndex;
+    })().catch((error) => {
+      searchIndexPromise = null;
+      throw error;
+    });
+  }
+  return searchIndexPromise;
+}
+
+/**
+ * Keep ?q= in the URL in sync with the search box (other params and hash untouched)
+ * @param {string} query - Search query
+ */
+function updateSearchUrl(query) {
+  const url = new URL(window.location.href);
+  if (query) {
+    url.searchParams.set("q", query);
+  } else {
+    url.searchParams.delete("q");
+  }
+  history.replaceState(history.state, "", url);
+}
+
+/**
+ * Search the library (combined with the active item/institution/jurisdiction
+ * and profile filters)
+ * @param {string} query - Search query ('' clears the search)
+ */
+export async function setSearchQuery(query) {
+  searchQuery = (query || "").trim();
+  searchRanked = true;
+  updateSearchUrl(searchQuery);
+
+  if (searchQuery && !searchIndex) {
+    updateSearchStatus(t("library.search.searching"));
+    try {
+      await ensureSearchIndex();
+    } catch (error) {
+      console.error("Failed to build search index:", error);
+      updateSearchStatus(t("library.search.unavailable"));
+      return;
+    }
+  }
+
+  renderLibraryTable();
+  updateSortButtons(searchQuery ? null : currentSort);
+}
+
+/**
+ * Wire up the search box
+ * @param {string} initialQuery - Query from the URL (?q=)
+ */
+function initializeSearch(initialQuery) {
+  const input = document.getElementById("library-search");
+  if (!input) return;
+
+  input.value = initialQuery || "";
+  input.addEventListener("input", () => {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(() => setSearchQuery(input.value), SEARCH_DEBOUNCE_MS);
   });
+
+  if (input.value.trim()) {
+    setSearchQuery(input.value);
+  }
 }
 /**
  * Update the context display based on active filters
@@ -130,17 +585,267 @@ function updateContext(filters) {
 
   const context = [];
 
-  if (filters.item) context.push(filters.item);
-  if (filters.institution) context.push(filters.institution);
-  if (filters.jurisdiction) context.push(filters.jurisdiction);
+  FACETS.forEach(({ key }) => {
+    if (filters[key].length > 0) {
+      context.push(filters[key].map((value) => getFacetOptionLabel(key, value)).join(", "));
+    }
+  });
+  if (filters.dateFrom || filters.dateTo) {
+    context.push(`${filters.dateFrom ? formatDate(filters.dateFrom) : "…"} – ${filters.dateTo ? formatDate(filters.dateTo) : "…"}`);
+  }
+  if (filters.versionMin != null || filters.versionMax != null) {
+    context.push(t("library.facets.versionRange", {
+      min: filters.versionMin ?? "…",
+      max: filters.versionMax ?? "…",
+    }));
+  }
 
   if (context.length === 0) {
-    context.push("All");
+    context.push(t("common.all"));
   }
 
   contextElement.textContent = context.join(" · ");
 }
 
+// =====================================================
+// FACETS
+// =====================================================
+
+/**
+ * Facet group titles
+ */
+const FACET_TITLE_KEYS = {
+  items: "library.facets.type",
+  postedBy: "library.sort.postedBy",
+  postedIn: "library.sort.postedIn",
+  archetypes: "archetype.facet",
+};
+
+/**
+ * Filters applied to the base documents
+ * (in profile mode item types are picked with the profile pills instead)
+ * @returns {Object} Filter state
+ */
+function getActiveFilters() {
+  return isProfileMode ? { ...currentFilters, items: [] } : currentFilters;
+}
+
+/**
+ * Display label of a facet option
+ * @param {string} key - Facet key
+ * @param {Object} option - Facet option ({ value, label })
+ * @returns {string} Label
+ */
+function getOptionLabel(key, option) {
+  switch (key) {
+    case "items":
+      return getTypeLabel(option.value);
+    case "archetypes":
+      return formatArchetype(option.value) || option.value;
+    default:
+      return option.label || option.value;
+  }
+}
+
+/**
+ * Display label of a facet value
+ * @param {string} key - Facet key
+ * @param {string} value - Facet value
+ * @returns {string} Label
+ */
+function getFacetOptionLabel(key, value) {
+  const option = facetData?.counts[key]?.find((item) => item.value === value);
+  return getOptionLabel(key, option || { value });
+}
+
+/**
+ * Apply the filters and re-render everything that depends on them
+ * (profiles filter their documents in memory, the full library on the server)
+ * @returns {Promise<void>} Resolves once the facet panel shows the new counts
+ */
+function applyFilters() {
+  if (isProfileMode) {
+    currentDocuments = sortDocuments(filterDocuments(baseDocuments, getActiveFilters()), currentSort);
+  }
+  renderLibraryTable();
+  return refreshFacets();
+}
+
+/**
+ * Count the facet options for the active filters, then update the context and panel
+ */
+async function refreshFacets() {
+  const filters = getActiveFilters();
+  const request = ++facetRequest;
+  let data = null;
+
+  if (isProfileMode) {
+    data = { counts: countFacets(baseDocuments, filters), versions: getVersionBounds(baseDocuments) };
+  } else {
+    try {
+      const { counts, versions } = await getLibraryFacets(filters);
+      data = { counts: withSelectedOptions(counts, filters), versions };
+    } catch (error) {
+      // The list still works; the panel shows the selected options without counts
+      console.warn("Failed to load facet counts:", error);
+    }
+  }
+
+  if (request !== facetRequest) return;
+  facetData = data;
+  updateContext(filters);
+  renderFacetPanel();
+}
+
+/**
+ * Render the facet panel: multi-select facets with counts, date and version ranges
+ */
+function renderFacetPanel() {
+  const container = document.getElementById("library-facets");
+  if (!container) return;
+
+  const filters = getActiveFilters();
+  const counts = facetData?.counts || withSelectedOptions({}, filters);
+  const bounds = facetData?.versions || { min: 1, max: 1 };
+  const activeCount = countActiveFilters(filters);
+
+  // Facets with a single value and nothing selected would not narrow anything
+  const groups = FACETS
+    .filter(({ key }) => !(isProfileMode && key === "items"))
+    .map(({ key }) => ({
+      key,
+      options: counts[key]
+        .map((option) => ({ ...option, label: getOptionLabel(key, option) }))
+        .sort((a, b) => a.label.localeCompare(b.label)),
+    }))
+    .filter(({ key, options }) => options.length > 1 || filters[key].length > 0);
+
+  container.innerHTML = `
+    <details class="library-facets-panel"${facetsOpen ? " open" : ""}>
+      <summary class="library-facets-summary">
+        <span>${escapeHtml(t("library.facets.title"))}</span>
+        ${activeCount > 0 ? `<span class="library-facets-badge">${activeCount}</span>` : ""}
+      </summary>
+      <div class="library-facets-body">
+        ${groups.map(({ key, options }) => `
+          <fieldset class="library-facet-group">
+            <legend class="library-facet-title">${escapeHtml(t(FACET_TITLE_KEYS[key]))}</legend>
+            ${options.map((option) => {
+              const checked = filters[key].some((value) => isSameFacetValue(value, option.value));
+              const empty = option.count === 0 && !checked;
+              return `
+                <label class="library-facet-option${empty ? " is-empty" : ""}">
+                  <input type="checkbox" data-facet="${key}" value="${escapeHtml(option.value)}"${checked ? " checked" : ""}${empty ? " disabled" : ""} />
+                  <span class="library-facet-label">${escapeHtml(option.label)}</span>
+                  <span class="library-facet-count">${option.count}</span>
+                </label>
+              `;
+            }).join("")}
+          </fieldset>
+        `).join("")}
+        <fieldset class="library-facet-group">
+          <legend class="library-facet-title">${escapeHtml(t("library.facets.date"))}</legend>
+          <div class="library-facet-range">
+            <label>
+              <span>${escapeHtml(t("library.facets.from"))}</span>
+              <input type="date" class="library-facet-input" data-range="dateFrom" value="${escapeHtml(filters.dateFrom || "")}"${filters.dateTo ? ` max="${escapeHtml(filters.dateTo)}"` : ""} />
+            </label>
+            <label>
+              <span>${escapeHtml(t("library.facets.to"))}</span>
+              <input type="date" class="library-facet-input" data-range="dateTo" value="${escapeHtml(filters.dateTo || "")}"${filters.dateFrom ? ` min="${escapeHtml(filters.dateFrom)}"` : ""} />
+            </label>
+          </div>
+        </fieldset>
+        <fieldset class="library-facet-group">
+          <legend class="library-facet-title">${escapeHtml(t("library.facets.version"))}</legend>
+          <div class="library-facet-range">
+            <label>
+              <span>${escapeHtml(t("library.facets.min"))}</span>
+              <input type="number" class="library-facet-input" data-range="versionMin" min="1" step="1" placeholder="${bounds.min}" value="${filters.versionMin ?? ""}" />
+            </label>
+            <label>
+              <span>${escapeHtml(t("library.facets.max"))}</span>
+              <input type="number" class="library-facet-input" data-range="versionMax" min="1" step="1" placeholder="${bounds.max}" value="${filters.versionMax ?? ""}" />
+            </label>
+          </div>
+        </fieldset>
+        <button type="button" class="library-facets-clear"${activeCount > 0 ? "" : " disabled"}>${escapeHtml(t("library.facets.clear"))}</button>
+      </div>
+    </details>
+  `;
+
+  if (!facetPanelWired) {
+    wireFacetPanel(container);
+    facetPanelWired = true;
+  }
+}
+
+/**
+ * Handle facet panel input (delegated, so it survives re-renders)
+ * @param {HTMLElement} container - Facet panel container
+ */
+function wireFacetPanel(container) {
+  // toggle does not bubble
+  container.addEventListener("toggle", (event) => {
+    if (event.target.classList.contains("library-facets-panel")) {
+      facetsOpen = event.target.open;
+    }
+  }, true);
+
+  container.addEventListener("change", (event) => {
+    const input = event.target;
+
+    if (input.dataset.facet) {
+      const key = input.dataset.facet;
+      const values = currentFilters[key].filter((value) => !isSameFacetValue(value, input.value));
+      currentFilters = { ...currentFilters, [key]: input.checked ? [...values, input.value] : values };
+    } else if (input.dataset.range) {
+      const key = input.dataset.range;
+      let value = input.value || null;
+      if (value && key.startsWith("version")) {
+        value = Number.parseInt(value, 10);
+        if (!(value > 0)) value = null;
+      }
+      currentFilters = { ...currentFilters, [key]: value };
+    } else {
+      return;
+    }
+
+    commitFilters(input);
+  });
+
+  container.addEventListener("click", (event) => {
+    if (!event.target.closest(".library-facets-clear")) return;
+    const cleared = createEmptyFilters();
+    currentFilters = {
+      ...cleared,
+      institution: currentFilters.institution,
+      jurisdiction: currentFilters.jurisdiction,
+      items: isProfileMode ? currentFilters.items : [],
+      q: currentFilters.q,
+    };
+    commitFilters(event.target);
+  });
+}
+
+/**
+ * Write the filters to the URL, re-filter and keep focus on the control that changed
+ * @param {HTMLElement} control - Control the user changed
+ */
+async function commitFilters(control) {
+  const { institution, jurisdiction, q, ...facetFilters } = currentFilters;
+  if (isProfileMode) delete facetFilters.items; // owned by the profile pills
+  updateFilterUrl(facetFilters);
+
+  const selector = control.dataset.facet
+    ? `[data-facet="${control.dataset.facet}"][value="${CSS.escape(control.value)}"]`
+    : control.dataset.range
+      ? `[data-range="${control.dataset.range}"]`
+      : ".library-facets-summary";
+  await applyFilters();
+  document.querySelector(`#library-facets ${selector}`)?.focus();
+}
+
 /**
  * Update active state of sort buttons
  * @param {string} sortType - Current sort type
@@ -160,8 +865,11 @@ function updateSortButtons(sortType) {
  */
 export function sortLibrary(type) {
   currentSort = type;
-  currentDocuments = sortDocuments(currentDocuments, type);
-  renderLibraryTable(currentDocuments);
+  searchRanked = false;
+  if (isProfileMode) {
+    currentDocuments = sortDocuments(currentDocuments, type);
+  }
+  renderLibraryTable();
   updateSortButtons(type);
 }
 
@@ -185,12 +893,11 @@ export function updateSortControlsVisibility(currentFilter) {
   const sortControls = document.querySelector(".sort-controls-wrapper");
   if (!sortControls) return;
 
-  // Hide sort controls when Feed filter is active (Feed is sorted by date)
-  if (currentFilter && currentFilter.toLowerCase() === "feed") {
-    sortControls.classList.add("hidden");
-  } else {
-    sortControls.classList.remove("hidden");
-  }
+  // Hide sort controls, search and facets when Feed filter is active (Feed is sorted by date)
+  const isFeed = !!currentFilter && currentFilter.toLowerCase() === "feed";
+  sortControls.classList.toggle("hidden", isFeed);
+  document.querySelector(".library-search-wrapper")?.classList.toggle("hidden", isFeed);
+  document.getElementById("library-facets")?.classList.toggle("hidden", isFeed);
 }
 
 /**
@@ -200,6 +907,11 @@ export function updateSortControlsVisibility(currentFilter) {
  */
 export async function initializeLibrary(urlFilters = {}, profileInfo = null) {
   try {
+    isMounted = true;
+
+    // Progress bars are drawn with the rows (IndexedDB, so quick)
+    await loadReadingProgress();
+
     // Check if we're in profile mode
     const detectedProfile = detectProfileMode();
     isProfileMode = !!profileInfo || !!detectedProfile;
@@ -215,25 +927,20 @@ export async function initializeLibrary(urlFilters = {}, profileInfo = null) {
         const isInstitutionProfile = detectedProfile?.type === "institution";
         
         // Check if current filter is Feed - hide sort controls if so
-        const currentFilter = getCurrentFilter();
-        if (currentFilter && currentFilter.toLowerCase() === "feed") {
-          sortControls.classList.add("hidden");
-        } else {
-          sortControls.classList.remove("hidden");
-        }
+        updateSortControlsVisibility(getCurrentFilter());
         
         // Update sort buttons for profile mode
         const sortContainer = sortControls.querySelector(".sort-controls");
         if (sortContainer) {
           if (isInstitutionProfile) {
             sortContainer.innerHTML = `
-              <button data-sort="name" class="sort-btn active">Title</button>
-              <button data-sort="postedIn" class="sort-btn">Posted In</button>
+              <button data-sort="name" class="sort-btn active" data-i18n="library.sort.title">${escapeHtml(t("library.sort.title"))}</button>
+              <button data-sort="postedIn" class="sort-btn" data-i18n="library.sort.postedIn">${escapeHtml(t("library.sort.postedIn"))}</button>
             `;
           } else {
             sortContainer.innerHTML = `
-              <button data-sort="name" class="sort-btn active">Title</button>
-              <button data-sort="postedBy" class="sort-btn">Posted By</button>
+              <button data-sort="name" class="sort-btn active" data-i18n="library.sort.title">${escapeHtml(t("library.sort.title"))}</button>
+              <button data-sort="postedBy" class="sort-btn" data-i18n="library.sort.postedBy">${escapeHtml(t("library.sort.postedBy"))}</button>
             `;
           }
         }
@@ -252,27 +959,10 @@ export async function initializeLibrary(urlFilters = {}, profileInfo = null) {
       }
     }
 
-    // Use provided URL filters for context display
-    // Only load and filter documents if not already set (e.g., by profile mode in main.js)
-    if (currentDocuments.length === 0) {
-      // Load all documents (using getDocumentsList for properly transformed data)
-      const allDocuments = await getDocumentsList();
-
-      // Filter documents
-      currentDocuments = filterDocuments(allDocuments, urlFilters);
-
-      // In non-profile mode, exclude Feed items - Feed should only be accessible from profile pages
-      if (!isProfileMode) {
-        currentDocuments = currentDocuments.filter(doc => doc.item !== "Feed");
-      }
-
-      // Sort by default
-      currentDocuments = sortDocuments(currentDocuments, currentSort);
-    }
-
-    // Render
-    renderLibraryTable(currentDocuments);
-    updateContext(urlFilters);
+    // Apply the URL filters and render (profile documents are set by
+    // library-main.js; the full library is fetched page by page)
+    currentFilters = { ...createEmptyFilters(), ...urlFilters };
+    applyFilters();
     updateSortButtons(currentSort);
 
     // Setup sort button handlers
@@ -284,34 +974,127 @@ export async function initializeLibrary(urlFilters = {}, profileInfo = null) {
         }
       });
     });
+
+    // Full-text search (?q=) on top of the URL/profile filters
+    initializeSearch(urlFilters.q);
   } catch (error) {
     console.error("Failed to initialize library:", error);
-    showError("Unable to load document library. Please try again later.");
+    showError(t("library.loadError"));
+  }
+}
+
+/**
+ * Re-render cards and context in the new language
+ * (the Feed carousel re-renders itself from profile-ui)
+ */
+onLocaleChange(() => {
+  if (!isMounted || (isProfileMode && getCurrentFilter().toLowerCase() === "feed")) return;
+
+  if (searchQuery && searchIndex) {
+    renderLibraryTable(); // also re-translates the results line
+  } else {
+    rerenderListRows();
+  }
+  updateContext(getActiveFilters());
+  renderFacetPanel();
+});
+
+// Follow documents as they are published, edited or removed
+onRealtimeChange(applyRealtimeChanges);
+
+/**
+ * Read the reader's progress in each document
+ * @returns {Promise<void>}
+ */
+async function loadReadingProgress() {
+  try {
+    readingProgress = await getReadingProgressMap();
+  } catch (error) {
+    console.warn("Failed to load reading progress:", error);
+    readingProgress = new Map();
   }
 }
 
 /**
- * Set documents from external filter (e.g., profile UI)
+ * Redraw the progress bars of the listed rows (progress synced from another device)
+ */
+onReadingChange(async () => {
+  if (!isMounted) return;
+  await loadReadingProgress();
+  if (!isMounted) return;
+
+  document.querySelectorAll("#library .library-card[data-doc-id]").forEach((row) => {
+    row.querySelector(".library-card-progress")?.remove();
+    const progressRow = createReadingProgress({ id: row.dataset.docId });
+    if (progressRow) row.appendChild(progressRow);
+  });
+});
+
+/**
+ * Set documents from external filter (e.g., profile UI); facets are applied on top
  * @param {Array} documents - Filtered documents to display
  */
 export function setDocumentsFilter(documents) {
-  currentDocuments = sortDocuments(documents, currentSort);
-  renderLibraryTable(currentDocuments);
+  baseDocuments = documents;
+  applyFilters();
   updateSortButtons(currentSort);
 }
 
 /**
  * Get current documents (for profile UI integration)
- * @returns {Array} Current documents array
+ * @returns {Array} Current documents array (facets applied; for the full library, the pages loaded so far)
  */
 export function getCurrentDocuments() {
   return currentDocuments;
 }
 
 /**
- * Set current documents directly
+ * Set the page's documents directly, before initializeLibrary() applies the URL filters
  * @param {Array} documents - Documents to set
  */
 export function setCurrentDocuments(documents) {
-  currentDocuments = documents;
+  baseDocuments = documents;
+}
+
+/**
+ * Forget the page state when another page is shown (see router.js): the
+ * list stops loading and the next visit starts from its URL again; the
+ * search index is kept for it
+ */
+export function resetLibrary() {
+  isMounted = false;
+  listObserver?.disconnect();
+  listObserver = null;
+  listState = null;
+  clearTimeout(searchDebounceTimer);
+
+  currentSort = "name";
+  baseDocuments = [];
+  currentDocuments = [];
+  isProfileMode = false;
+  searchQuery = "";
+  searchRanked = true;
+  currentFilters = createEmptyFilters();
+
+  facetsOpen = false;
+  facetPanelWired = false;
+  facetData = null;
+  facetRequest += 1; // Drop counts still on their way
+
+  dismissNewDocuments();
+  updateBodyProfileClass(false);
+}
+
+/**
+ * Warm the first page and the facet counts of the full library
+ * (read through the data-repository.js cache, as the list will)
+ * @param {Object} urlFilters - URL-derived filters
+ * @returns {Promise<void>}
+ */
+export async function prefetchLibrary(urlFilters = {}) {
+  const filters = { ...createEmptyFilters(), ...urlFilters };
+  await Promise.all([
+    getLibraryPage({ filters, sort: "name", cursor: null, limit: PAGE_SIZE }),
+    getLibraryFacets(filters),
+  ]);
 }
@@ -0,0 +1,432 @@
+/**
+ * Arabic messages (العربية)
+ * Plural forms follow Intl.PluralRules('ar'): zero, one, two, few, many, other
+ */
+
+export default {
+  'locale.label': 'اللغة',
+
+  'common.all': 'الكل',
+  'common.untitled': 'بدون عنوان',
+  'common.unknown': 'غير معروف',
+  'common.loading': 'جارٍ التحميل...',
+  'common.close': 'إغلاق',
+  'common.copied': 'تم النسخ!',
+
+  'index.tab.space': 'المساحات',
+  'index.tab.content': 'المحتوى',
+  'index.tab.account': 'الحسابات',
+  'index.allSpaces': 'جميع المساحات',
+  'index.allContent': 'جميع المحتوى',
+  'index.allAccounts': 'جميع الحسابات',
+  'index.continueReading': 'متابعة القراءة',
+
+  'itemType.all': 'الكل',
+  'itemType.feed': 'الأخبار',
+  'itemType.book': 'كتاب',
+  'itemType.guideline': 'إرشادات',
+  'itemType.policy': 'سياسة',
+  'itemType.decision': 'قرار',
+  'itemType.verdict': 'حكم',
+  'itemType.note': 'ملاحظة',
+
+  'library.postedIn': 'نُشر في',
+  'library.postedBy': 'نشرته',
+  'library.sort.title': 'العنوان',
+  'library.sort.postedIn': 'مكان النشر',
+  'library.sort.postedBy': 'الناشر',
+  'library.languages': 'اللغات المتاحة',
+  'library.language': '{name} ({english})',
+  'library.languageOriginal': '{name} ({english}، الأصل)',
+  'library.search.placeholder': 'ابحث في الوثائق…',
+  'library.search.label': 'ابحث في الوثائق',
+  'library.search.searching': 'جارٍ البحث…',
+  'library.search.unavailable': 'البحث غير متاح حاليًا.',
+  'library.search.noMatches': 'لا توجد وثائق تطابق «{query}»',
+  'library.search.results': {
+    zero: 'لا نتائج لـ«{query}»',
+    one: 'نتيجة واحدة لـ«{query}»',
+    two: 'نتيجتان لـ«{query}»',
+    few: '{count} نتائج لـ«{query}»',
+    many: '{count} نتيجة لـ«{query}»',
+    other: '{count} نتيجة لـ«{query}»'
+  },
+  'library.facets.title': 'عوامل التصفية',
+  'library.facets.type': 'النوع',
+  'library.facets.date': 'التاريخ',
+  'library.facets.from': 'من',
+  'library.facets.to': 'إلى',
+  'library.facets.version': 'الإصدار',
+  'library.facets.min': 'الأدنى',
+  'library.facets.max': 'الأقصى',
+  'library.facets.clear': 'مسح عوامل التصفية',
+  'library.facets.versionRange': 'الإصدار {min}–{max}',
+  'library.loadingMore': 'جارٍ تحميل المزيد…',
+  'library.loadMoreError': 'تعذر تحميل المزيد من الوثائق.',
+  'library.retry': 'حاول مرة أخرى',
+  'library.offlineLink': 'المكتبة دون اتصال',
+  'library.readingProgress': 'تمت قراءة {percent}%',
+  'library.realtime.newDocuments': {
+    zero: 'لا وثائق جديدة',
+    one: 'وثيقة جديدة واحدة',
+    two: 'وثيقتان جديدتان',
+    few: '{count} وثائق جديدة',
+    many: '{count} وثيقة جديدة',
+    other: '{count} وثيقة جديدة'
+  },
+  'library.realtime.show': 'عرض',
+  'library.loadError': 'تعذر تحميل مكتبة الوثائق. يرجى المحاولة لاحقًا.',
+
+  'profile.contributions': {
+    zero: 'لا مساهمات',
+    one: 'مساهمة واحدة',
+    two: 'مساهمتان',
+    few: '{count} مساهمات',
+    many: '{count} مساهمة',
+    other: '{count} مساهمة'
+  },
+  'profile.contributors': {
+    zero: 'لا مساهمين',
+    one: 'مساهم واحد',
+    two: 'مساهمان',
+    few: '{count} مساهمين',
+    many: '{count} مساهمًا',
+    other: '{count} مساهم'
+  },
+  'profile.contributionCount': {
+    zero: 'لا مساهمات',
+    one: 'مساهمة واحدة',
+    two: 'مساهمتان',
+    few: '{count} مساهمات',
+    many: '{count} مساهمة',
+    other: '{count} مساهمة'
+  },
+  'profile.contact': 'تواصل',
+  'profile.contributorsButton': 'المساهمون',
+  'profile.coverAlt': 'صورة الغلاف',
+  'profile.contactTitle': 'معلومات التواصل',
+  'profile.contributorsTitle': 'المساهمون',
+  'profile.email': 'البريد الإلكتروني',
+  'profile.phone': 'الهاتف',
+  'profile.address': 'العنوان',
+  'profile.website': 'الموقع الإلكتروني',
+  'profile.noContact': 'لا تتوفر معلومات للتواصل',
+  'profile.noContributors': 'لا يوجد مساهمون',
+  'profile.view': 'عرض',
+  'profile.joined': 'انضم في {date}',
+  'profile.role.member': 'عضو',
+  'profile.role.observer': 'مراقب',
+  'profile.role.moderator': 'مشرف',
+  'profile.offline.save': 'حفظ للقراءة دون اتصال',
+  'profile.offline.saved': 'محفوظ للقراءة دون اتصال',
+  'profile.offline.saving': 'جارٍ الحفظ {done}/{total}…',
+  'profile.offline.removing': 'جارٍ الإزالة…',
+  'profile.offline.failed': 'تعذر الحفظ للقراءة دون اتصال: {message}',
+  'profile.offline.partial': {
+    one: 'تعذر حفظ وثيقة واحدة للقراءة دون اتصال.',
+    two: 'تعذر حفظ وثيقتين للقراءة دون اتصال.',
+    few: 'تعذر حفظ {count} وثائق للقراءة دون اتصال.',
+    other: 'تعذر حفظ {count} وثيقة للقراءة دون اتصال.'
+  },
+
+  'archetype.facet': 'نوع الحساب',
+  'archetype.profitModel.non_profit': 'غير ربحي',
+  'archetype.profitModel.profit': 'ربحي',
+  'archetype.profitModel.user_paid': 'مدفوع من المستخدم',
+  'archetype.visibility.private': 'خاص',
+  'archetype.visibility.public': 'عام',
+  'archetype.visibility.at_cost': 'بسعر التكلفة',
+
+  'feed.empty': 'لا توجد أخبار.',
+  'feed.postedBy': 'نشرته {name}',
+  'feed.postedIn': 'نُشر في {name}',
+  'carousel.previous': 'الشريحة السابقة',
+  'carousel.next': 'الشريحة التالية',
+  'carousel.goTo': 'انتقل إلى الشريحة {number}',
+
+  'prayer.fetchingLocation': 'جارٍ تحديد موقعك...',
+  'prayer.loadError': 'تعذر تحميل أوقات الصلاة.',
+  'prayer.qibla': 'القبلة {bearing} · {distance}',
+  'prayer.approximate': '(تقريبي)',
+  'prayer.name.fajr': 'الفجر',
+  'prayer.name.sunrise': 'الشروق',
+  'prayer.name.dhuhr': 'الظهر',
+  'prayer.name.asr': 'العصر',
+  'prayer.name.maghrib': 'المغرب',
+  'prayer.name.isha': 'العشاء',
+  'prayer.settings.location': 'الموقع',
+  'prayer.settings.calculation': 'إعدادات الحساب',
+  'prayer.settings.reminders': 'التذكيرات',
+  'prayer.settings.qibla': 'بوصلة القبلة',
+  'prayer.settings.method': 'طريقة الحساب',
+  'prayer.settings.asr': 'العصر',
+  'prayer.settings.hijri': 'التاريخ الهجري',
+  'prayer.settings.noAdjustment': 'بدون تعديل',
+  'prayer.settings.adjustment': {
+    one: '{sign}يوم واحد',
+    two: '{sign}يومان',
+    few: '{sign}{count} أيام',
+    other: '{sign}{count} يوم'
+  },
+  'prayer.settings.originUser': 'إعدادك',
+  'prayer.settings.originProfile': 'افتراضي الملف',
+  'prayer.settings.originDefault': 'افتراضي',
+  'prayer.settings.reset': 'إعادة ضبط',
+  'prayer.settings.timetable': 'الجدول الشهري ←',
+  'qibla.instructions': 'ضع جهازك بشكل مستوٍ، ثم شغّل البوصلة.',
+  'qibla.start': 'تشغيل البوصلة',
+  'qibla.heading': 'الاتجاه {bearing}',
+  'qibla.waiting': 'بانتظار البوصلة…',
+  'qibla.unavailable': 'البوصلة غير متاحة على هذا الجهاز.',
+  'reminders.unsupported': 'التذكيرات غير مدعومة في هذا المتصفح.',
+  'reminders.enabled': 'تذكيرات الصلاة',
+  'reminders.blocked': 'الإشعارات محظورة لهذا الموقع في إعدادات المتصفح.',
+  'reminders.lead': 'ذكّرني',
+  'reminders.atPrayerTime': 'عند وقت الصلاة',
+  'reminders.minutesBefore': 'قبل {minutes} دقيقة',
+  'reminders.quietHours': 'ساعات الهدوء',
+  'reminders.quietStart': 'بداية ساعات الهدوء',
+  'reminders.quietEnd': 'نهاية ساعات الهدوء',
+
+  'marquee.prayerSettings': 'إعدادات الصلاة',
+  'marquee.retry': 'إعادة محاولة تحديد الموقع',
+  'marquee.locationFailed': 'تعذر تحديد الموقع. يُستخدم الموقع الاحتياطي.',
+  'marquee.loadError': 'تعذر تحميل المحتوى. يرجى التحقق من اتصالك.',
+
+  'viewer.versions.label': 'إصدارات الوثيقة',
+  'viewer.versions.version': 'الإصدار',
+  'viewer.versions.compare': 'المقارنة مع',
+  'viewer.versions.permalink': 'رابط دائم',
+  'viewer.versions.latest': '(الأحدث)',
+  'viewer.versions.changes': {
+    zero: 'التغييرات من الإصدار {from} إلى الإصدار {to}: لم تتغير أي كتلة.',
+    one: 'التغييرات من الإصدار {from} إلى الإصدار {to}: تغيّرت كتلة واحدة.',
+    two: 'التغييرات من الإصدار {from} إلى الإصدار {to}: تغيّرت كتلتان.',
+    few: 'التغييرات من الإصدار {from} إلى الإصدار {to}: تغيّرت {count} كتل.',
+    many: 'التغييرات من الإصدار {from} إلى الإصدار {to}: تغيّرت {count} كتلة.',
+    other: 'التغييرات من الإصدار {from} إلى الإصدار {to}: تغيّرت {count} كتلة.'
+  },
+  'viewer.status.archivedTitle': 'مؤرشفة.',
+  'viewer.status.archived': 'أُرشفت هذه الوثيقة وهي محفوظة للرجوع إليها فقط.',
+  'viewer.status.archivedOn': 'أُرشفت هذه الوثيقة في {date} وهي محفوظة للرجوع إليها فقط.',
+  'viewer.status.previewTitle': 'معاينة.',
+  'viewer.status.preview.draft': 'هذه الوثيقة مسودة ولا يراها القرّاء بعد.',
+  'viewer.status.preview.inReview': 'هذه الوثيقة بانتظار الاعتماد ولا يراها القرّاء بعد.',
+  'viewer.status.preview.approved': 'هذه الوثيقة معتمدة لكنها لم تُنشر بعد، لذا لا يراها القرّاء.',
+  'viewer.status.preview.scheduled': 'هذه الوثيقة مجدولة للنشر في {date} ولا يراها القرّاء بعد.',
+  'viewer.status.supersededTitle': 'حلّ محلها الإصدار {version}.',
+  'viewer.status.superseded': 'أنت تشاهد الإصدار {version}.',
+  'viewer.status.viewLatest': 'عرض الأحدث (الإصدار {version})',
+  'viewer.offline.save': 'حفظ للقراءة دون اتصال',
+  'viewer.offline.saved': 'محفوظة للقراءة دون اتصال',
+  'viewer.offline.saving': 'جارٍ الحفظ…',
+  'viewer.offline.removing': 'جارٍ الإزالة…',
+  'viewer.offline.savedOn': 'حُفظت النسخة دون اتصال في {date}',
+  'viewer.offline.inCollection': 'محفوظة بالفعل مع مؤسستها أو ولايتها؛ احفظها منفردة لتبقى إذا أُزيلت تلك المجموعة',
+  'viewer.offline.failed': 'تعذر تحديث النسخة دون اتصال: {message}',
+  'viewer.loading': 'جارٍ تحميل الوثيقة...',
+  'viewer.error.title': '⚠️ الوثيقة غير موجودة',
+  'viewer.error.noId': 'لم يُحدَّد معرّف الوثيقة. استخدم صيغة الرابط: document-viewer.html?doc=book0',
+  'viewer.error.notFound': 'الوثيقة "{docId}" غير موجودة.',
+  'viewer.error.versionNotFound': 'الإصدار {version} من "{docId}" غير موجود.',
+  'viewer.error.loadFailed': 'تعذر تحميل الوثيقة: {message}',
+  'viewer.backToLibrary': '→ العودة إلى المكتبة',
+  'viewer.unknownInstitution': 'مؤسسة غير معروفة',
+  'viewer.unknownJurisdiction': 'ولاية غير معروفة',
+  'viewer.languages.label': 'لغات الوثيقة',
+  'viewer.languages.language': 'اللغة',
+  'viewer.languages.parallel': 'جنبًا إلى جنب مع',
+  'viewer.languages.original': '{name} — الأصل',
+  'viewer.languages.outdated': 'الترجمة {language} أُعدّت من الإصدار {from} وقد لا تتضمن تغييرات الإصدار {version}.',
+  'viewer.languages.readOriginal': 'اقرأ الأصل ({language})',
+  'viewer.toc.contents': 'المحتويات',
+  'viewer.toc.headingLink': 'رابط إلى {label}',
+  'viewer.toc.copyParagraphLink': '🔗 نسخ رابط الفقرة',
+  'viewer.toc.linkInAddressBar': 'الرابط في شريط العنوان',
+  'viewer.print': '🖨 طباعة / حفظ كملف PDF',
+
+  'reading.resume': 'متابعة من حيث توقفت ({percent})',
+  'reading.startOver': 'البدء من جديد',
+  'reading.bookmarks': '🔖 العلامات المرجعية',
+  'reading.bookmarksCount': '🔖 العلامات المرجعية ({count})',
+  'reading.bookmarkHere': 'ضع علامة مرجعية هنا',
+  'reading.notePlaceholder': 'ملاحظة (اختياري)',
+  'reading.addBookmark': 'إضافة علامة مرجعية',
+  'reading.latestOnly': 'لا يمكن إضافة العلامات المرجعية إلا إلى أحدث إصدار.',
+  'reading.addFailed': 'تعذرت إضافة العلامة المرجعية: {message}',
+  'reading.empty': 'لا توجد علامات مرجعية بعد.',
+  'reading.startOfDocument': 'بداية الوثيقة',
+  'reading.editNote': 'تعديل الملاحظة',
+  'reading.addNote': 'إضافة ملاحظة',
+  'reading.delete': 'حذف',
+  'reading.note': 'ملاحظة',
+  'reading.save': 'حفظ',
+  'reading.cancel': 'إلغاء',
+
+  'offline.heading': 'محفوظ للقراءة دون اتصال',
+  'offline.loading': 'جارٍ تحميل الوثائق المحفوظة…',
+  'offline.readFailed': 'تعذرت قراءة الوثائق المحفوظة في هذا المتصفح.',
+  'offline.empty': 'لم يُحفظ شيء بعد. استخدم «{save}» في وثيقة، أو في ملف مؤسسة أو ولاية في المكتبة، لقراءتها هنا دون اتصال.',
+  'offline.openLibrary': 'فتح المكتبة',
+  'offline.collections': 'المجموعات',
+  'offline.documents': 'الوثائق',
+  'offline.documentCount': {
+    zero: 'لا وثائق',
+    one: 'وثيقة واحدة',
+    two: 'وثيقتان',
+    few: '{count} وثائق',
+    other: '{count} وثيقة'
+  },
+  'offline.siteUsage': '(إجمالي الموقع {usage} من {quota} متاحة)',
+  'offline.savedOn': 'حُفظت {date}',
+  'offline.inCollections': 'ضمن {names}',
+  'offline.remove': 'إزالة',
+  'offline.removeFailed': 'تعذرت إزالة النسخة المحفوظة',
+  'offline.type.institution': 'مؤسسة',
+  'offline.type.jurisdiction': 'ولاية',
+
+  'publish.heading': 'النشر',
+  'publish.signIn': 'تسجيل الدخول',
+  'publish.signInHint': 'لأعضاء المؤسسات. اطلب من أحد المسؤولين إضافة حسابك إلى مؤسستك.',
+  'publish.email': 'البريد الإلكتروني',
+  'publish.password': 'كلمة المرور',
+  'publish.passwordRequired': 'أدخل كلمة المرور، أو اطلب رابط تسجيل الدخول بدلاً من ذلك.',
+  'publish.emailLink': 'أرسل لي رابط تسجيل الدخول',
+  'publish.emailLinkSent': 'تم إرسال رابط تسجيل الدخول إلى {email}.',
+  'publish.signingIn': 'جارٍ تسجيل الدخول…',
+  'publish.signInFailed': 'فشل تسجيل الدخول: {message}',
+  'publish.signOut': 'تسجيل الخروج',
+  'publish.signedInAs': 'مسجّل الدخول باسم {email}',
+  'publish.institution': 'المؤسسة',
+  'publish.noMembership': 'حسابك ليس عضوًا في أي مؤسسة بعد.',
+  'publish.loadError': 'تعذر تحميل بوابة النشر. يرجى المحاولة مرة أخرى.',
+  'publish.tab.documents': 'الوثائق',
+  'publish.tab.carousels': 'الشرائح المتحركة',
+  'publish.tab.profile': 'الملف الشخصي',
+  'publish.tab.feed': 'أداة الموجز',
+  'publish.none': 'لا شيء',
+  'publish.siteDefault': 'الإعداد الافتراضي للموقع',
+  'publish.visible': 'منشور',
+  'publish.hidden': 'مخفي',
+  'publish.edit': 'تعديل',
+  'publish.view': 'عرض',
+  'publish.save': 'حفظ',
+  'publish.cancel': 'إلغاء',
+  'publish.delete': 'حذف',
+  'publish.upload': 'رفع صورة',
+  'publish.saving': 'جارٍ الحفظ…',
+  'publish.saved': 'تم الحفظ.',
+  'publish.deleted': 'تم الحذف.',
+  'publish.uploaded': 'تم رفع الصورة.',
+  'publish.error': 'تعذر الحفظ: {message}',
+  'publish.unsafeUrl': 'رابط غير مسموح به: {url}',
+  'publish.field.docId': 'معرّف الوثيقة',
+  'publish.field.title': 'العنوان',
+  'publish.field.itemType': 'النوع',
+  'publish.field.jurisdiction': 'الولاية',
+  'publish.field.language': 'اللغة',
+  'publish.field.date': 'التاريخ',
+  'publish.field.status': 'الحالة',
+  'publish.field.version': 'الإصدار',
+  'publish.field.visible': 'منشور (مرئي للقرّاء)',
+  'publish.field.content': 'المحتوى (HTML)',
+  'publish.field.slides': 'الشرائح',
+  'publish.field.imageUrl': 'رابط الصورة',
+  'publish.field.linkedDocument': 'الوثيقة المرتبطة',
+  'publish.field.bio': 'نبذة',
+  'publish.field.avatar': 'الصورة الرمزية',
+  'publish.field.cover': 'صورة الغلاف',
+  'publish.field.email': 'البريد الإلكتروني',
+  'publish.field.phone': 'الهاتف',
+  'publish.field.address': 'العنوان البريدي',
+  'publish.field.website': 'الموقع الإلكتروني',
+  'publish.field.widgetEnabled': 'إظهار أداة مواقيت الصلاة في الموجز',
+  'publish.newDocument': 'وثيقة جديدة',
+  'publish.editDocument': 'تعديل «{title}»',
+  'publish.noDocuments': 'لا توجد وثائق بعد.',
+  'publish.docIdHint': 'أحرف لاتينية صغيرة وأرقام و"-" و"_". يُستخدم في الروابط ولا يمكن تغييره لاحقًا.',
+  'publish.invalidDocId': 'لا يجوز أن يحتوي معرّف الوثيقة إلا على أحرف لاتينية صغيرة وأرقام و"-" و"_".',
+  'publish.invalidLanguage': 'أدخل رمز لغة مثل en أو ar أو ms.',
+  'publish.contentHint': 'تُزال العناصر غير المدعومة (النصوص البرمجية والنماذج والعناصر المضمّنة) عند الحفظ.',
+  'publish.correctVersion': 'تصحيح الإصدار {version} في مكانه',
+  'publish.newVersion': 'النشر كإصدار {version} (مع الاحتفاظ بالإصدار السابق)',
+  'publish.history': 'سجل الإصدارات',
+  'publish.compare': 'التغييرات منذ الإصدار {version}',
+  'publish.confirmDeleteDocument': 'حذف «{title}» وجميع إصداراته؟',
+  'publish.newCarousel': 'شرائح متحركة جديدة',
+  'publish.editCarousel': 'تعديل «{title}»',
+  'publish.noCarousels': 'لا توجد شرائح متحركة بعد.',
+  'publish.addSlide': 'إضافة شريحة',
+  'publish.moveUp': 'نقل لأعلى',
+  'publish.moveDown': 'نقل لأسفل',
+  'publish.removeSlide': 'إزالة الشريحة',
+  'publish.confirmDeleteCarousel': 'حذف الشرائح المتحركة «{title}»؟',
+  'publish.tab.review': 'المراجعة',
+  'publish.workflow': 'سير العمل',
+  'publish.status.draft': 'مسودة',
+  'publish.status.in_review': 'قيد المراجعة',
+  'publish.status.approved': 'معتمد',
+  'publish.status.published': 'منشور',
+  'publish.status.scheduled': 'مجدول في {date}',
+  'publish.status.archived': 'مؤرشف',
+  'publish.action.submit': 'إرسال للمراجعة',
+  'publish.action.publish': 'نشر',
+  'publish.action.approve': 'اعتماد',
+  'publish.action.withdraw': 'إعادة إلى المسودة',
+  'publish.action.requestChanges': 'طلب تعديلات',
+  'publish.action.archive': 'أرشفة',
+  'publish.action.unpublish': 'إلغاء النشر',
+  'publish.action.restore': 'استعادة',
+  'publish.confirm.archive': 'أرشفة «{title}»؟ ستُزال من المكتبة لكنها تبقى متاحة للقراءة عبر الرابط.',
+  'publish.confirm.unpublish': 'إلغاء نشر «{title}»؟ لن يتمكن القرّاء من رؤيتها بعد الآن.',
+  'publish.hint.submit': 'يؤدي الإرسال إلى إحالتها إلى {jurisdiction} للاعتماد.',
+  'publish.hint.publishDirectly': 'لا تنتمي هذه الوثيقة إلى أي ولاية، لذا يمكن نشرها دون مراجعة.',
+  'publish.hint.inReview': 'بانتظار اعتماد {jurisdiction}.',
+  'publish.editResetsReview': 'يؤدي حفظ التغييرات إلى إعادة هذه الوثيقة إلى المسودة؛ وستحتاج إلى الاعتماد من جديد.',
+  'publish.field.publishAt': 'النشر في',
+  'publish.publishAtHint': 'اتركه فارغًا للنشر الآن.',
+  'publish.field.reviewNote': 'ملاحظة من المراجع',
+  'publish.field.reviewNoteInput': 'ملاحظة للمؤسسة (اختياري)',
+  'publish.field.submitted': 'تاريخ الإرسال',
+  'publish.statusChanged': 'تم تحديث الحالة.',
+  'publish.noReviews': 'لا يوجد ما ينتظر المراجعة.',
+  'publish.review': 'مراجعة',
+  'publish.reviewDocument': 'مراجعة «{title}»',
+  'publish.readDocument': 'قراءة الوثيقة',
+  'publish.back': 'رجوع',
+  'publish.contact': 'التواصل',
+  'publish.feedHint': 'لا يزال بإمكان القرّاء اختيار طريقة الحساب والمذهب في العصر من إعدادات الصلاة.',
+  'publish.widgetType': 'محفوظ باسم',
+
+  'timetable.title': 'جدول مواقيت الصلاة',
+  'timetable.period': 'الفترة',
+  'timetable.month': 'شهر',
+  'timetable.year': 'سنة',
+  'timetable.print': 'طباعة',
+  'timetable.copyDocument': 'نسخ كوثيقة',
+  'timetable.date': 'التاريخ',
+  'timetable.loading': 'جارٍ حساب الجدول...',
+  'timetable.loadError': 'تعذر تحميل الجدول: {message}',
+  'timetable.documentTitle': 'جدول مواقيت الصلاة {period}',
+
+  'time.hoursMinutes': '{hours} س {minutes} د',
+  'time.minutes': '{minutes} د',
+  'location.fallback': '(احتياطي)',
+  'location.myLocation': 'موقعي',
+  'location.remove': 'إزالة {name}',
+  'location.search.placeholder': 'ابحث عن مدينة…',
+  'location.search.label': 'البحث عن مدينة',
+  'location.search.submit': 'بحث',
+  'location.search.searching': 'جارٍ البحث…',
+  'location.search.noResults': 'لم يُعثر على أماكن.',
+  'location.search.unavailable': 'البحث غير متاح حاليًا.',
+  'location.use': 'استخدام',
+  'location.saving': 'جارٍ الحفظ…',
+
+  'hijri.months': [
+    'محرم', 'صفر', 'ربيع الأول', 'ربيع الآخر',
+    'جمادى الأولى', 'جمادى الآخرة', 'رجب', 'شعبان',
+    'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
+  ],
+  'hijri.date': '{day} {month} {year} هـ'
+};
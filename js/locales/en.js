@@ -0,0 +1,419 @@
+/**
+ * English messages (source catalog)
+ * Every key used with t() must exist here; other catalogs fall back to it.
+ * Plural messages are keyed by Intl.PluralRules category (one, other, ...).
+ */
+
+export default {
+  // Locale switcher
+  'locale.label': 'Language',
+
+  // Common
+  'common.all': 'All',
+  'common.untitled': 'Untitled',
+  'common.unknown': 'Unknown',
+  'common.loading': 'Loading things up...',
+  'common.close': 'Close',
+  'common.copied': 'Copied!',
+
+  // Index tabs
+  'index.tab.space': 'Space',
+  'index.tab.content': 'Content',
+  'index.tab.account': 'Account',
+  'index.allSpaces': 'All Spaces',
+  'index.allContent': 'All Content',
+  'index.allAccounts': 'All Accounts',
+  'index.continueReading': 'Continue reading',
+
+  // Item types (filter pills, context line)
+  'itemType.all': 'All',
+  'itemType.feed': 'Feed',
+  'itemType.book': 'Book',
+  'itemType.guideline': 'Guideline',
+  'itemType.policy': 'Policy',
+  'itemType.decision': 'Decision',
+  'itemType.verdict': 'Verdict',
+  'itemType.note': 'Note',
+
+  // Library
+  'library.postedIn': 'Posted in',
+  'library.postedBy': 'Posted by',
+  'library.sort.title': 'Title',
+  'library.sort.postedIn': 'Posted In',
+  'library.sort.postedBy': 'Posted By',
+  'library.languages': 'Available languages',
+  'library.language': '{name} ({english})',
+  'library.languageOriginal': '{name} ({english}, original)',
+  'library.search.placeholder': 'Search documents…',
+  'library.search.label': 'Search documents',
+  'library.search.searching': 'Searching…',
+  'library.search.unavailable': 'Search is unavailable right now.',
+  'library.search.noMatches': 'No documents match “{query}”',
+  'library.search.results': {
+    one: '{count} result for “{query}”',
+    other: '{count} results for “{query}”'
+  },
+  'library.facets.title': 'Filters',
+  'library.facets.type': 'Type',
+  'library.facets.date': 'Date',
+  'library.facets.from': 'From',
+  'library.facets.to': 'To',
+  'library.facets.version': 'Version',
+  'library.facets.min': 'Min',
+  'library.facets.max': 'Max',
+  'library.facets.clear': 'Clear filters',
+  'library.facets.versionRange': 'Version {min}–{max}',
+  'library.loadingMore': 'Loading more…',
+  'library.loadMoreError': 'Could not load more documents.',
+  'library.retry': 'Try again',
+  'library.offlineLink': 'Offline library',
+  'library.readingProgress': '{percent}% read',
+  'library.realtime.newDocuments': {
+    one: '{count} new document',
+    other: '{count} new documents'
+  },
+  'library.realtime.show': 'Show',
+  'library.loadError': 'Unable to load document library. Please try again later.',
+
+  // Profiles
+  'profile.contributions': {
+    one: '{count} Contribution',
+    other: '{count} Contributions'
+  },
+  'profile.contributors': {
+    one: '{count} Contributor',
+    other: '{count} Contributors'
+  },
+  'profile.contributionCount': {
+    one: '{count} contribution',
+    other: '{count} contributions'
+  },
+  'profile.contact': 'Contact',
+  'profile.contributorsButton': 'Contributors',
+  'profile.coverAlt': 'Cover',
+  'profile.contactTitle': 'Contact Information',
+  'profile.contributorsTitle': 'Contributors',
+  'profile.email': 'Email',
+  'profile.phone': 'Phone',
+  'profile.address': 'Address',
+  'profile.website': 'Website',
+  'profile.noContact': 'No contact information available',
+  'profile.noContributors': 'No contributors found',
+  'profile.view': 'View',
+  'profile.joined': 'Joined {date}',
+  'profile.role.member': 'Member',
+  'profile.role.observer': 'Observer',
+  'profile.role.moderator': 'Moderator',
+  'profile.offline.save': 'Save for offline',
+  'profile.offline.saved': 'Saved for offline',
+  'profile.offline.saving': 'Saving {done}/{total}…',
+  'profile.offline.removing': 'Removing…',
+  'profile.offline.failed': 'Could not save for offline reading: {message}',
+  'profile.offline.partial': {
+    one: '{count} document could not be saved for offline reading.',
+    other: '{count} documents could not be saved for offline reading.'
+  },
+
+  // Account archetypes
+  'archetype.facet': 'Account type',
+  'archetype.profitModel.non_profit': 'Non-Profit',
+  'archetype.profitModel.profit': 'Profit',
+  'archetype.profitModel.user_paid': 'User-Paid',
+  'archetype.visibility.private': 'Private',
+  'archetype.visibility.public': 'Public',
+  'archetype.visibility.at_cost': 'At-Cost',
+
+  // Feed
+  'feed.empty': 'No feed items found.',
+  'feed.postedBy': 'Posted by {name}',
+  'feed.postedIn': 'Posted in {name}',
+  'carousel.previous': 'Previous slide',
+  'carousel.next': 'Next slide',
+  'carousel.goTo': 'Go to slide {number}',
+
+  // Prayer times
+  'prayer.fetchingLocation': 'Fetching your location...',
+  'prayer.loadError': 'Unable to load prayer times.',
+  'prayer.qibla': 'Qibla {bearing} · {distance}',
+  'prayer.approximate': '(approximate)',
+  'prayer.name.fajr': 'Fajr',
+  'prayer.name.sunrise': 'Sunrise',
+  'prayer.name.dhuhr': 'Dhuhr',
+  'prayer.name.asr': 'Asr',
+  'prayer.name.maghrib': 'Maghrib',
+  'prayer.name.isha': 'Isha',
+  'prayer.settings.location': 'Location',
+  'prayer.settings.calculation': 'Calculation settings',
+  'prayer.settings.reminders': 'Reminders',
+  'prayer.settings.qibla': 'Qibla compass',
+  'prayer.settings.method': 'Method',
+  'prayer.settings.asr': 'Asr',
+  'prayer.settings.hijri': 'Hijri date',
+  'prayer.settings.noAdjustment': 'No adjustment',
+  'prayer.settings.adjustment': {
+    one: '{sign}{count} day',
+    other: '{sign}{count} days'
+  },
+  'prayer.settings.originUser': 'Your setting',
+  'prayer.settings.originProfile': 'Profile default',
+  'prayer.settings.originDefault': 'Default',
+  'prayer.settings.reset': 'Reset',
+  'prayer.settings.timetable': 'Monthly timetable →',
+  'qibla.instructions': 'Hold your device flat, then start the compass.',
+  'qibla.start': 'Start compass',
+  'qibla.heading': 'Heading {bearing}',
+  'qibla.waiting': 'Waiting for compass…',
+  'qibla.unavailable': 'Compass is not available on this device.',
+  'reminders.unsupported': 'Reminders are not supported in this browser.',
+  'reminders.enabled': 'Prayer reminders',
+  'reminders.blocked': 'Notifications are blocked for this site in your browser settings.',
+  'reminders.lead': 'Remind me',
+  'reminders.atPrayerTime': 'At prayer time',
+  'reminders.minutesBefore': '{minutes} min before',
+  'reminders.quietHours': 'Quiet hours',
+  'reminders.quietStart': 'Quiet hours start',
+  'reminders.quietEnd': 'Quiet hours end',
+
+  // Marquee
+  'marquee.prayerSettings': 'Prayer settings',
+  'marquee.retry': 'Retry location fetch',
+  'marquee.locationFailed': 'Location fetch failed. Using fallback location.',
+  'marquee.loadError': 'Unable to load marquee content. Please check your connection.',
+
+  // Document viewer
+  'viewer.versions.label': 'Document versions',
+  'viewer.versions.version': 'Version',
+  'viewer.versions.compare': 'Compare with',
+  'viewer.versions.permalink': 'Permalink',
+  'viewer.versions.latest': '(latest)',
+  'viewer.versions.changes': {
+    one: 'Changes from v{from} to v{to}: {count} block changed.',
+    other: 'Changes from v{from} to v{to}: {count} blocks changed.'
+  },
+  'viewer.status.archivedTitle': 'Archived.',
+  'viewer.status.archived': 'This document was archived and is kept for reference only.',
+  'viewer.status.archivedOn': 'This document was archived on {date} and is kept for reference only.',
+  'viewer.status.previewTitle': 'Preview.',
+  'viewer.status.preview.draft': 'This document is a draft and is not visible to readers yet.',
+  'viewer.status.preview.inReview': 'This document is waiting for approval and is not visible to readers yet.',
+  'viewer.status.preview.approved': 'This document is approved but not yet published, so readers cannot see it yet.',
+  'viewer.status.preview.scheduled': 'This document is scheduled to be published on {date} and is not visible to readers yet.',
+  'viewer.status.supersededTitle': 'Superseded by v{version}.',
+  'viewer.status.superseded': 'You are viewing version {version}.',
+  'viewer.status.viewLatest': 'View the latest (v{version})',
+  'viewer.offline.save': 'Save for offline',
+  'viewer.offline.saved': 'Saved for offline',
+  'viewer.offline.saving': 'Saving…',
+  'viewer.offline.removing': 'Removing…',
+  'viewer.offline.savedOn': 'Offline copy saved {date}',
+  'viewer.offline.inCollection': 'Already saved with its institution or jurisdiction; save it on its own to keep it if that collection is removed',
+  'viewer.offline.failed': 'Could not update the offline copy: {message}',
+  'viewer.loading': 'Loading document...',
+  'viewer.error.title': '⚠️ Document not found',
+  'viewer.error.noId': 'No document ID provided. Use URL format: document-viewer.html?doc=book0',
+  'viewer.error.notFound': 'Document "{docId}" not found.',
+  'viewer.error.versionNotFound': 'Version {version} of "{docId}" not found.',
+  'viewer.error.loadFailed': 'Failed to load document: {message}',
+  'viewer.backToLibrary': '← Back to Library',
+  'viewer.unknownInstitution': 'Unknown Institution',
+  'viewer.unknownJurisdiction': 'Unknown Jurisdiction',
+  'viewer.languages.label': 'Document languages',
+  'viewer.languages.language': 'Language',
+  'viewer.languages.parallel': 'Side by side with',
+  'viewer.languages.original': '{name} — original',
+  'viewer.languages.outdated': 'The {language} translation was made from version {from} and may not include changes in version {version}.',
+  'viewer.languages.readOriginal': 'Read the original ({language})',
+  'viewer.toc.contents': 'Contents',
+  'viewer.toc.headingLink': 'Link to {label}',
+  'viewer.toc.copyParagraphLink': '🔗 Copy link to paragraph',
+  'viewer.toc.linkInAddressBar': 'Link is in the address bar',
+  'viewer.print': '🖨 Print / Save as PDF',
+
+  // Reading position and bookmarks
+  'reading.resume': 'Continuing where you left off ({percent})',
+  'reading.startOver': 'Start over',
+  'reading.bookmarks': '🔖 Bookmarks',
+  'reading.bookmarksCount': '🔖 Bookmarks ({count})',
+  'reading.bookmarkHere': 'Bookmark this place',
+  'reading.notePlaceholder': 'Note (optional)',
+  'reading.addBookmark': 'Add bookmark',
+  'reading.latestOnly': 'Bookmarks can only be added to the latest version.',
+  'reading.addFailed': 'Could not add the bookmark: {message}',
+  'reading.empty': 'No bookmarks yet.',
+  'reading.startOfDocument': 'Start of the document',
+  'reading.editNote': 'Edit note',
+  'reading.addNote': 'Add note',
+  'reading.delete': 'Delete',
+  'reading.note': 'Note',
+  'reading.save': 'Save',
+  'reading.cancel': 'Cancel',
+
+  // Offline library
+  'offline.heading': 'Saved for Offline Reading',
+  'offline.loading': 'Loading saved documents…',
+  'offline.readFailed': 'Saved documents could not be read in this browser.',
+  'offline.empty': 'Nothing is saved yet. Use “{save}” on a document, or on an institution or jurisdiction profile in the library, to read it here without a connection.',
+  'offline.openLibrary': 'Open the library',
+  'offline.collections': 'Collections',
+  'offline.documents': 'Documents',
+  'offline.documentCount': {
+    one: '{count} document',
+    other: '{count} documents'
+  },
+  'offline.siteUsage': '(site total {usage} of {quota} available)',
+  'offline.savedOn': 'saved {date}',
+  'offline.inCollections': 'In {names}',
+  'offline.remove': 'Remove',
+  'offline.removeFailed': 'Could not remove the saved copy',
+  'offline.type.institution': 'Institution',
+  'offline.type.jurisdiction': 'Jurisdiction',
+
+  // Publishing portal
+  'publish.heading': 'Publishing',
+  'publish.signIn': 'Sign in',
+  'publish.signInHint': 'For institution members. Ask an administrator to add your account to your institution.',
+  'publish.email': 'Email',
+  'publish.password': 'Password',
+  'publish.passwordRequired': 'Enter your password, or ask for a sign-in link instead.',
+  'publish.emailLink': 'Email me a sign-in link',
+  'publish.emailLinkSent': 'A sign-in link was sent to {email}.',
+  'publish.signingIn': 'Signing in…',
+  'publish.signInFailed': 'Sign-in failed: {message}',
+  'publish.signOut': 'Sign out',
+  'publish.signedInAs': 'Signed in as {email}',
+  'publish.institution': 'Institution',
+  'publish.noMembership': 'Your account is not a member of any institution yet.',
+  'publish.loadError': 'Unable to load the publishing portal. Please try again.',
+  'publish.tab.documents': 'Documents',
+  'publish.tab.carousels': 'Carousels',
+  'publish.tab.profile': 'Profile',
+  'publish.tab.feed': 'Feed widget',
+  'publish.none': 'None',
+  'publish.siteDefault': 'Site default',
+  'publish.visible': 'Published',
+  'publish.hidden': 'Hidden',
+  'publish.edit': 'Edit',
+  'publish.view': 'View',
+  'publish.save': 'Save',
+  'publish.cancel': 'Cancel',
+  'publish.delete': 'Delete',
+  'publish.upload': 'Upload image',
+  'publish.saving': 'Saving…',
+  'publish.saved': 'Saved.',
+  'publish.deleted': 'Deleted.',
+  'publish.uploaded': 'Image uploaded.',
+  'publish.error': 'Could not save: {message}',
+  'publish.unsafeUrl': 'Not an allowed link: {url}',
+  'publish.field.docId': 'Document ID',
+  'publish.field.title': 'Title',
+  'publish.field.itemType': 'Type',
+  'publish.field.jurisdiction': 'Jurisdiction',
+  'publish.field.language': 'Language',
+  'publish.field.date': 'Date',
+  'publish.field.status': 'Status',
+  'publish.field.version': 'Version',
+  'publish.field.visible': 'Published (visible to readers)',
+  'publish.field.content': 'Content (HTML)',
+  'publish.field.slides': 'Slides',
+  'publish.field.imageUrl': 'Image URL',
+  'publish.field.linkedDocument': 'Linked document',
+  'publish.field.bio': 'Bio',
+  'publish.field.avatar': 'Avatar',
+  'publish.field.cover': 'Cover image',
+  'publish.field.email': 'Email',
+  'publish.field.phone': 'Phone',
+  'publish.field.address': 'Address',
+  'publish.field.website': 'Website',
+  'publish.field.widgetEnabled': 'Show the prayer times widget on the feed',
+  'publish.newDocument': 'New document',
+  'publish.editDocument': 'Edit “{title}”',
+  'publish.noDocuments': 'No documents yet.',
+  'publish.docIdHint': 'Lowercase letters, digits, "-" and "_". Used in links and cannot be changed later.',
+  'publish.invalidDocId': 'The document ID may only use lowercase letters, digits, "-" and "_".',
+  'publish.invalidLanguage': 'Enter a language code such as en, ar or ms.',
+  'publish.contentHint': 'Unsupported markup (scripts, forms, embeds) is removed when saving.',
+  'publish.correctVersion': 'Correct version {version} in place',
+  'publish.newVersion': 'Publish as version {version} (keeps the previous version)',
+  'publish.history': 'Version history',
+  'publish.compare': 'Changes since v{version}',
+  'publish.confirmDeleteDocument': 'Delete “{title}” and all its versions?',
+  'publish.newCarousel': 'New carousel',
+  'publish.editCarousel': 'Edit “{title}”',
+  'publish.noCarousels': 'No carousels yet.',
+  'publish.addSlide': 'Add slide',
+  'publish.moveUp': 'Move up',
+  'publish.moveDown': 'Move down',
+  'publish.removeSlide': 'Remove slide',
+  'publish.confirmDeleteCarousel': 'Delete the carousel “{title}”?',
+  'publish.tab.review': 'Review',
+  'publish.workflow': 'Workflow',
+  'publish.status.draft': 'Draft',
+  'publish.status.in_review': 'In review',
+  'publish.status.approved': 'Approved',
+  'publish.status.published': 'Published',
+  'publish.status.scheduled': 'Scheduled for {date}',
+  'publish.status.archived': 'Archived',
+  'publish.action.submit': 'Submit for review',
+  'publish.action.publish': 'Publish',
+  'publish.action.approve': 'Approve',
+  'publish.action.withdraw': 'Back to draft',
+  'publish.action.requestChanges': 'Request changes',
+  'publish.action.archive': 'Archive',
+  'publish.action.unpublish': 'Unpublish',
+  'publish.action.restore': 'Restore',
+  'publish.confirm.archive': 'Archive “{title}”? It leaves the library but stays readable by link.',
+  'publish.confirm.unpublish': 'Unpublish “{title}”? Readers will no longer see it.',
+  'publish.hint.submit': 'Submitting sends it to {jurisdiction} for approval.',
+  'publish.hint.publishDirectly': 'This document has no jurisdiction, so it can be published without review.',
+  'publish.hint.inReview': 'Waiting for approval by {jurisdiction}.',
+  'publish.editResetsReview': 'Saving changes sends this document back to draft; it will need approval again.',
+  'publish.field.publishAt': 'Publish on',
+  'publish.publishAtHint': 'Leave empty to publish now.',
+  'publish.field.reviewNote': 'Note from the reviewer',
+  'publish.field.reviewNoteInput': 'Note for the institution (optional)',
+  'publish.field.submitted': 'Submitted',
+  'publish.statusChanged': 'Status updated.',
+  'publish.noReviews': 'Nothing is waiting for review.',
+  'publish.review': 'Review',
+  'publish.reviewDocument': 'Review “{title}”',
+  'publish.readDocument': 'Read the document',
+  'publish.back': 'Back',
+  'publish.contact': 'Contact',
+  'publish.feedHint': 'Readers can still choose their own method and Asr school in their prayer settings.',
+  'publish.widgetType': 'Stored as',
+
+  // Prayer timetable
+  'timetable.title': 'Prayer Timetable',
+  'timetable.period': 'Period',
+  'timetable.month': 'Month',
+  'timetable.year': 'Year',
+  'timetable.print': 'Print',
+  'timetable.copyDocument': 'Copy as Document',
+  'timetable.date': 'Date',
+  'timetable.loading': 'Calculating timetable...',
+  'timetable.loadError': 'Unable to load timetable: {message}',
+  'timetable.documentTitle': 'Prayer Timetable {period}',
+
+  // Durations and locations
+  'time.hoursMinutes': '{hours}h {minutes}m',
+  'time.minutes': '{minutes}m',
+  'location.fallback': '(Fallback)',
+  'location.myLocation': 'My location',
+  'location.remove': 'Remove {name}',
+  'location.search.placeholder': 'Search city…',
+  'location.search.label': 'Search city',
+  'location.search.submit': 'Search',
+  'location.search.searching': 'Searching…',
+  'location.search.noResults': 'No places found.',
+  'location.search.unavailable': 'Search is unavailable right now.',
+  'location.use': 'Use',
+  'location.saving': 'Saving…',
+
+  // Hijri calendar
+  'hijri.months': [
+    'Muharram', 'Safar', 'Rabiʻ al-Awwal', 'Rabiʻ al-Thani',
+    'Jumada al-Ula', 'Jumada al-Akhirah', 'Rajab', 'Shaʻban',
+    'Ramadan', 'Shawwal', 'Dhu al-Qaʻdah', 'Dhu al-Hijjah'
+  ],
+  'hijri.date': '{day} {month} {year} AH'
+};
@@ -0,0 +1,391 @@
+/**
+ * Indonesian messages (Bahasa Indonesia)
+ */
+
+export default {
+  'locale.label': 'Bahasa',
+
+  'common.all': 'Semua',
+  'common.untitled': 'Tanpa judul',
+  'common.unknown': 'Tidak diketahui',
+  'common.loading': 'Sedang memuat...',
+  'common.close': 'Tutup',
+  'common.copied': 'Tersalin!',
+
+  'index.tab.space': 'Ruang',
+  'index.tab.content': 'Konten',
+  'index.tab.account': 'Akun',
+  'index.allSpaces': 'Semua Ruang',
+  'index.allContent': 'Semua Konten',
+  'index.allAccounts': 'Semua Akun',
+  'index.continueReading': 'Lanjutkan membaca',
+
+  'itemType.all': 'Semua',
+  'itemType.feed': 'Kabar',
+  'itemType.book': 'Buku',
+  'itemType.guideline': 'Pedoman',
+  'itemType.policy': 'Kebijakan',
+  'itemType.decision': 'Keputusan',
+  'itemType.verdict': 'Putusan',
+  'itemType.note': 'Catatan',
+
+  'library.postedIn': 'Diterbitkan di',
+  'library.postedBy': 'Diterbitkan oleh',
+  'library.sort.title': 'Judul',
+  'library.sort.postedIn': 'Diterbitkan Di',
+  'library.sort.postedBy': 'Diterbitkan Oleh',
+  'library.languages': 'Bahasa yang tersedia',
+  'library.language': '{name} ({english})',
+  'library.languageOriginal': '{name} ({english}, asli)',
+  'library.search.placeholder': 'Cari dokumen…',
+  'library.search.label': 'Cari dokumen',
+  'library.search.searching': 'Mencari…',
+  'library.search.unavailable': 'Pencarian sedang tidak tersedia.',
+  'library.search.noMatches': 'Tidak ada dokumen yang cocok dengan “{query}”',
+  'library.search.results': {
+    other: '{count} hasil untuk “{query}”'
+  },
+  'library.facets.title': 'Filter',
+  'library.facets.type': 'Jenis',
+  'library.facets.date': 'Tanggal',
+  'library.facets.from': 'Dari',
+  'library.facets.to': 'Sampai',
+  'library.facets.version': 'Versi',
+  'library.facets.min': 'Min',
+  'library.facets.max': 'Maks',
+  'library.facets.clear': 'Hapus filter',
+  'library.facets.versionRange': 'Versi {min}–{max}',
+  'library.loadingMore': 'Memuat lainnya…',
+  'library.loadMoreError': 'Dokumen berikutnya tidak dapat dimuat.',
+  'library.retry': 'Coba lagi',
+  'library.offlineLink': 'Pustaka offline',
+  'library.readingProgress': '{percent}% dibaca',
+  'library.realtime.newDocuments': {
+    other: '{count} dokumen baru'
+  },
+  'library.realtime.show': 'Tampilkan',
+  'library.loadError': 'Pustaka dokumen tidak dapat dimuat. Silakan coba lagi nanti.',
+
+  'profile.contributions': {
+    other: '{count} Kontribusi'
+  },
+  'profile.contributors': {
+    other: '{count} Kontributor'
+  },
+  'profile.contributionCount': {
+    other: '{count} kontribusi'
+  },
+  'profile.contact': 'Kontak',
+  'profile.contributorsButton': 'Kontributor',
+  'profile.coverAlt': 'Sampul',
+  'profile.contactTitle': 'Informasi Kontak',
+  'profile.contributorsTitle': 'Kontributor',
+  'profile.email': 'Email',
+  'profile.phone': 'Telepon',
+  'profile.address': 'Alamat',
+  'profile.website': 'Situs web',
+  'profile.noContact': 'Informasi kontak tidak tersedia',
+  'profile.noContributors': 'Tidak ada kontributor',
+  'profile.view': 'Lihat',
+  'profile.joined': 'Bergabung {date}',
+  'profile.role.member': 'Anggota',
+  'profile.role.observer': 'Pengamat',
+  'profile.role.moderator': 'Moderator',
+  'profile.offline.save': 'Simpan untuk offline',
+  'profile.offline.saved': 'Tersimpan untuk offline',
+  'profile.offline.saving': 'Menyimpan {done}/{total}…',
+  'profile.offline.removing': 'Menghapus…',
+  'profile.offline.failed': 'Tidak dapat menyimpan untuk offline: {message}',
+  'profile.offline.partial': {
+    other: '{count} dokumen tidak dapat disimpan untuk offline.'
+  },
+
+  'archetype.facet': 'Jenis akun',
+  'archetype.profitModel.non_profit': 'Nirlaba',
+  'archetype.profitModel.profit': 'Laba',
+  'archetype.profitModel.user_paid': 'Dibayar Pengguna',
+  'archetype.visibility.private': 'Swasta',
+  'archetype.visibility.public': 'Publik',
+  'archetype.visibility.at_cost': 'Sesuai Biaya',
+
+  'feed.empty': 'Tidak ada kabar.',
+  'feed.postedBy': 'Diterbitkan oleh {name}',
+  'feed.postedIn': 'Diterbitkan di {name}',
+  'carousel.previous': 'Slide sebelumnya',
+  'carousel.next': 'Slide berikutnya',
+  'carousel.goTo': 'Ke slide {number}',
+
+  'prayer.fetchingLocation': 'Mengambil lokasi Anda...',
+  'prayer.loadError': 'Waktu salat tidak dapat dimuat.',
+  'prayer.qibla': 'Kiblat {bearing} · {distance}',
+  'prayer.approximate': '(perkiraan)',
+  'prayer.name.fajr': 'Subuh',
+  'prayer.name.sunrise': 'Terbit',
+  'prayer.name.dhuhr': 'Zuhur',
+  'prayer.name.asr': 'Asar',
+  'prayer.name.maghrib': 'Magrib',
+  'prayer.name.isha': 'Isya',
+  'prayer.settings.location': 'Lokasi',
+  'prayer.settings.calculation': 'Pengaturan perhitungan',
+  'prayer.settings.reminders': 'Pengingat',
+  'prayer.settings.qibla': 'Kompas kiblat',
+  'prayer.settings.method': 'Metode',
+  'prayer.settings.asr': 'Asar',
+  'prayer.settings.hijri': 'Tanggal Hijriah',
+  'prayer.settings.noAdjustment': 'Tanpa penyesuaian',
+  'prayer.settings.adjustment': {
+    other: '{sign}{count} hari'
+  },
+  'prayer.settings.originUser': 'Pengaturan Anda',
+  'prayer.settings.originProfile': 'Bawaan profil',
+  'prayer.settings.originDefault': 'Bawaan',
+  'prayer.settings.reset': 'Atur ulang',
+  'prayer.settings.timetable': 'Jadwal bulanan →',
+  'qibla.instructions': 'Letakkan perangkat mendatar, lalu mulai kompas.',
+  'qibla.start': 'Mulai kompas',
+  'qibla.heading': 'Arah {bearing}',
+  'qibla.waiting': 'Menunggu kompas…',
+  'qibla.unavailable': 'Kompas tidak tersedia di perangkat ini.',
+  'reminders.unsupported': 'Pengingat tidak didukung di browser ini.',
+  'reminders.enabled': 'Pengingat salat',
+  'reminders.blocked': 'Notifikasi untuk situs ini diblokir di pengaturan browser Anda.',
+  'reminders.lead': 'Ingatkan saya',
+  'reminders.atPrayerTime': 'Saat waktu salat',
+  'reminders.minutesBefore': '{minutes} menit sebelumnya',
+  'reminders.quietHours': 'Jam tenang',
+  'reminders.quietStart': 'Awal jam tenang',
+  'reminders.quietEnd': 'Akhir jam tenang',
+
+  'marquee.prayerSettings': 'Pengaturan salat',
+  'marquee.retry': 'Coba ambil lokasi lagi',
+  'marquee.locationFailed': 'Gagal mengambil lokasi. Menggunakan lokasi cadangan.',
+  'marquee.loadError': 'Konten tidak dapat dimuat. Periksa koneksi Anda.',
+
+  'viewer.versions.label': 'Versi dokumen',
+  'viewer.versions.version': 'Versi',
+  'viewer.versions.compare': 'Bandingkan dengan',
+  'viewer.versions.permalink': 'Tautan permanen',
+  'viewer.versions.latest': '(terbaru)',
+  'viewer.versions.changes': {
+    other: 'Perubahan dari v{from} ke v{to}: {count} blok berubah.'
+  },
+  'viewer.status.archivedTitle': 'Diarsipkan.',
+  'viewer.status.archived': 'Dokumen ini telah diarsipkan dan disimpan hanya sebagai rujukan.',
+  'viewer.status.archivedOn': 'Dokumen ini diarsipkan pada {date} dan disimpan hanya sebagai rujukan.',
+  'viewer.status.previewTitle': 'Pratinjau.',
+  'viewer.status.preview.draft': 'Dokumen ini masih draf dan belum terlihat oleh pembaca.',
+  'viewer.status.preview.inReview': 'Dokumen ini sedang menunggu persetujuan dan belum terlihat oleh pembaca.',
+  'viewer.status.preview.approved': 'Dokumen ini sudah disetujui tetapi belum diterbitkan, jadi pembaca belum dapat melihatnya.',
+  'viewer.status.preview.scheduled': 'Dokumen ini dijadwalkan terbit pada {date} dan belum terlihat oleh pembaca.',
+  'viewer.status.supersededTitle': 'Digantikan oleh v{version}.',
+  'viewer.status.superseded': 'Anda sedang melihat versi {version}.',
+  'viewer.status.viewLatest': 'Lihat yang terbaru (v{version})',
+  'viewer.offline.save': 'Simpan untuk offline',
+  'viewer.offline.saved': 'Tersimpan untuk offline',
+  'viewer.offline.saving': 'Menyimpan…',
+  'viewer.offline.removing': 'Menghapus…',
+  'viewer.offline.savedOn': 'Salinan offline disimpan {date}',
+  'viewer.offline.inCollection': 'Sudah tersimpan bersama lembaga atau yurisdiksinya; simpan tersendiri agar tetap ada jika koleksi itu dihapus',
+  'viewer.offline.failed': 'Salinan offline tidak dapat diperbarui: {message}',
+  'viewer.loading': 'Memuat dokumen...',
+  'viewer.error.title': '⚠️ Dokumen tidak ditemukan',
+  'viewer.error.noId': 'ID dokumen tidak diberikan. Gunakan format URL: document-viewer.html?doc=book0',
+  'viewer.error.notFound': 'Dokumen "{docId}" tidak ditemukan.',
+  'viewer.error.versionNotFound': 'Versi {version} dari "{docId}" tidak ditemukan.',
+  'viewer.error.loadFailed': 'Gagal memuat dokumen: {message}',
+  'viewer.backToLibrary': '← Kembali ke Perpustakaan',
+  'viewer.unknownInstitution': 'Institusi Tidak Dikenal',
+  'viewer.unknownJurisdiction': 'Yurisdiksi Tidak Dikenal',
+  'viewer.languages.label': 'Bahasa dokumen',
+  'viewer.languages.language': 'Bahasa',
+  'viewer.languages.parallel': 'Berdampingan dengan',
+  'viewer.languages.original': '{name} — asli',
+  'viewer.languages.outdated': 'Terjemahan {language} dibuat dari versi {from} dan mungkin belum memuat perubahan di versi {version}.',
+  'viewer.languages.readOriginal': 'Baca versi asli ({language})',
+  'viewer.toc.contents': 'Daftar isi',
+  'viewer.toc.headingLink': 'Tautan ke {label}',
+  'viewer.toc.copyParagraphLink': '🔗 Salin tautan paragraf',
+  'viewer.toc.linkInAddressBar': 'Tautan ada di bilah alamat',
+  'viewer.print': '🖨 Cetak / Simpan sebagai PDF',
+
+  'reading.resume': 'Melanjutkan dari terakhir dibaca ({percent})',
+  'reading.startOver': 'Mulai dari awal',
+  'reading.bookmarks': '🔖 Penanda',
+  'reading.bookmarksCount': '🔖 Penanda ({count})',
+  'reading.bookmarkHere': 'Tandai bagian ini',
+  'reading.notePlaceholder': 'Catatan (opsional)',
+  'reading.addBookmark': 'Tambah penanda',
+  'reading.latestOnly': 'Penanda hanya dapat ditambahkan ke versi terbaru.',
+  'reading.addFailed': 'Tidak dapat menambahkan penanda: {message}',
+  'reading.empty': 'Belum ada penanda.',
+  'reading.startOfDocument': 'Awal dokumen',
+  'reading.editNote': 'Ubah catatan',
+  'reading.addNote': 'Tambah catatan',
+  'reading.delete': 'Hapus',
+  'reading.note': 'Catatan',
+  'reading.save': 'Simpan',
+  'reading.cancel': 'Batal',
+
+  'offline.heading': 'Tersimpan untuk Dibaca Offline',
+  'offline.loading': 'Memuat dokumen tersimpan…',
+  'offline.readFailed': 'Dokumen tersimpan tidak dapat dibaca di browser ini.',
+  'offline.empty': 'Belum ada yang disimpan. Gunakan “{save}” pada dokumen, atau pada profil institusi atau yurisdiksi di perpustakaan, untuk membacanya di sini tanpa koneksi.',
+  'offline.openLibrary': 'Buka perpustakaan',
+  'offline.collections': 'Koleksi',
+  'offline.documents': 'Dokumen',
+  'offline.documentCount': {
+    other: '{count} dokumen'
+  },
+  'offline.siteUsage': '(total situs {usage} dari {quota} tersedia)',
+  'offline.savedOn': 'disimpan {date}',
+  'offline.inCollections': 'Di {names}',
+  'offline.remove': 'Hapus',
+  'offline.removeFailed': 'Salinan tersimpan tidak dapat dihapus',
+  'offline.type.institution': 'Institusi',
+  'offline.type.jurisdiction': 'Yurisdiksi',
+
+  'publish.heading': 'Penerbitan',
+  'publish.signIn': 'Masuk',
+  'publish.signInHint': 'Untuk anggota lembaga. Minta administrator menambahkan akun Anda ke lembaga Anda.',
+  'publish.email': 'Email',
+  'publish.password': 'Kata sandi',
+  'publish.passwordRequired': 'Masukkan kata sandi Anda, atau minta tautan masuk.',
+  'publish.emailLink': 'Kirimi saya tautan masuk',
+  'publish.emailLinkSent': 'Tautan masuk telah dikirim ke {email}.',
+  'publish.signingIn': 'Sedang masuk…',
+  'publish.signInFailed': 'Gagal masuk: {message}',
+  'publish.signOut': 'Keluar',
+  'publish.signedInAs': 'Masuk sebagai {email}',
+  'publish.institution': 'Lembaga',
+  'publish.noMembership': 'Akun Anda belum menjadi anggota lembaga mana pun.',
+  'publish.loadError': 'Portal penerbitan tidak dapat dimuat. Silakan coba lagi.',
+  'publish.tab.documents': 'Dokumen',
+  'publish.tab.carousels': 'Karusel',
+  'publish.tab.profile': 'Profil',
+  'publish.tab.feed': 'Widget umpan',
+  'publish.none': 'Tidak ada',
+  'publish.siteDefault': 'Bawaan situs',
+  'publish.visible': 'Diterbitkan',
+  'publish.hidden': 'Tersembunyi',
+  'publish.edit': 'Sunting',
+  'publish.view': 'Lihat',
+  'publish.save': 'Simpan',
+  'publish.cancel': 'Batal',
+  'publish.delete': 'Hapus',
+  'publish.upload': 'Unggah gambar',
+  'publish.saving': 'Menyimpan…',
+  'publish.saved': 'Tersimpan.',
+  'publish.deleted': 'Terhapus.',
+  'publish.uploaded': 'Gambar diunggah.',
+  'publish.error': 'Tidak dapat menyimpan: {message}',
+  'publish.unsafeUrl': 'Tautan tidak diizinkan: {url}',
+  'publish.field.docId': 'ID dokumen',
+  'publish.field.title': 'Judul',
+  'publish.field.itemType': 'Jenis',
+  'publish.field.jurisdiction': 'Yurisdiksi',
+  'publish.field.language': 'Bahasa',
+  'publish.field.date': 'Tanggal',
+  'publish.field.status': 'Status',
+  'publish.field.version': 'Versi',
+  'publish.field.visible': 'Diterbitkan (terlihat oleh pembaca)',
+  'publish.field.content': 'Konten (HTML)',
+  'publish.field.slides': 'Slide',
+  'publish.field.imageUrl': 'URL gambar',
+  'publish.field.linkedDocument': 'Dokumen tertaut',
+  'publish.field.bio': 'Bio',
+  'publish.field.avatar': 'Avatar',
+  'publish.field.cover': 'Gambar sampul',
+  'publish.field.email': 'Email',
+  'publish.field.phone': 'Telepon',
+  'publish.field.address': 'Alamat',
+  'publish.field.website': 'Situs web',
+  'publish.field.widgetEnabled': 'Tampilkan widget waktu salat di umpan',
+  'publish.newDocument': 'Dokumen baru',
+  'publish.editDocument': 'Sunting “{title}”',
+  'publish.noDocuments': 'Belum ada dokumen.',
+  'publish.docIdHint': 'Huruf kecil, angka, "-" dan "_". Dipakai di tautan dan tidak dapat diubah nanti.',
+  'publish.invalidDocId': 'ID dokumen hanya boleh memakai huruf kecil, angka, "-" dan "_".',
+  'publish.invalidLanguage': 'Masukkan kode bahasa seperti en, ar, atau ms.',
+  'publish.contentHint': 'Markup yang tidak didukung (skrip, formulir, sematan) dihapus saat menyimpan.',
+  'publish.correctVersion': 'Perbaiki versi {version} di tempat',
+  'publish.newVersion': 'Terbitkan sebagai versi {version} (versi sebelumnya tetap disimpan)',
+  'publish.history': 'Riwayat versi',
+  'publish.compare': 'Perubahan sejak v{version}',
+  'publish.confirmDeleteDocument': 'Hapus “{title}” beserta semua versinya?',
+  'publish.newCarousel': 'Karusel baru',
+  'publish.editCarousel': 'Sunting “{title}”',
+  'publish.noCarousels': 'Belum ada karusel.',
+  'publish.addSlide': 'Tambah slide',
+  'publish.moveUp': 'Pindah ke atas',
+  'publish.moveDown': 'Pindah ke bawah',
+  'publish.removeSlide': 'Hapus slide',
+  'publish.confirmDeleteCarousel': 'Hapus karusel “{title}”?',
+  'publish.tab.review': 'Tinjauan',
+  'publish.workflow': 'Alur kerja',
+  'publish.status.draft': 'Draf',
+  'publish.status.in_review': 'Dalam tinjauan',
+  'publish.status.approved': 'Disetujui',
+  'publish.status.published': 'Diterbitkan',
+  'publish.status.scheduled': 'Dijadwalkan pada {date}',
+  'publish.status.archived': 'Diarsipkan',
+  'publish.action.submit': 'Kirim untuk ditinjau',
+  'publish.action.publish': 'Terbitkan',
+  'publish.action.approve': 'Setujui',
+  'publish.action.withdraw': 'Kembali ke draf',
+  'publish.action.requestChanges': 'Minta perubahan',
+  'publish.action.archive': 'Arsipkan',
+  'publish.action.unpublish': 'Batalkan terbit',
+  'publish.action.restore': 'Pulihkan',
+  'publish.confirm.archive': 'Arsipkan “{title}”? Dokumen keluar dari perpustakaan tetapi tetap dapat dibaca melalui tautan.',
+  'publish.confirm.unpublish': 'Batalkan terbit “{title}”? Pembaca tidak akan dapat melihatnya lagi.',
+  'publish.hint.submit': 'Pengiriman akan meneruskannya ke {jurisdiction} untuk disetujui.',
+  'publish.hint.publishDirectly': 'Dokumen ini tidak memiliki yurisdiksi, jadi dapat diterbitkan tanpa tinjauan.',
+  'publish.hint.inReview': 'Menunggu persetujuan dari {jurisdiction}.',
+  'publish.editResetsReview': 'Menyimpan perubahan mengembalikan dokumen ini ke draf; dokumen perlu disetujui lagi.',
+  'publish.field.publishAt': 'Terbitkan pada',
+  'publish.publishAtHint': 'Kosongkan untuk menerbitkan sekarang.',
+  'publish.field.reviewNote': 'Catatan dari peninjau',
+  'publish.field.reviewNoteInput': 'Catatan untuk lembaga (opsional)',
+  'publish.field.submitted': 'Dikirim',
+  'publish.statusChanged': 'Status diperbarui.',
+  'publish.noReviews': 'Tidak ada yang menunggu tinjauan.',
+  'publish.review': 'Tinjau',
+  'publish.reviewDocument': 'Tinjau “{title}”',
+  'publish.readDocument': 'Baca dokumen',
+  'publish.back': 'Kembali',
+  'publish.contact': 'Kontak',
+  'publish.feedHint': 'Pembaca tetap dapat memilih metode dan mazhab Asar sendiri di pengaturan salat.',
+  'publish.widgetType': 'Disimpan sebagai',
+
+  'timetable.title': 'Jadwal Salat',
+  'timetable.period': 'Periode',
+  'timetable.month': 'Bulan',
+  'timetable.year': 'Tahun',
+  'timetable.print': 'Cetak',
+  'timetable.copyDocument': 'Salin sebagai Dokumen',
+  'timetable.date': 'Tanggal',
+  'timetable.loading': 'Menghitung jadwal...',
+  'timetable.loadError': 'Tidak dapat memuat jadwal: {message}',
+  'timetable.documentTitle': 'Jadwal Salat {period}',
+
+  'time.hoursMinutes': '{hours} j {minutes} m',
+  'time.minutes': '{minutes} m',
+  'location.fallback': '(Cadangan)',
+  'location.myLocation': 'Lokasi saya',
+  'location.remove': 'Hapus {name}',
+  'location.search.placeholder': 'Cari kota…',
+  'location.search.label': 'Cari kota',
+  'location.search.submit': 'Cari',
+  'location.search.searching': 'Mencari…',
+  'location.search.noResults': 'Tempat tidak ditemukan.',
+  'location.search.unavailable': 'Pencarian sedang tidak tersedia.',
+  'location.use': 'Gunakan',
+  'location.saving': 'Menyimpan…',
+
+  'hijri.months': [
+    'Muharam', 'Safar', 'Rabiulawal', 'Rabiulakhir',
+    'Jumadilawal', 'Jumadilakhir', 'Rajab', 'Syakban',
+    'Ramadan', 'Syawal', 'Zulkaidah', 'Zulhijah'
+  ],
+  'hijri.date': '{day} {month} {year} H'
+};
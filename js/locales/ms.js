@@ -0,0 +1,391 @@
+/**
+ * Malay messages (Bahasa Melayu)
+ */
+
+export default {
+  'locale.label': 'Bahasa',
+
+  'common.all': 'Semua',
+  'common.untitled': 'Tanpa tajuk',
+  'common.unknown': 'Tidak diketahui',
+  'common.loading': 'Sedang dimuatkan...',
+  'common.close': 'Tutup',
+  'common.copied': 'Disalin!',
+
+  'index.tab.space': 'Ruang',
+  'index.tab.content': 'Kandungan',
+  'index.tab.account': 'Akaun',
+  'index.allSpaces': 'Semua Ruang',
+  'index.allContent': 'Semua Kandungan',
+  'index.allAccounts': 'Semua Akaun',
+  'index.continueReading': 'Teruskan membaca',
+
+  'itemType.all': 'Semua',
+  'itemType.feed': 'Suapan',
+  'itemType.book': 'Buku',
+  'itemType.guideline': 'Garis Panduan',
+  'itemType.policy': 'Dasar',
+  'itemType.decision': 'Keputusan',
+  'itemType.verdict': 'Penghakiman',
+  'itemType.note': 'Nota',
+
+  'library.postedIn': 'Diterbitkan di',
+  'library.postedBy': 'Diterbitkan oleh',
+  'library.sort.title': 'Tajuk',
+  'library.sort.postedIn': 'Diterbitkan Di',
+  'library.sort.postedBy': 'Diterbitkan Oleh',
+  'library.languages': 'Bahasa yang tersedia',
+  'library.language': '{name} ({english})',
+  'library.languageOriginal': '{name} ({english}, asal)',
+  'library.search.placeholder': 'Cari dokumen…',
+  'library.search.label': 'Cari dokumen',
+  'library.search.searching': 'Mencari…',
+  'library.search.unavailable': 'Carian tidak tersedia buat masa ini.',
+  'library.search.noMatches': 'Tiada dokumen sepadan dengan “{query}”',
+  'library.search.results': {
+    other: '{count} hasil untuk “{query}”'
+  },
+  'library.facets.title': 'Penapis',
+  'library.facets.type': 'Jenis',
+  'library.facets.date': 'Tarikh',
+  'library.facets.from': 'Dari',
+  'library.facets.to': 'Hingga',
+  'library.facets.version': 'Versi',
+  'library.facets.min': 'Min',
+  'library.facets.max': 'Maks',
+  'library.facets.clear': 'Kosongkan penapis',
+  'library.facets.versionRange': 'Versi {min}–{max}',
+  'library.loadingMore': 'Memuatkan lagi…',
+  'library.loadMoreError': 'Dokumen seterusnya tidak dapat dimuatkan.',
+  'library.retry': 'Cuba lagi',
+  'library.offlineLink': 'Perpustakaan luar talian',
+  'library.readingProgress': '{percent}% dibaca',
+  'library.realtime.newDocuments': {
+    other: '{count} dokumen baharu'
+  },
+  'library.realtime.show': 'Tunjukkan',
+  'library.loadError': 'Perpustakaan dokumen tidak dapat dimuatkan. Sila cuba lagi nanti.',
+
+  'profile.contributions': {
+    other: '{count} Sumbangan'
+  },
+  'profile.contributors': {
+    other: '{count} Penyumbang'
+  },
+  'profile.contributionCount': {
+    other: '{count} sumbangan'
+  },
+  'profile.contact': 'Hubungi',
+  'profile.contributorsButton': 'Penyumbang',
+  'profile.coverAlt': 'Muka depan',
+  'profile.contactTitle': 'Maklumat Perhubungan',
+  'profile.contributorsTitle': 'Penyumbang',
+  'profile.email': 'E-mel',
+  'profile.phone': 'Telefon',
+  'profile.address': 'Alamat',
+  'profile.website': 'Laman web',
+  'profile.noContact': 'Tiada maklumat perhubungan',
+  'profile.noContributors': 'Tiada penyumbang ditemui',
+  'profile.view': 'Lihat',
+  'profile.joined': 'Menyertai {date}',
+  'profile.role.member': 'Ahli',
+  'profile.role.observer': 'Pemerhati',
+  'profile.role.moderator': 'Moderator',
+  'profile.offline.save': 'Simpan untuk luar talian',
+  'profile.offline.saved': 'Disimpan untuk luar talian',
+  'profile.offline.saving': 'Menyimpan {done}/{total}…',
+  'profile.offline.removing': 'Mengalih keluar…',
+  'profile.offline.failed': 'Tidak dapat menyimpan untuk luar talian: {message}',
+  'profile.offline.partial': {
+    other: '{count} dokumen tidak dapat disimpan untuk luar talian.'
+  },
+
+  'archetype.facet': 'Jenis akaun',
+  'archetype.profitModel.non_profit': 'Bukan Untung',
+  'archetype.profitModel.profit': 'Untung',
+  'archetype.profitModel.user_paid': 'Dibayar Pengguna',
+  'archetype.visibility.private': 'Swasta',
+  'archetype.visibility.public': 'Awam',
+  'archetype.visibility.at_cost': 'Pada Kos',
+
+  'feed.empty': 'Tiada item suapan ditemui.',
+  'feed.postedBy': 'Diterbitkan oleh {name}',
+  'feed.postedIn': 'Diterbitkan di {name}',
+  'carousel.previous': 'Slaid sebelumnya',
+  'carousel.next': 'Slaid seterusnya',
+  'carousel.goTo': 'Pergi ke slaid {number}',
+
+  'prayer.fetchingLocation': 'Mendapatkan lokasi anda...',
+  'prayer.loadError': 'Waktu solat tidak dapat dimuatkan.',
+  'prayer.qibla': 'Kiblat {bearing} · {distance}',
+  'prayer.approximate': '(anggaran)',
+  'prayer.name.fajr': 'Subuh',
+  'prayer.name.sunrise': 'Syuruk',
+  'prayer.name.dhuhr': 'Zohor',
+  'prayer.name.asr': 'Asar',
+  'prayer.name.maghrib': 'Maghrib',
+  'prayer.name.isha': 'Isyak',
+  'prayer.settings.location': 'Lokasi',
+  'prayer.settings.calculation': 'Tetapan pengiraan',
+  'prayer.settings.reminders': 'Peringatan',
+  'prayer.settings.qibla': 'Kompas kiblat',
+  'prayer.settings.method': 'Kaedah',
+  'prayer.settings.asr': 'Asar',
+  'prayer.settings.hijri': 'Tarikh Hijrah',
+  'prayer.settings.noAdjustment': 'Tiada pelarasan',
+  'prayer.settings.adjustment': {
+    other: '{sign}{count} hari'
+  },
+  'prayer.settings.originUser': 'Tetapan anda',
+  'prayer.settings.originProfile': 'Lalai profil',
+  'prayer.settings.originDefault': 'Lalai',
+  'prayer.settings.reset': 'Set semula',
+  'prayer.settings.timetable': 'Jadual bulanan →',
+  'qibla.instructions': 'Letakkan peranti anda mendatar, kemudian mulakan kompas.',
+  'qibla.start': 'Mulakan kompas',
+  'qibla.heading': 'Arah {bearing}',
+  'qibla.waiting': 'Menunggu kompas…',
+  'qibla.unavailable': 'Kompas tidak tersedia pada peranti ini.',
+  'reminders.unsupported': 'Peringatan tidak disokong dalam pelayar ini.',
+  'reminders.enabled': 'Peringatan solat',
+  'reminders.blocked': 'Pemberitahuan untuk laman ini disekat dalam tetapan pelayar anda.',
+  'reminders.lead': 'Ingatkan saya',
+  'reminders.atPrayerTime': 'Pada waktu solat',
+  'reminders.minutesBefore': '{minutes} minit sebelum',
+  'reminders.quietHours': 'Waktu senyap',
+  'reminders.quietStart': 'Mula waktu senyap',
+  'reminders.quietEnd': 'Tamat waktu senyap',
+
+  'marquee.prayerSettings': 'Tetapan solat',
+  'marquee.retry': 'Cuba dapatkan lokasi semula',
+  'marquee.locationFailed': 'Gagal mendapatkan lokasi. Menggunakan lokasi sandaran.',
+  'marquee.loadError': 'Kandungan tidak dapat dimuatkan. Sila semak sambungan anda.',
+
+  'viewer.versions.label': 'Versi dokumen',
+  'viewer.versions.version': 'Versi',
+  'viewer.versions.compare': 'Bandingkan dengan',
+  'viewer.versions.permalink': 'Pautan kekal',
+  'viewer.versions.latest': '(terkini)',
+  'viewer.versions.changes': {
+    other: 'Perubahan dari v{from} ke v{to}: {count} blok berubah.'
+  },
+  'viewer.status.archivedTitle': 'Diarkibkan.',
+  'viewer.status.archived': 'Dokumen ini telah diarkibkan dan disimpan untuk rujukan sahaja.',
+  'viewer.status.archivedOn': 'Dokumen ini telah diarkibkan pada {date} dan disimpan untuk rujukan sahaja.',
+  'viewer.status.previewTitle': 'Pratonton.',
+  'viewer.status.preview.draft': 'Dokumen ini ialah draf dan belum boleh dilihat oleh pembaca.',
+  'viewer.status.preview.inReview': 'Dokumen ini sedang menunggu kelulusan dan belum boleh dilihat oleh pembaca.',
+  'viewer.status.preview.approved': 'Dokumen ini telah diluluskan tetapi belum diterbitkan, jadi pembaca belum dapat melihatnya.',
+  'viewer.status.preview.scheduled': 'Dokumen ini dijadualkan untuk diterbitkan pada {date} dan belum boleh dilihat oleh pembaca.',
+  'viewer.status.supersededTitle': 'Digantikan oleh v{version}.',
+  'viewer.status.superseded': 'Anda sedang melihat versi {version}.',
+  'viewer.status.viewLatest': 'Lihat yang terkini (v{version})',
+  'viewer.offline.save': 'Simpan untuk luar talian',
+  'viewer.offline.saved': 'Disimpan untuk luar talian',
+  'viewer.offline.saving': 'Menyimpan…',
+  'viewer.offline.removing': 'Mengalih keluar…',
+  'viewer.offline.savedOn': 'Salinan luar talian disimpan {date}',
+  'viewer.offline.inCollection': 'Sudah disimpan bersama institusi atau bidang kuasanya; simpan secara berasingan untuk mengekalkannya jika koleksi itu dibuang',
+  'viewer.offline.failed': 'Salinan luar talian tidak dapat dikemas kini: {message}',
+  'viewer.loading': 'Memuatkan dokumen...',
+  'viewer.error.title': '⚠️ Dokumen tidak dijumpai',
+  'viewer.error.noId': 'ID dokumen tidak diberikan. Gunakan format URL: document-viewer.html?doc=book0',
+  'viewer.error.notFound': 'Dokumen "{docId}" tidak dijumpai.',
+  'viewer.error.versionNotFound': 'Versi {version} bagi "{docId}" tidak dijumpai.',
+  'viewer.error.loadFailed': 'Gagal memuatkan dokumen: {message}',
+  'viewer.backToLibrary': '← Kembali ke Perpustakaan',
+  'viewer.unknownInstitution': 'Institusi Tidak Diketahui',
+  'viewer.unknownJurisdiction': 'Bidang Kuasa Tidak Diketahui',
+  'viewer.languages.label': 'Bahasa dokumen',
+  'viewer.languages.language': 'Bahasa',
+  'viewer.languages.parallel': 'Bersebelahan dengan',
+  'viewer.languages.original': '{name} — asal',
+  'viewer.languages.outdated': 'Terjemahan {language} dibuat daripada versi {from} dan mungkin tidak merangkumi perubahan dalam versi {version}.',
+  'viewer.languages.readOriginal': 'Baca teks asal ({language})',
+  'viewer.toc.contents': 'Kandungan',
+  'viewer.toc.headingLink': 'Pautan ke {label}',
+  'viewer.toc.copyParagraphLink': '🔗 Salin pautan perenggan',
+  'viewer.toc.linkInAddressBar': 'Pautan ada di bar alamat',
+  'viewer.print': '🖨 Cetak / Simpan sebagai PDF',
+
+  'reading.resume': 'Menyambung dari tempat terakhir dibaca ({percent})',
+  'reading.startOver': 'Mula semula',
+  'reading.bookmarks': '🔖 Penanda buku',
+  'reading.bookmarksCount': '🔖 Penanda buku ({count})',
+  'reading.bookmarkHere': 'Tanda tempat ini',
+  'reading.notePlaceholder': 'Nota (pilihan)',
+  'reading.addBookmark': 'Tambah penanda buku',
+  'reading.latestOnly': 'Penanda buku hanya boleh ditambah pada versi terkini.',
+  'reading.addFailed': 'Tidak dapat menambah penanda buku: {message}',
+  'reading.empty': 'Belum ada penanda buku.',
+  'reading.startOfDocument': 'Permulaan dokumen',
+  'reading.editNote': 'Sunting nota',
+  'reading.addNote': 'Tambah nota',
+  'reading.delete': 'Padam',
+  'reading.note': 'Nota',
+  'reading.save': 'Simpan',
+  'reading.cancel': 'Batal',
+
+  'offline.heading': 'Disimpan untuk Bacaan Luar Talian',
+  'offline.loading': 'Memuatkan dokumen yang disimpan…',
+  'offline.readFailed': 'Dokumen yang disimpan tidak dapat dibaca dalam pelayar ini.',
+  'offline.empty': 'Belum ada yang disimpan. Gunakan “{save}” pada dokumen, atau pada profil institusi atau bidang kuasa dalam perpustakaan, untuk membacanya di sini tanpa sambungan.',
+  'offline.openLibrary': 'Buka perpustakaan',
+  'offline.collections': 'Koleksi',
+  'offline.documents': 'Dokumen',
+  'offline.documentCount': {
+    other: '{count} dokumen'
+  },
+  'offline.siteUsage': '(jumlah laman {usage} daripada {quota} tersedia)',
+  'offline.savedOn': 'disimpan {date}',
+  'offline.inCollections': 'Dalam {names}',
+  'offline.remove': 'Buang',
+  'offline.removeFailed': 'Salinan yang disimpan tidak dapat dibuang',
+  'offline.type.institution': 'Institusi',
+  'offline.type.jurisdiction': 'Bidang kuasa',
+
+  'publish.heading': 'Penerbitan',
+  'publish.signIn': 'Log masuk',
+  'publish.signInHint': 'Untuk ahli institusi. Minta pentadbir menambah akaun anda ke institusi anda.',
+  'publish.email': 'E-mel',
+  'publish.password': 'Kata laluan',
+  'publish.passwordRequired': 'Masukkan kata laluan anda, atau minta pautan log masuk.',
+  'publish.emailLink': 'E-melkan saya pautan log masuk',
+  'publish.emailLinkSent': 'Pautan log masuk telah dihantar ke {email}.',
+  'publish.signingIn': 'Sedang log masuk…',
+  'publish.signInFailed': 'Log masuk gagal: {message}',
+  'publish.signOut': 'Log keluar',
+  'publish.signedInAs': 'Log masuk sebagai {email}',
+  'publish.institution': 'Institusi',
+  'publish.noMembership': 'Akaun anda belum menjadi ahli mana-mana institusi.',
+  'publish.loadError': 'Portal penerbitan tidak dapat dimuatkan. Sila cuba lagi.',
+  'publish.tab.documents': 'Dokumen',
+  'publish.tab.carousels': 'Karusel',
+  'publish.tab.profile': 'Profil',
+  'publish.tab.feed': 'Widget suapan',
+  'publish.none': 'Tiada',
+  'publish.siteDefault': 'Lalai laman',
+  'publish.visible': 'Diterbitkan',
+  'publish.hidden': 'Tersembunyi',
+  'publish.edit': 'Sunting',
+  'publish.view': 'Lihat',
+  'publish.save': 'Simpan',
+  'publish.cancel': 'Batal',
+  'publish.delete': 'Padam',
+  'publish.upload': 'Muat naik imej',
+  'publish.saving': 'Menyimpan…',
+  'publish.saved': 'Disimpan.',
+  'publish.deleted': 'Dipadam.',
+  'publish.uploaded': 'Imej dimuat naik.',
+  'publish.error': 'Tidak dapat disimpan: {message}',
+  'publish.unsafeUrl': 'Pautan tidak dibenarkan: {url}',
+  'publish.field.docId': 'ID dokumen',
+  'publish.field.title': 'Tajuk',
+  'publish.field.itemType': 'Jenis',
+  'publish.field.jurisdiction': 'Bidang kuasa',
+  'publish.field.language': 'Bahasa',
+  'publish.field.date': 'Tarikh',
+  'publish.field.status': 'Status',
+  'publish.field.version': 'Versi',
+  'publish.field.visible': 'Diterbitkan (boleh dilihat oleh pembaca)',
+  'publish.field.content': 'Kandungan (HTML)',
+  'publish.field.slides': 'Slaid',
+  'publish.field.imageUrl': 'URL imej',
+  'publish.field.linkedDocument': 'Dokumen berpaut',
+  'publish.field.bio': 'Bio',
+  'publish.field.avatar': 'Avatar',
+  'publish.field.cover': 'Imej muka depan',
+  'publish.field.email': 'E-mel',
+  'publish.field.phone': 'Telefon',
+  'publish.field.address': 'Alamat',
+  'publish.field.website': 'Laman web',
+  'publish.field.widgetEnabled': 'Tunjukkan widget waktu solat pada suapan',
+  'publish.newDocument': 'Dokumen baharu',
+  'publish.editDocument': 'Sunting “{title}”',
+  'publish.noDocuments': 'Belum ada dokumen.',
+  'publish.docIdHint': 'Huruf kecil, digit, "-" dan "_". Digunakan dalam pautan dan tidak boleh diubah kemudian.',
+  'publish.invalidDocId': 'ID dokumen hanya boleh menggunakan huruf kecil, digit, "-" dan "_".',
+  'publish.invalidLanguage': 'Masukkan kod bahasa seperti en, ar atau ms.',
+  'publish.contentHint': 'Markup yang tidak disokong (skrip, borang, benaman) dibuang semasa menyimpan.',
+  'publish.correctVersion': 'Betulkan versi {version} di tempatnya',
+  'publish.newVersion': 'Terbitkan sebagai versi {version} (versi sebelumnya dikekalkan)',
+  'publish.history': 'Sejarah versi',
+  'publish.compare': 'Perubahan sejak v{version}',
+  'publish.confirmDeleteDocument': 'Padam “{title}” dan semua versinya?',
+  'publish.newCarousel': 'Karusel baharu',
+  'publish.editCarousel': 'Sunting “{title}”',
+  'publish.noCarousels': 'Belum ada karusel.',
+  'publish.addSlide': 'Tambah slaid',
+  'publish.moveUp': 'Alih ke atas',
+  'publish.moveDown': 'Alih ke bawah',
+  'publish.removeSlide': 'Buang slaid',
+  'publish.confirmDeleteCarousel': 'Padam karusel “{title}”?',
+  'publish.tab.review': 'Semakan',
+  'publish.workflow': 'Aliran kerja',
+  'publish.status.draft': 'Draf',
+  'publish.status.in_review': 'Dalam semakan',
+  'publish.status.approved': 'Diluluskan',
+  'publish.status.published': 'Diterbitkan',
+  'publish.status.scheduled': 'Dijadualkan pada {date}',
+  'publish.status.archived': 'Diarkibkan',
+  'publish.action.submit': 'Hantar untuk semakan',
+  'publish.action.publish': 'Terbitkan',
+  'publish.action.approve': 'Luluskan',
+  'publish.action.withdraw': 'Kembali ke draf',
+  'publish.action.requestChanges': 'Minta perubahan',
+  'publish.action.archive': 'Arkibkan',
+  'publish.action.unpublish': 'Nyahterbit',
+  'publish.action.restore': 'Pulihkan',
+  'publish.confirm.archive': 'Arkibkan “{title}”? Ia akan keluar dari perpustakaan tetapi masih boleh dibaca melalui pautan.',
+  'publish.confirm.unpublish': 'Nyahterbit “{title}”? Pembaca tidak akan dapat melihatnya lagi.',
+  'publish.hint.submit': 'Penghantaran akan menghantarnya kepada {jurisdiction} untuk kelulusan.',
+  'publish.hint.publishDirectly': 'Dokumen ini tiada bidang kuasa, jadi ia boleh diterbitkan tanpa semakan.',
+  'publish.hint.inReview': 'Menunggu kelulusan daripada {jurisdiction}.',
+  'publish.editResetsReview': 'Menyimpan perubahan akan mengembalikan dokumen ini ke draf; ia perlu diluluskan semula.',
+  'publish.field.publishAt': 'Terbitkan pada',
+  'publish.publishAtHint': 'Biarkan kosong untuk menerbitkan sekarang.',
+  'publish.field.reviewNote': 'Nota daripada penyemak',
+  'publish.field.reviewNoteInput': 'Nota untuk institusi (pilihan)',
+  'publish.field.submitted': 'Dihantar',
+  'publish.statusChanged': 'Status dikemas kini.',
+  'publish.noReviews': 'Tiada apa-apa yang menunggu semakan.',
+  'publish.review': 'Semak',
+  'publish.reviewDocument': 'Semak “{title}”',
+  'publish.readDocument': 'Baca dokumen',
+  'publish.back': 'Kembali',
+  'publish.contact': 'Hubungi',
+  'publish.feedHint': 'Pembaca masih boleh memilih kaedah dan mazhab Asar sendiri dalam tetapan solat.',
+  'publish.widgetType': 'Disimpan sebagai',
+
+  'timetable.title': 'Jadual Waktu Solat',
+  'timetable.period': 'Tempoh',
+  'timetable.month': 'Bulan',
+  'timetable.year': 'Tahun',
+  'timetable.print': 'Cetak',
+  'timetable.copyDocument': 'Salin sebagai Dokumen',
+  'timetable.date': 'Tarikh',
+  'timetable.loading': 'Mengira jadual...',
+  'timetable.loadError': 'Tidak dapat memuatkan jadual: {message}',
+  'timetable.documentTitle': 'Jadual Waktu Solat {period}',
+
+  'time.hoursMinutes': '{hours} j {minutes} min',
+  'time.minutes': '{minutes} min',
+  'location.fallback': '(Sandaran)',
+  'location.myLocation': 'Lokasi saya',
+  'location.remove': 'Buang {name}',
+  'location.search.placeholder': 'Cari bandar…',
+  'location.search.label': 'Cari bandar',
+  'location.search.submit': 'Cari',
+  'location.search.searching': 'Mencari…',
+  'location.search.noResults': 'Tiada tempat dijumpai.',
+  'location.search.unavailable': 'Carian tidak tersedia buat masa ini.',
+  'location.use': 'Guna',
+  'location.saving': 'Menyimpan…',
+
+  'hijri.months': [
+    'Muharam', 'Safar', 'Rabiulawal', 'Rabiulakhir',
+    'Jamadilawal', 'Jamadilakhir', 'Rejab', 'Syaaban',
+    'Ramadan', 'Syawal', 'Zulkaedah', 'Zulhijah'
+  ],
+  'hijri.date': '{day} {month} {year} H'
+};
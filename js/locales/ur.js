@@ -0,0 +1,397 @@
+/**
+ * Urdu messages (اردو)
+ */
+
+export default {
+  'locale.label': 'زبان',
+
+  'common.all': 'تمام',
+  'common.untitled': 'بلا عنوان',
+  'common.unknown': 'نامعلوم',
+  'common.loading': 'لوڈ ہو رہا ہے...',
+  'common.close': 'بند کریں',
+  'common.copied': 'کاپی ہو گیا!',
+
+  'index.tab.space': 'اسپیس',
+  'index.tab.content': 'مواد',
+  'index.tab.account': 'اکاؤنٹ',
+  'index.allSpaces': 'تمام اسپیس',
+  'index.allContent': 'تمام مواد',
+  'index.allAccounts': 'تمام اکاؤنٹس',
+  'index.continueReading': 'پڑھنا جاری رکھیں',
+
+  'itemType.all': 'تمام',
+  'itemType.feed': 'فیڈ',
+  'itemType.book': 'کتاب',
+  'itemType.guideline': 'رہنما اصول',
+  'itemType.policy': 'پالیسی',
+  'itemType.decision': 'فیصلہ',
+  'itemType.verdict': 'حکم',
+  'itemType.note': 'نوٹ',
+
+  'library.postedIn': 'شائع شدہ در',
+  'library.postedBy': 'شائع کنندہ',
+  'library.sort.title': 'عنوان',
+  'library.sort.postedIn': 'شائع شدہ در',
+  'library.sort.postedBy': 'شائع کنندہ',
+  'library.languages': 'دستیاب زبانیں',
+  'library.language': '{name} ({english})',
+  'library.languageOriginal': '{name} ({english}، اصل)',
+  'library.search.placeholder': 'دستاویزات تلاش کریں…',
+  'library.search.label': 'دستاویزات تلاش کریں',
+  'library.search.searching': 'تلاش جاری ہے…',
+  'library.search.unavailable': 'تلاش فی الحال دستیاب نہیں۔',
+  'library.search.noMatches': '“{query}” سے کوئی دستاویز مماثل نہیں',
+  'library.search.results': {
+    one: '“{query}” کے لیے {count} نتیجہ',
+    other: '“{query}” کے لیے {count} نتائج'
+  },
+  'library.facets.title': 'فلٹر',
+  'library.facets.type': 'قسم',
+  'library.facets.date': 'تاریخ',
+  'library.facets.from': 'سے',
+  'library.facets.to': 'تک',
+  'library.facets.version': 'ورژن',
+  'library.facets.min': 'کم از کم',
+  'library.facets.max': 'زیادہ سے زیادہ',
+  'library.facets.clear': 'فلٹر صاف کریں',
+  'library.facets.versionRange': 'ورژن {min}–{max}',
+  'library.loadingMore': 'مزید لوڈ ہو رہا ہے…',
+  'library.loadMoreError': 'مزید دستاویزات لوڈ نہیں ہو سکیں۔',
+  'library.retry': 'دوبارہ کوشش کریں',
+  'library.offlineLink': 'آف لائن لائبریری',
+  'library.readingProgress': '{percent}% پڑھا گیا',
+  'library.realtime.newDocuments': {
+    one: '{count} نئی دستاویز',
+    other: '{count} نئی دستاویزات'
+  },
+  'library.realtime.show': 'دکھائیں',
+  'library.loadError': 'دستاویزات کی لائبریری لوڈ نہیں ہو سکی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+
+  'profile.contributions': {
+    other: '{count} شراکتیں'
+  },
+  'profile.contributors': {
+    other: '{count} شراکت دار'
+  },
+  'profile.contributionCount': {
+    one: '{count} شراکت',
+    other: '{count} شراکتیں'
+  },
+  'profile.contact': 'رابطہ',
+  'profile.contributorsButton': 'شراکت دار',
+  'profile.coverAlt': 'سرورق',
+  'profile.contactTitle': 'رابطے کی معلومات',
+  'profile.contributorsTitle': 'شراکت دار',
+  'profile.email': 'ای میل',
+  'profile.phone': 'فون',
+  'profile.address': 'پتہ',
+  'profile.website': 'ویب سائٹ',
+  'profile.noContact': 'رابطے کی معلومات دستیاب نہیں',
+  'profile.noContributors': 'کوئی شراکت دار نہیں ملا',
+  'profile.view': 'دیکھیں',
+  'profile.joined': '{date} کو شامل ہوئے',
+  'profile.role.member': 'رکن',
+  'profile.role.observer': 'مبصر',
+  'profile.role.moderator': 'منتظم',
+  'profile.offline.save': 'آف لائن کے لیے محفوظ کریں',
+  'profile.offline.saved': 'آف لائن کے لیے محفوظ ہے',
+  'profile.offline.saving': 'محفوظ ہو رہا ہے {done}/{total}…',
+  'profile.offline.removing': 'ہٹایا جا رہا ہے…',
+  'profile.offline.failed': 'آف لائن کے لیے محفوظ نہیں ہو سکا: {message}',
+  'profile.offline.partial': {
+    one: '{count} دستاویز آف لائن کے لیے محفوظ نہیں ہو سکی۔',
+    other: '{count} دستاویزات آف لائن کے لیے محفوظ نہیں ہو سکیں۔'
+  },
+
+  'archetype.facet': 'اکاؤنٹ کی قسم',
+  'archetype.profitModel.non_profit': 'غیر منافع بخش',
+  'archetype.profitModel.profit': 'منافع بخش',
+  'archetype.profitModel.user_paid': 'صارف ادا شدہ',
+  'archetype.visibility.private': 'نجی',
+  'archetype.visibility.public': 'عوامی',
+  'archetype.visibility.at_cost': 'لاگت پر',
+
+  'feed.empty': 'کوئی فیڈ آئٹم نہیں ملا۔',
+  'feed.postedBy': '{name} کی جانب سے شائع',
+  'feed.postedIn': '{name} میں شائع',
+  'carousel.previous': 'پچھلی سلائیڈ',
+  'carousel.next': 'اگلی سلائیڈ',
+  'carousel.goTo': 'سلائیڈ {number} پر جائیں',
+
+  'prayer.fetchingLocation': 'آپ کا مقام معلوم کیا جا رہا ہے...',
+  'prayer.loadError': 'اوقاتِ نماز لوڈ نہیں ہو سکے۔',
+  'prayer.qibla': 'قبلہ {bearing} · {distance}',
+  'prayer.approximate': '(تخمینی)',
+  'prayer.name.fajr': 'فجر',
+  'prayer.name.sunrise': 'طلوعِ آفتاب',
+  'prayer.name.dhuhr': 'ظہر',
+  'prayer.name.asr': 'عصر',
+  'prayer.name.maghrib': 'مغرب',
+  'prayer.name.isha': 'عشاء',
+  'prayer.settings.location': 'مقام',
+  'prayer.settings.calculation': 'حساب کی ترتیبات',
+  'prayer.settings.reminders': 'یاد دہانیاں',
+  'prayer.settings.qibla': 'قبلہ نما',
+  'prayer.settings.method': 'طریقہ',
+  'prayer.settings.asr': 'عصر',
+  'prayer.settings.hijri': 'ہجری تاریخ',
+  'prayer.settings.noAdjustment': 'کوئی ترمیم نہیں',
+  'prayer.settings.adjustment': {
+    other: '{sign}{count} دن'
+  },
+  'prayer.settings.originUser': 'آپ کی ترتیب',
+  'prayer.settings.originProfile': 'پروفائل کی طے شدہ',
+  'prayer.settings.originDefault': 'طے شدہ',
+  'prayer.settings.reset': 'دوبارہ ترتیب دیں',
+  'prayer.settings.timetable': 'ماہانہ نظام الاوقات ←',
+  'qibla.instructions': 'اپنا آلہ ہموار رکھیں، پھر قبلہ نما شروع کریں۔',
+  'qibla.start': 'قبلہ نما شروع کریں',
+  'qibla.heading': 'سمت {bearing}',
+  'qibla.waiting': 'قبلہ نما کا انتظار…',
+  'qibla.unavailable': 'اس آلے پر قبلہ نما دستیاب نہیں۔',
+  'reminders.unsupported': 'اس براؤزر میں یاد دہانیاں دستیاب نہیں۔',
+  'reminders.enabled': 'نماز کی یاد دہانیاں',
+  'reminders.blocked': 'اس سائٹ کے لیے اطلاعات آپ کے براؤزر کی ترتیبات میں بند ہیں۔',
+  'reminders.lead': 'یاد دلائیں',
+  'reminders.atPrayerTime': 'نماز کے وقت',
+  'reminders.minutesBefore': '{minutes} منٹ پہلے',
+  'reminders.quietHours': 'خاموش اوقات',
+  'reminders.quietStart': 'خاموش اوقات کا آغاز',
+  'reminders.quietEnd': 'خاموش اوقات کا اختتام',
+
+  'marquee.prayerSettings': 'نماز کی ترتیبات',
+  'marquee.retry': 'مقام دوبارہ معلوم کریں',
+  'marquee.locationFailed': 'مقام معلوم نہیں ہو سکا۔ متبادل مقام استعمال ہو رہا ہے۔',
+  'marquee.loadError': 'مواد لوڈ نہیں ہو سکا۔ براہ کرم اپنا کنکشن چیک کریں۔',
+
+  'viewer.versions.label': 'دستاویز کے ورژن',
+  'viewer.versions.version': 'ورژن',
+  'viewer.versions.compare': 'موازنہ کریں',
+  'viewer.versions.permalink': 'مستقل لنک',
+  'viewer.versions.latest': '(تازہ ترین)',
+  'viewer.versions.changes': {
+    one: 'v{from} سے v{to} تک تبدیلیاں: {count} حصہ بدلا۔',
+    other: 'v{from} سے v{to} تک تبدیلیاں: {count} حصے بدلے۔'
+  },
+  'viewer.status.archivedTitle': 'آرکائیو شدہ۔',
+  'viewer.status.archived': 'یہ دستاویز آرکائیو کر دی گئی ہے اور صرف حوالے کے لیے رکھی گئی ہے۔',
+  'viewer.status.archivedOn': 'یہ دستاویز {date} کو آرکائیو کی گئی اور صرف حوالے کے لیے رکھی گئی ہے۔',
+  'viewer.status.previewTitle': 'پیش نظارہ۔',
+  'viewer.status.preview.draft': 'یہ دستاویز مسودہ ہے اور ابھی قارئین کو نظر نہیں آتی۔',
+  'viewer.status.preview.inReview': 'یہ دستاویز منظوری کی منتظر ہے اور ابھی قارئین کو نظر نہیں آتی۔',
+  'viewer.status.preview.approved': 'یہ دستاویز منظور ہو چکی ہے لیکن ابھی شائع نہیں ہوئی، اس لیے قارئین اسے نہیں دیکھ سکتے۔',
+  'viewer.status.preview.scheduled': 'یہ دستاویز {date} کو شائع ہونے کے لیے طے ہے اور ابھی قارئین کو نظر نہیں آتی۔',
+  'viewer.status.supersededTitle': 'v{version} نے اس کی جگہ لے لی۔',
+  'viewer.status.superseded': 'آپ ورژن {version} دیکھ رہے ہیں۔',
+  'viewer.status.viewLatest': 'تازہ ترین دیکھیں (v{version})',
+  'viewer.offline.save': 'آف لائن کے لیے محفوظ کریں',
+  'viewer.offline.saved': 'آف لائن کے لیے محفوظ',
+  'viewer.offline.saving': 'محفوظ ہو رہا ہے…',
+  'viewer.offline.removing': 'ہٹایا جا رہا ہے…',
+  'viewer.offline.savedOn': 'آف لائن نسخہ {date} کو محفوظ ہوا',
+  'viewer.offline.inCollection': 'پہلے ہی اپنے ادارے یا دائرہ اختیار کے ساتھ محفوظ ہے؛ وہ مجموعہ ہٹنے پر بھی رکھنے کے لیے اسے الگ سے محفوظ کریں',
+  'viewer.offline.failed': 'آف لائن نسخہ اپ ڈیٹ نہیں ہو سکا: {message}',
+  'viewer.loading': 'دستاویز لوڈ ہو رہی ہے...',
+  'viewer.error.title': '⚠️ دستاویز نہیں ملی',
+  'viewer.error.noId': 'دستاویز کی شناخت نہیں دی گئی۔ یہ یو آر ایل استعمال کریں: document-viewer.html?doc=book0',
+  'viewer.error.notFound': 'دستاویز "{docId}" نہیں ملی۔',
+  'viewer.error.versionNotFound': '"{docId}" کا ورژن {version} نہیں ملا۔',
+  'viewer.error.loadFailed': 'دستاویز لوڈ نہیں ہو سکی: {message}',
+  'viewer.backToLibrary': '→ لائبریری پر واپس جائیں',
+  'viewer.unknownInstitution': 'نامعلوم ادارہ',
+  'viewer.unknownJurisdiction': 'نامعلوم دائرہ اختیار',
+  'viewer.languages.label': 'دستاویز کی زبانیں',
+  'viewer.languages.language': 'زبان',
+  'viewer.languages.parallel': 'ساتھ ساتھ',
+  'viewer.languages.original': '{name} — اصل',
+  'viewer.languages.outdated': '{language} ترجمہ ورژن {from} سے کیا گیا تھا اور ممکن ہے اس میں ورژن {version} کی تبدیلیاں شامل نہ ہوں۔',
+  'viewer.languages.readOriginal': 'اصل پڑھیں ({language})',
+  'viewer.toc.contents': 'فہرست',
+  'viewer.toc.headingLink': '{label} کا لنک',
+  'viewer.toc.copyParagraphLink': '🔗 پیراگراف کا لنک کاپی کریں',
+  'viewer.toc.linkInAddressBar': 'لنک ایڈریس بار میں ہے',
+  'viewer.print': '🖨 پرنٹ / پی ڈی ایف کے طور پر محفوظ کریں',
+
+  'reading.resume': 'وہیں سے جاری جہاں آپ نے چھوڑا تھا ({percent})',
+  'reading.startOver': 'شروع سے پڑھیں',
+  'reading.bookmarks': '🔖 بُک مارکس',
+  'reading.bookmarksCount': '🔖 بُک مارکس ({count})',
+  'reading.bookmarkHere': 'اس جگہ کو بُک مارک کریں',
+  'reading.notePlaceholder': 'نوٹ (اختیاری)',
+  'reading.addBookmark': 'بُک مارک شامل کریں',
+  'reading.latestOnly': 'بُک مارکس صرف تازہ ترین ورژن میں شامل کیے جا سکتے ہیں۔',
+  'reading.addFailed': 'بُک مارک شامل نہیں ہو سکا: {message}',
+  'reading.empty': 'ابھی کوئی بُک مارک نہیں۔',
+  'reading.startOfDocument': 'دستاویز کا آغاز',
+  'reading.editNote': 'نوٹ میں ترمیم کریں',
+  'reading.addNote': 'نوٹ شامل کریں',
+  'reading.delete': 'حذف کریں',
+  'reading.note': 'نوٹ',
+  'reading.save': 'محفوظ کریں',
+  'reading.cancel': 'منسوخ کریں',
+
+  'offline.heading': 'آف لائن پڑھنے کے لیے محفوظ',
+  'offline.loading': 'محفوظ دستاویزات لوڈ ہو رہی ہیں…',
+  'offline.readFailed': 'اس براؤزر میں محفوظ دستاویزات پڑھی نہیں جا سکیں۔',
+  'offline.empty': 'ابھی کچھ محفوظ نہیں۔ کسی دستاویز پر، یا لائبریری میں کسی ادارے یا دائرہ اختیار کی پروفائل پر «{save}» استعمال کریں تاکہ اسے یہاں کنکشن کے بغیر پڑھ سکیں۔',
+  'offline.openLibrary': 'لائبریری کھولیں',
+  'offline.collections': 'مجموعے',
+  'offline.documents': 'دستاویزات',
+  'offline.documentCount': {
+    one: '{count} دستاویز',
+    other: '{count} دستاویزات'
+  },
+  'offline.siteUsage': '(سائٹ کا کل {usage}، دستیاب {quota})',
+  'offline.savedOn': 'محفوظ کی گئی {date}',
+  'offline.inCollections': '{names} میں',
+  'offline.remove': 'ہٹائیں',
+  'offline.removeFailed': 'محفوظ نسخہ ہٹایا نہیں جا سکا',
+  'offline.type.institution': 'ادارہ',
+  'offline.type.jurisdiction': 'دائرہ اختیار',
+
+  'publish.heading': 'اشاعت',
+  'publish.signIn': 'سائن ان',
+  'publish.signInHint': 'اداروں کے اراکین کے لیے۔ کسی منتظم سے کہیں کہ آپ کا اکاؤنٹ آپ کے ادارے میں شامل کرے۔',
+  'publish.email': 'ای میل',
+  'publish.password': 'پاس ورڈ',
+  'publish.passwordRequired': 'اپنا پاس ورڈ درج کریں، یا اس کے بجائے سائن ان لنک طلب کریں۔',
+  'publish.emailLink': 'مجھے سائن ان لنک ای میل کریں',
+  'publish.emailLinkSent': 'سائن ان لنک {email} پر بھیج دیا گیا۔',
+  'publish.signingIn': 'سائن ان ہو رہا ہے…',
+  'publish.signInFailed': 'سائن ان ناکام: {message}',
+  'publish.signOut': 'سائن آؤٹ',
+  'publish.signedInAs': 'بطور {email} سائن ان',
+  'publish.institution': 'ادارہ',
+  'publish.noMembership': 'آپ کا اکاؤنٹ ابھی کسی ادارے کا رکن نہیں ہے۔',
+  'publish.loadError': 'اشاعتی پورٹل لوڈ نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'publish.tab.documents': 'دستاویزات',
+  'publish.tab.carousels': 'کیروسل',
+  'publish.tab.profile': 'پروفائل',
+  'publish.tab.feed': 'فیڈ ویجیٹ',
+  'publish.none': 'کوئی نہیں',
+  'publish.siteDefault': 'سائٹ کا ڈیفالٹ',
+  'publish.visible': 'شائع شدہ',
+  'publish.hidden': 'پوشیدہ',
+  'publish.edit': 'ترمیم',
+  'publish.view': 'دیکھیں',
+  'publish.save': 'محفوظ کریں',
+  'publish.cancel': 'منسوخ کریں',
+  'publish.delete': 'حذف کریں',
+  'publish.upload': 'تصویر اپ لوڈ کریں',
+  'publish.saving': 'محفوظ ہو رہا ہے…',
+  'publish.saved': 'محفوظ ہو گیا۔',
+  'publish.deleted': 'حذف ہو گیا۔',
+  'publish.uploaded': 'تصویر اپ لوڈ ہو گئی۔',
+  'publish.error': 'محفوظ نہیں ہو سکا: {message}',
+  'publish.unsafeUrl': 'یہ لنک مجاز نہیں: {url}',
+  'publish.field.docId': 'دستاویز آئی ڈی',
+  'publish.field.title': 'عنوان',
+  'publish.field.itemType': 'قسم',
+  'publish.field.jurisdiction': 'دائرہ اختیار',
+  'publish.field.language': 'زبان',
+  'publish.field.date': 'تاریخ',
+  'publish.field.status': 'حیثیت',
+  'publish.field.version': 'ورژن',
+  'publish.field.visible': 'شائع شدہ (قارئین کو نظر آتا ہے)',
+  'publish.field.content': 'مواد (HTML)',
+  'publish.field.slides': 'سلائیڈز',
+  'publish.field.imageUrl': 'تصویر کا URL',
+  'publish.field.linkedDocument': 'منسلک دستاویز',
+  'publish.field.bio': 'تعارف',
+  'publish.field.avatar': 'اوتار',
+  'publish.field.cover': 'سرورق کی تصویر',
+  'publish.field.email': 'ای میل',
+  'publish.field.phone': 'فون',
+  'publish.field.address': 'پتہ',
+  'publish.field.website': 'ویب سائٹ',
+  'publish.field.widgetEnabled': 'فیڈ پر اوقاتِ نماز کا ویجیٹ دکھائیں',
+  'publish.newDocument': 'نئی دستاویز',
+  'publish.editDocument': '“{title}” میں ترمیم',
+  'publish.noDocuments': 'ابھی کوئی دستاویز نہیں۔',
+  'publish.docIdHint': 'چھوٹے انگریزی حروف، ہندسے، "-" اور "_"۔ لنکس میں استعمال ہوتا ہے اور بعد میں تبدیل نہیں ہو سکتا۔',
+  'publish.invalidDocId': 'دستاویز آئی ڈی میں صرف چھوٹے انگریزی حروف، ہندسے، "-" اور "_" ہو سکتے ہیں۔',
+  'publish.invalidLanguage': 'زبان کا کوڈ درج کریں، جیسے en، ar یا ms۔',
+  'publish.contentHint': 'غیر معاون مارک اپ (اسکرپٹس، فارمز، ایمبیڈز) محفوظ کرتے وقت ہٹا دیا جاتا ہے۔',
+  'publish.correctVersion': 'ورژن {version} کو اسی جگہ درست کریں',
+  'publish.newVersion': 'ورژن {version} کے طور پر شائع کریں (پچھلا ورژن برقرار رہے گا)',
+  'publish.history': 'ورژن کی تاریخ',
+  'publish.compare': 'v{version} کے بعد کی تبدیلیاں',
+  'publish.confirmDeleteDocument': '“{title}” اور اس کے تمام ورژن حذف کریں؟',
+  'publish.newCarousel': 'نیا کیروسل',
+  'publish.editCarousel': '“{title}” میں ترمیم',
+  'publish.noCarousels': 'ابھی کوئی کیروسل نہیں۔',
+  'publish.addSlide': 'سلائیڈ شامل کریں',
+  'publish.moveUp': 'اوپر منتقل کریں',
+  'publish.moveDown': 'نیچے منتقل کریں',
+  'publish.removeSlide': 'سلائیڈ ہٹائیں',
+  'publish.confirmDeleteCarousel': 'کیروسل “{title}” حذف کریں؟',
+  'publish.tab.review': 'جائزہ',
+  'publish.workflow': 'طریقۂ کار',
+  'publish.status.draft': 'مسودہ',
+  'publish.status.in_review': 'زیرِ جائزہ',
+  'publish.status.approved': 'منظور شدہ',
+  'publish.status.published': 'شائع شدہ',
+  'publish.status.scheduled': '{date} کے لیے طے شدہ',
+  'publish.status.archived': 'محفوظ شدہ (آرکائیو)',
+  'publish.action.submit': 'جائزے کے لیے بھیجیں',
+  'publish.action.publish': 'شائع کریں',
+  'publish.action.approve': 'منظور کریں',
+  'publish.action.withdraw': 'واپس مسودے میں',
+  'publish.action.requestChanges': 'تبدیلیوں کی درخواست کریں',
+  'publish.action.archive': 'آرکائیو کریں',
+  'publish.action.unpublish': 'اشاعت واپس لیں',
+  'publish.action.restore': 'بحال کریں',
+  'publish.confirm.archive': '“{title}” کو آرکائیو کریں؟ یہ لائبریری سے ہٹ جائے گی لیکن لنک کے ذریعے پڑھی جا سکے گی۔',
+  'publish.confirm.unpublish': '“{title}” کی اشاعت واپس لیں؟ قارئین اسے مزید نہیں دیکھ سکیں گے۔',
+  'publish.hint.submit': 'بھیجنے پر یہ منظوری کے لیے {jurisdiction} کو جائے گی۔',
+  'publish.hint.publishDirectly': 'اس دستاویز کا کوئی دائرہ اختیار نہیں، اس لیے یہ جائزے کے بغیر شائع ہو سکتی ہے۔',
+  'publish.hint.inReview': '{jurisdiction} کی منظوری کا انتظار ہے۔',
+  'publish.editResetsReview': 'تبدیلیاں محفوظ کرنے سے یہ دستاویز واپس مسودے میں چلی جائے گی؛ اسے دوبارہ منظوری درکار ہوگی۔',
+  'publish.field.publishAt': 'اشاعت کی تاریخ',
+  'publish.publishAtHint': 'ابھی شائع کرنے کے لیے خالی چھوڑ دیں۔',
+  'publish.field.reviewNote': 'جائزہ کار کا نوٹ',
+  'publish.field.reviewNoteInput': 'ادارے کے لیے نوٹ (اختیاری)',
+  'publish.field.submitted': 'بھیجا گیا',
+  'publish.statusChanged': 'حیثیت اپ ڈیٹ ہو گئی۔',
+  'publish.noReviews': 'جائزے کے لیے کچھ زیرِ التوا نہیں۔',
+  'publish.review': 'جائزہ لیں',
+  'publish.reviewDocument': '“{title}” کا جائزہ',
+  'publish.readDocument': 'دستاویز پڑھیں',
+  'publish.back': 'واپس',
+  'publish.contact': 'رابطہ',
+  'publish.feedHint': 'قارئین اب بھی نماز کی ترتیبات میں اپنا طریقہ اور عصر کا مسلک خود منتخب کر سکتے ہیں۔',
+  'publish.widgetType': 'بطور محفوظ',
+
+  'timetable.title': 'نماز کے اوقات کا جدول',
+  'timetable.period': 'مدت',
+  'timetable.month': 'مہینہ',
+  'timetable.year': 'سال',
+  'timetable.print': 'پرنٹ کریں',
+  'timetable.copyDocument': 'دستاویز کے طور پر کاپی کریں',
+  'timetable.date': 'تاریخ',
+  'timetable.loading': 'جدول کا حساب ہو رہا ہے...',
+  'timetable.loadError': 'جدول لوڈ نہیں ہو سکا: {message}',
+  'timetable.documentTitle': 'نماز کے اوقات کا جدول {period}',
+
+  'time.hoursMinutes': '{hours} گھنٹے {minutes} منٹ',
+  'time.minutes': '{minutes} منٹ',
+  'location.fallback': '(متبادل)',
+  'location.myLocation': 'میرا مقام',
+  'location.remove': '{name} ہٹائیں',
+  'location.search.placeholder': 'شہر تلاش کریں…',
+  'location.search.label': 'شہر تلاش کریں',
+  'location.search.submit': 'تلاش',
+  'location.search.searching': 'تلاش جاری ہے…',
+  'location.search.noResults': 'کوئی جگہ نہیں ملی۔',
+  'location.search.unavailable': 'تلاش فی الحال دستیاب نہیں۔',
+  'location.use': 'استعمال کریں',
+  'location.saving': 'محفوظ ہو رہا ہے…',
+
+  'hijri.months': [
+    'محرم', 'صفر', 'ربیع الاول', 'ربیع الثانی',
+    'جمادی الاول', 'جمادی الثانی', 'رجب', 'شعبان',
+    'رمضان', 'شوال', 'ذوالقعدہ', 'ذوالحجہ'
+  ],
+  'hijri.date': '{day} {month} {year} ہجری'
+};
@@ -0,0 +1,112 @@
+/**
+ * Location Picker
+ * City search and saved-location switcher in the marquee's prayer settings
+ * panel. Saved locations live in PrayerTimesService (unifiedCache,
+ * CACHE_NAMESPACES.LOCATION); this module only renders and forwards actions.
+ */
+
+import { prayerTimesService } from './prayer-times-service.js';
+import { escapeHtml } from './utils.js';
+import { t } from './i18n.js';
+
+let pickerCount = 0;
+
+/**
+ * Render the location picker into a container
+ * @param {HTMLElement} container - Element to render into (contents replaced)
+ */
+export function renderLocationPicker(container) {
+  if (!container) return;
+
+  const radioName = `location-choice-${++pickerCount}`;
+
+  container.innerHTML = `
+    <div class="location-picker-saved"></div>
+    <form class="location-picker-search">
+      <input type="search" placeholder="${escapeHtml(t('location.search.placeholder'))}" aria-label="${escapeHtml(t('location.search.label'))}" minlength="2" required />
+      <button type="submit">${t('location.search.submit')}</button>
+    </form>
+    <p class="location-picker-status"></p>
+    <ul class="location-picker-results"></ul>
+  `;
+
+  const savedList = container.querySelector('.location-picker-saved');
+  const form = container.querySelector('.location-picker-search');
+  const input = form.querySelector('input');
+  const status = container.querySelector('.location-picker-status');
+  const resultsList = container.querySelector('.location-picker-results');
+
+  const renderSaved = async () => {
+    const { locations, activeId } = await prayerTimesService.getSavedLocations();
+
+    savedList.innerHTML = `
+      <label class="location-picker-row">
+        <input type="radio" name="${radioName}" value="" ${activeId ? '' : 'checked'} />
+        <span>📍 ${t('location.myLocation')}</span>
+      </label>
+      ${locations.map(location => `
+        <div class="location-picker-row">
+          <label>
+            <input type="radio" name="${radioName}" value="${escapeHtml(location.id)}" ${location.id === activeId ? 'checked' : ''} />
+            <span>${escapeHtml(location.name)}</span>
+          </label>
+          <button type="button" class="location-picker-remove" data-remove="${escapeHtml(location.id)}" title="${escapeHtml(t('location.remove', { name: location.name }))}">✕</button>
+        </div>
+      `).join('')}
+    `;
+
+    savedList.querySelectorAll('input[type="radio"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        prayerTimesService.selectLocation(radio.value || null);
+      });
+    });
+
+    savedList.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => {
+        prayerTimesService.removeSavedLocation(button.dataset.remove);
+      });
+    });
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    resultsList.innerHTML = '';
+    status.textContent = t('location.search.searching');
+
+    try {
+      const results = await prayerTimesService.searchLocations(input.value);
+      status.textContent = results.length === 0 ? t('location.search.noResults') : '';
+
+      resultsList.innerHTML = results.map((place, index) => `
+        <li class="location-picker-row">
+          <span>${escapeHtml(place.displayName || `${place.name}, ${place.country}`)}</span>
+          <button type="button" data-result="${index}">${t('location.use')}</button>
+        </li>
+      `).join('');
+
+      resultsList.querySelectorAll('[data-result]').forEach(button => {
+        button.addEventListener('click', async () => {
+          const place = results[Number(button.dataset.result)];
+          status.textContent = t('location.saving');
+          const saved = await prayerTimesService.saveLocation(place);
+          await prayerTimesService.selectLocation(saved.id);
+          resultsList.innerHTML = '';
+          input.value = '';
+          status.textContent = '';
+        });
+      });
+    } catch (error) {
+      console.warn('Location search failed:', error);
+      status.textContent = t('location.search.unavailable');
+    }
+  });
+
+  // Keep every picker on the page in sync with the saved list
+  prayerTimesService.subscribe((state, event) => {
+    if (event === 'saved-locations-changed' && container.isConnected) {
+      renderSaved();
+    }
+  });
+
+  renderSaved();
+}
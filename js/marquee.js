@@ -4,9 +4,22 @@
  * 
  * REFACTORED: Now uses PrayerTimesService as single source of truth
  * All location, geocoding, and prayer times logic has been moved to the service
+ *
+ * Created once by app-main.js; the marquee stays in place between pages
+ * (see router.js) and follows the profile of the page with refreshContext()
  */
 
 import { prayerTimesService, LOCATION_QUALITY } from './prayer-times-service.js';
+import { prayerNotifications } from './prayer-notifications.js';
+import { formatBearing, formatDistance } from './qibla.js';
+import { renderPrayerSettings, stopQiblaCompass } from './prayer-settings-ui.js';
+import { escapeHtml } from './utils.js';
+import { t, isRtl, onLocaleChange } from './i18n.js';
+
+/**
+ * The clock span in the widget section (its text changes every tick, in any locale's format)
+ */
+const CLOCK_PATTERN = /<span class="prayer-value prayer-clock">[^<]*<\/span>/g;
 
 class Marquee {
   constructor() {
@@ -45,14 +58,25 @@ class Marquee {
       const widgetEnabled = this.feedConfig?.widget?.enabled !== false;
 
       if (widgetEnabled) {
+        // Profile-level calculation method / Asr school defaults
+        if (this.feedConfig?.widget) {
+          await prayerTimesService.setProfileDefaults(this.feedConfig.widget);
+        }
+
         // Show loading state
         this.showLoadingState();
 
+        // Location, reminder and calculation settings next to the scrolling content
+        this.initSettingsPanel();
+
         // Subscribe to prayer times service updates
         this.unsubscribe = prayerTimesService.subscribe((state, event) => {
           this.handleServiceUpdate(state, event);
         });
 
+        // Re-send the reminder schedule to the service worker on every page load
+        prayerNotifications.init();
+
         // Initialize the service (if not already initialized)
         await prayerTimesService.init();
       } else {
@@ -66,6 +90,72 @@ class Marquee {
     }
   }
 
+  /**
+   * Follow the page to another profile (or back to the global feed)
+   * without subscribing to the prayer times service again
+   */
+  async refreshContext() {
+    const previous = `${this.feedType}:${this.entityName}`;
+    this.getFeedContext();
+    if (`${this.feedType}:${this.entityName}` === previous) {
+      this.updateDisplay();
+      return;
+    }
+
+    await this.fetchFeedConfig();
+    await this.fetchEntityMetadata();
+
+    const widgetEnabled = this.feedConfig?.widget?.enabled !== false;
+    if (widgetEnabled && !this.unsubscribe) {
+      // The widget was off for the previous profile
+      await this.init();
+      return;
+    }
+    if (widgetEnabled) {
+      await prayerTimesService.setProfileDefaults(this.feedConfig?.widget || null);
+    }
+    this.updateDisplay();
+  }
+
+  /**
+   * Add a settings button to the marquee that opens the prayer settings panel
+   */
+  initSettingsPanel() {
+    const marquee = this.marqueeElement.closest('.prayer-times-marquee');
+    const container = this.marqueeElement.closest('.prayer-times-container');
+    if (!marquee || !container || container.querySelector('.marquee-settings-panel')) return;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'marquee-settings-toggle';
+    toggle.title = t('marquee.prayerSettings');
+    toggle.dataset.i18nTitle = 'marquee.prayerSettings';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.textContent = '⚙️';
+
+    const panel = document.createElement('div');
+    panel.className = 'marquee-settings-panel hidden';
+
+    toggle.addEventListener('click', () => {
+      const opening = panel.classList.contains('hidden');
+      if (opening && !panel.hasChildNodes()) {
+        renderPrayerSettings(panel);
+      } else if (!opening) {
+        stopQiblaCompass();
+      }
+      panel.classList.toggle('hidden', !opening);
+      toggle.setAttribute('aria-expanded', String(opening));
+    });
+
+    // Rebuild an opened panel in the new language
+    onLocaleChange(() => {
+      if (panel.hasChildNodes()) renderPrayerSettings(panel);
+    });
+
+    marquee.appendChild(toggle);
+    container.appendChild(panel);
+  }
+
   /**
    * Handle updates from PrayerTimesService
    * @param {Object} state - Service state
@@ -90,7 +180,7 @@ class Marquee {
       case 'error':
         // Only show error if we don't have data to display
         if (!state.prayerTimes) {
-          this.showWarningState(state.error?.message || 'Unable to load prayer times');
+          this.showWarningState(state.error?.message || t('prayer.loadError'));
         }
         break;
       default:
@@ -106,7 +196,7 @@ class Marquee {
     this.marqueeElement.innerHTML = `
       <span class="prayer-loading">
         <span class="loading-spinner"></span>
-        Fetching your location...
+        ${t('prayer.fetchingLocation')}
       </span>
     `;
   }
@@ -119,7 +209,7 @@ class Marquee {
   showWarningState(message, showRetry = true) {
     if (!this.marqueeElement) return;
     
-    const retryBtn = showRetry ? `<button class="retry-location-btn" title="Retry location fetch">🔄</button>` : '';
+    const retryBtn = showRetry ? `<button class="retry-location-btn" title="${t('marquee.retry')}">🔄</button>` : '';
     
     this.marqueeElement.innerHTML = `
       <span class="prayer-warning">
@@ -149,7 +239,7 @@ class Marquee {
       await prayerTimesService.forceRefresh();
     } catch (error) {
       console.error('Retry failed:', error);
-      this.showWarningState('Location fetch failed. Using fallback location.');
+      this.showWarningState(t('marquee.locationFailed'));
     }
   }
 
@@ -230,7 +320,8 @@ class Marquee {
    * Update the marquee display
    */
   updateDisplay() {
-    if (!this.marqueeElement) return;
+    // Not on this page (e.g. the document viewer)
+    if (!this.marqueeElement?.isConnected) return;
 
     // Check if widget is enabled
     const widgetEnabled = this.feedConfig?.widget?.enabled !== false;
@@ -242,7 +333,7 @@ class Marquee {
       
       // Check for error state
       if (state.error && !state.prayerTimes) {
-        this.showWarningState(state.error.message || 'Unable to load prayer times');
+        this.showWarningState(state.error.message || t('prayer.loadError'));
         return;
       }
       
@@ -255,10 +346,18 @@ class Marquee {
       // Build prayer times content
       const locationText = state.formattedLocation;
       const timeToNext = state.formattedTimeToNext;
-      const nextPrayerName = state.nextPrayer?.name || "Unknown";
+      const nextPrayerName = state.nextPrayer
+        ? t(`prayer.name.${state.nextPrayer.name.toLowerCase()}`)
+        : t('common.unknown');
+
+      const widgetContent = `<span class="prayer-item"><span class="prayer-label">📍</span> <span class="prayer-value">${locationText}</span></span> <span class="prayer-separator">•</span> <span class="prayer-item"><span class="prayer-label">📅</span> <span class="prayer-value">${state.formattedDate} · ${state.formattedHijriDate}</span></span> <span class="prayer-separator">•</span> <span class="prayer-item"><span class="prayer-label">🕐</span> <span class="prayer-value prayer-clock">${state.formattedTime}</span></span> <span class="prayer-separator">•</span> <span class="prayer-item"><span class="prayer-label">⏰</span> <span class="prayer-value">${nextPrayerName} (${timeToNext})</span></span>`;
 
-      const widgetContent = `<span class="prayer-item"><span class="prayer-label">📍</span> <span class="prayer-value">${locationText}</span></span> <span class="prayer-separator">•</span> <span class="prayer-item"><span class="prayer-label">📅</span> <span class="prayer-value">${state.formattedDate}</span></span> <span class="prayer-separator">•</span> <span class="prayer-item"><span class="prayer-label">🕐</span> <span class="prayer-value">${state.formattedTime}</span></span> <span class="prayer-separator">•</span> <span class="prayer-item"><span class="prayer-label">⏰</span> <span class="prayer-value">${nextPrayerName} (${timeToNext})</span></span>`;
-      widgetSection = widgetContent;
+      // Qibla direction; approximate when the location is the Jakarta fallback
+      const qiblaContent = state.qibla
+        ? ` <span class="prayer-separator">•</span> <span class="prayer-item"><span class="prayer-label">🕋</span> <span class="prayer-value">${t('prayer.qibla', { bearing: formatBearing(state.qibla.bearing), distance: formatDistance(state.qibla.distanceKm) })}${state.qibla.approximate ? ` ${t('prayer.approximate')}` : ''}</span></span>`
+        : '';
+
+      widgetSection = widgetContent + qiblaContent;
     }
 
     let feedContent = '';
@@ -270,7 +369,7 @@ class Marquee {
     // If no widget and no feed content, show bio as fallback
     if (!widgetSection && !feedContent && this.entityMetadata?.bio) {
       const bio = this.entityMetadata.bio;
-      content = `<span class="prayer-item"><span class="prayer-value">${bio}</span></span> <span class="prayer-separator">•</span> `;
+      content = `<span class="prayer-item"><span class="prayer-value">${escapeHtml(bio)}</span></span> <span class="prayer-separator">•</span> `;
     }
 
     // Create a hash of the content (excluding time) to detect actual changes
@@ -300,13 +399,12 @@ class Marquee {
     } else {
       // Use cached content, just update the time if widget is enabled
       if (widgetEnabled && this.cachedContent) {
-        // Update time in cached content
+        // Update the clock in every repetition of the cached content
         const state = prayerTimesService.getState();
-        const timeRegex = /<span class="prayer-value">(\d{1,2}:\d{2}\s[AP]M)<\/span>/;
-        const timeMatch = this.cachedContent.match(timeRegex);
-        if (timeMatch) {
-          this.cachedContent = this.cachedContent.replace(timeMatch[0], `<span class="prayer-value">${state.formattedTime}</span>`);
-        }
+        this.cachedContent = this.cachedContent.replace(
+          CLOCK_PATTERN,
+          `<span class="prayer-value prayer-clock">${state.formattedTime}</span>`
+        );
       }
       content = this.cachedContent;
     }
@@ -323,7 +421,7 @@ class Marquee {
    */
   generateContentHash(widgetSection, carouselContent, bio) {
     // Create a simplified version of content for hashing (remove time)
-    const simplifiedWidget = widgetSection ? widgetSection.replace(/\d{1,2}:\d{2}\s[AP]M/g, 'TIME') : '';
+    const simplifiedWidget = widgetSection ? widgetSection.replace(CLOCK_PATTERN, 'TIME') : '';
     return `${simplifiedWidget}|${carouselContent}|${bio || ''}`;
   }
 
@@ -339,8 +437,9 @@ class Marquee {
     // Calculate duration: width / speed
     const duration = contentWidth / pixelsPerSecond;
     
-    // Apply the animation with calculated duration
-    this.marqueeElement.style.animation = `scroll ${duration}s linear infinite`;
+    // Apply the animation with calculated duration (right-to-left locales scroll the other way)
+    const animation = isRtl() ? 'scroll-rtl' : 'scroll';
+    this.marqueeElement.style.animation = `${animation} ${duration}s linear infinite`;
   }
 
   /**
@@ -349,7 +448,7 @@ class Marquee {
   showError() {
     if (!this.marqueeElement) return;
     this.marqueeElement.innerHTML = `
-      <span class="prayer-error">Unable to load marquee content. Please check your connection.</span>
+      <span class="prayer-error">${t('marquee.loadError')}</span>
     `;
   }
 
@@ -383,16 +482,4 @@ class Marquee {
   }
 }
 
-// Initialize when DOM is ready
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", () => {
-    const marquee = new Marquee();
-    marquee.init();
-  });
-} else {
-  const marquee = new Marquee();
-  marquee.init();
-}
-
-// Export for potential use in other modules
 export { Marquee };
@@ -0,0 +1,529 @@
+/**
+ * Offline Library Module
+ * Documents and collections pinned for reading without a connection
+ *
+ * - Stored in IndexedDB (IndexedDBCache, database "ummah-offline-library"),
+ *   never expiring: pinned copies stay until the reader removes them
+ * - A saved document keeps its full row (content included), its translations
+ *   and the images its content shows
+ * - Collections pin every document of an institution or jurisdiction; a
+ *   document stays saved while it is pinned on its own or by any collection
+ * - sw.js keeps the pages and scripts available offline; the viewer
+ *   (document-viewer.js) falls back to these copies, and offline.html lists them
+ *
+ * Entries:
+ *   doc:<docId>                    { docId, title, ..., row, translations, images, imageSizes, pinned, collections, contentBytes, bytes, savedAt }
+ *   image:<url>                    { url, blob }
+ *   collection:<type>:<fullName>   { type, name, displayName, docIds, savedAt }
+ */
+
+import { IndexedDBCache } from './indexeddb-cache.js';
+import {
+  getDocumentByDocId,
+  getDocumentTranslations,
+  getDocumentTranslation
+} from './supabase-client.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const offlineStore = new IndexedDBCache('ummah-offline-library', 'entries');
+
+// Pinned entries never expire
+const PINNED_TTL = Number.POSITIVE_INFINITY;
+
+const KEY_PREFIX = {
+  DOCUMENT: 'doc:',
+  IMAGE: 'image:',
+  COLLECTION: 'collection:'
+};
+
+/**
+ * Collection types (profile types in profile-ui.js)
+ */
+export const COLLECTION_TYPE = {
+  INSTITUTION: 'institution',
+  JURISDICTION: 'jurisdiction'
+};
+
+// ============================================================================
+// Saving
+// ============================================================================
+
+/**
+ * Save a document for offline reading (content, translations and images)
+ * Saving again refreshes the copy. Rejects if the copy could not be stored
+ * (e.g. the device is out of space)
+ * @param {string} docId - Document ID
+ * @param {Object} options
+ * @param {string|null} options.collection - Collection key pinning it (null: pinned on its own)
+ * @returns {Promise<Object>} Saved entry (without row and translations)
+ */
+export async function saveDocumentOffline(docId, { collection = null } = {}) {
+  const row = await getDocumentByDocId(docId);
+  if (!row) {
+    throw new Error(`Document "${docId}" not found`);
+  }
+
+  const translationList = await getDocumentTranslations(docId).catch((error) => {
+    console.warn(`[OfflineLibrary] Translations of "${docId}" not saved:`, error);
+    return [];
+  });
+  const translations = (await Promise.all(
+    translationList.map(({ language }) => getDocumentTranslation(docId, language))
+  )).filter(Boolean);
+
+  const images = await saveImages([row.content, ...translations.map(t => t.content)]);
+
+  const previous = await offlineStore.get(documentKey(docId));
+  const contentBytes = byteSize(JSON.stringify({ row, translations }));
+  const entry = {
+    docId,
+    title: row.title,
+    item: row.item_type,
+    institution: row.institution?.full_name || '',
+    institutionName: row.institution?.name || '',
+    jurisdiction: row.jurisdiction?.full_name || '',
+    jurisdictionName: row.jurisdiction?.name || '',
+    version: row.version,
+    date: row.doc_date,
+    language: row.language,
+    languages: translations.map(t => t.language),
+    row,
+    translations,
+    images: images.urls,
+    imageSizes: images.sizes,
+    pinned: collection ? Boolean(previous?.pinned) : true,
+    collections: mergeCollections(previous?.collections, collection),
+    contentBytes,
+    bytes: contentBytes + images.bytes,
+    savedAt: new Date().toISOString()
+  };
+
+  await offlineStore.put(documentKey(docId), entry, PINNED_TTL);
+  await requestPersistentStorage();
+
+  return summarize(entry);
+}
+
+/**
+ * Save every document of an institution or jurisdiction
+ * Documents that fail are skipped; the rest are still saved. Rejects if none
+ * could be saved or the collection itself could not be stored.
+ * Saving again refreshes the copies and lets go of documents that have left
+ * the collection since
+ * @param {Object} collection - { type, name (full name), displayName }
+ * @param {Array<string>} docIds - Documents in the collection
+ * @param {Function} onProgress - Called with (saved, total) after each document
+ * @returns {Promise<{saved: number, failed: number}>}
+ */
+export async function saveCollectionOffline({ type, name, displayName }, docIds, onProgress = () => {}) {
+  const key = collectionKey(type, name);
+  const previous = await offlineStore.get(key);
+  let saved = 0;
+  let failed = 0;
+
+  // One at a time: collections can be large and each document fetches its images
+  for (const docId of docIds) {
+    try {
+      await saveDocumentOffline(docId, { collection: key });
+      saved++;
+    } catch (error) {
+      console.warn(`[OfflineLibrary] "${docId}" not saved:`, error);
+      failed++;
+    }
+    onProgress(saved + failed, docIds.length);
+  }
+
+  if (saved === 0 && failed > 0) {
+    throw new Error(`None of the ${failed} documents could be saved`);
+  }
+
+  await offlineStore.put(key, {
+    type,
+    name,
+    displayName: displayName || name,
+    docIds,
+    savedAt: new Date().toISOString()
+  }, PINNED_TTL);
+
+  const dropped = (previous?.docIds || []).filter(docId => !docIds.includes(docId));
+  if (dropped.length > 0) {
+    await releaseDocuments(key, dropped);
+    await deleteUnusedImages();
+  }
+
+  return { saved, failed };
+}
+
+// ============================================================================
+// Removing
+// ============================================================================
+
+/**
+ * Unpin a document saved on its own (it stays while a collection pins it)
+ * @param {string} docId - Document ID
+ * @returns {Promise<void>}
+ */
+export async function removeDocumentOffline(docId) {
+  const entry = await offlineStore.get(documentKey(docId));
+  if (!entry) return;
+
+  if (entry.collections.length > 0) {
+    await offlineStore.put(documentKey(docId), { ...entry, pinned: false }, PINNED_TTL);
+    return;
+  }
+
+  await offlineStore.delete(documentKey(docId));
+  await deleteUnusedImages();
+}
+
+/**
+ * Remove a collection and the documents only it was keeping
+ * @param {string} type - Collection type
+ * @param {string} name - Institution or jurisdiction full name
+ * @returns {Promise<void>}
+ */
+export async function removeCollectionOffline(type, name) {
+  const key = collectionKey(type, name);
+  const collection = await offlineStore.get(key);
+  if (!collection) return;
+
+  await releaseDocuments(key, collection.docIds);
+  await offlineStore.delete(key);
+  await deleteUnusedImages();
+}
+
+/**
+ * Drop a collection from the documents it pinned, deleting those nothing
+ * else keeps (their images are left for deleteUnusedImages)
+ * @param {string} key - Collection key
+ * @param {Array<string>} docIds - Documents to let go of
+ * @returns {Promise<void>}
+ */
+async function releaseDocuments(key, docIds) {
+  for (const docId of docIds) {
+    const entry = await offlineStore.get(documentKey(docId));
+    if (!entry?.collections.includes(key)) continue;
+
+    const collections = entry.collections.filter(item => item !== key);
+    if (collections.length === 0 && !entry.pinned) {
+      await offlineStore.delete(documentKey(docId));
+    } else {
+      await offlineStore.put(documentKey(docId), { ...entry, collections }, PINNED_TTL);
+    }
+  }
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Offline status of a document
+ * @param {string} docId - Document ID
+ * @returns {Promise<Object|null>} { pinned, collections, savedAt }, or null if not saved
+ */
+export async function getDocumentOfflineStatus(docId) {
+  const entry = await offlineStore.get(documentKey(docId));
+  return entry ? { pinned: entry.pinned, collections: entry.collections, savedAt: entry.savedAt } : null;
+}
+
+/**
+ * Whether a collection is saved for offline reading
+ * @param {string} type - Collection type
+ * @param {string} name - Institution or jurisdiction full name
+ * @returns {Promise<boolean>}
+ */
+export async function isCollectionSavedOffline(type, name) {
+  return (await offlineStore.get(collectionKey(type, name))) !== null;
+}
+
+/**
+ * Get the saved copy of a document, with its images inlined so it renders offline
+ * @param {string} docId - Document ID
+ * @returns {Promise<Object|null>} { row, translations, savedAt } (rows shaped like
+ *   getDocumentByDocId / getDocumentTranslation), or null if not saved
+ */
+export async function getSavedDocument(docId) {
+  const entry = await offlineStore.get(documentKey(docId));
+  if (!entry) return null;
+
+  const imageUrls = await loadImageDataUrls(entry.images);
+
+  return {
+    row: { ...entry.row, content: inlineImages(entry.row.content, imageUrls) },
+    translations: entry.translations.map(translation => ({
+      ...translation,
+      content: inlineImages(translation.content, imageUrls)
+    })),
+    savedAt: entry.savedAt
+  };
+}
+
+/**
+ * List saved documents, most recently saved first
+ * @returns {Promise<Array>} Entries without row and translations
+ */
+export async function listSavedDocuments() {
+  const entries = await getEntries(KEY_PREFIX.DOCUMENT);
+  return entries
+    .map(summarize)
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * List saved collections, by name
+ * @returns {Promise<Array>} { type, name, displayName, docIds, savedAt }
+ */
+export async function listSavedCollections() {
+  const collections = await getEntries(KEY_PREFIX.COLLECTION);
+  return collections.sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+/**
+ * Storage used by saved documents, and by the site overall
+ * @returns {Promise<Object>} { documents, collections, bytes, usage, quota }
+ *   (usage / quota: browser estimate for the whole site, null when unsupported)
+ */
+export async function getOfflineStorageUsage() {
+  const [documents, keys] = await Promise.all([
+    getEntries(KEY_PREFIX.DOCUMENT),
+    offlineStore.keys()
+  ]);
+
+  // Image sizes are recorded on the documents showing them, so the images
+  // themselves are not read; one shared by several documents is counted once
+  const imageSizes = new Map(documents.flatMap(entry => Object.entries(entry.imageSizes)));
+
+  let estimate = {};
+  try {
+    estimate = await navigator.storage?.estimate?.() || {};
+  } catch (error) {
+    console.warn('[OfflineLibrary] Storage estimate unavailable:', error);
+  }
+
+  return {
+    documents: documents.length,
+    collections: keys.filter(key => key.startsWith(KEY_PREFIX.COLLECTION)).length,
+    bytes: documents.reduce((total, entry) => total + entry.contentBytes, 0)
+      + [...imageSizes.values()].reduce((total, size) => total + size, 0),
+    usage: estimate.usage ?? null,
+    quota: estimate.quota ?? null
+  };
+}
+
+/**
+ * Format a byte count, e.g. "1.4 MB"
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Collection key of an institution or jurisdiction
+ * @param {string} type - Collection type
+ * @param {string} name - Full name
+ * @returns {string}
+ */
+export function collectionKey(type, name) {
+  return `${KEY_PREFIX.COLLECTION}${type}:${name}`;
+}
+
+// ============================================================================
+// Images
+// ============================================================================
+
+/**
+ * Download and store the images shown in HTML content
+ * Images that fail to download are left out (the copy shows their alt text)
+ * @param {Array<string>} htmlList - HTML content
+ * @returns {Promise<{urls: Array<string>, sizes: Object<string, number>, bytes: number}>}
+ *   Stored image URLs, the size of each and their total
+ */
+async function saveImages(htmlList) {
+  const urls = [...new Set(htmlList.flatMap(extractImageUrls))];
+  const stored = [];
+  const sizes = {};
+  let bytes = 0;
+
+  for (const url of urls) {
+    try {
+      let image = await offlineStore.get(imageKey(url));
+      if (!image) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        image = { url, blob: await response.blob() };
+        await offlineStore.put(imageKey(url), image, PINNED_TTL);
+      }
+      stored.push(url);
+      sizes[url] = image.blob.size;
+      bytes += image.blob.size;
+    } catch (error) {
+      console.warn(`[OfflineLibrary] Image not saved: ${url}`, error);
+    }
+  }
+
+  return { urls: stored, sizes, bytes };
+}
+
+/**
+ * Absolute URLs of the images in HTML content (data: URLs are already inline)
+ * @param {string} html - HTML content
+ * @returns {Array<string>}
+ */
+function extractImageUrls(html) {
+  if (!html) return [];
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  return [...parsed.querySelectorAll('img[src]')]
+    .map(img => resolveUrl(img.getAttribute('src')))
+    .filter(url => url && /^https?:/i.test(url));
+}
+
+/**
+ * Load stored images as data URLs
+ * @param {Array<string>} urls - Image URLs
+ * @returns {Promise<Map<string, string>>} URL → data URL
+ */
+async function loadImageDataUrls(urls) {
+  const dataUrls = new Map();
+  for (const url of urls) {
+    const image = await offlineStore.get(imageKey(url));
+    if (image) dataUrls.set(url, await blobToDataUrl(image.blob));
+  }
+  return dataUrls;
+}
+
+/**
+ * Point the images of HTML content at their stored copies
+ * @param {string} html - HTML content
+ * @param {Map<string, string>} dataUrls - URL → data URL
+ * @returns {string} HTML
+ */
+function inlineImages(html, dataUrls) {
+  if (!html || dataUrls.size === 0) return html;
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  parsed.querySelectorAll('img[src]').forEach(img => {
+    const dataUrl = dataUrls.get(resolveUrl(img.getAttribute('src')));
+    if (dataUrl) img.setAttribute('src', dataUrl);
+  });
+  return parsed.body.innerHTML;
+}
+
+/**
+ * Delete stored images no saved document shows any more
+ * @returns {Promise<void>}
+ */
+async function deleteUnusedImages() {
+  const documents = await getEntries(KEY_PREFIX.DOCUMENT);
+  const used = new Set(documents.flatMap(entry => entry.images));
+  const keys = (await offlineStore.keys()).filter(key => key.startsWith(KEY_PREFIX.IMAGE));
+
+  for (const key of keys) {
+    if (!used.has(key.slice(KEY_PREFIX.IMAGE.length))) {
+      await offlineStore.delete(key);
+    }
+  }
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function documentKey(docId) {
+  return `${KEY_PREFIX.DOCUMENT}${docId}`;
+}
+
+function imageKey(url) {
+  return `${KEY_PREFIX.IMAGE}${url}`;
+}
+
+/**
+ * All entries whose key starts with a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Array>} Values
+ */
+async function getEntries(prefix) {
+  const keys = (await offlineStore.keys()).filter(key => key.startsWith(prefix));
+  const values = await Promise.all(keys.map(key => offlineStore.get(key)));
+  return values.filter(Boolean);
+}
+
+/**
+ * Entry without the stored rows (for lists)
+ * @param {Object} entry - Document entry
+ * @returns {Object}
+ */
+function summarize({ row, translations, ...summary }) {
+  return summary;
+}
+
+/**
+ * Add a collection to the ones pinning a document
+ * @param {Array<string>|undefined} collections - Current collection keys
+ * @param {string|null} collection - Collection key to add
+ * @returns {Array<string>}
+ */
+function mergeCollections(collections = [], collection) {
+  return collection && !collections.includes(collection) ? [...collections, collection] : collections;
+}
+
+/**
+ * Resolve a (possibly relative) URL against the page
+ * @param {string} url - URL
+ * @returns {string|null} Absolute URL, or null if invalid
+ */
+function resolveUrl(url) {
+  try {
+    return new URL(url, window.location.href).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * UTF-8 size of a string
+ * @param {string} text - Text
+ * @returns {number} Bytes
+ */
+function byteSize(text) {
+  return new Blob([text]).size;
+}
+
+/**
+ * Ask the browser not to evict saved documents under storage pressure
+ * @returns {Promise<void>}
+ */
+async function requestPersistentStorage() {
+  try {
+    if (navigator.storage?.persist && !(await navigator.storage.persisted())) {
+      await navigator.storage.persist();
+    }
+  } catch (error) {
+    console.warn('[OfflineLibrary] Persistent storage unavailable:', error);
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Offline Page Main Entry Point
+ * Lists the documents and collections saved for offline reading on offline.html
+ * (see offline-library.js), with the storage they use
+ */
+
+import {
+  listSavedDocuments,
+  listSavedCollections,
+  removeDocumentOffline,
+  removeCollectionOffline,
+  getOfflineStorageUsage,
+  formatBytes,
+  collectionKey
+} from './offline-library.js';
+import { escapeHtml } from './utils.js';
+import { t, initLocale, formatDate } from './i18n.js';
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Render the saved collections, documents and storage usage
+ * @param {HTMLElement} container - Offline library container
+ * @returns {Promise<void>}
+ */
+async function renderOfflineLibrary(container) {
+  let documents;
+  let collections;
+  let usage;
+
+  try {
+    [documents, collections, usage] = await Promise.all([
+      listSavedDocuments(),
+      listSavedCollections(),
+      getOfflineStorageUsage()
+    ]);
+  } catch (error) {
+    console.error('[Offline] Failed to read the offline library:', error);
+    container.innerHTML = `<p class="offline-library-empty">${escapeHtml(t('offline.readFailed'))}</p>`;
+    return;
+  }
+
+  if (documents.length === 0) {
+    container.innerHTML = `
+      <p class="offline-library-empty">
+        ${escapeHtml(t('offline.empty', { save: t('viewer.offline.save') }))}
+        <a href="library.html">${escapeHtml(t('offline.openLibrary'))}</a>
+      </p>
+    `;
+    return;
+  }
+
+  const collectionNames = new Map(collections.map(collection => [
+    collectionKey(collection.type, collection.name),
+    collection.displayName
+  ]));
+
+  container.innerHTML = `
+    <p class="offline-library-usage">${renderUsage(usage)}</p>
+    ${collections.length > 0 ? `
+      <h4 class="offline-library-heading">${escapeHtml(t('offline.collections'))}</h4>
+      <ul class="offline-library-list">
+        ${collections.map(renderCollection).join('')}
+      </ul>
+    ` : ''}
+    <h4 class="offline-library-heading">${escapeHtml(t('offline.documents'))}</h4>
+    <ul class="offline-library-list">
+      ${documents.map(entry => renderDocument(entry, collectionNames)).join('')}
+    </ul>
+  `;
+
+  container.querySelectorAll('[data-remove-doc]').forEach(button => {
+    button.addEventListener('click', () => removeEntry(container, button, () => removeDocumentOffline(button.dataset.removeDoc)));
+  });
+  container.querySelectorAll('[data-remove-collection]').forEach(button => {
+    button.addEventListener('click', () => removeEntry(container, button, () => (
+      removeCollectionOffline(button.dataset.collectionType, button.dataset.removeCollection)
+    )));
+  });
+}
+
+/**
+ * Storage summary, e.g. "12 documents · 3.1 MB (site total 4.0 MB of 1.2 GB available)"
+ * @param {Object} usage - From getOfflineStorageUsage()
+ * @returns {string} HTML
+ */
+function renderUsage(usage) {
+  const count = t('offline.documentCount', { count: usage.documents });
+  const site = usage.usage != null && usage.quota
+    ? ` ${t('offline.siteUsage', { usage: formatBytes(usage.usage), quota: formatBytes(usage.quota) })}`
+    : '';
+  return escapeHtml(`${count} · ${formatBytes(usage.bytes)}${site}`);
+}
+
+/**
+ * Render a saved collection
+ * @param {Object} collection - { type, name, displayName, docIds, savedAt }
+ * @returns {string} HTML
+ */
+function renderCollection(collection) {
+  // Collection types double as the library's profile params
+  const href = `library.html?${collection.type}=${encodeURIComponent(collection.name)}`;
+
+  return `
+    <li class="offline-library-item">
+      <div>
+        <a href="${escapeHtml(href)}" class="offline-library-title">${escapeHtml(collection.displayName)}</a>
+        <span class="offline-library-meta">
+          ${escapeHtml([
+            t(`offline.type.${collection.type}`),
+            t('offline.documentCount', { count: collection.docIds.length }),
+            t('offline.savedOn', { date: formatSavedAt(collection.savedAt) })
+          ].join(' · '))}
+        </span>
+      </div>
+      <button type="button" class="offline-library-remove"
+        data-remove-collection="${escapeHtml(collection.name)}"
+        data-collection-type="${escapeHtml(collection.type)}">${escapeHtml(t('offline.remove'))}</button>
+    </li>
+  `;
+}
+
+/**
+ * Render a saved document
+ * Documents kept only by a collection are removed with the collection
+ * @param {Object} entry - Saved document summary
+ * @param {Map<string, string>} collectionNames - Collection key → display name
+ * @returns {string} HTML
+ */
+function renderDocument(entry, collectionNames) {
+  const keptBy = entry.collections
+    .map(key => collectionNames.get(key))
+    .filter(Boolean);
+  const meta = [
+    entry.institutionName || entry.institution,
+    entry.item,
+    formatBytes(entry.bytes),
+    t('offline.savedOn', { date: formatSavedAt(entry.savedAt) })
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+
+  return `
+    <li class="offline-library-item">
+      <div>
+        <a href="document-viewer.html?doc=${encodeURIComponent(entry.docId)}" class="offline-library-title">${escapeHtml(entry.title)}</a>
+        <span class="offline-library-meta">${meta}</span>
+        ${keptBy.length > 0 ? `<span class="offline-library-meta">${escapeHtml(t('offline.inCollections', { names: keptBy.join(', ') }))}</span>` : ''}
+      </div>
+      ${entry.pinned ? `
+        <button type="button" class="offline-library-remove" data-remove-doc="${escapeHtml(entry.docId)}">${escapeHtml(t('offline.remove'))}</button>
+      ` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Remove an entry, then re-render the list
+ * @param {HTMLElement} container - Offline library container
+ * @param {HTMLButtonElement} button - Remove button
+ * @param {Function} remove - Removes the entry
+ * @returns {Promise<void>}
+ */
+async function removeEntry(container, button, remove) {
+  button.disabled = true;
+  try {
+    await remove();
+  } catch (error) {
+    console.error('[Offline] Failed to remove saved copy:', error);
+    button.disabled = false;
+    button.title = t('offline.removeFailed');
+    return;
+  }
+  await renderOfflineLibrary(container);
+}
+
+/**
+ * Format a saved timestamp as a date
+ * @param {string} savedAt - ISO timestamp
+ * @returns {string}
+ */
+function formatSavedAt(savedAt) {
+  return formatDate(savedAt, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  initLocale();
+  const container = document.getElementById('offline-library');
+  if (container) renderOfflineLibrary(container);
+});
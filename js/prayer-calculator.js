@@ -0,0 +1,449 @@
+/**
+ * Prayer Time Calculator - Offline Astronomical Engine
+ *
+ * Computes Fajr, Sunrise, Dhuhr, Asr, Maghrib and Isha locally from
+ * latitude, longitude, date and timezone. The math follows the
+ * PrayTimes.org algorithm, which is also what api.aladhan.com uses, so
+ * results match the API to the minute for the same parameters (checked
+ * against recorded responses in tests/prayer-calculator.test.js).
+ *
+ * Far north and south, the sun may not reach the twilight angles (handled
+ * by the high-latitude rule) or may not rise or set at all (midnight sun,
+ * polar night). Then sunrise, sunset and Asr are taken from the nearest
+ * latitude where they occur (POLAR_REFERENCE_LATITUDE) and the rule places
+ * Fajr and Isha within that night, so every timing is a clock time.
+ *
+ * Used by PrayerTimesService as a first-class source alongside the
+ * Aladhan API (and as its fallback when the network is unavailable).
+ */
+
+import { gregorianToHijri } from './hijri-calendar.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Calculation parameters matching Aladhan method=20 (Kemenag, Indonesia)
+ */
+export const DEFAULT_CALCULATION_PARAMS = {
+  fajrAngle: 20,         // Sun depression angle for Fajr (degrees)
+  ishaAngle: 18,         // Sun depression angle for Isha (degrees)
+  ishaMinutes: null,     // Fixed minutes after Maghrib (overrides ishaAngle)
+  ishaMinutesRamadan: null, // Fixed minutes after Maghrib during Ramadan
+  maghribAngle: null,    // Sun depression angle for Maghrib (null = sunset)
+  maghribMinutes: 0,     // Minutes after sunset for Maghrib
+  asrFactor: 1,          // Shadow length factor (1 = Shafi'i, 2 = Hanafi)
+  highLatitudeRule: 'angle-based'
+};
+
+/**
+ * Standard calculation methods
+ * `id` is the Aladhan API `method` parameter for the same convention
+ */
+export const CALCULATION_METHODS = {
+  MWL: { id: 3, name: 'Muslim World League', params: { fajrAngle: 18, ishaAngle: 17 } },
+  ISNA: { id: 2, name: 'Islamic Society of North America', params: { fajrAngle: 15, ishaAngle: 15 } },
+  EGYPT: { id: 5, name: 'Egyptian General Authority of Survey', params: { fajrAngle: 19.5, ishaAngle: 17.5 } },
+  MAKKAH: { id: 4, name: 'Umm al-Qura University, Makkah', params: { fajrAngle: 18.5, ishaMinutes: 90, ishaMinutesRamadan: 120 } },
+  KARACHI: { id: 1, name: 'University of Islamic Sciences, Karachi', params: { fajrAngle: 18, ishaAngle: 18 } },
+  TEHRAN: { id: 7, name: 'Institute of Geophysics, University of Tehran', params: { fajrAngle: 17.7, ishaAngle: 14, maghribAngle: 4.5 } },
+  JAFARI: { id: 0, name: 'Shia Ithna-Ashari, Leva Institute, Qum', params: { fajrAngle: 16, ishaAngle: 14, maghribAngle: 4 } },
+  GULF: { id: 8, name: 'Gulf Region', params: { fajrAngle: 19.5, ishaMinutes: 90 } },
+  KUWAIT: { id: 9, name: 'Kuwait', params: { fajrAngle: 18, ishaAngle: 17.5 } },
+  QATAR: { id: 10, name: 'Qatar', params: { fajrAngle: 18, ishaMinutes: 90 } },
+  SINGAPORE: { id: 11, name: 'Majlis Ugama Islam Singapura', params: { fajrAngle: 20, ishaAngle: 18 } },
+  FRANCE: { id: 12, name: 'Union Organization Islamic de France', params: { fajrAngle: 12, ishaAngle: 12 } },
+  TURKEY: { id: 13, name: 'Diyanet İşleri Başkanlığı, Turkey', params: { fajrAngle: 18, ishaAngle: 17 } },
+  RUSSIA: { id: 14, name: 'Spiritual Administration of Muslims of Russia', params: { fajrAngle: 16, ishaAngle: 15 } },
+  DUBAI: { id: 16, name: 'Dubai', params: { fajrAngle: 18.2, ishaAngle: 18.2 } },
+  JAKIM: { id: 17, name: 'Jabatan Kemajuan Islam Malaysia (JAKIM)', params: { fajrAngle: 20, ishaAngle: 18 } },
+  TUNISIA: { id: 18, name: 'Tunisia', params: { fajrAngle: 18, ishaAngle: 18 } },
+  ALGERIA: { id: 19, name: 'Algeria', params: { fajrAngle: 18, ishaAngle: 17 } },
+  KEMENAG: { id: 20, name: 'Kementerian Agama Republik Indonesia', params: { fajrAngle: 20, ishaAngle: 18 } },
+  MOROCCO: { id: 21, name: 'Morocco', params: { fajrAngle: 19, ishaAngle: 17 } },
+  JORDAN: { id: 23, name: 'Ministry of Awqaf, Jordan', params: { fajrAngle: 18, ishaAngle: 18, maghribMinutes: 5 } }
+};
+
+/**
+ * Asr juristic schools
+ * `id` is the Aladhan API `school` parameter
+ */
+export const ASR_SCHOOLS = {
+  SHAFI: { id: 0, name: "Shafi'i (Standard)", asrFactor: 1 },
+  HANAFI: { id: 1, name: 'Hanafi', asrFactor: 2 }
+};
+
+export const DEFAULT_METHOD = 'KEMENAG';
+export const DEFAULT_SCHOOL = 'SHAFI';
+
+/**
+ * Timing names returned by the calculator, in chronological order
+ */
+export const TIMING_NAMES = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+/**
+ * Nearest latitude (degrees, north or south) where the sun rises, sets and
+ * reaches the Asr shadow every day of the year
+ */
+export const POLAR_REFERENCE_LATITUDE = 65;
+
+/**
+ * Initial guesses (in hours) used for the first iteration
+ */
+const INITIAL_TIMES = {
+  Fajr: 5,
+  Sunrise: 6,
+  Dhuhr: 12,
+  Asr: 13,
+  Sunset: 18,
+  Maghrib: 18,
+  Isha: 18
+};
+
+// ============================================================================
+// Math Helpers (degree-based trigonometry)
+// ============================================================================
+
+const dtr = (d) => (d * Math.PI) / 180;
+const rtd = (r) => (r * 180) / Math.PI;
+
+const sin = (d) => Math.sin(dtr(d));
+const cos = (d) => Math.cos(dtr(d));
+const tan = (d) => Math.tan(dtr(d));
+const arcsin = (x) => rtd(Math.asin(x));
+const arccos = (x) => rtd(Math.acos(x));
+const arccot = (x) => rtd(Math.atan(1 / x));
+const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+
+function fix(value, mode) {
+  const result = value - mode * Math.floor(value / mode);
+  return result < 0 ? result + mode : result;
+}
+
+const fixAngle = (a) => fix(a, 360);
+const fixHour = (h) => fix(h, 24);
+const timeDiff = (t1, t2) => fixHour(t2 - t1);
+
+// ============================================================================
+// Astronomy
+// ============================================================================
+
+/**
+ * Convert a Gregorian date to a Julian date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number} Julian date
+ */
+function julianDate(year, month, day) {
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  const a = Math.floor(year / 100);
+  const b = 2 - a + Math.floor(a / 4);
+  return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+/**
+ * Compute the sun's declination and the equation of time
+ * @param {number} jd - Julian date
+ * @returns {{declination: number, equation: number}}
+ */
+function sunPosition(jd) {
+  const d = jd - 2451545.0;
+  const g = fixAngle(357.529 + 0.98560028 * d);
+  const q = fixAngle(280.459 + 0.98564736 * d);
+  const l = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+  const e = 23.439 - 0.00000036 * d;
+
+  const ra = arctan2(cos(e) * sin(l), cos(l)) / 15;
+
+  return {
+    declination: arcsin(sin(e) * sin(l)),
+    equation: q / 15 - fixHour(ra)
+  };
+}
+
+// ============================================================================
+// Calculator
+// ============================================================================
+
+/**
+ * Single-day calculation context
+ */
+class DayCalculation {
+  constructor(jDate, latitude, params) {
+    this.jDate = jDate;
+    this.latitude = latitude;
+    this.params = params;
+  }
+
+  midDay(time) {
+    const { equation } = sunPosition(this.jDate + time);
+    return fixHour(12 - equation);
+  }
+
+  sunAngleTime(angle, time, counterClockwise = false) {
+    const { declination } = sunPosition(this.jDate + time);
+    const noon = this.midDay(time);
+    const t = arccos(
+      (-sin(angle) - sin(declination) * sin(this.latitude)) /
+      (cos(declination) * cos(this.latitude))
+    ) / 15;
+    return noon + (counterClockwise ? -t : t);
+  }
+
+  asrTime(factor, time) {
+    const { declination } = sunPosition(this.jDate + time);
+    const angle = -arccot(factor + tan(Math.abs(this.latitude - declination)));
+    return this.sunAngleTime(angle, time);
+  }
+
+  /**
+   * One refinement pass over all timings
+   * @param {Object} times - Current estimates in hours
+   * @returns {Object} Refined timings in hours (UTC-relative solar time)
+   */
+  compute(times) {
+    const portion = {};
+    Object.keys(times).forEach(name => {
+      portion[name] = times[name] / 24;
+    });
+
+    const riseSetAngle = 0.833;
+    const { params } = this;
+
+    return {
+      Fajr: this.sunAngleTime(params.fajrAngle, portion.Fajr, true),
+      Sunrise: this.sunAngleTime(riseSetAngle, portion.Sunrise, true),
+      Dhuhr: this.midDay(portion.Dhuhr),
+      Asr: this.asrTime(params.asrFactor, portion.Asr),
+      Sunset: this.sunAngleTime(riseSetAngle, portion.Sunset),
+      Maghrib: params.maghribAngle != null
+        ? this.sunAngleTime(params.maghribAngle, portion.Maghrib)
+        : this.sunAngleTime(riseSetAngle, portion.Maghrib),
+      Isha: params.ishaMinutes != null
+        ? this.sunAngleTime(riseSetAngle, portion.Isha)
+        : this.sunAngleTime(params.ishaAngle, portion.Isha)
+    };
+  }
+}
+
+/**
+ * Night portion used for high-latitude adjustment
+ * @param {string} rule - 'angle-based' | 'middle-of-night' | 'one-seventh' | 'none'
+ * @param {number} angle - Twilight angle
+ * @param {number} night - Night duration in hours
+ * @returns {number} Portion in hours
+ */
+function nightPortion(rule, angle, night) {
+  switch (rule) {
+    case 'middle-of-night':
+      return night / 2;
+    case 'one-seventh':
+      return night / 7;
+    case 'angle-based':
+    default:
+      return (angle / 60) * night;
+  }
+}
+
+/**
+ * Clamp a twilight time when the sun never reaches the required angle
+ */
+function adjustHighLatitudeTime(time, base, angle, night, rule, counterClockwise) {
+  const portion = nightPortion(rule, angle, night);
+  const diff = counterClockwise ? timeDiff(time, base) : timeDiff(base, time);
+  if (isNaN(time) || diff > portion) {
+    return base + (counterClockwise ? -portion : portion);
+  }
+  return time;
+}
+
+/**
+ * Get the UTC offset (in hours) of a timezone on a given date
+ * @param {string} timezone - IANA timezone (e.g., "Asia/Jakarta")
+ * @param {Date} date - Reference instant
+ * @returns {number} Offset in hours (e.g., 7 for WIB)
+ */
+export function getTimezoneOffsetHours(timezone, date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((asUTC - date.getTime()) / 60000);
+  return offsetMinutes / 60;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an absolute instant
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateKey, time, timezone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const asUTC = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = getTimezoneOffsetHours(timezone, new Date(asUTC));
+  return new Date(asUTC - offset * 60 * 60 * 1000);
+}
+
+/**
+ * Get calendar fields of a date as seen in a timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{year: number, month: number, day: number}}
+ */
+function getDateInTimezone(date, timezone) {
+  const [year, month, day] = date
+    .toLocaleDateString('en-CA', { timeZone: timezone })
+    .split('-')
+    .map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Check whether a calendar day falls in Ramadan (Umm al-Qura calendar)
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {boolean}
+ */
+function isRamadan(year, month, day) {
+  return gregorianToHijri(year, month, day).month === 9;
+}
+
+/**
+ * Resolve calculator params for a method and Asr school
+ * @param {string} method - Key of CALCULATION_METHODS
+ * @param {string} school - Key of ASR_SCHOOLS
+ * @returns {Object} Params for calculatePrayerTimes
+ */
+export function getMethodParams(method = DEFAULT_METHOD, school = DEFAULT_SCHOOL) {
+  const methodDef = CALCULATION_METHODS[method] || CALCULATION_METHODS[DEFAULT_METHOD];
+  const schoolDef = ASR_SCHOOLS[school] || ASR_SCHOOLS[DEFAULT_SCHOOL];
+  return { ...methodDef.params, asrFactor: schoolDef.asrFactor };
+}
+
+/**
+ * Parse a "YYYY-MM-DD" calendar day
+ * @param {string} key
+ * @returns {{year: number, month: number, day: number}}
+ */
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Format decimal hours as "HH:MM" (24-hour, rounded to nearest minute)
+ * @param {number} time - Time in hours
+ * @returns {string}
+ */
+function formatTime(time) {
+  if (isNaN(time)) return '--:--';
+  const rounded = fixHour(time + 0.5 / 60);
+  const hours = Math.floor(rounded);
+  const minutes = Math.floor((rounded - hours) * 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Calculate prayer times for a single day
+ * @param {Object} options
+ * @param {Date|string} options.date - Day to calculate: a Date (interpreted in
+ *   `timezone`) or a "YYYY-MM-DD" calendar day
+ * @param {number} options.latitude
+ * @param {number} options.longitude
+ * @param {string} options.timezone - IANA timezone of the location
+ * @param {Object} options.params - Overrides for DEFAULT_CALCULATION_PARAMS
+ * @returns {Object} Timings keyed by TIMING_NAMES, formatted "HH:MM"
+ */
+export function calculatePrayerTimes({
+  date = new Date(),
+  latitude,
+  longitude,
+  timezone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  params = {}
+}) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    throw new Error('Latitude and longitude are required');
+  }
+
+  const settings = { ...DEFAULT_CALCULATION_PARAMS, ...params };
+  const { year, month, day } = typeof date === 'string'
+    ? parseDateKey(date)
+    : getDateInTimezone(date, timezone);
+
+  // Offset is taken at local noon so DST transitions resolve to the right day
+  const noonUTC = new Date(Date.UTC(year, month - 1, day, 12));
+  const offset = getTimezoneOffsetHours(timezone, noonUTC);
+
+  const jDate = julianDate(year, month, day) - longitude / (15 * 24);
+  const calculation = new DayCalculation(jDate, latitude, settings);
+
+  let times = calculation.compute({ ...INITIAL_TIMES });
+
+  // Midnight sun / polar night: borrow the sun's course from the nearest
+  // latitude where it rises and sets (twilights follow the rule below)
+  if (settings.highLatitudeRule !== 'none' && [times.Sunrise, times.Sunset, times.Asr].some(isNaN)) {
+    const referenceLatitude = Math.sign(latitude) * POLAR_REFERENCE_LATITUDE;
+    const reference = new DayCalculation(jDate, referenceLatitude, settings).compute({ ...INITIAL_TIMES });
+    if (isNaN(times.Sunrise) || isNaN(times.Sunset)) {
+      times.Sunrise = reference.Sunrise;
+      times.Sunset = reference.Sunset;
+    }
+    if (isNaN(times.Asr)) times.Asr = reference.Asr;
+  }
+
+  // Convert from solar time to the location's clock time
+  Object.keys(times).forEach(name => {
+    times[name] += offset - longitude / 15;
+  });
+
+  // High latitude adjustment (sun may never reach twilight angles)
+  if (settings.highLatitudeRule !== 'none') {
+    const night = timeDiff(times.Sunset, times.Sunrise);
+    const rule = settings.highLatitudeRule;
+
+    times.Fajr = adjustHighLatitudeTime(times.Fajr, times.Sunrise, settings.fajrAngle, night, rule, true);
+    if (settings.ishaMinutes == null) {
+      times.Isha = adjustHighLatitudeTime(times.Isha, times.Sunset, settings.ishaAngle, night, rule, false);
+    }
+    if (settings.maghribAngle != null) {
+      times.Maghrib = adjustHighLatitudeTime(times.Maghrib, times.Sunset, settings.maghribAngle, night, rule, false);
+    }
+  }
+
+  // Minute-based offsets
+  if (settings.maghribAngle == null) {
+    times.Maghrib = times.Sunset + (settings.maghribMinutes || 0) / 60;
+  }
+  if (settings.ishaMinutes != null) {
+    const ishaMinutes = settings.ishaMinutesRamadan != null && isRamadan(year, month, day)
+      ? settings.ishaMinutesRamadan
+      : settings.ishaMinutes;
+    times.Isha = times.Maghrib + ishaMinutes / 60;
+  }
+
+  const result = {};
+  TIMING_NAMES.forEach(name => {
+    result[name] = formatTime(times[name]);
+  });
+  return result;
+}
@@ -0,0 +1,100 @@
+/**
+ * Prayer Reminders Settings Panel
+ * Renders the reminder settings form in the marquee's prayer settings
+ * panel. All state lives in PrayerNotificationService.
+ */
+
+import {
+  prayerNotifications,
+  NOTIFIABLE_PRAYERS,
+  LEAD_TIME_OPTIONS
+} from './prayer-notifications.js';
+import { t } from './i18n.js';
+
+/**
+ * Render the reminder settings panel into a container
+ * @param {HTMLElement} container - Element to render into (contents replaced)
+ */
+export function renderNotificationSettings(container) {
+  if (!container) return;
+
+  if (!prayerNotifications.isSupported()) {
+    container.innerHTML = `<p class="prayer-reminders-note">${t('reminders.unsupported')}</p>`;
+    return;
+  }
+
+  const settings = prayerNotifications.getSettings();
+  const blocked = prayerNotifications.getPermission() === 'denied';
+  const disabled = settings.enabled ? '' : 'disabled';
+
+  const leadOptions = LEAD_TIME_OPTIONS
+    .map(minutes => `
+      <option value="${minutes}" ${minutes === settings.leadMinutes ? 'selected' : ''}>
+        ${minutes === 0 ? t('reminders.atPrayerTime') : t('reminders.minutesBefore', { minutes })}
+      </option>
+    `)
+    .join('');
+
+  const prayerToggles = NOTIFIABLE_PRAYERS
+    .map(prayer => `
+      <label class="prayer-reminders-prayer">
+        <input type="checkbox" data-prayer="${prayer}" ${settings.prayers[prayer] ? 'checked' : ''} ${disabled} />
+        <span>${t(`prayer.name.${prayer.toLowerCase()}`)}</span>
+      </label>
+    `)
+    .join('');
+
+  container.innerHTML = `
+    <label class="prayer-reminders-row">
+      <span>${t('reminders.enabled')}</span>
+      <input type="checkbox" data-field="enabled" ${settings.enabled ? 'checked' : ''} ${blocked ? 'disabled' : ''} />
+    </label>
+    ${blocked ? `<p class="prayer-reminders-note">${t('reminders.blocked')}</p>` : ''}
+    <label class="prayer-reminders-row">
+      <span>${t('reminders.lead')}</span>
+      <select data-field="leadMinutes" ${disabled}>${leadOptions}</select>
+    </label>
+    <div class="prayer-reminders-prayers">${prayerToggles}</div>
+    <div class="prayer-reminders-row">
+      <label class="prayer-reminders-prayer">
+        <input type="checkbox" data-field="quietHours" ${settings.quietHours.enabled ? 'checked' : ''} ${disabled} />
+        <span>${t('reminders.quietHours')}</span>
+      </label>
+      <span class="prayer-reminders-quiet">
+        <input type="time" data-quiet="start" value="${settings.quietHours.start}" ${disabled} aria-label="${t('reminders.quietStart')}" />
+        –
+        <input type="time" data-quiet="end" value="${settings.quietHours.end}" ${disabled} aria-label="${t('reminders.quietEnd')}" />
+      </span>
+    </div>
+  `;
+
+  const update = async (changes) => {
+    await prayerNotifications.updateSettings(changes);
+    renderNotificationSettings(container);
+  };
+
+  container.querySelector('[data-field="enabled"]').addEventListener('change', (event) => {
+    update({ enabled: event.target.checked });
+  });
+
+  container.querySelector('[data-field="leadMinutes"]').addEventListener('change', (event) => {
+    update({ leadMinutes: Number(event.target.value) });
+  });
+
+  container.querySelectorAll('[data-prayer]').forEach(input => {
+    input.addEventListener('change', () => {
+      update({ prayers: { [input.dataset.prayer]: input.checked } });
+    });
+  });
+
+  container.querySelector('[data-field="quietHours"]').addEventListener('change', (event) => {
+    update({ quietHours: { enabled: event.target.checked } });
+  });
+
+  container.querySelectorAll('[data-quiet]').forEach(input => {
+    input.addEventListener('change', () => {
+      if (!input.value) return;
+      update({ quietHours: { [input.dataset.quiet]: input.value } });
+    });
+  });
+}
@@ -0,0 +1,434 @@
+/**
+ * PrayerNotificationService - Opt-in prayer reminders
+ *
+ * Builds a reminder schedule (N minutes before each prayer, for the coming
+ * SCHEDULE_DAYS) from PrayerTimesService data and hands it to the service
+ * worker, which stores it in IndexedDB and shows the notifications. Times
+ * come from the reader's chosen source (API or local calculation); the
+ * worker never computes them itself. Because the schedule lives in the
+ * service worker and settings live in localStorage, reminders survive page
+ * reloads; every page load re-sends a fresh schedule.
+ *
+ * Delivery:
+ * - Browsers with Notification Triggers get OS-scheduled notifications
+ * - Elsewhere the worker shows due reminders whenever it is woken
+ *   (open page timer, background sync, periodic background sync)
+ */
+
+import { prayerTimesService } from './prayer-times-service.js';
+import { zonedTimeToDate } from './prayer-calculator.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * localStorage key for the reader's reminder settings
+ */
+const NOTIFICATION_SETTINGS_KEY = 'prayerNotifications';
+
+/**
+ * Prayers that can have reminders
+ */
+export const NOTIFIABLE_PRAYERS = ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+/**
+ * Lead times offered in the settings panel (minutes before the prayer)
+ */
+export const LEAD_TIME_OPTIONS = [0, 5, 10, 15, 30];
+
+/**
+ * Default reminder settings (reminders are opt-in)
+ */
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  leadMinutes: 10,
+  prayers: { Fajr: true, Dhuhr: true, Asr: true, Maghrib: true, Isha: true },
+  quietHours: { enabled: false, start: '22:00', end: '05:00' }
+};
+
+/**
+ * Messages understood by sw.js
+ */
+export const SW_MESSAGES = {
+  SCHEDULE: 'SCHEDULE_PRAYER_NOTIFICATIONS',
+  CLEAR: 'CLEAR_PRAYER_NOTIFICATIONS',
+  CHECK: 'CHECK_PRAYER_NOTIFICATIONS'
+};
+
+/**
+ * Days covered by each schedule sent to the worker (today included), so
+ * reminders keep coming for a while without the page being opened
+ */
+const SCHEDULE_DAYS = 7;
+
+/**
+ * Background sync tag handled by sw.js (shows reminders that are due)
+ */
+const SYNC_TAG = 'sync-prayer-times';
+
+/**
+ * Minimum interval requested for periodic background sync
+ */
+const PERIODIC_SYNC_INTERVAL = 12 * 60 * 60 * 1000; // 12 hours
+
+/**
+ * Longest single page-side timer; re-armed until the next reminder is due
+ */
+const MAX_TIMER_DELAY = 60 * 60 * 1000; // 1 hour
+
+// ============================================================================
+// Schedule Helpers
+// ============================================================================
+
+/**
+ * Minutes since local midnight for an "HH:MM" string
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether an instant falls inside quiet hours (device local time)
+ * Quiet hours may wrap past midnight (e.g., 22:00 - 05:00).
+ * @param {Date} date - Instant to check
+ * @param {Object} quietHours - { enabled, start: "HH:MM", end: "HH:MM" }
+ * @returns {boolean}
+ */
+export function isInQuietHours(date, quietHours) {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = date.getHours() * 60 + date.getMinutes();
+
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Build reminder entries from a timetable
+ * @param {Object} timetable - Result of PrayerTimesService.getTimetable()
+ * @param {Object} settings - Reminder settings
+ * @param {Date} now - Reference time (entries before it are dropped)
+ * @returns {Array<Object>} [{ id, prayer, date, time, fireAt, title, body }]
+ */
+export function buildNotificationSchedule(timetable, settings, now = new Date()) {
+  const { timezone, city } = timetable.location;
+  const entries = [];
+
+  timetable.days.forEach(day => {
+    NOTIFIABLE_PRAYERS.forEach(prayer => {
+      if (!settings.prayers[prayer]) return;
+
+      const time = day.timings[prayer];
+      if (!time || !/^\d{2}:\d{2}$/.test(time)) return;
+
+      const prayerAt = zonedTimeToDate(day.date, time, timezone);
+      const fireAt = new Date(prayerAt.getTime() - settings.leadMinutes * 60 * 1000);
+
+      if (fireAt <= now || isInQuietHours(fireAt, settings.quietHours)) return;
+
+      entries.push({
+        id: `${day.date}-${prayer}`,
+        prayer,
+        date: day.date,
+        time,
+        fireAt: fireAt.getTime(),
+        title: settings.leadMinutes > 0
+          ? `${prayer} in ${settings.leadMinutes} minutes`
+          : `Time for ${prayer}`,
+        body: city ? `${prayer} at ${time} · ${city}` : `${prayer} at ${time}`
+      });
+    });
+  });
+
+  return entries.sort((a, b) => a.fireAt - b.fireAt);
+}
+
+/**
+ * First and last date keys of the schedule in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {{from: string, to: string}}
+ */
+function getScheduleRange(timezone) {
+  const from = new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+  const [year, month, day] = from.split('-').map(Number);
+  const to = new Date(Date.UTC(year, month - 1, day + SCHEDULE_DAYS - 1)).toISOString().slice(0, 10);
+  return { from, to };
+}
+
+// ============================================================================
+// PrayerNotificationService Class
+// ============================================================================
+
+class PrayerNotificationService {
+  constructor() {
+    this.settings = this.loadSettings();
+    this.initialized = false;
+    this.unsubscribe = null;
+    this.checkTimer = null;
+    this.listeners = new Set();
+  }
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Start following PrayerTimesService and keep the worker's schedule fresh
+   * Safe to call from several modules on the same page.
+   */
+  init() {
+    if (this.initialized || !this.isSupported()) return;
+    this.initialized = true;
+
+    this.unsubscribe = prayerTimesService.subscribe((state, event) => {
+      if (['initialized', 'refreshed', 'prayer-times-updated'].includes(event)) {
+        this.reschedule();
+      }
+    });
+
+    // Service may already be initialized by another module
+    if (prayerTimesService.getState().prayerTimes) {
+      this.reschedule();
+    }
+  }
+
+  /**
+   * Whether this browser can show reminders at all
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof window !== 'undefined'
+      && 'Notification' in window
+      && 'serviceWorker' in navigator;
+  }
+
+  /**
+   * Current notification permission ('granted' | 'denied' | 'default')
+   * @returns {string}
+   */
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'denied';
+  }
+
+  // ==========================================================================
+  // Settings
+  // ==========================================================================
+
+  /**
+   * Load the reader's reminder settings from localStorage
+   * @returns {Object}
+   */
+  loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(NOTIFICATION_SETTINGS_KEY) || 'null');
+      if (!stored) return structuredClone(DEFAULT_NOTIFICATION_SETTINGS);
+
+      return {
+        ...DEFAULT_NOTIFICATION_SETTINGS,
+        ...stored,
+        prayers: { ...DEFAULT_NOTIFICATION_SETTINGS.prayers, ...stored.prayers },
+        quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...stored.quietHours }
+      };
+    } catch (error) {
+      console.warn('[PrayerNotifications] Failed to load settings:', error);
+      return structuredClone(DEFAULT_NOTIFICATION_SETTINGS);
+    }
+  }
+
+  /**
+   * Persist the reader's reminder settings
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(NOTIFICATION_SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('[PrayerNotifications] Failed to save settings:', error);
+    }
+  }
+
+  /**
+   * Get a copy of the current settings
+   * @returns {Object}
+   */
+  getSettings() {
+    return structuredClone(this.settings);
+  }
+
+  /**
+   * Update settings and reschedule
+   * Enabling reminders asks for notification permission first.
+   * @param {Object} changes - Partial settings ({ enabled, leadMinutes, prayers, quietHours })
+   * @returns {Promise<boolean>} False if permission was refused
+   */
+  async updateSettings(changes) {
+    if (changes.enabled && !this.settings.enabled) {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        this.notifyListeners('permission-denied');
+        return false;
+      }
+    }
+
+    this.settings = {
+      ...this.settings,
+      ...changes,
+      prayers: { ...this.settings.prayers, ...changes.prayers },
+      quietHours: { ...this.settings.quietHours, ...changes.quietHours }
+    };
+    this.saveSettings();
+    this.notifyListeners('settings-changed');
+
+    this.init();
+    await this.reschedule();
+    return true;
+  }
+
+  // ==========================================================================
+  // Scheduling
+  // ==========================================================================
+
+  /**
+   * Post a message to the active service worker
+   * @param {Object} message
+   */
+  async postToWorker(message) {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage(message);
+    return registration;
+  }
+
+  /**
+   * Rebuild the coming days' reminders and send them to the worker
+   */
+  async reschedule() {
+    if (!this.isSupported()) return;
+
+    if (!this.settings.enabled || Notification.permission !== 'granted') {
+      this.clearCheckTimer();
+      await this.postToWorker({ type: SW_MESSAGES.CLEAR });
+      return;
+    }
+
+    const { location } = prayerTimesService.getState();
+    if (!location) return;
+
+    try {
+      const timezone = location.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const { from, to } = getScheduleRange(timezone);
+      const timetable = await prayerTimesService.getTimetable(location, from, to);
+      const schedule = buildNotificationSchedule(timetable, this.settings);
+
+      const registration = await this.postToWorker({
+        type: SW_MESSAGES.SCHEDULE,
+        schedule,
+        settings: this.settings
+      });
+
+      await this.registerBackgroundSync(registration);
+      this.armCheckTimer(schedule);
+
+      console.log(`[PrayerNotifications] Scheduled ${schedule.length} reminders`);
+    } catch (error) {
+      console.error('[PrayerNotifications] Failed to schedule reminders:', error);
+    }
+  }
+
+  /**
+   * Ask the browser to wake the worker so it can show reminders that are due
+   * @param {ServiceWorkerRegistration} registration
+   */
+  async registerBackgroundSync(registration) {
+    try {
+      if ('periodicSync' in registration) {
+        await registration.periodicSync.register(SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+      }
+      if ('sync' in registration) {
+        await registration.sync.register(SYNC_TAG);
+      }
+    } catch (error) {
+      // Permission for periodic sync is granted by the browser, not the user
+      console.warn('[PrayerNotifications] Background sync unavailable:', error);
+    }
+  }
+
+  /**
+   * While a page is open, wake the worker when the next reminder is due
+   * @param {Array<Object>} schedule
+   */
+  armCheckTimer(schedule) {
+    this.clearCheckTimer();
+
+    const next = schedule.find(entry => entry.fireAt > Date.now());
+    if (!next) return;
+
+    const delay = Math.min(next.fireAt - Date.now(), MAX_TIMER_DELAY);
+    this.checkTimer = setTimeout(async () => {
+      await this.postToWorker({ type: SW_MESSAGES.CHECK });
+      this.armCheckTimer(schedule);
+    }, delay + 1000);
+  }
+
+  /**
+   * Cancel the page-side timer
+   */
+  clearCheckTimer() {
+    if (this.checkTimer) {
+      clearTimeout(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  // ==========================================================================
+  // Subscribers
+  // ==========================================================================
+
+  /**
+   * Subscribe to settings changes
+   * @param {Function} listener - Callback (settings, event)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners
+   * @param {string} event - Event type
+   */
+  notifyListeners(event) {
+    const settings = this.getSettings();
+    this.listeners.forEach(listener => {
+      try {
+        listener(settings, event);
+      } catch (error) {
+        console.error('[PrayerNotifications] Listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop following PrayerTimesService
+   */
+  destroy() {
+    this.clearCheckTimer();
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.initialized = false;
+    this.listeners.clear();
+  }
+}
+
+// ============================================================================
+// Singleton Instance
+// ============================================================================
+
+export const prayerNotifications = new PrayerNotificationService();
@@ -0,0 +1,248 @@
+/**
+ * Prayer Settings Panel
+ * The reader's prayer settings, opened from the marquee: location,
+ * calculation method, Asr school and Hijri date adjustment, reminders and the Qibla compass. Each
+ * group is a collapsible section; all state lives in PrayerTimesService and
+ * PrayerNotificationService, this module only renders and forwards changes.
+ */
+
+import {
+  prayerTimesService,
+  CALCULATION_METHODS,
+  ASR_SCHOOLS,
+  SETTINGS_ORIGIN
+} from './prayer-times-service.js';
+import { renderLocationPicker } from './location-picker.js';
+import { renderNotificationSettings } from './prayer-notifications-ui.js';
+import { QiblaCompass, formatBearing } from './qibla.js';
+import { HIJRI_ADJUSTMENT_OPTIONS, getHijriAdjustment } from './hijri-calendar.js';
+import { t } from './i18n.js';
+
+// ============================================================================
+// Panel
+// ============================================================================
+
+let qiblaCompass = null;
+let resetCompassView = null;
+
+/**
+ * Render the settings panel into a container
+ * Safe to call again (e.g. after a locale change): the contents are replaced
+ * @param {HTMLElement} container - Element to render into (contents replaced)
+ */
+export function renderPrayerSettings(container) {
+  if (!container) return;
+
+  // The running compass writes into the panel being replaced
+  stopQiblaCompass();
+
+  container.innerHTML = `
+    <details class="prayer-widget-settings" open>
+      <summary>${t('prayer.settings.location')}</summary>
+      <div class="prayer-widget-settings-content location-picker"></div>
+    </details>
+    <details class="prayer-widget-settings">
+      <summary>${t('prayer.settings.calculation')}</summary>
+      <div class="prayer-widget-settings-content prayer-calculation"></div>
+    </details>
+    <details class="prayer-widget-settings">
+      <summary>${t('prayer.settings.reminders')}</summary>
+      <div class="prayer-widget-settings-content prayer-reminders"></div>
+    </details>
+    ${QiblaCompass.isSupported() ? `
+    <details class="prayer-widget-settings">
+      <summary>${t('prayer.settings.qibla')}</summary>
+      <div class="prayer-widget-settings-content qibla-compass"></div>
+    </details>` : ''}
+  `;
+
+  renderLocationPicker(container.querySelector('.location-picker'));
+  renderCalculationSettings(container.querySelector('.prayer-calculation'));
+  renderNotificationSettings(container.querySelector('.prayer-reminders'));
+  renderQiblaCompass(container.querySelector('.qibla-compass'));
+}
+
+// ============================================================================
+// Calculation
+// ============================================================================
+
+/**
+ * Render the calculation method / Asr school / Hijri adjustment settings
+ * Follows profile defaults as the reader moves between profiles
+ * @param {HTMLElement} container - Element to render into (contents replaced)
+ */
+export function renderCalculationSettings(container) {
+  if (!container) return;
+
+  const render = () => {
+    const { method, school, origin } = prayerTimesService.getCalculationSettings();
+
+    const methodOptions = Object.entries(CALCULATION_METHODS)
+      .map(([key, def]) => `<option value="${key}" ${key === method ? 'selected' : ''}>${def.name}</option>`)
+      .join('');
+    const schoolOptions = Object.entries(ASR_SCHOOLS)
+      .map(([key, def]) => `<option value="${key}" ${key === school ? 'selected' : ''}>${def.name}</option>`)
+      .join('');
+
+    const hijriAdjustment = getHijriAdjustment();
+    const hijriOptions = HIJRI_ADJUSTMENT_OPTIONS
+      .map(days => {
+        const label = days === 0
+          ? t('prayer.settings.noAdjustment')
+          : t('prayer.settings.adjustment', { sign: days > 0 ? '+' : '−', count: Math.abs(days) });
+        return `<option value="${days}" ${days === hijriAdjustment ? 'selected' : ''}>${label}</option>`;
+      })
+      .join('');
+
+    const originLabel = {
+      [SETTINGS_ORIGIN.USER]: t('prayer.settings.originUser'),
+      [SETTINGS_ORIGIN.PROFILE]: t('prayer.settings.originProfile'),
+      [SETTINGS_ORIGIN.DEFAULT]: t('prayer.settings.originDefault')
+    }[origin];
+
+    container.innerHTML = `
+      <label class="prayer-widget-setting">
+        <span>${t('prayer.settings.method')}</span>
+        <select data-setting="method">${methodOptions}</select>
+      </label>
+      <label class="prayer-widget-setting">
+        <span>${t('prayer.settings.asr')}</span>
+        <select data-setting="school">${schoolOptions}</select>
+      </label>
+      <label class="prayer-widget-setting">
+        <span>${t('prayer.settings.hijri')}</span>
+        <select data-hijri-adjustment>${hijriOptions}</select>
+      </label>
+      <div class="prayer-widget-setting-origin">
+        ${originLabel}
+        ${origin === SETTINGS_ORIGIN.USER ? `<button type="button" class="prayer-widget-setting-reset">${t('prayer.settings.reset')}</button>` : ''}
+      </div>
+      <a class="prayer-widget-timetable-link" href="timetable.html" target="_blank" rel="noopener">${t('prayer.settings.timetable')}</a>
+    `;
+
+    container.querySelectorAll('select[data-setting]').forEach(select => {
+      select.addEventListener('change', () => {
+        prayerTimesService.setUserSettings({ [select.dataset.setting]: select.value });
+      });
+    });
+
+    container.querySelector('select[data-hijri-adjustment]').addEventListener('change', (event) => {
+      prayerTimesService.setHijriAdjustment(Number(event.target.value));
+    });
+
+    container.querySelector('.prayer-widget-setting-reset')?.addEventListener('click', () => {
+      prayerTimesService.setUserSettings(null);
+    });
+
+    // Point the timetable at the current location when it is opened
+    const timetableLink = container.querySelector('.prayer-widget-timetable-link');
+    timetableLink.addEventListener('click', () => {
+      timetableLink.href = buildTimetableUrl(prayerTimesService.getState().location);
+    });
+  };
+
+  // Re-render on every settings change: the reader's own, or a new profile's defaults
+  const unsubscribe = prayerTimesService.subscribe((state, event) => {
+    if (!container.isConnected) {
+      unsubscribe();
+    } else if (event === 'settings-changed') {
+      render();
+    }
+  });
+
+  render();
+}
+
+/**
+ * Build timetable page URL for a location
+ * @param {Object|null} location - Location from PrayerTimesService
+ * @returns {string}
+ */
+export function buildTimetableUrl(location) {
+  if (!location) return 'timetable.html';
+
+  const params = new URLSearchParams({
+    lat: location.latitude.toFixed(4),
+    lon: location.longitude.toFixed(4)
+  });
+  if (location.city && location.city !== 'Unknown') params.set('city', location.city);
+  if (location.country && location.country !== 'Unknown') params.set('country', location.country);
+  if (location.timezone) params.set('tz', location.timezone);
+  return `timetable.html?${params.toString()}`;
+}
+
+// ============================================================================
+// Qibla compass
+// ============================================================================
+
+/**
+ * Render the Qibla compass
+ * The dial turns with the device heading; the needle inside it points at the
+ * Qibla bearing, so together the needle points at Makkah.
+ * @param {HTMLElement} container - Element to render into (contents replaced)
+ */
+function renderQiblaCompass(container) {
+  if (!container) return;
+
+  container.innerHTML = `
+    <div class="qibla-compass-dial">
+      <span class="qibla-compass-north">N</span>
+      <span class="qibla-compass-needle">🕋</span>
+    </div>
+    <p class="qibla-compass-status">${t('qibla.instructions')}</p>
+    <button type="button" class="qibla-compass-start">${t('qibla.start')}</button>
+  `;
+
+  const dial = container.querySelector('.qibla-compass-dial');
+  const needle = container.querySelector('.qibla-compass-needle');
+  const status = container.querySelector('.qibla-compass-status');
+  const startBtn = container.querySelector('.qibla-compass-start');
+
+  const pointNeedle = (qibla) => {
+    if (qibla) needle.style.transform = `rotate(${qibla.bearing}deg)`;
+  };
+
+  // The bearing changes with the location
+  const unsubscribe = prayerTimesService.subscribe((state, event) => {
+    if (!container.isConnected) {
+      unsubscribe();
+    } else if (event !== 'tick') {
+      pointNeedle(state.qibla);
+    }
+  });
+  pointNeedle(prayerTimesService.getState().qibla);
+
+  startBtn.addEventListener('click', async () => {
+    stopQiblaCompass();
+    qiblaCompass = new QiblaCompass((heading) => {
+      dial.style.transform = `rotate(${-heading}deg)`;
+      status.textContent = t('qibla.heading', { bearing: formatBearing(heading) });
+    });
+    resetCompassView = () => {
+      dial.style.transform = '';
+      status.textContent = t('qibla.instructions');
+      startBtn.hidden = false;
+    };
+
+    if (await qiblaCompass.start()) {
+      startBtn.hidden = true;
+      status.textContent = t('qibla.waiting');
+    } else {
+      status.textContent = t('qibla.unavailable');
+    }
+  });
+}
+
+/**
+ * Stop the compass (when the panel is rebuilt or closed)
+ */
+export function stopQiblaCompass() {
+  if (qiblaCompass) {
+    qiblaCompass.stop();
+    qiblaCompass = null;
+  }
+  if (resetCompassView) {
+    resetCompassView();
+    resetCompassView = null;
+  }
+}
@@ -1,17 +1,35 @@
 /**
  * PrayerTimesService - Single Source of Truth for Prayer Times
  * 
- * This service consolidates all prayer time logic that was previously
- * duplicated between marquee.js and feed.js. It provides:
+ * This service consolidates all prayer time logic for the marquee, its
+ * settings panel and the timetable page. It provides:
  * 
  * - Unified location management with quality tracking
  * - Timezone-aware cache keys and TTL calculation
- * - Proper fallback chain (GPS → Cached → Jakarta)
+ * - Proper fallback chain (Saved location → GPS → Cached → Jakarta)
+ * - City search and saved named locations
+ * - Two prayer time sources: Aladhan API and the offline calculator
+ * - Calculation method / Asr school (user setting > profile default > Kemenag)
+ * - Monthly / yearly timetables for a location
+ * - Qibla bearing and distance for the current location
  * - Event-based cache invalidation
  * - Subscriber pattern for UI updates
  */
 
 import { unifiedCache, CACHE_NAMESPACES, CACHE_DEFAULT_TTL } from './unified-cache.js';
+import {
+  calculatePrayerTimes,
+  getMethodParams,
+  CALCULATION_METHODS,
+  ASR_SCHOOLS,
+  DEFAULT_METHOD,
+  DEFAULT_SCHOOL
+} from './prayer-calculator.js';
+import { calculateQibla } from './qibla.js';
+import { setHijriAdjustment } from './hijri-calendar.js';
+import { t, formatDate, formatTime, formatHijriDate } from './i18n.js';
+
+export { CALCULATION_METHODS, ASR_SCHOOLS };
 
 // ============================================================================
 // Constants
@@ -23,9 +41,33 @@ import { unifiedCache, CACHE_NAMESPACES, CACHE_DEFAULT_TTL } from './unified-cac
 export const LOCATION_QUALITY = {
   GPS_FRESH: 'gps_fresh',      // Fresh GPS coordinates from current session
   GPS_CACHED: 'gps_cached',    // Cached GPS coordinates from previous session
+  MANUAL: 'manual',            // Saved location picked by the reader
   FALLBACK: 'fallback'         // Jakarta fallback (no GPS available)
 };
 
+/**
+ * Prayer time sources
+ * API falls back to LOCAL when the request fails; LOCAL never touches the network
+ */
+export const PRAYER_TIMES_SOURCE = {
+  API: 'api',                  // api.aladhan.com
+  LOCAL: 'local'               // Offline astronomical calculation
+};
+
+/**
+ * Where the active calculation settings came from
+ */
+export const SETTINGS_ORIGIN = {
+  USER: 'user',                // Reader's own choice (localStorage)
+  PROFILE: 'profile',          // Institution/jurisdiction feed config
+  DEFAULT: 'default'           // Kemenag / Shafi'i
+};
+
+/**
+ * localStorage key for the reader's calculation settings
+ */
+const PRAYER_SETTINGS_KEY = 'prayerSettings';
+
 /**
  * Geolocation options for navigator.geolocation.getCurrentPosition
  */
@@ -50,7 +92,8 @@ const DEFAULT_LOCATION = {
   latitude: -6.2088,
   longitude: 106.8456,
   city: "Jakarta",
-  country: "Indonesia"
+  country: "Indonesia",
+  timezone: "Asia/Jakarta"
 };
 
 /**
@@ -59,14 +102,27 @@ const DEFAULT_LOCATION = {
 const CACHE_TTL = {
   LOCATION: 30 * 60 * 1000,           // 30 minutes
   PRAYER_TIMES: 24 * 60 * 60 * 1000,  // 24 hours (until end of day)
-  GEOCODING: 7 * 24 * 60 * 60 * 1000  // 7 days
+  GEOCODING: 7 * 24 * 60 * 60 * 1000, // 7 days
+  LOCATION_SEARCH: 24 * 60 * 60 * 1000, // 1 day
+  SAVED_LOCATIONS: 10 * 365 * 24 * 60 * 60 * 1000, // Effectively permanent
+  TIMETABLE: 30 * 24 * 60 * 60 * 1000 // 30 days (past/future days never change)
 };
 
+/**
+ * Longest range getTimetable() will produce
+ */
+const MAX_TIMETABLE_DAYS = 366;
+
 /**
  * Prayer names in order
  */
 const PRAYER_NAMES = ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
 
+/**
+ * All timings stored with prayer times (prayers plus Sunrise)
+ */
+const TIMING_NAMES = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
 // ============================================================================
 // PrayerTimesService Class
 // ============================================================================
@@ -76,6 +132,10 @@ class PrayerTimesService {
     // State
     this.location = null;
     this.prayerTimes = null;
+    this.prayerTimesSource = null;
+    this.preferredSource = PRAYER_TIMES_SOURCE.API;
+    this.profileSettings = null;
+    this.userSettings = loadUserSettings();
     this.nextPrayer = null;
     this.timeToNextPrayer = null;
     this.isLoading = false;
@@ -177,6 +237,10 @@ class PrayerTimesService {
     const { forceRefresh = false, maxAge = CACHE_TTL.LOCATION } = options;
     const cacheKey = unifiedCache.generateKey(CACHE_NAMESPACES.LOCATION, 'current');
 
+    // A saved location picked by the reader always wins over GPS
+    const selected = await this.getSelectedLocation();
+    if (selected) return selected;
+
     // Check cache first (unless force refresh)
     if (!forceRefresh) {
       const cached = await unifiedCache.get(cacheKey);
@@ -477,6 +541,89 @@ class PrayerTimesService {
     location.country = "Unknown";
   }
 
+  /**
+   * Search places by name (forward geocoding)
+   * @param {string} query - City or place name
+   * @returns {Promise<Array>} [{ name, city, country, latitude, longitude, displayName }]
+   */
+  async searchLocations(query) {
+    const normalized = String(query || '').trim();
+    if (normalized.length < 2) return [];
+
+    const searchKey = unifiedCache.generateKey(CACHE_NAMESPACES.GEOCODING, 'search', normalized.toLowerCase());
+    const cached = await unifiedCache.get(searchKey);
+    if (cached) return cached;
+
+    let results = null;
+
+    // Try our own serverless API first (no CORS issues)
+    try {
+      const response = await fetchWithTimeout(`/api/geocode?q=${encodeURIComponent(normalized)}`);
+      if (response.ok) {
+        results = (await response.json()).results;
+      }
+    } catch (error) {
+      console.warn('[PrayerTimesService] Serverless location search failed, trying CORS proxies:', error);
+    }
+
+    // Fallback: Try each CORS proxy
+    if (!results) {
+      const nominatimUrl = `https://nominatim.openstreetmap.org/search?format=json&addressdetails=1&limit=8&q=${encodeURIComponent(normalized)}`;
+
+      for (const proxy of CORS_PROXIES) {
+        try {
+          const response = await fetchWithTimeout(`${proxy}${encodeURIComponent(nominatimUrl)}`);
+          if (!response.ok) continue;
+
+          const data = await response.json();
+          results = data.map(place => {
+            const city = place.address?.city || place.address?.town || place.address?.village ||
+              place.address?.county || place.name || 'Unknown';
+            return {
+              name: place.name || city,
+              city,
+              country: place.address?.country || 'Unknown',
+              latitude: parseFloat(place.lat),
+              longitude: parseFloat(place.lon),
+              displayName: place.display_name
+            };
+          });
+          break;
+        } catch (error) {
+          console.warn(`[PrayerTimesService] Location search proxy ${proxy} failed:`, error);
+        }
+      }
+    }
+
+    if (!results) {
+      throw new Error('Location search unavailable');
+    }
+
+    await unifiedCache.set(searchKey, results, CACHE_TTL.LOCATION_SEARCH);
+    return results;
+  }
+
+  /**
+   * Look up the IANA timezone of a place (Aladhan reports it with timings)
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {Promise<string>} Timezone, or the device timezone if lookup fails
+   */
+  async resolveTimezone(latitude, longitude) {
+    try {
+      const response = await fetchWithTimeout(
+        `https://api.aladhan.com/v1/timings?latitude=${latitude}&longitude=${longitude}`
+      );
+      const data = await response.json();
+      if (data.code === 200 && data.data?.meta?.timezone) {
+        return data.data.meta.timezone;
+      }
+    } catch (error) {
+      console.warn('[PrayerTimesService] Timezone lookup failed:', error);
+    }
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
   /**
    * Update the location cache with current location data (e.g., after geocoding)
    * @param {Object} location - Location object
@@ -491,6 +638,123 @@ class PrayerTimesService {
     }
   }
 
+  // ==========================================================================
+  // Saved Locations
+  // ==========================================================================
+
+  /**
+   * Cache key of the saved locations list
+   * @returns {string}
+   */
+  getSavedLocationsKey() {
+    return unifiedCache.generateKey(CACHE_NAMESPACES.LOCATION, 'saved');
+  }
+
+  /**
+   * Get saved locations and the active choice
+   * @returns {Promise<Object>} { locations: [...], activeId } (activeId null = device location)
+   */
+  async getSavedLocations() {
+    const stored = await unifiedCache.get(this.getSavedLocationsKey());
+    return {
+      locations: stored?.locations || [],
+      activeId: stored?.activeId || null
+    };
+  }
+
+  /**
+   * Persist saved locations and tell subscribers
+   * @param {Object} saved - { locations, activeId }
+   */
+  async storeSavedLocations(saved) {
+    await unifiedCache.set(this.getSavedLocationsKey(), saved, CACHE_TTL.SAVED_LOCATIONS);
+    this.notifyListeners('saved-locations-changed', saved);
+  }
+
+  /**
+   * Get the active saved location, if the reader picked one
+   * @returns {Promise<Object|null>} Location with MANUAL quality
+   */
+  async getSelectedLocation() {
+    const { locations, activeId } = await this.getSavedLocations();
+    const selected = locations.find(location => location.id === activeId);
+    return selected ? { ...selected, quality: LOCATION_QUALITY.MANUAL } : null;
+  }
+
+  /**
+   * Save a place (e.g., a search result) as a named location
+   * @param {Object} place - { latitude, longitude, city?, country?, name? }
+   * @param {string} name - Display name (defaults to the place name)
+   * @returns {Promise<Object>} The saved location
+   */
+  async saveLocation(place, name = place.name || place.city) {
+    const saved = await this.getSavedLocations();
+    const id = `${place.latitude.toFixed(4)},${place.longitude.toFixed(4)}`;
+    const existing = saved.locations.find(location => location.id === id);
+
+    if (existing) {
+      existing.name = name || existing.name;
+    } else {
+      saved.locations.push({
+        id,
+        name: name || 'Unnamed location',
+        latitude: place.latitude,
+        longitude: place.longitude,
+        city: place.city || name || 'Unknown',
+        country: place.country || 'Unknown',
+        timezone: place.timezone || await this.resolveTimezone(place.latitude, place.longitude),
+        timestamp: Date.now()
+      });
+    }
+
+    await this.storeSavedLocations(saved);
+    return saved.locations.find(location => location.id === id);
+  }
+
+  /**
+   * Remove a saved location (switches back to the device location if it was active)
+   * @param {string} id - Saved location id
+   */
+  async removeSavedLocation(id) {
+    const saved = await this.getSavedLocations();
+    const wasActive = saved.activeId === id;
+
+    saved.locations = saved.locations.filter(location => location.id !== id);
+    if (wasActive) saved.activeId = null;
+    await this.storeSavedLocations(saved);
+
+    if (wasActive) {
+      await this.applyLocationChange();
+    }
+  }
+
+  /**
+   * Switch to a saved location, or back to the device location
+   * @param {string|null} id - Saved location id (null = device location)
+   */
+  async selectLocation(id) {
+    const saved = await this.getSavedLocations();
+    saved.activeId = saved.locations.some(location => location.id === id) ? id : null;
+    await this.storeSavedLocations(saved);
+    await this.applyLocationChange();
+  }
+
+  /**
+   * Re-resolve location and prayer times after the location choice changed
+   */
+  async applyLocationChange() {
+    try {
+      this.location = await this.getLocation();
+      this.prayerTimes = await this.fetchPrayerTimes();
+      this.calculateNextPrayer();
+      this.notifyListeners('location-updated');
+    } catch (error) {
+      console.error('[PrayerTimesService] Failed to switch location:', error);
+      this.error = error;
+      this.notifyListeners('error', error);
+    }
+  }
+
   // ==========================================================================
   // Prayer Times
   // ==========================================================================
@@ -509,12 +773,16 @@ class PrayerTimesService {
       timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
     });
 
+    const { method, school } = this.getCalculationSettings();
+
     return unifiedCache.generateLocationKey(
       CACHE_NAMESPACES.PRAYER_TIMES,
       location.latitude,
       location.longitude,
       localDate,
-      location.quality
+      location.quality,
+      method,
+      school
     );
   }
 
@@ -564,10 +832,15 @@ class PrayerTimesService {
           const cacheAge = Date.now() - new Date(cached.date).getTime();
           const STALE_THRESHOLD = 20 * 60 * 60 * 1000; // 20 hours
           
-          if (cacheAge > STALE_THRESHOLD) {
+          // Locally calculated times are upgraded to API times once online
+          const isLocalFallback = cached.source === PRAYER_TIMES_SOURCE.LOCAL &&
+            this.preferredSource === PRAYER_TIMES_SOURCE.API;
+
+          if (cacheAge > STALE_THRESHOLD || (isLocalFallback && navigator.onLine)) {
             this.refreshPrayerTimesInBackground(location);
           }
           
+          this.prayerTimesSource = cached.source || PRAYER_TIMES_SOURCE.API;
           return cached.prayerTimes;
         }
       }
@@ -575,8 +848,45 @@ class PrayerTimesService {
       console.warn('[PrayerTimesService] Prayer times cache read error:', error);
     }
 
-    // Fetch from API
-    return this.fetchPrayerTimesFromAPI(location);
+    return this.fetchFreshPrayerTimes(location);
+  }
+
+  /**
+   * Fetch prayer times from the preferred source, bypassing the cache.
+   * The API falls back to local calculation when it cannot be reached.
+   * @param {Object} location - Location object
+   * @returns {Promise<Object>} Prayer times object
+   */
+  async fetchFreshPrayerTimes(location = this.location) {
+    if (this.preferredSource === PRAYER_TIMES_SOURCE.LOCAL) {
+      return this.calculatePrayerTimesLocally(location);
+    }
+
+    try {
+      return await this.fetchPrayerTimesFromAPI(location);
+    } catch (error) {
+      console.warn('[PrayerTimesService] API unavailable, calculating locally:', error);
+      return this.calculatePrayerTimesLocally(location);
+    }
+  }
+
+  /**
+   * Set the preferred prayer times source
+   * @param {string} source - One of PRAYER_TIMES_SOURCE
+   * @returns {Promise<void>}
+   */
+  async setPreferredSource(source) {
+    if (!Object.values(PRAYER_TIMES_SOURCE).includes(source)) {
+      throw new Error(`Unknown prayer times source: ${source}`);
+    }
+    if (this.preferredSource === source) return;
+
+    this.preferredSource = source;
+    if (!this.location) return;
+
+    this.prayerTimes = await this.fetchFreshPrayerTimes(this.location);
+    this.calculateNextPrayer();
+    this.notifyListeners('prayer-times-updated');
   }
 
   /**
@@ -590,7 +900,11 @@ class PrayerTimesService {
     const month = today.getMonth() + 1;
     const year = today.getFullYear();
 
-    const url = `https://api.aladhan.com/v1/timings/${date}-${month}-${year}?latitude=${location.latitude}&longitude=${location.longitude}&method=20`;
+    const { method, school } = this.getCalculationSettings();
+    const methodId = CALCULATION_METHODS[method].id;
+    const schoolId = ASR_SCHOOLS[school].id;
+
+    const url = `https://api.aladhan.com/v1/timings/${date}-${month}-${year}?latitude=${location.latitude}&longitude=${location.longitude}&method=${methodId}&school=${schoolId}&latitudeAdjustmentMethod=3`;
 
     try {
       const response = await fetch(url);
@@ -598,13 +912,14 @@ class PrayerTimesService {
 
       if (data.code === 200 && data.data) {
         const prayerTimes = {};
-        PRAYER_NAMES.forEach(name => {
+        TIMING_NAMES.forEach(name => {
           prayerTimes[name] = data.data.timings[name];
         });
 
         // Cache the result
-        await this.cachePrayerTimes(location, prayerTimes);
+        await this.cachePrayerTimes(location, prayerTimes, PRAYER_TIMES_SOURCE.API);
         
+        this.prayerTimesSource = PRAYER_TIMES_SOURCE.API;
         console.log('[PrayerTimesService] Fetched prayer times from API');
         return prayerTimes;
       }
@@ -616,18 +931,43 @@ class PrayerTimesService {
     }
   }
 
+  /**
+   * Calculate prayer times offline with the astronomical calculator
+   * @param {Object} location - Location object
+   * @returns {Promise<Object>} Prayer times object
+   */
+  async calculatePrayerTimesLocally(location) {
+    const { method, school } = this.getCalculationSettings();
+
+    const prayerTimes = calculatePrayerTimes({
+      date: new Date(),
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timezone: location.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      params: getMethodParams(method, school)
+    });
+
+    await this.cachePrayerTimes(location, prayerTimes, PRAYER_TIMES_SOURCE.LOCAL);
+
+    this.prayerTimesSource = PRAYER_TIMES_SOURCE.LOCAL;
+    console.log('[PrayerTimesService] Calculated prayer times locally');
+    return prayerTimes;
+  }
+
   /**
    * Cache prayer times
    * @param {Object} location - Location object
    * @param {Object} prayerTimes - Prayer times object
+   * @param {string} source - One of PRAYER_TIMES_SOURCE
    */
-  async cachePrayerTimes(location, prayerTimes) {
+  async cachePrayerTimes(location, prayerTimes, source = PRAYER_TIMES_SOURCE.API) {
     const cacheKey = this.generatePrayerCacheKey(location);
     if (!cacheKey) return;
 
     const data = {
       date: new Date().toISOString(),
       prayerTimes: prayerTimes,
+      source: source,
       location: {
         latitude: location.latitude,
         longitude: location.longitude,
@@ -644,6 +984,9 @@ class PrayerTimesService {
    * @param {Object} location - Location object
    */
   async refreshPrayerTimesInBackground(location = this.location) {
+    // Nothing to refresh from when the user chose offline calculation
+    if (this.preferredSource === PRAYER_TIMES_SOURCE.LOCAL) return;
+
     try {
       const prayerTimes = await this.fetchPrayerTimesFromAPI(location);
       this.prayerTimes = prayerTimes;
@@ -653,6 +996,248 @@ class PrayerTimesService {
     }
   }
 
+  // ==========================================================================
+  // Timetable
+  // ==========================================================================
+
+  /**
+   * Get prayer times for every day in a date range (inclusive)
+   * @param {Object} location - Location ({ latitude, longitude, timezone?, city?, country? })
+   * @param {Date|string} from - First day (Date or "YYYY-MM-DD")
+   * @param {Date|string} to - Last day (Date or "YYYY-MM-DD")
+   * @returns {Promise<Object>} { location, method, school, source, days: [{ date, timings }] }
+   */
+  async getTimetable(location = this.location, from, to) {
+    if (!location) {
+      throw new Error('Location not available');
+    }
+
+    const start = toDateKey(from);
+    const end = toDateKey(to);
+    const dayCount = daysBetween(start, end) + 1;
+
+    if (dayCount < 1) {
+      throw new Error('Timetable range must end on or after its start');
+    }
+    if (dayCount > MAX_TIMETABLE_DAYS) {
+      throw new Error(`Timetable range is limited to ${MAX_TIMETABLE_DAYS} days`);
+    }
+
+    const { method, school } = this.getCalculationSettings();
+    const sources = new Set();
+    const days = [];
+
+    for (const { year, month } of monthsInRange(start, end)) {
+      const monthData = await this.getTimetableMonth(location, year, month);
+      sources.add(monthData.source);
+      monthData.days
+        .filter(day => day.date >= start && day.date <= end)
+        .forEach(day => days.push(day));
+    }
+
+    return {
+      location: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        timezone: location.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        city: location.city || null,
+        country: location.country || null
+      },
+      method,
+      school,
+      source: sources.size === 1 ? [...sources][0] : PRAYER_TIMES_SOURCE.LOCAL,
+      days
+    };
+  }
+
+  /**
+   * Get (cached) prayer times for one calendar month
+   * @param {Object} location - Location object
+   * @param {number} year - Gregorian year
+   * @param {number} month - 1-12
+   * @returns {Promise<Object>} { source, days }
+   */
+  async getTimetableMonth(location, year, month) {
+    const { method, school } = this.getCalculationSettings();
+    const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+    const cacheKey = unifiedCache.generateLocationKey(
+      CACHE_NAMESPACES.PRAYER_TIMES,
+      location.latitude,
+      location.longitude,
+      'timetable',
+      monthKey,
+      method,
+      school
+    );
+
+    try {
+      const cached = await unifiedCache.get(cacheKey);
+      if (cached) return cached;
+    } catch (error) {
+      console.warn('[PrayerTimesService] Timetable cache read error:', error);
+    }
+
+    let monthData = null;
+    if (this.preferredSource === PRAYER_TIMES_SOURCE.API) {
+      try {
+        monthData = await this.fetchTimetableMonthFromAPI(location, year, month);
+      } catch (error) {
+        console.warn('[PrayerTimesService] Calendar API unavailable, calculating locally:', error);
+      }
+    }
+
+    if (!monthData) {
+      monthData = this.calculateTimetableMonthLocally(location, year, month);
+    }
+
+    await unifiedCache.set(cacheKey, monthData, CACHE_TTL.TIMETABLE);
+    return monthData;
+  }
+
+  /**
+   * Fetch one month from the Aladhan calendar endpoint
+   * @param {Object} location - Location object
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @returns {Promise<Object>} { source, days }
+   */
+  async fetchTimetableMonthFromAPI(location, year, month) {
+    const { method, school } = this.getCalculationSettings();
+    const methodId = CALCULATION_METHODS[method].id;
+    const schoolId = ASR_SCHOOLS[school].id;
+
+    const url = `https://api.aladhan.com/v1/calendar/${year}/${month}?latitude=${location.latitude}&longitude=${location.longitude}&method=${methodId}&school=${schoolId}&latitudeAdjustmentMethod=3`;
+
+    const response = await fetch(url);
+    const data = await response.json();
+
+    if (data.code !== 200 || !Array.isArray(data.data)) {
+      throw new Error('Invalid API response');
+    }
+
+    const days = data.data.map(entry => {
+      // Calendar timings carry a zone suffix, e.g. "04:35 (WIB)"
+      const timings = {};
+      TIMING_NAMES.forEach(name => {
+        timings[name] = String(entry.timings[name]).split(' ')[0];
+      });
+
+      const [day, mm, yyyy] = entry.date.gregorian.date.split('-');
+      return { date: `${yyyy}-${mm}-${day}`, timings };
+    });
+
+    return { source: PRAYER_TIMES_SOURCE.API, days };
+  }
+
+  /**
+   * Calculate one month offline
+   * @param {Object} location - Location object
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @returns {Object} { source, days }
+   */
+  calculateTimetableMonthLocally(location, year, month) {
+    const { method, school } = this.getCalculationSettings();
+    const params = getMethodParams(method, school);
+    const timezone = location.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    const days = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      const timings = calculatePrayerTimes({
+        date,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        timezone,
+        params
+      });
+      days.push({ date, timings });
+    }
+
+    return { source: PRAYER_TIMES_SOURCE.LOCAL, days };
+  }
+
+  // ==========================================================================
+  // Calculation Settings
+  // ==========================================================================
+
+  /**
+   * Resolve the active calculation method and Asr school.
+   * Each field resolves independently: user setting > profile default > default.
+   * @returns {{method: string, school: string, origin: string}}
+   */
+  getCalculationSettings() {
+    const user = this.userSettings || {};
+    const profile = this.profileSettings || {};
+
+    // Ignore values that are no longer known (e.g., stale localStorage)
+    const userMethod = CALCULATION_METHODS[user.method] ? user.method : null;
+    const userSchool = ASR_SCHOOLS[user.school] ? user.school : null;
+
+    const method = userMethod || profile.method || DEFAULT_METHOD;
+    const school = userSchool || profile.school || DEFAULT_SCHOOL;
+
+    let origin = SETTINGS_ORIGIN.DEFAULT;
+    if (userMethod || userSchool) {
+      origin = SETTINGS_ORIGIN.USER;
+    } else if (profile.method || profile.school) {
+      origin = SETTINGS_ORIGIN.PROFILE;
+    }
+
+    return { method, school, origin };
+  }
+
+  /**
+   * Set profile defaults from an institution/jurisdiction feed widget config.
+   * Call before init() so the first fetch already uses them.
+   * @param {Object|null} widgetConfig - feed_config.widget ({ enabled, type })
+   */
+  async setProfileDefaults(widgetConfig) {
+    this.profileSettings = parsePrayerWidgetType(widgetConfig?.type);
+    await this.applySettingsChange();
+  }
+
+  /**
+   * Save the reader's own calculation settings (overrides profile defaults)
+   * @param {Object|null} settings - { method, school }; an empty field falls
+   *   back to the profile default, null clears both
+   */
+  async setUserSettings(settings) {
+    const merged = settings ? { ...this.userSettings, ...settings } : {};
+
+    if (merged.method && !CALCULATION_METHODS[merged.method]) {
+      throw new Error(`Unknown calculation method: ${merged.method}`);
+    }
+    if (merged.school && !ASR_SCHOOLS[merged.school]) {
+      throw new Error(`Unknown Asr school: ${merged.school}`);
+    }
+
+    const next = {};
+    if (merged.method) next.method = merged.method;
+    if (merged.school) next.school = merged.school;
+
+    this.userSettings = Object.keys(next).length > 0 ? next : null;
+    saveUserSettings(this.userSettings);
+    await this.applySettingsChange();
+  }
+
+  /**
+   * Re-fetch prayer times after a settings change (if already initialized)
+   */
+  async applySettingsChange() {
+    this.notifyListeners('settings-changed');
+    if (!this.initialized || !this.location) return;
+
+    try {
+      this.prayerTimes = await this.fetchPrayerTimes(this.location);
+      this.calculateNextPrayer();
+      this.notifyListeners('prayer-times-updated');
+    } catch (error) {
+      console.error('[PrayerTimesService] Failed to apply settings:', error);
+    }
+  }
+
   // ==========================================================================
   // Next Prayer Calculation
   // ==========================================================================
@@ -710,9 +1295,9 @@ class PrayerTimesService {
     const minutes = this.timeToNextPrayer % 60;
 
     if (hours > 0) {
-      return `${hours}h ${minutes}m`;
+      return t('time.hoursMinutes', { hours, minutes });
     }
-    return `${minutes}m`;
+    return t('time.minutes', { minutes });
   }
 
   // ==========================================================================
@@ -724,7 +1309,7 @@ class PrayerTimesService {
    * @returns {string} Formatted date string
    */
   formatDate() {
-    return new Date().toLocaleDateString("en-US", {
+    return formatDate(new Date(), {
       weekday: "short",
       month: "short",
       day: "numeric",
@@ -733,7 +1318,24 @@ class PrayerTimesService {
   }
 
   /**
-   * Format current time
+   * Format current date in the Hijri calendar (with the reader's adjustment)
+   * @returns {string} Formatted Hijri date string
+   */
+  formatHijriDate() {
+    return formatHijriDate(new Date());
+  }
+
+  /**
+   * Change the reader's Hijri day adjustment (±1/2 for local moon sighting)
+   * @param {number} adjustment - Days to shift
+   */
+  setHijriAdjustment(adjustment) {
+    setHijriAdjustment(adjustment);
+    this.notifyListeners('hijri-adjustment-changed');
+  }
+
+  /**
+   * Format current time (the locale decides between 12- and 24-hour clocks)
    * @param {boolean} includeSeconds - Include seconds in output
    * @returns {string} Formatted time string
    */
@@ -741,14 +1343,13 @@ class PrayerTimesService {
     const options = {
       hour: "2-digit",
       minute: "2-digit",
-      hour12: true,
     };
     
     if (includeSeconds) {
       options.second = "2-digit";
     }
     
-    return new Date().toLocaleTimeString("en-US", options);
+    return formatTime(new Date(), options);
   }
 
   /**
@@ -756,11 +1357,14 @@ class PrayerTimesService {
    * @returns {string} Formatted location string
    */
   formatLocation() {
-    if (!this.location) return "Unknown";
+    if (!this.location) return t('common.unknown');
     
-    const city = this.location.city || "Unknown";
-    const country = this.location.country || "Unknown";
-    const fallbackIndicator = this.location.quality === LOCATION_QUALITY.FALLBACK ? ' (Fallback)' : '';
+    // Saved locations show the reader's own name for them
+    // ('Unknown' is the stored placeholder for a failed reverse geocode)
+    const known = (value) => (value && value !== 'Unknown' ? value : t('common.unknown'));
+    const city = known((this.location.quality === LOCATION_QUALITY.MANUAL && this.location.name) || this.location.city);
+    const country = known(this.location.country);
+    const fallbackIndicator = this.location.quality === LOCATION_QUALITY.FALLBACK ? ` ${t('location.fallback')}` : '';
     
     return `${city}, ${country}${fallbackIndicator}`;
   }
@@ -777,14 +1381,32 @@ class PrayerTimesService {
     return {
       location: this.location,
       prayerTimes: this.prayerTimes,
+      prayerTimesSource: this.prayerTimesSource,
+      calculationSettings: this.getCalculationSettings(),
       nextPrayer: this.nextPrayer,
       timeToNextPrayer: this.timeToNextPrayer,
       formattedTimeToNext: this.formatTimeToNextPrayer(),
       isLoading: this.isLoading,
       error: this.error,
       formattedDate: this.formatDate(),
+      formattedHijriDate: this.formatHijriDate(),
       formattedTime: this.formatCurrentTime(),
-      formattedLocation: this.formatLocation()
+      formattedLocation: this.formatLocation(),
+      qibla: this.getQibla()
+    };
+  }
+
+  /**
+   * Qibla bearing and distance for the current location
+   * Marked approximate when the location is the Jakarta fallback.
+   * @returns {Object|null} { bearing, distanceKm, approximate }
+   */
+  getQibla() {
+    if (!this.location) return null;
+
+    return {
+      ...calculateQibla(this.location),
+      approximate: this.location.quality === LOCATION_QUALITY.FALLBACK
     };
   }
 
@@ -901,7 +1523,8 @@ class PrayerTimesService {
    * Invalidate location cache
    */
   async invalidateLocationCache() {
-    await unifiedCache.invalidateNamespace(CACHE_NAMESPACES.LOCATION);
+    // Only the GPS cache - saved locations live in the same namespace and must survive
+    await unifiedCache.delete(unifiedCache.generateKey(CACHE_NAMESPACES.LOCATION, 'current'));
     this.location = null;
     this.notifyListeners('location-invalidated');
   }
@@ -948,7 +1571,7 @@ class PrayerTimesService {
       this.location = await this.getLocation({ forceRefresh: true });
       
       // Get fresh prayer times
-      this.prayerTimes = await this.fetchPrayerTimesFromAPI(this.location);
+      this.prayerTimes = await this.fetchFreshPrayerTimes(this.location);
       
       // Recalculate
       this.calculateNextPrayer();
@@ -984,6 +1607,108 @@ class PrayerTimesService {
   }
 }
 
+// ============================================================================
+// Settings Helpers
+// ============================================================================
+
+/**
+ * Parse calculation defaults out of a feed widget type.
+ * Tokens are separated by ":" and matched case-insensitively against method
+ * and school keys, e.g. "prayer_times:MWL:hanafi".
+ * @param {string|null} widgetType - feed_widget_type value
+ * @returns {Object|null} { method, school } or null if none found
+ */
+export function parsePrayerWidgetType(widgetType) {
+  if (!widgetType || typeof widgetType !== 'string') return null;
+
+  const settings = {};
+  widgetType.split(':').forEach(token => {
+    const key = token.trim().toUpperCase();
+    if (CALCULATION_METHODS[key]) settings.method = key;
+    if (ASR_SCHOOLS[key]) settings.school = key;
+  });
+
+  return Object.keys(settings).length > 0 ? settings : null;
+}
+
+/**
+ * fetch() that aborts after a timeout
+ * @param {string} url
+ * @param {number} timeout - Milliseconds (default 5s)
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, timeout = 5000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Normalize a Date or "YYYY-MM-DD" string to a "YYYY-MM-DD" key
+ * @param {Date|string} value
+ * @returns {string}
+ */
+function toDateKey(value) {
+  if (value instanceof Date) {
+    return value.toLocaleDateString('en-CA');
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  throw new Error(`Invalid timetable date: ${value}`);
+}
+
+/**
+ * Whole days between two "YYYY-MM-DD" keys
+ */
+function daysBetween(startKey, endKey) {
+  return Math.round((Date.parse(`${endKey}T00:00:00Z`) - Date.parse(`${startKey}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * List the { year, month } pairs touched by a date range
+ */
+function monthsInRange(startKey, endKey) {
+  const months = [];
+  let [year, month] = startKey.split('-').map(Number);
+  const [endYear, endMonth] = endKey.split('-').map(Number);
+
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push({ year, month });
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+function loadUserSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRAYER_SETTINGS_KEY));
+    return saved && typeof saved === 'object' ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveUserSettings(settings) {
+  try {
+    if (settings) {
+      localStorage.setItem(PRAYER_SETTINGS_KEY, JSON.stringify(settings));
+    } else {
+      localStorage.removeItem(PRAYER_SETTINGS_KEY);
+    }
+  } catch (error) {
+    console.warn('[PrayerTimesService] Failed to save settings:', error);
+  }
+}
+
 // ============================================================================
 // Singleton Instance
 // ============================================================================
@@ -991,5 +1716,5 @@ class PrayerTimesService {
 export const prayerTimesService = new PrayerTimesService();
 
 // NOTE: Auto-init removed to prevent race conditions.
-// Consumers (marquee.js, feed.js) call prayerTimesService.init()
+// Consumers (marquee.js) call prayerTimesService.init()
 // after subscribing, ensuring they receive all state updates.
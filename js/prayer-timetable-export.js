@@ -0,0 +1,222 @@
+/**
+ * Prayer Timetable Export
+ * Serializes timetables from PrayerTimesService.getTimetable() to CSV,
+ * iCalendar and library-ready document HTML
+ */
+
+import { CALCULATION_METHODS, ASR_SCHOOLS, zonedTimeToDate } from './prayer-calculator.js';
+
+/**
+ * Columns exported for every day
+ */
+const TIMETABLE_COLUMNS = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+/**
+ * Prayers that become calendar events (Sunrise is not a prayer)
+ */
+const ICS_PRAYERS = ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+// ============================================================================
+// Descriptions
+// ============================================================================
+
+/**
+ * Human-readable location label
+ * @param {Object} timetable - Timetable object
+ * @returns {string}
+ */
+export function describeLocation(timetable) {
+  const { city, country, latitude, longitude } = timetable.location;
+  if (city && city !== 'Unknown') {
+    return country && country !== 'Unknown' ? `${city}, ${country}` : city;
+  }
+  return `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+}
+
+/**
+ * Human-readable calculation settings
+ * @param {Object} timetable - Timetable object
+ * @returns {string}
+ */
+export function describeMethod(timetable) {
+  const method = CALCULATION_METHODS[timetable.method]?.name || timetable.method;
+  const school = ASR_SCHOOLS[timetable.school]?.name || timetable.school;
+  return `${method} · Asr: ${school}`;
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Convert a timetable to CSV (one row per day)
+ * @param {Object} timetable - Timetable object
+ * @returns {string} CSV text
+ */
+export function timetableToCSV(timetable) {
+  const rows = [['Date', ...TIMETABLE_COLUMNS]];
+  timetable.days.forEach(day => {
+    rows.push([day.date, ...TIMETABLE_COLUMNS.map(name => day.timings[name])]);
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// iCalendar
+// ============================================================================
+
+/**
+ * Escape text per RFC 5545
+ */
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 §3.1)
+ */
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ' ' + rest.slice(75);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+/**
+ * Format a Date as an iCalendar UTC timestamp (YYYYMMDDTHHMMSSZ)
+ */
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Convert a timetable to an iCalendar file (one event per prayer)
+ * @param {Object} timetable - Timetable object
+ * @param {Object} options
+ * @param {string} options.calendarName - Calendar display name
+ * @param {number} options.durationMinutes - Event length
+ * @returns {string} iCalendar text
+ */
+export function timetableToICS(timetable, options = {}) {
+  const location = describeLocation(timetable);
+  const {
+    calendarName = `Prayer Times — ${location}`,
+    durationMinutes = 15
+  } = options;
+
+  const { latitude, longitude, timezone } = timetable.location;
+  const stamp = icsTimestamp(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ummah Confederation//Prayer Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ];
+
+  timetable.days.forEach(day => {
+    ICS_PRAYERS.forEach(name => {
+      const time = day.timings[name];
+      if (!time || !/^\d{2}:\d{2}$/.test(time)) return;
+
+      const start = zonedTimeToDate(day.date, time, timezone);
+      const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${day.date}-${name.toLowerCase()}-${latitude.toFixed(4)}_${longitude.toFixed(4)}@ummahconfederation`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsTimestamp(start)}`,
+        `DTEND:${icsTimestamp(end)}`,
+        `SUMMARY:${icsText(name)}`,
+        `LOCATION:${icsText(location)}`,
+        `DESCRIPTION:${icsText(describeMethod(timetable))}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// Document HTML
+// ============================================================================
+
+/**
+ * Escape HTML special characters (string-based so it also runs without a DOM)
+ */
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a timetable to HTML suitable for a library document's `content`
+ * @param {Object} timetable - Timetable object
+ * @param {string} title - Heading for the timetable
+ * @returns {string} HTML fragment
+ */
+export function timetableToDocumentHtml(timetable, title = 'Prayer Timetable') {
+  const header = TIMETABLE_COLUMNS.map(name => `<th>${name}</th>`).join('');
+  const rows = timetable.days.map(day => `
+      <tr>
+        <td>${escapeHtml(day.date)}</td>
+        ${TIMETABLE_COLUMNS.map(name => `<td>${escapeHtml(day.timings[name])}</td>`).join('')}
+      </tr>`).join('');
+
+  return `
+<h2>${escapeHtml(title)}</h2>
+<p>Location : ${escapeHtml(describeLocation(timetable))}</p>
+<p>Method : ${escapeHtml(describeMethod(timetable))}</p>
+<table class="prayer-timetable">
+  <thead>
+    <tr><th>Date</th>${header}</tr>
+  </thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+`.trim();
+}
+
+// ============================================================================
+// Download
+// ============================================================================
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+export function downloadTextFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -7,18 +7,31 @@
 import {
   getInstitutionMetadata,
   getJurisdictionMetadata,
+  getJurisdictionMembers,
   getDocumentsList,
   getFeedDocuments,
   getDocumentById,
 } from "./config.js";
-import { parseQueryParams, parseHashParams, escapeHtml } from "./utils.js";
+import { parseQueryParams, parseHashParams, escapeHtml, showToast } from "./utils.js";
+import { sanitizeInlineHtml, htmlToPlainText } from "./html-sanitizer.js";
+import { t, hasMessage, onLocaleChange, formatDate } from "./i18n.js";
+import { formatArchetype } from "./account-archetypes.js";
+import { updateFilterUrl } from "./library-facets.js";
+import {
+  saveCollectionOffline,
+  removeCollectionOffline,
+  isCollectionSavedOffline,
+} from "./offline-library.js";
+import { onRealtimeChange, hasTableChanges } from "./realtime-updates.js";
 
 // Profile state
 const profileState = {
   profileType: null, // 'institution' or 'jurisdiction'
   profileName: null, // institution or jurisdiction name
-  currentFilter: "Feed", // default to Feed; also supports 'all', 'Book', 'Policy', 'Decision', etc.
+  currentFilter: "Feed", // 'Feed' (carousel) or 'all' (document list, narrowed by selectedTypes)
+  selectedTypes: [], // item types picked in the pills ('Book', 'Policy', ...); empty = all
   documents: [],
+  members: [], // jurisdiction member institutions ({ name, displayName, role, joinedAt, avatar })
   profileData: null,
   availableTypes: [],
 };
@@ -26,20 +39,25 @@ const profileState = {
 // Callback for filter changes
 let onFilterChangeCallback = null;
 
+// Documents announced by a realtime update but not listed yet (IDs)
+let pendingDocumentIds = new Set();
+
+// Order of jurisdiction member roles in the Contributors list
+const MEMBER_ROLE_ORDER = ["moderator", "member", "observer"];
+
 /**
- * Extract label from bracketed suffix in name
- * @param {string} name - Full name with bracketed label
+ * Display name and label of the current profile
+ * Institutions are labelled with their archetype, jurisdictions with their label
  * @returns {Object} { name: string, label: string }
  */
-function extractLabel(name) {
-  const match = name.match(/^(.+?)\s*\[(.*?)\]\s*$/);
-  if (match) {
-    return {
-      name: match[1].trim(),
-      label: match[2].trim(),
-    };
-  }
-  return { name: name.trim(), label: "" };
+function getProfileHeading() {
+  const metadata = profileState.profileData || {};
+  return {
+    name: metadata.name || profileState.profileName,
+    label: profileState.profileType === "institution"
+      ? formatArchetype(metadata.archetype)
+      : metadata.label || "",
+  };
 }
 
 /**
@@ -52,21 +70,6 @@ function countInstitutionDocuments(documents, institutionName) {
   return documents.filter((doc) => doc.institution === institutionName).length;
 }
 
-/**
- * Count unique contributors (institutions) for a jurisdiction
- * @param {Array} documents - All documents
- * @param {string} jurisdictionName - Jurisdiction name
- * @returns {number} Unique institution count
- */
-function countJurisdictionContributors(documents, jurisdictionName) {
-  const institutions = new Set(
-    documents
-      .filter((doc) => doc.jurisdiction === jurisdictionName)
-      .map((doc) => doc.institution),
-  );
-  return institutions.size;
-}
-
 /**
  * Get unique document types from documents
  * @param {Array} documents - Filtered documents
@@ -93,18 +96,24 @@ function getDocumentTypes(documents) {
   return result;
 }
 
+/**
+ * URL params that carry the profile (query first, then hash)
+ * @param {Location|URL} url - Library URL (default: the current page)
+ * @returns {Object} Filter state (see library-facets.js)
+ */
+function getProfileParams(url = window.location) {
+  const params = parseQueryParams(url);
+  if (params.institution || params.jurisdiction) return params;
+  return parseHashParams(url);
+}
+
 /**
  * Check if profile view should be shown based on URL params
+ * @param {Location|URL} url - Library URL (default: the current page)
  * @returns {Object|null} Profile info or null if no profile
  */
-export function detectProfileMode() {
-  // Try query params first
-  let params = parseQueryParams();
-
-  // If no params in query, try hash params
-  if (!params.institution && !params.jurisdiction) {
-    params = parseHashParams();
-  }
+export function detectProfileMode(url = window.location) {
+  const params = getProfileParams(url);
 
   if (params.institution) {
     return {
@@ -139,7 +148,36 @@ export async function initializeProfileUI(onFilterChange) {
 
   profileState.profileType = profileInfo.type;
   profileState.profileName = profileInfo.name;
+  initializeModalListeners();
 
+  await loadProfileData();
+
+  // Item types in the URL (?item=) preselect their pills; otherwise
+  // default to "Feed" if available, else "all"
+  const urlTypes = getProfileParams().items.map((type) => type.toLowerCase());
+  profileState.selectedTypes = profileState.availableTypes.filter(
+    (type) => type !== "Feed" && type !== "all" && urlTypes.includes(type.toLowerCase()),
+  );
+  if (profileState.selectedTypes.length > 0) {
+    profileState.currentFilter = "all";
+  } else if (profileState.availableTypes.includes("Feed")) {
+    profileState.currentFilter = "Feed";
+  } else {
+    profileState.currentFilter = "all";
+  }
+
+  // Render profile
+  renderProfile();
+  renderFilterPills();
+  
+  // Update sort controls visibility for initial filter (hide if Feed)
+  updateSortControlsVisibility(profileState.currentFilter);
+}
+
+/**
+ * Load the profile's documents, metadata and (for jurisdictions) members
+ */
+async function loadProfileData() {
   // Load all documents to calculate counts and get types (using getDocumentsList for properly transformed data)
   const allDocuments = await getDocumentsList();
   profileState.documents = allDocuments.filter((doc) => {
@@ -152,13 +190,6 @@ export async function initializeProfileUI(onFilterChange) {
 
   profileState.availableTypes = getDocumentTypes(profileState.documents);
 
-  // Set default filter: "Feed" if available, otherwise "all"
-  if (profileState.availableTypes.includes("Feed")) {
-    profileState.currentFilter = "Feed";
-  } else {
-    profileState.currentFilter = "all";
-  }
-
   // Load profile metadata
   if (profileState.profileType === "institution") {
     profileState.profileData = await getInstitutionMetadata(
@@ -168,14 +199,16 @@ export async function initializeProfileUI(onFilterChange) {
     profileState.profileData = await getJurisdictionMetadata(
       profileState.profileName,
     );
+    try {
+      profileState.members = await getJurisdictionMembers(
+        profileState.profileName,
+      );
+    } catch (error) {
+      // Show the profile without its member list
+      console.warn("Failed to load jurisdiction members:", error);
+      profileState.members = [];
+    }
   }
-
-  // Render profile
-  renderProfile();
-  renderFilterPills();
-  
-  // Update sort controls visibility for initial filter (hide if Feed)
-  updateSortControlsVisibility(profileState.currentFilter);
 }
 
 /**
@@ -207,7 +240,7 @@ function renderProfile() {
   const container = document.getElementById("profile-header");
   if (!container) return;
 
-  const { name, label } = extractLabel(profileState.profileName);
+  const { name, label } = getProfileHeading();
   const metadata = profileState.profileData || {};
 
   // Get cover and avatar with fallbacks
@@ -222,20 +255,19 @@ function renderProfile() {
       profileState.documents,
       profileState.profileName,
     );
-    countText = `${count} Contributions`;
+    countText = t("profile.contributions", { count });
   } else {
-    const count = countJurisdictionContributors(
-      profileState.documents,
-      profileState.profileName,
-    );
-    countText = `${count} Contributors`;
+    const count = profileState.members.length;
+    countText = t("profile.contributors", { count });
   }
 
-  const buttonText = profileState.profileType === "institution" ? "Contact" : "Contributors";
+  const buttonText = profileState.profileType === "institution"
+    ? t("profile.contact")
+    : t("profile.contributorsButton");
 
   container.innerHTML = `
     <div class="profile-cover">
-      <img src="${escapeHtml(coverUrl)}" alt="Cover" loading="lazy" decoding="async" />
+      <img src="${escapeHtml(coverUrl)}" alt="${escapeHtml(t("profile.coverAlt"))}" loading="lazy" decoding="async" />
     </div>
     <div class="profile-info">
       <div class="profile-header-row">
@@ -243,6 +275,7 @@ function renderProfile() {
           <img src="${escapeHtml(avatarUrl)}" alt="${escapeHtml(name)}" loading="eager" fetchpriority="high" />
         </div>
         <div class="profile-actions">
+          <button class="profile-button profile-offline-button" id="profile-offline-btn" hidden></button>
           <button class="profile-button" id="profile-action-btn">${escapeHtml(buttonText)}</button>
         </div>
       </div>
@@ -260,6 +293,68 @@ function renderProfile() {
   if (actionBtn) {
     actionBtn.addEventListener("click", handleActionButtonClick);
   }
+
+  const offlineBtn = document.getElementById("profile-offline-btn");
+  if (offlineBtn) {
+    offlineBtn.addEventListener("click", () => toggleOfflineCollection(offlineBtn));
+    updateOfflineCollectionButton(offlineBtn);
+  }
+}
+
+/**
+ * Documents of the profile that can be saved for offline reading (not Feed)
+ * @returns {Array<string>} Document IDs
+ */
+function getOfflineDocumentIds() {
+  return profileState.documents
+    .filter((doc) => doc.item !== "Feed")
+    .map((doc) => doc.id);
+}
+
+/**
+ * Show whether the profile's documents are saved for offline reading
+ * @param {HTMLButtonElement} button - Offline button
+ */
+async function updateOfflineCollectionButton(button) {
+  const saved = await isCollectionSavedOffline(profileState.profileType, profileState.profileName);
+  button.hidden = !saved && getOfflineDocumentIds().length === 0;
+  button.disabled = false;
+  button.setAttribute("aria-pressed", String(saved));
+  button.textContent = t(saved ? "profile.offline.saved" : "profile.offline.save");
+}
+
+/**
+ * Save or remove every document of the profile for offline reading
+ * @param {HTMLButtonElement} button - Offline button
+ */
+async function toggleOfflineCollection(button) {
+  const { profileType, profileName } = profileState;
+  const saved = await isCollectionSavedOffline(profileType, profileName);
+
+  button.disabled = true;
+  try {
+    if (saved) {
+      button.textContent = t("profile.offline.removing");
+      await removeCollectionOffline(profileType, profileName);
+    } else {
+      const docIds = getOfflineDocumentIds();
+      button.textContent = t("profile.offline.saving", { done: 0, total: docIds.length });
+      const { failed } = await saveCollectionOffline(
+        { type: profileType, name: profileName, displayName: getProfileHeading().name },
+        docIds,
+        (done, total) => {
+          button.textContent = t("profile.offline.saving", { done, total });
+        },
+      );
+      if (failed > 0) {
+        showToast(t("profile.offline.partial", { count: failed }), { closeLabel: t("common.close"), duration: 5000 });
+      }
+    }
+  } catch (error) {
+    console.error("Failed to update offline collection:", error);
+    showToast(t("profile.offline.failed", { message: error.message }), { closeLabel: t("common.close"), duration: 5000 });
+  }
+  await updateOfflineCollectionButton(button);
 }
 
 /**
@@ -277,13 +372,14 @@ function renderFilterPills() {
         .map(
           (type) => `
         <button 
-          class="filter-pill ${type === profileState.currentFilter ? "active" : ""}" 
+          class="filter-pill ${isPillActive(type) ? "active" : ""}" 
           data-type="${escapeHtml(type)}"
+          aria-pressed="${isPillActive(type)}"
         >
           <span class="filter-pill-icon">
             ${getTypeIcon(type)}
           </span>
-          <span class="filter-pill-label">${escapeHtml(capitalizeFirst(type))}</span>
+          <span class="filter-pill-label">${escapeHtml(getTypeLabel(type))}</span>
         </button>
       `,
         )
@@ -319,6 +415,16 @@ function getTypeIcon(type) {
   return icons[type.toLowerCase()] || "📄";
 }
 
+/**
+ * Display label for a document type (translated when the catalog knows it)
+ * @param {string} type - Document type (e.g., 'Book', 'all')
+ * @returns {string} Label
+ */
+export function getTypeLabel(type) {
+  const key = `itemType.${type.toLowerCase()}`;
+  return hasMessage(key) ? t(key) : capitalizeFirst(type);
+}
+
 /**
  * Capitalize first letter
  * @param {string} str - String to capitalize
@@ -329,23 +435,55 @@ function capitalizeFirst(str) {
 }
 
 /**
- * Set the current filter
- * @param {string} type - Filter type
+ * Whether a filter pill is selected
+ * @param {string} type - Pill type ('Feed', 'all' or an item type)
+ * @returns {boolean}
+ */
+function isPillActive(type) {
+  if (type === "Feed") return profileState.currentFilter === "Feed";
+  if (type === "all") {
+    return profileState.currentFilter === "all" && profileState.selectedTypes.length === 0;
+  }
+  return profileState.currentFilter === "all" && profileState.selectedTypes.includes(type);
+}
+
+/**
+ * Apply a pill click: "Feed" and "All" are exclusive, item types toggle
+ * so several can be selected at once
+ * @param {string} type - Pill type
  */
 function setFilter(type) {
-  profileState.currentFilter = type;
+  if (type === "Feed" || type === "all") {
+    profileState.currentFilter = type;
+    profileState.selectedTypes = [];
+  } else {
+    const selected = new Set(profileState.selectedTypes);
+    if (selected.has(type)) {
+      selected.delete(type);
+    } else {
+      selected.add(type);
+    }
+    profileState.currentFilter = "all";
+    profileState.selectedTypes = profileState.availableTypes.filter((item) => selected.has(item));
+  }
+  pendingDocumentIds = new Set(); // The list below includes them now
+
+  // Keep the selection in the URL (?item=)
+  updateFilterUrl({ items: profileState.selectedTypes });
 
   // Update UI
   document.querySelectorAll(".filter-pill").forEach((btn) => {
-    btn.classList.toggle("active", btn.dataset.type === type);
+    const active = isPillActive(btn.dataset.type);
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", String(active));
   });
 
   // Update sort controls visibility (hide for Feed filter)
-  updateSortControlsVisibility(type);
+  updateSortControlsVisibility(profileState.currentFilter);
 
   // Notify callback
   if (onFilterChangeCallback) {
-    onFilterChangeCallback(type);
+    onFilterChangeCallback(profileState.currentFilter);
   }
 }
 
@@ -357,17 +495,16 @@ function updateSortControlsVisibility(currentFilter) {
   const sortControls = document.querySelector(".sort-controls-wrapper");
   if (!sortControls) return;
 
-  // Hide sort controls when Feed filter is active (Feed is sorted by date)
-  if (currentFilter && currentFilter.toLowerCase() === "feed") {
-    sortControls.classList.add("hidden");
-  } else {
-    sortControls.classList.remove("hidden");
-  }
+  // Hide sort controls, search and facets when Feed filter is active (Feed is sorted by date)
+  const isFeed = !!currentFilter && currentFilter.toLowerCase() === "feed";
+  sortControls.classList.toggle("hidden", isFeed);
+  document.querySelector(".library-search-wrapper")?.classList.toggle("hidden", isFeed);
+  document.getElementById("library-facets")?.classList.toggle("hidden", isFeed);
 }
 
 /**
  * Get the current filter
- * @returns {string} Current filter type
+ * @returns {string} Current filter type ('Feed' or 'all')
  */
 export function getCurrentFilter() {
   return profileState.currentFilter;
@@ -378,18 +515,16 @@ export function getCurrentFilter() {
  * @returns {Array} Filtered documents
  */
 export function getFilteredDocuments() {
-  if (profileState.currentFilter === "all") {
-    // Exclude Feed-type documents from "all" — they are shown as carousel
-    return profileState.documents.filter((doc) => doc.item !== "Feed");
-  }
   if (profileState.currentFilter.toLowerCase() === "feed") {
     // Feed items are rendered as carousel, not as document rows
     // Return empty so the library table stays empty while carousel renders
     return [];
   }
+
+  // Exclude Feed-type documents from the list — they are shown as carousel
+  const types = new Set(profileState.selectedTypes.map((type) => type.toLowerCase()));
   return profileState.documents.filter(
-    (doc) =>
-      doc.item.toLowerCase() === profileState.currentFilter.toLowerCase(),
+    (doc) => doc.item !== "Feed" && (types.size === 0 || types.has(doc.item.toLowerCase())),
   );
 }
 
@@ -401,6 +536,38 @@ export function getProfileState() {
   return { ...profileState };
 }
 
+/**
+ * Forget the profile when another page is shown (see router.js)
+ */
+export function resetProfileUI() {
+  Object.assign(profileState, {
+    profileType: null,
+    profileName: null,
+    currentFilter: "Feed",
+    selectedTypes: [],
+    documents: [],
+    members: [],
+    profileData: null,
+    availableTypes: [],
+  });
+  onFilterChangeCallback = null;
+  pendingDocumentIds = new Set();
+}
+
+/**
+ * Warm a profile's documents, metadata and Feed before it is opened
+ * (read through the data-repository.js cache, as the profile will)
+ * @param {Object} profileInfo - { type, name } from detectProfileMode()
+ * @returns {Promise<void>}
+ */
+export async function prefetchProfile({ type, name }) {
+  await Promise.all([
+    getDocumentsList(),
+    type === "institution" ? getInstitutionMetadata(name) : getJurisdictionMetadata(name),
+    getFeedDocuments(type, name),
+  ]);
+}
+
 /**
  * Handle action button click
  * Shows contact card for institutions or contributor list for jurisdictions
@@ -418,7 +585,7 @@ function handleActionButtonClick() {
  */
 async function showContactCard() {
   const metadata = profileState.profileData || {};
-  const { name, label } = extractLabel(profileState.profileName);
+  const { name, label } = getProfileHeading();
   const contact = metadata.contact || {};
 
   const modalOverlay = document.getElementById("profile-modal-overlay");
@@ -430,7 +597,7 @@ async function showContactCard() {
     return;
   }
 
-  modalTitle.textContent = "Contact Information";
+  modalTitle.textContent = t("profile.contactTitle");
 
   const avatarUrl = metadata.avatar || "./images/default-avatar.webp";
 
@@ -447,7 +614,7 @@ async function showContactCard() {
         <div class="contact-info-item">
           <span class="contact-info-icon">📧</span>
           <div>
-            <div class="contact-info-label">Email</div>
+            <div class="contact-info-label">${escapeHtml(t("profile.email"))}</div>
             <div class="contact-info-value">
               <a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a>
             </div>
@@ -458,7 +625,7 @@ async function showContactCard() {
         <div class="contact-info-item">
           <span class="contact-info-icon">📱</span>
           <div>
-            <div class="contact-info-label">Phone</div>
+            <div class="contact-info-label">${escapeHtml(t("profile.phone"))}</div>
             <div class="contact-info-value">
               <a href="tel:${escapeHtml(contact.phone.replace(/\s/g, ''))}">${escapeHtml(contact.phone)}</a>
             </div>
@@ -469,7 +636,7 @@ async function showContactCard() {
         <div class="contact-info-item">
           <span class="contact-info-icon">📍</span>
           <div>
-            <div class="contact-info-label">Address</div>
+            <div class="contact-info-label">${escapeHtml(t("profile.address"))}</div>
             <div class="contact-info-value">${escapeHtml(contact.address)}</div>
           </div>
         </div>
@@ -478,7 +645,7 @@ async function showContactCard() {
         <div class="contact-info-item">
           <span class="contact-info-icon">🌐</span>
           <div>
-            <div class="contact-info-label">Website</div>
+            <div class="contact-info-label">${escapeHtml(t("profile.website"))}</div>
             <div class="contact-info-value">
               <a href="${escapeHtml(contact.website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(contact.website)}</a>
             </div>
@@ -488,7 +655,7 @@ async function showContactCard() {
       ${!contact.email && !contact.phone && !contact.address && !contact.website ? `
         <div class="contact-info-item">
           <span class="contact-info-icon">ℹ️</span>
-          <div class="contact-info-value">No contact information available</div>
+          <div class="contact-info-value">${escapeHtml(t("profile.noContact"))}</div>
         </div>
       ` : ""}
     </div>
@@ -501,8 +668,6 @@ async function showContactCard() {
  * Show contributor list modal for jurisdiction
  */
 async function showContributorList() {
-  const { name, label } = extractLabel(profileState.profileName);
-
   const modalOverlay = document.getElementById("profile-modal-overlay");
   const modalTitle = document.getElementById("modal-title");
   const modalContent = document.getElementById("modal-content");
@@ -512,33 +677,40 @@ async function showContributorList() {
     return;
   }
 
-  modalTitle.textContent = "Contributors";
+  modalTitle.textContent = t("profile.contributorsTitle");
 
-  // Get unique institutions that have documents in this jurisdiction
+  // Member institutions, including those that have not posted yet
   const contributors = getJurisdictionContributors(profileState.profileName);
 
   if (contributors.length === 0) {
     modalContent.innerHTML = `
       <div class="contact-info-item">
         <span class="contact-info-icon">ℹ️</span>
-        <div class="contact-info-value">No contributors found</div>
+        <div class="contact-info-value">${escapeHtml(t("profile.noContributors"))}</div>
       </div>
     `;
   } else {
     const contributorItems = await Promise.all(
       contributors.map(async (contributor) => {
-        const metadata = await getInstitutionMetadata(contributor.name);
-        const avatarUrl = metadata?.avatar || "./images/default-avatar.webp";
-        const { name: instName, label: instLabel } = extractLabel(contributor.name);
+        const metadata = contributor.avatar ? null : await getInstitutionMetadata(contributor.name);
+        const avatarUrl = contributor.avatar || metadata?.avatar || "./images/default-avatar.webp";
+        const instName = contributor.displayName || contributor.name;
+        const details = [t("profile.contributionCount", { count: contributor.count })];
+        if (contributor.joinedAt) {
+          details.push(t("profile.joined", { date: formatDate(contributor.joinedAt) }));
+        }
 
         return `
           <div class="contributor-item">
             <img src="${escapeHtml(avatarUrl)}" alt="${escapeHtml(instName)}" class="contributor-avatar" loading="lazy" decoding="async" />
             <div class="contributor-info">
-              <div class="contributor-name">${escapeHtml(instName)}</div>
-              <div class="contributor-count">${contributor.count} contribution${contributor.count !== 1 ? 's' : ''}</div>
+              <div class="contributor-name">
+                ${escapeHtml(instName)}
+                <span class="contributor-role contributor-role-${escapeHtml(contributor.role)}">${escapeHtml(t(`profile.role.${contributor.role}`))}</span>
+              </div>
+              <div class="contributor-count">${escapeHtml(details.join(" · "))}</div>
             </div>
-            <a href="?institution=${encodeURIComponent(contributor.name)}" class="contributor-link">View</a>
+            <a href="?institution=${encodeURIComponent(contributor.name)}" class="contributor-link">${escapeHtml(t("profile.view"))}</a>
           </div>
         `;
       })
@@ -555,23 +727,29 @@ async function showContributorList() {
 }
 
 /**
- * Get contributors (institutions) for a jurisdiction
+ * Get contributors (member institutions) for a jurisdiction, with how many
+ * documents each has posted there
+ * Moderators first, then members, then observers; most documents first within a role
  * @param {string} jurisdictionName - Jurisdiction name
- * @returns {Array} Array of { name, count } objects
+ * @returns {Array} Array of { name, displayName, role, joinedAt, avatar, count } objects
  */
 function getJurisdictionContributors(jurisdictionName) {
-  const contributorMap = new Map();
+  const documentCounts = new Map();
 
   profileState.documents.forEach((doc) => {
     if (doc.jurisdiction === jurisdictionName) {
       const institution = doc.institution;
-      contributorMap.set(institution, (contributorMap.get(institution) || 0) + 1);
+      documentCounts.set(institution, (documentCounts.get(institution) || 0) + 1);
     }
   });
 
-  return Array.from(contributorMap.entries())
-    .map(([name, count]) => ({ name, count }))
-    .sort((a, b) => b.count - a.count);
+  return profileState.members
+    .map((member) => ({ ...member, count: documentCounts.get(member.name) || 0 }))
+    .sort((a, b) =>
+      MEMBER_ROLE_ORDER.indexOf(a.role) - MEMBER_ROLE_ORDER.indexOf(b.role)
+      || b.count - a.count
+      || new Date(a.joinedAt) - new Date(b.joinedAt),
+    );
 }
 
 /**
@@ -585,7 +763,7 @@ function closeModal() {
 }
 
 /**
- * Initialize modal event listeners
+ * Initialize modal event listeners (the page's modal; Escape is handled once below)
  */
 function initializeModalListeners() {
   const modalOverlay = document.getElementById("profile-modal-overlay");
@@ -604,13 +782,6 @@ function initializeModalListeners() {
       }
     });
   }
-
-  // Escape key to close
-  document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") {
-      closeModal();
-    }
-  });
 }
 
 // ============================================================================
@@ -631,7 +802,7 @@ export async function renderFeedCarousel(container) {
   );
 
   if (feedDocs.length === 0) {
-    container.innerHTML = `<p class="text-center" style="padding: 2rem; opacity: 0.6;">No feed items found.</p>`;
+    container.innerHTML = `<p class="text-center" style="padding: 2rem; opacity: 0.6;">${escapeHtml(t("feed.empty"))}</p>`;
     return;
   }
 
@@ -646,16 +817,16 @@ export async function renderFeedCarousel(container) {
       groupMap.get(key).push(doc);
     });
     carouselGroups = Array.from(groupMap.entries()).map(([institution, docs]) => ({
-      title: docs[0]?.title || institution.replace(/\s*\[.*?\]\s*/g, "").trim(),
-      sourceLabel: `Posted by ${institution.replace(/\s*\[.*?\]\s*/g, "").trim()}`,
+      title: docs[0]?.title || docs[0]?.institutionName || institution,
+      sourceLabel: t("feed.postedBy", { name: docs[0]?.institutionName || institution }),
       docs,
     }));
   } else {
     // Institution profile — single carousel with all feed docs
-    const jurisdictionLabel = feedDocs[0]?.jurisdiction?.replace(/\s*\[.*?\]\s*/g, "").trim() || "";
+    const jurisdictionLabel = feedDocs[0]?.jurisdictionName || "";
     carouselGroups = [{
-      title: feedDocs[0]?.title || "Feed",
-      sourceLabel: `Posted in ${jurisdictionLabel}`,
+      title: feedDocs[0]?.title || getTypeLabel("Feed"),
+      sourceLabel: t("feed.postedIn", { name: jurisdictionLabel }),
       docs: feedDocs,
     }];
   }
@@ -672,7 +843,7 @@ export async function renderFeedCarousel(container) {
       if (feedDoc.slides && feedDoc.slides.length > 0) {
         feedDoc.slides.forEach((slide, i) => {
           slides.push({
-            caption: slide.linked_document?.title || feedDoc.title || "Untitled",
+            caption: slide.linked_document?.title || feedDoc.title || t("common.untitled"),
             docLink: slide.linked_document?.doc_id 
               ? `document-viewer.html?doc=${slide.linked_document.doc_id}` 
               : "#",
@@ -684,7 +855,7 @@ export async function renderFeedCarousel(container) {
         // Fallback: use carousel.images array
         feedDoc.carousel.images.forEach((imgUrl, i) => {
           slides.push({
-            caption: feedDoc.linkedDocument?.title || feedDoc.title || "Untitled",
+            caption: feedDoc.linkedDocument?.title || feedDoc.title || t("common.untitled"),
             docLink: feedDoc.linkedDocument?.filename || "#",
             imageUrl: imgUrl,
             index: slides.length
@@ -704,24 +875,24 @@ export async function renderFeedCarousel(container) {
               .map(
                 (slide) => `
               <div class="carousel-slide" data-caption="${escapeHtml(slide.caption)}" data-link="${escapeHtml(slide.docLink)}">
-                <img src="${escapeHtml(slide.imageUrl)}" alt="${escapeHtml(slide.caption)}" loading="${slide.index === 0 ? "eager" : "lazy"}" decoding="async" fetchpriority="${slide.index === 0 ? "high" : "auto"}">
+                <img src="${escapeHtml(slide.imageUrl)}" alt="${escapeHtml(htmlToPlainText(slide.caption))}" loading="${slide.index === 0 ? "eager" : "lazy"}" decoding="async" fetchpriority="${slide.index === 0 ? "high" : "auto"}">
               </div>
             `,
               )
               .join("")}
           </div>
           <div class="carousel-caption" id="${carouselId}-caption">
-            <a href="${escapeHtml(slides[0]?.docLink || "#")}" class="carousel-caption-link">${escapeHtml(slides[0]?.caption || "Untitled")}</a>
+            <a href="${escapeHtml(slides[0]?.docLink || "#")}" class="carousel-caption-link">${sanitizeInlineHtml(slides[0]?.caption || t("common.untitled"))}</a>
           </div>
-          <button class="carousel-nav prev" aria-label="Previous slide">‹</button>
-          <button class="carousel-nav next" aria-label="Next slide">›</button>
+          <button class="carousel-nav prev" aria-label="${escapeHtml(t("carousel.previous"))}">‹</button>
+          <button class="carousel-nav next" aria-label="${escapeHtml(t("carousel.next"))}">›</button>
         </div>
         <div class="carousel-footer">
           <div class="carousel-indicators">
             ${slides
               .map(
                 (slide) => `
-              <button class="carousel-indicator ${slide.index === 0 ? "active" : ""}" data-index="${slide.index}" aria-label="Go to slide ${slide.index + 1}"></button>
+              <button class="carousel-indicator ${slide.index === 0 ? "active" : ""}" data-index="${slide.index}" aria-label="${escapeHtml(t("carousel.goTo", { number: slide.index + 1 }))}"></button>
             `,
               )
               .join("")}
@@ -782,9 +953,9 @@ function initCarouselNavigation(carouselId, slideCount) {
   function updateCaption(index) {
     if (!captionEl || !slides[index]) return;
     const slide = slides[index];
-    const caption = slide.dataset.caption || "Untitled";
+    const caption = slide.dataset.caption || t("common.untitled");
     const link = slide.dataset.link || "#";
-    captionEl.innerHTML = `<a href="${escapeHtml(link)}" class="carousel-caption-link">${escapeHtml(caption)}</a>`;
+    captionEl.innerHTML = `<a href="${escapeHtml(link)}" class="carousel-caption-link">${sanitizeInlineHtml(caption)}</a>`;
   }
 
   function goToSlide(index) {
@@ -837,7 +1008,8 @@ function initCarouselNavigation(carouselId, slideCount) {
   function startAutoPlay() {
     // Only autoplay if there's more than 1 slide
     if (slideCount > 1) {
-      autoPlayInterval = setInterval(nextSlide, 5000);
+      // Stops by itself once the carousel is re-rendered or the page left
+      autoPlayInterval = setInterval(() => (carousel.isConnected ? nextSlide() : stopAutoPlay()), 5000);
     }
   }
 
@@ -885,5 +1057,76 @@ function initCarouselNavigation(carouselId, slideCount) {
   );
 }
 
-// Initialize modal listeners when module loads
-initializeModalListeners();
\ No newline at end of file
+// ============================================================================
+// Live Updates
+// ============================================================================
+
+/**
+ * Reload the profile after a batch of realtime changes (see realtime-updates.js)
+ * The header, pills and Feed carousel update in place; new documents are
+ * announced in a toast and listed when the reader asks, other document
+ * changes are applied to the list right away
+ * @param {Object} batch - { tables, changes }
+ */
+async function applyRealtimeChanges(batch) {
+  if (!profileState.profileType) return;
+
+  const listedIds = new Set(profileState.documents.map((doc) => doc.id));
+  try {
+    await loadProfileData();
+  } catch (error) {
+    console.warn("Failed to refresh the profile:", error);
+    return;
+  }
+  if (!profileState.profileType) return; // Another page was shown meanwhile
+  profileState.selectedTypes = profileState.selectedTypes.filter((type) => profileState.availableTypes.includes(type));
+
+  renderProfile();
+  renderFilterPills();
+
+  if (profileState.currentFilter.toLowerCase() === "feed") {
+    if (hasTableChanges(batch, "carousels", "carousel_slides", "institutions", "jurisdictions")) {
+      onFilterChangeCallback?.(profileState.currentFilter);
+    }
+    return;
+  }
+
+  profileState.documents
+    .filter((doc) => doc.item !== "Feed" && !listedIds.has(doc.id))
+    .forEach((doc) => pendingDocumentIds.add(doc.id));
+
+  if (pendingDocumentIds.size > 0) {
+    showToast(t("library.realtime.newDocuments", { count: pendingDocumentIds.size }), {
+      actionLabel: t("library.realtime.show"),
+      closeLabel: t("common.close"),
+      onAction: () => {
+        pendingDocumentIds = new Set();
+        onFilterChangeCallback?.(profileState.currentFilter);
+      },
+    });
+  } else if (hasTableChanges(batch, "documents", "institutions", "jurisdictions")) {
+    onFilterChangeCallback?.(profileState.currentFilter);
+  }
+}
+
+// Escape key closes the modal
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") {
+    closeModal();
+  }
+});
+
+// Follow documents, carousels and profiles as they change
+onRealtimeChange(applyRealtimeChanges);
+
+// Re-render the profile (and the Feed carousel) in the new language
+onLocaleChange(() => {
+  if (!profileState.profileType) return;
+
+  renderProfile();
+  renderFilterPills();
+
+  if (profileState.currentFilter.toLowerCase() === "feed" && onFilterChangeCallback) {
+    onFilterChangeCallback(profileState.currentFilter);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Publishing Portal Main Entry Point
+ * Initializes publish.html for signed-in institution members
+ */
+
+import { initializePublishPortal } from './publish-ui.js';
+import { initLocale } from './i18n.js';
+
+// Dark Mode Toggle Functionality
+const DARK_MODE_KEY = 'darkMode';
+
+function initDarkMode() {
+  const adminSeal = document.querySelector('.admin-seal');
+  if (!adminSeal) return;
+
+  const savedMode = localStorage.getItem(DARK_MODE_KEY);
+  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+
+  if (savedMode === 'true' || (!savedMode && prefersDark)) {
+    document.documentElement.classList.add('dark');
+  }
+
+  adminSeal.addEventListener('click', () => {
+    document.documentElement.classList.toggle('dark');
+    const isDark = document.documentElement.classList.contains('dark');
+    localStorage.setItem(DARK_MODE_KEY, isDark);
+  });
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+  initDarkMode();
+  initLocale();
+  await initializePublishPortal(document.getElementById('publish-portal'));
+});
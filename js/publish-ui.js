@@ -0,0 +1,1332 @@
+/**
+ * Publishing Portal UI Module
+ * Sign-in plus editors for an institution's documents, carousels, profile
+ * and feed widget
+ *
+ * Every write goes to Supabase with the signed-in member's session and is
+ * checked by row-level security; the portal only offers what the policies
+ * allow (see supabase/migrations/20261019000200_institution_publishing.sql).
+ * Reads are uncached; writes go through data-repository.js, which clears
+ * the cached rows they change.
+ */
+
+import {
+  signInWithPassword,
+  signInWithEmailLink,
+  getCurrentUser,
+  onAuthChange,
+  getMyInstitutions,
+  getMyJurisdictions,
+  getJurisdictions,
+  getDocumentTypes,
+  getDocumentByDocId,
+  getDocumentVersions,
+  getInstitutionDocuments,
+  getDocumentsForReview,
+  getInstitutionCarousels,
+  uploadInstitutionImage
+} from './supabase-client.js';
+import {
+  signOut,
+  saveDocument,
+  deleteDocument,
+  setDocumentStatus,
+  saveCarousel,
+  saveCarouselSlides,
+  deleteCarousel,
+  updateInstitutionProfile
+} from './data-repository.js';
+import { CALCULATION_METHODS, ASR_SCHOOLS } from './prayer-calculator.js';
+import { parsePrayerWidgetType } from './prayer-times-service.js';
+import { sanitizeHtml, isSafeUrl } from './html-sanitizer.js';
+import { DEFAULT_DOCUMENT_LANGUAGE, normalizeLanguageCode, getLanguageName } from './document-languages.js';
+import {
+  DOCUMENT_STATUS,
+  getDocumentStatus,
+  isScheduled,
+  getAvailableTransitions,
+  editResetsReview
+} from './document-lifecycle.js';
+import { escapeHtml } from './utils.js';
+import { t, formatDate } from './i18n.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Portal tabs, in display order
+ */
+const INSTITUTION_TABS = ['documents', 'carousels', 'profile', 'feed'];
+const REVIEW_TAB = 'review';
+
+/**
+ * Languages suggested in the document editor
+ */
+const SUGGESTED_LANGUAGES = ['en', 'ar', 'id', 'ms', 'ur'];
+
+/**
+ * feed_widget_type prefix for the prayer times widget
+ */
+const PRAYER_WIDGET = 'prayer_times';
+
+/**
+ * doc_id format (used in URLs: document-viewer.html?doc=<doc_id>)
+ */
+const DOC_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// ============================================================================
+// State
+// ============================================================================
+
+const state = {
+  user: null,
+  institutions: [],
+  institution: null,
+  reviewJurisdictions: [],  // Jurisdictions the user approves documents for
+  reviewDocuments: [],
+  jurisdictions: [],
+  itemTypes: [],
+  documents: [],
+  carousels: [],
+  tab: 'documents',
+  slides: []          // Slides of the carousel being edited
+};
+
+let root = null;
+let loadedUserId;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Show a status message above the portal
+ * @param {string} message - Text to show ('' clears it)
+ * @param {'info'|'success'|'error'} type
+ */
+function showStatus(message, type = 'info') {
+  const status = document.getElementById('publish-status');
+  if (!status) return;
+  status.textContent = message;
+  status.className = `publish-status publish-status-${type}`;
+  status.hidden = !message;
+}
+
+/**
+ * Run a write, reporting success or the database's refusal
+ * @param {Function} action - Async function to run
+ * @param {string} successMessage - Shown when the action succeeds
+ * @returns {Promise<boolean>} Whether the action succeeded
+ */
+async function runAction(action, successMessage) {
+  showStatus(t('publish.saving'));
+  try {
+    await action();
+    showStatus(successMessage, 'success');
+    return true;
+  } catch (error) {
+    console.error('[Publish] Action failed:', error);
+    showStatus(t('publish.error', { message: error.message || String(error) }), 'error');
+    return false;
+  }
+}
+
+/**
+ * Options for a jurisdiction select
+ * @param {number|null} selectedId - Selected jurisdiction ID
+ * @returns {string} HTML
+ */
+function jurisdictionOptions(selectedId) {
+  return [
+    `<option value="">${escapeHtml(t('publish.none'))}</option>`,
+    ...state.jurisdictions.map(jurisdiction => `
+      <option value="${jurisdiction.id}" ${jurisdiction.id === selectedId ? 'selected' : ''}>
+        ${escapeHtml(jurisdiction.name)}
+      </option>
+    `)
+  ].join('');
+}
+
+/**
+ * Value for a datetime-local input
+ * @param {string|null} isoDate - ISO timestamp
+ * @returns {string} "YYYY-MM-DDTHH:MM" in local time, or ''
+ */
+function toLocalInputValue(isoDate) {
+  const date = isoDate ? new Date(isoDate) : new Date();
+  if (isNaN(date.getTime())) return '';
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+/**
+ * Parse an ID from a select value
+ * @param {string} value - Select value
+ * @returns {number|null}
+ */
+function toId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) ? null : id;
+}
+
+/**
+ * Read a URL input, rejecting unsafe schemes
+ * @param {string} value - Input value
+ * @returns {string|null} URL or null when empty
+ */
+function readUrl(value) {
+  const url = value.trim();
+  if (!url) return null;
+  if (!isSafeUrl(url)) {
+    throw new Error(t('publish.unsafeUrl', { url }));
+  }
+  return url;
+}
+
+// ============================================================================
+// Sign In
+// ============================================================================
+
+/**
+ * Render the sign-in form
+ */
+function renderSignIn() {
+  root.innerHTML = `
+    <form class="publish-form publish-signin" id="publish-signin">
+      <h3 class="publish-heading">${escapeHtml(t('publish.signIn'))}</h3>
+      <p class="publish-hint">${escapeHtml(t('publish.signInHint'))}</p>
+      <label class="publish-field">
+        <span>${escapeHtml(t('publish.email'))}</span>
+        <input type="email" name="email" class="publish-input" autocomplete="email" required />
+      </label>
+      <label class="publish-field">
+        <span>${escapeHtml(t('publish.password'))}</span>
+        <input type="password" name="password" class="publish-input" autocomplete="current-password" />
+      </label>
+      <div class="publish-actions">
+        <button type="submit" class="publish-button">${escapeHtml(t('publish.signIn'))}</button>
+        <button type="button" class="publish-button publish-button-secondary" data-action="email-link">
+          ${escapeHtml(t('publish.emailLink'))}
+        </button>
+      </div>
+    </form>
+  `;
+
+  const form = root.querySelector('#publish-signin');
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { email, password } = Object.fromEntries(new FormData(form));
+    if (!password) {
+      showStatus(t('publish.passwordRequired'), 'error');
+      return;
+    }
+    showStatus(t('publish.signingIn'));
+    try {
+      await handleUser(await signInWithPassword(email, password));
+      showStatus('');
+    } catch (error) {
+      showStatus(t('publish.signInFailed', { message: error.message }), 'error');
+    }
+  });
+
+  form.querySelector('[data-action="email-link"]').addEventListener('click', async () => {
+    if (!form.email.reportValidity()) return;
+    try {
+      await signInWithEmailLink(form.email.value, `${window.location.origin}${window.location.pathname}`);
+      showStatus(t('publish.emailLinkSent', { email: form.email.value }), 'success');
+    } catch (error) {
+      showStatus(t('publish.signInFailed', { message: error.message }), 'error');
+    }
+  });
+}
+
+/**
+ * Load the portal for a user (or show sign-in)
+ * @param {Object|null} user - Signed-in user
+ */
+async function handleUser(user) {
+  const userId = user?.id || null;
+  if (userId === loadedUserId) return;
+  loadedUserId = userId;
+  state.user = user;
+
+  if (!user) {
+    state.institutions = [];
+    state.institution = null;
+    state.reviewJurisdictions = [];
+    renderSignIn();
+    return;
+  }
+
+  root.innerHTML = `<p class="publish-loading">${escapeHtml(t('common.loading'))}</p>`;
+
+  try {
+    const [institutions, reviewJurisdictions, jurisdictions, itemTypes] = await Promise.all([
+      getMyInstitutions(),
+      getMyJurisdictions(),
+      getJurisdictions(),
+      getDocumentTypes()
+    ]);
+    state.institutions = institutions;
+    state.reviewJurisdictions = reviewJurisdictions;
+    state.jurisdictions = jurisdictions;
+    state.itemTypes = itemTypes;
+  } catch (error) {
+    console.error('[Publish] Failed to load portal:', error);
+    root.innerHTML = `<p class="publish-error">${escapeHtml(t('publish.loadError'))}</p>`;
+    return;
+  }
+
+  if (state.institutions.length === 0 && state.reviewJurisdictions.length === 0) {
+    renderPortalHeader();
+    root.insertAdjacentHTML('beforeend', `
+      <p class="publish-empty">${escapeHtml(t('publish.noMembership'))}</p>
+    `);
+    return;
+  }
+
+  await selectInstitution(state.institutions[0]?.id ?? null);
+}
+
+// ============================================================================
+// Portal Layout
+// ============================================================================
+
+/**
+ * Switch to another institution and reload its content
+ * @param {number} institutionId - Institution ID
+ */
+async function selectInstitution(institutionId) {
+  state.institution = state.institutions.find(inst => inst.id === institutionId) || null;
+  if (!getTabs().includes(state.tab)) {
+    state.tab = getTabs()[0];
+  }
+
+  try {
+    await reloadContent();
+  } catch (error) {
+    console.error('[Publish] Failed to load content:', error);
+    showStatus(t('publish.loadError'), 'error');
+  }
+  renderPortal();
+}
+
+/**
+ * Reload the current institution's documents and carousels, and the
+ * documents waiting for the user's review
+ */
+async function reloadContent() {
+  const institutionId = state.institution?.id;
+  const [documents, carousels, reviewDocuments] = await Promise.all([
+    institutionId ? getInstitutionDocuments(institutionId) : [],
+    institutionId ? getInstitutionCarousels(institutionId) : [],
+    getDocumentsForReview(state.reviewJurisdictions.map(jurisdiction => jurisdiction.id))
+  ]);
+  state.documents = documents;
+  state.carousels = carousels;
+  state.reviewDocuments = reviewDocuments;
+}
+
+/**
+ * Tabs available to the user
+ * @returns {Array<string>}
+ */
+function getTabs() {
+  return [
+    ...(state.institution ? INSTITUTION_TABS : []),
+    ...(state.reviewJurisdictions.length > 0 ? [REVIEW_TAB] : [])
+  ];
+}
+
+/**
+ * Render the account bar (signed-in email, institution picker, sign out)
+ */
+function renderPortalHeader() {
+  const picker = state.institutions.length > 1
+    ? `
+      <select class="publish-input" id="publish-institution" aria-label="${escapeHtml(t('publish.institution'))}">
+        ${state.institutions.map(inst => `
+          <option value="${inst.id}" ${inst.id === state.institution?.id ? 'selected' : ''}>${escapeHtml(inst.name)}</option>
+        `).join('')}
+      </select>
+    `
+    : `<strong>${escapeHtml(state.institution?.name || state.reviewJurisdictions.map(jurisdiction => jurisdiction.name).join(', '))}</strong>`;
+
+  root.innerHTML = `
+    <div class="publish-account">
+      <div class="publish-account-institution">${picker}</div>
+      <div class="publish-account-user">
+        <span>${escapeHtml(t('publish.signedInAs', { email: state.user.email || '' }))}</span>
+        <button type="button" class="publish-button publish-button-secondary" id="publish-signout">
+          ${escapeHtml(t('publish.signOut'))}
+        </button>
+      </div>
+    </div>
+  `;
+
+  root.querySelector('#publish-institution')?.addEventListener('change', (event) => {
+    selectInstitution(toId(event.target.value));
+  });
+
+  root.querySelector('#publish-signout').addEventListener('click', async () => {
+    try {
+      await signOut();
+      await handleUser(null);
+    } catch (error) {
+      showStatus(t('publish.error', { message: error.message }), 'error');
+    }
+  });
+}
+
+/**
+ * Render the account bar, tabs and the active tab
+ */
+function renderPortal() {
+  renderPortalHeader();
+
+  root.insertAdjacentHTML('beforeend', `
+    <div class="publish-tabs" role="tablist">
+      ${getTabs().map(tab => `
+        <button type="button" role="tab" class="publish-tab ${tab === state.tab ? 'active' : ''}"
+          data-tab="${tab}" aria-selected="${tab === state.tab}">
+          ${escapeHtml(t(`publish.tab.${tab}`))}
+        </button>
+      `).join('')}
+    </div>
+    <div class="publish-panel" id="publish-panel" role="tabpanel"></div>
+  `);
+
+  root.querySelectorAll('.publish-tab').forEach(button => {
+    button.addEventListener('click', () => {
+      state.tab = button.dataset.tab;
+      showStatus('');
+      renderPortal();
+    });
+  });
+
+  renderTab();
+}
+
+/**
+ * Render the active tab into the panel
+ */
+function renderTab() {
+  const panel = document.getElementById('publish-panel');
+  if (!panel) return;
+
+  switch (state.tab) {
+    case 'carousels':
+      renderCarouselList(panel);
+      break;
+    case 'profile':
+      renderProfileEditor(panel);
+      break;
+    case 'feed':
+      renderFeedEditor(panel);
+      break;
+    case REVIEW_TAB:
+      renderReviewList(panel);
+      break;
+    default:
+      renderDocumentList(panel);
+  }
+}
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/**
+ * Render the institution's documents
+ * @param {HTMLElement} panel
+ */
+function renderDocumentList(panel) {
+  const rows = state.documents.map(doc => `
+    <tr>
+      <td>${escapeHtml(doc.title)}</td>
+      <td>${escapeHtml(doc.item_type || '')}</td>
+      <td>v${doc.version || 1}</td>
+      <td>${escapeHtml(formatDate(doc.doc_date))}</td>
+      <td>${statusBadge(doc)}</td>
+      <td class="publish-row-actions">
+        <button type="button" class="publish-link" data-edit="${escapeHtml(doc.doc_id)}">${escapeHtml(t('publish.edit'))}</button>
+        <a class="publish-link" href="document-viewer.html?doc=${encodeURIComponent(doc.doc_id)}" target="_blank" rel="noopener">
+          ${escapeHtml(t('publish.view'))}
+        </a>
+      </td>
+    </tr>
+  `).join('');
+
+  panel.innerHTML = `
+    <div class="publish-toolbar">
+      <button type="button" class="publish-button" id="publish-new-document">${escapeHtml(t('publish.newDocument'))}</button>
+    </div>
+    ${state.documents.length === 0
+      ? `<p class="publish-empty">${escapeHtml(t('publish.noDocuments'))}</p>`
+      : `
+        <table class="publish-table">
+          <thead>
+            <tr>
+              <th>${escapeHtml(t('publish.field.title'))}</th>
+              <th>${escapeHtml(t('publish.field.itemType'))}</th>
+              <th>${escapeHtml(t('publish.field.version'))}</th>
+              <th>${escapeHtml(t('publish.field.date'))}</th>
+              <th>${escapeHtml(t('publish.field.status'))}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `}
+  `;
+
+  panel.querySelector('#publish-new-document').addEventListener('click', () => {
+    renderDocumentEditor(panel, null);
+  });
+
+  panel.querySelectorAll('[data-edit]').forEach(button => {
+    button.addEventListener('click', async () => {
+      showStatus(t('common.loading'));
+      try {
+        const doc = await getDocumentByDocId(button.dataset.edit);
+        showStatus('');
+        renderDocumentEditor(panel, doc);
+      } catch (error) {
+        showStatus(t('publish.error', { message: error.message }), 'error');
+      }
+    });
+  });
+}
+
+/**
+ * Render the document editor
+ * @param {HTMLElement} panel
+ * @param {Object|null} doc - Document row (with content), or null for a new one
+ */
+function renderDocumentEditor(panel, doc) {
+  const isNew = !doc;
+  const version = doc?.version || 1;
+
+  panel.innerHTML = `
+    <form class="publish-form" id="publish-document-form">
+      <h3 class="publish-heading">
+        ${escapeHtml(isNew ? t('publish.newDocument') : t('publish.editDocument', { title: doc.title }))}
+      </h3>
+
+      ${isNew ? `
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.docId'))}</span>
+          <input type="text" name="doc_id" class="publish-input" required placeholder="policy12" />
+          <small class="publish-hint">${escapeHtml(t('publish.docIdHint'))}</small>
+        </label>
+      ` : ''}
+
+      <label class="publish-field">
+        <span>${escapeHtml(t('publish.field.title'))}</span>
+        <input type="text" name="title" class="publish-input" required value="${escapeHtml(doc?.title || '')}" />
+      </label>
+
+      <div class="publish-field-row">
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.itemType'))}</span>
+          <input type="text" name="item_type" class="publish-input" required list="publish-item-types"
+            value="${escapeHtml(doc?.item_type || '')}" />
+          <datalist id="publish-item-types">
+            ${state.itemTypes.map(type => `<option value="${escapeHtml(type)}"></option>`).join('')}
+          </datalist>
+        </label>
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.jurisdiction'))}</span>
+          <select name="jurisdiction_id" class="publish-input">${jurisdictionOptions(doc?.jurisdiction_id ?? null)}</select>
+        </label>
+      </div>
+
+      <div class="publish-field-row">
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.language'))}</span>
+          <input type="text" name="language" class="publish-input" required list="publish-languages"
+            value="${escapeHtml(doc?.language || DEFAULT_DOCUMENT_LANGUAGE)}" />
+          <datalist id="publish-languages">
+            ${SUGGESTED_LANGUAGES.map(code => `<option value="${code}">${escapeHtml(getLanguageName(code))}</option>`).join('')}
+          </datalist>
+        </label>
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.date'))}</span>
+          <input type="datetime-local" name="doc_date" class="publish-input" required
+            value="${toLocalInputValue(doc?.doc_date)}" />
+        </label>
+      </div>
+
+      <label class="publish-field">
+        <span>${escapeHtml(t('publish.field.content'))}</span>
+        <textarea name="content" class="publish-input publish-textarea" rows="16" spellcheck="false">${escapeHtml(doc?.content || '')}</textarea>
+        <small class="publish-hint">${escapeHtml(t('publish.contentHint'))}</small>
+      </label>
+
+      ${isNew ? '' : `
+        <fieldset class="publish-fieldset">
+          <legend>${escapeHtml(t('publish.field.version'))}</legend>
+          <label class="publish-check">
+            <input type="radio" name="version_mode" value="correct" checked />
+            <span>${escapeHtml(t('publish.correctVersion', { version }))}</span>
+          </label>
+          <label class="publish-check">
+            <input type="radio" name="version_mode" value="new" />
+            <span>${escapeHtml(t('publish.newVersion', { version: version + 1 }))}</span>
+          </label>
+        </fieldset>
+        ${editResetsReview(doc) ? `
+          <p class="publish-hint">${escapeHtml(t('publish.editResetsReview'))}</p>
+        ` : ''}
+        <div class="publish-versions" id="publish-versions"></div>
+      `}
+
+      <div class="publish-actions">
+        <button type="submit" class="publish-button">${escapeHtml(t('publish.save'))}</button>
+        <button type="button" class="publish-button publish-button-secondary" data-action="cancel">${escapeHtml(t('publish.cancel'))}</button>
+        ${isNew ? '' : `
+          <button type="button" class="publish-button publish-button-danger" data-action="delete">${escapeHtml(t('publish.delete'))}</button>
+        `}
+      </div>
+    </form>
+  `;
+
+  const form = panel.querySelector('#publish-document-form');
+
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => renderDocumentList(panel));
+
+  form.querySelector('[data-action="delete"]')?.addEventListener('click', async () => {
+    if (!window.confirm(t('publish.confirmDeleteDocument', { title: doc.title }))) return;
+    const deleted = await runAction(async () => {
+      await deleteDocument(doc.id);
+      await reloadContent();
+    }, t('publish.deleted'));
+    if (deleted) renderDocumentList(panel);
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const values = new FormData(form);
+
+    const language = normalizeLanguageCode(values.get('language'));
+    if (!language) {
+      showStatus(t('publish.invalidLanguage'), 'error');
+      return;
+    }
+
+    const fields = {
+      title: values.get('title').trim(),
+      item_type: values.get('item_type').trim(),
+      jurisdiction_id: toId(values.get('jurisdiction_id')),
+      language,
+      doc_date: new Date(values.get('doc_date')).toISOString(),
+      content: sanitizeHtml(values.get('content'))
+    };
+
+    if (isNew) {
+      const docId = values.get('doc_id').trim().toLowerCase();
+      if (!DOC_ID_PATTERN.test(docId)) {
+        showStatus(t('publish.invalidDocId'), 'error');
+        return;
+      }
+      Object.assign(fields, { doc_id: docId, institution_id: state.institution.id, version: 1 });
+    } else {
+      fields.version = values.get('version_mode') === 'new' ? version + 1 : version;
+    }
+
+    const saved = await runAction(async () => {
+      await saveDocument(fields, doc?.id || null);
+      await reloadContent();
+    }, t('publish.saved'));
+    if (saved) renderDocumentList(panel);
+  });
+
+  if (!isNew) {
+    const workflow = document.createElement('section');
+    workflow.className = 'publish-workflow';
+    form.insertAdjacentElement('afterend', workflow);
+    renderWorkflow(workflow, doc, () => renderDocumentList(panel));
+    renderVersionHistory(doc.doc_id);
+  }
+}
+
+/**
+ * List a document's recorded versions with viewer and compare links
+ * @param {string} docId - Document ID
+ */
+async function renderVersionHistory(docId) {
+  const container = document.getElementById('publish-versions');
+  if (!container) return;
+
+  try {
+    const versions = await getDocumentVersions(docId);
+    if (versions.length === 0) return;
+
+    const base = `document-viewer.html?doc=${encodeURIComponent(docId)}`;
+    container.innerHTML = `
+      <h4 class="publish-subheading">${escapeHtml(t('publish.history'))}</h4>
+      <ul class="publish-version-list">
+        ${versions.map((entry, index) => {
+          const previous = versions[index + 1];
+          return `
+            <li>
+              <a href="${base}&v=${entry.version}" target="_blank" rel="noopener">v${entry.version}</a>
+              <span>${escapeHtml(formatDate(entry.created_at))}</span>
+              ${previous ? `
+                <a href="${base}&v=${entry.version}&compare=${previous.version}" target="_blank" rel="noopener">
+                  ${escapeHtml(t('publish.compare', { version: previous.version }))}
+                </a>
+              ` : ''}
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+  } catch (error) {
+    console.warn('[Publish] Failed to load version history:', error);
+  }
+}
+
+// ============================================================================
+// Lifecycle
+// ============================================================================
+
+/**
+ * Lifecycle status badge for a document
+ * @param {Object} doc - Document row
+ * @returns {string} HTML
+ */
+function statusBadge(doc) {
+  const scheduled = isScheduled(doc);
+  const status = scheduled ? 'scheduled' : getDocumentStatus(doc);
+  const label = scheduled
+    ? t('publish.status.scheduled', { date: formatDate(doc.publish_at) })
+    : t(`publish.status.${status}`);
+  return `<span class="publish-badge publish-badge-${status}">${escapeHtml(label)}</span>`;
+}
+
+/**
+ * Render a document's status and the transitions the user can make
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} doc - Document row
+ * @param {Function} onChange - Called after the status changed
+ */
+function renderWorkflow(container, doc, onChange) {
+  const status = getDocumentStatus(doc);
+  const jurisdiction = state.jurisdictions.find(item => item.id === doc.jurisdiction_id);
+  const transitions = getAvailableTransitions(doc, {
+    publisher: state.institutions.some(inst => inst.id === doc.institution_id),
+    reviewer: state.reviewJurisdictions.some(item => item.id === doc.jurisdiction_id)
+  });
+  const canPublish = transitions.some(transition => transition.action === 'publish');
+  const canRequestChanges = transitions.some(transition => transition.action === 'requestChanges');
+
+  let hint = '';
+  if (status === DOCUMENT_STATUS.DRAFT) {
+    hint = jurisdiction
+      ? t('publish.hint.submit', { jurisdiction: jurisdiction.name })
+      : t('publish.hint.publishDirectly');
+  } else if (status === DOCUMENT_STATUS.IN_REVIEW) {
+    hint = t('publish.hint.inReview', { jurisdiction: jurisdiction?.name || '' });
+  }
+
+  container.innerHTML = `
+    <h4 class="publish-subheading">${escapeHtml(t('publish.workflow'))}</h4>
+    <p class="publish-workflow-status">
+      ${escapeHtml(t('publish.field.status'))}: ${statusBadge(doc)}
+    </p>
+    ${doc.review_note ? `
+      <blockquote class="publish-review-note">
+        <strong>${escapeHtml(t('publish.field.reviewNote'))}:</strong> ${escapeHtml(doc.review_note)}
+      </blockquote>
+    ` : ''}
+    ${hint ? `<p class="publish-hint">${escapeHtml(hint)}</p>` : ''}
+    ${canPublish ? `
+      <label class="publish-field">
+        <span>${escapeHtml(t('publish.field.publishAt'))}</span>
+        <input type="datetime-local" class="publish-input" data-workflow="publish_at" />
+        <small class="publish-hint">${escapeHtml(t('publish.publishAtHint'))}</small>
+      </label>
+    ` : ''}
+    ${canRequestChanges ? `
+      <label class="publish-field">
+        <span>${escapeHtml(t('publish.field.reviewNoteInput'))}</span>
+        <textarea class="publish-input" rows="3" data-workflow="review_note"></textarea>
+      </label>
+    ` : ''}
+    ${transitions.length > 0 ? `
+      <div class="publish-actions">
+        ${transitions.map(transition => `
+          <button type="button" data-transition="${transition.to}" data-transition-action="${transition.action}"
+            class="publish-button ${['approve', 'publish', 'submit', 'restore'].includes(transition.action) ? '' : 'publish-button-secondary'}">
+            ${escapeHtml(t(`publish.action.${transition.action}`))}
+          </button>
+        `).join('')}
+      </div>
+    ` : ''}
+  `;
+
+  container.querySelectorAll('[data-transition]').forEach(button => {
+    button.addEventListener('click', async () => {
+      const action = button.dataset.transitionAction;
+      if (['archive', 'unpublish'].includes(action)
+        && !window.confirm(t(`publish.confirm.${action}`, { title: doc.title }))) {
+        return;
+      }
+
+      const options = {};
+      if (action === 'publish') {
+        const value = container.querySelector('[data-workflow="publish_at"]').value;
+        options.publishAt = value ? new Date(value).toISOString() : null;
+      }
+      if (action === 'requestChanges') {
+        options.reviewNote = container.querySelector('[data-workflow="review_note"]').value.trim() || null;
+      }
+
+      const changed = await runAction(async () => {
+        await setDocumentStatus(doc.id, button.dataset.transition, options);
+        await reloadContent();
+      }, t('publish.statusChanged'));
+      if (changed) onChange();
+    });
+  });
+}
+
+// ============================================================================
+// Review
+// ============================================================================
+
+/**
+ * Render documents submitted in the jurisdictions the user reviews for
+ * @param {HTMLElement} panel
+ */
+function renderReviewList(panel) {
+  const docs = state.reviewDocuments;
+
+  panel.innerHTML = docs.length === 0
+    ? `<p class="publish-empty">${escapeHtml(t('publish.noReviews'))}</p>`
+    : `
+      <table class="publish-table">
+        <thead>
+          <tr>
+            <th>${escapeHtml(t('publish.field.title'))}</th>
+            <th>${escapeHtml(t('publish.institution'))}</th>
+            <th>${escapeHtml(t('publish.field.jurisdiction'))}</th>
+            <th>${escapeHtml(t('publish.field.status'))}</th>
+            <th>${escapeHtml(t('publish.field.submitted'))}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${docs.map(doc => `
+            <tr>
+              <td>${escapeHtml(doc.title)} <small>v${doc.version || 1}</small></td>
+              <td>${escapeHtml(doc.institution?.name || '')}</td>
+              <td>${escapeHtml(doc.jurisdiction?.name || '')}</td>
+              <td>${statusBadge(doc)}</td>
+              <td>${escapeHtml(formatDate(doc.submitted_at))}</td>
+              <td class="publish-row-actions">
+                <button type="button" class="publish-link" data-review="${doc.id}">${escapeHtml(t('publish.review'))}</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+  panel.querySelectorAll('[data-review]').forEach(button => {
+    button.addEventListener('click', () => {
+      const doc = docs.find(item => item.id === toId(button.dataset.review));
+      renderReviewPanel(panel, doc);
+    });
+  });
+}
+
+/**
+ * Render one submitted document with its review actions
+ * @param {HTMLElement} panel
+ * @param {Object} doc - Document row
+ */
+function renderReviewPanel(panel, doc) {
+  const base = `document-viewer.html?doc=${encodeURIComponent(doc.doc_id)}`;
+  const version = doc.version || 1;
+
+  panel.innerHTML = `
+    <div class="publish-form">
+      <h3 class="publish-heading">${escapeHtml(t('publish.reviewDocument', { title: doc.title }))}</h3>
+      <dl class="publish-details">
+        <dt>${escapeHtml(t('publish.institution'))}</dt><dd>${escapeHtml(doc.institution?.full_name || '')}</dd>
+        <dt>${escapeHtml(t('publish.field.jurisdiction'))}</dt><dd>${escapeHtml(doc.jurisdiction?.full_name || '')}</dd>
+        <dt>${escapeHtml(t('publish.field.itemType'))}</dt><dd>${escapeHtml(doc.item_type || '')}</dd>
+        <dt>${escapeHtml(t('publish.field.version'))}</dt><dd>v${version}</dd>
+        <dt>${escapeHtml(t('publish.field.submitted'))}</dt><dd>${escapeHtml(formatDate(doc.submitted_at))}</dd>
+      </dl>
+      <p class="publish-actions">
+        <a class="publish-link" href="${base}" target="_blank" rel="noopener">${escapeHtml(t('publish.readDocument'))}</a>
+        ${version > 1 ? `
+          <a class="publish-link" href="${base}&v=${version}&compare=${version - 1}" target="_blank" rel="noopener">
+            ${escapeHtml(t('publish.compare', { version: version - 1 }))}
+          </a>
+        ` : ''}
+      </p>
+      <section class="publish-workflow" id="publish-review-workflow"></section>
+      <div class="publish-actions">
+        <button type="button" class="publish-button publish-button-secondary" data-action="back">${escapeHtml(t('publish.back'))}</button>
+      </div>
+    </div>
+  `;
+
+  panel.querySelector('[data-action="back"]').addEventListener('click', () => renderReviewList(panel));
+  renderWorkflow(panel.querySelector('#publish-review-workflow'), doc, () => renderReviewList(panel));
+}
+
+// ============================================================================
+// Carousels
+// ============================================================================
+
+/**
+ * Render the institution's carousels
+ * @param {HTMLElement} panel
+ */
+function renderCarouselList(panel) {
+  panel.innerHTML = `
+    <div class="publish-toolbar">
+      <button type="button" class="publish-button" id="publish-new-carousel">${escapeHtml(t('publish.newCarousel'))}</button>
+    </div>
+    ${state.carousels.length === 0
+      ? `<p class="publish-empty">${escapeHtml(t('publish.noCarousels'))}</p>`
+      : `
+        <table class="publish-table">
+          <thead>
+            <tr>
+              <th>${escapeHtml(t('publish.field.title'))}</th>
+              <th>${escapeHtml(t('publish.field.slides'))}</th>
+              <th>${escapeHtml(t('publish.field.date'))}</th>
+              <th>${escapeHtml(t('publish.field.status'))}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${state.carousels.map(carousel => `
+              <tr>
+                <td>${escapeHtml(carousel.title || t('common.untitled'))}</td>
+                <td>${carousel.slides.length}</td>
+                <td>${escapeHtml(formatDate(carousel.created_at))}</td>
+                <td>
+                  <span class="publish-badge ${carousel.visible ? 'publish-badge-visible' : ''}">
+                    ${escapeHtml(t(carousel.visible ? 'publish.visible' : 'publish.hidden'))}
+                  </span>
+                </td>
+                <td class="publish-row-actions">
+                  <button type="button" class="publish-link" data-edit="${carousel.id}">${escapeHtml(t('publish.edit'))}</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+  `;
+
+  panel.querySelector('#publish-new-carousel').addEventListener('click', () => {
+    renderCarouselEditor(panel, null);
+  });
+
+  panel.querySelectorAll('[data-edit]').forEach(button => {
+    button.addEventListener('click', () => {
+      const carousel = state.carousels.find(item => item.id === toId(button.dataset.edit));
+      renderCarouselEditor(panel, carousel);
+    });
+  });
+}
+
+/**
+ * Render the carousel editor
+ * @param {HTMLElement} panel
+ * @param {Object|null} carousel - Carousel with slides, or null for a new one
+ */
+function renderCarouselEditor(panel, carousel) {
+  const isNew = !carousel;
+  state.slides = (carousel?.slides || []).map(slide => ({
+    image_url: slide.image_url,
+    linked_document: slide.linked_document?.id || null
+  }));
+
+  panel.innerHTML = `
+    <form class="publish-form" id="publish-carousel-form">
+      <h3 class="publish-heading">
+        ${escapeHtml(isNew ? t('publish.newCarousel') : t('publish.editCarousel', { title: carousel.title || t('common.untitled') }))}
+      </h3>
+
+      <div class="publish-field-row">
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.title'))}</span>
+          <input type="text" name="title" class="publish-input" required value="${escapeHtml(carousel?.title || '')}" />
+        </label>
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.jurisdiction'))}</span>
+          <select name="jurisdiction_id" class="publish-input">${jurisdictionOptions(carousel?.jurisdiction_id ?? null)}</select>
+        </label>
+      </div>
+
+      <label class="publish-check">
+        <input type="checkbox" name="visible" ${carousel?.visible ? 'checked' : ''} />
+        <span>${escapeHtml(t('publish.field.visible'))}</span>
+      </label>
+
+      <fieldset class="publish-fieldset">
+        <legend>${escapeHtml(t('publish.field.slides'))}</legend>
+        <ol class="publish-slides" id="publish-slides"></ol>
+        <button type="button" class="publish-button publish-button-secondary" data-action="add-slide">
+          ${escapeHtml(t('publish.addSlide'))}
+        </button>
+      </fieldset>
+
+      <div class="publish-actions">
+        <button type="submit" class="publish-button">${escapeHtml(t('publish.save'))}</button>
+        <button type="button" class="publish-button publish-button-secondary" data-action="cancel">${escapeHtml(t('publish.cancel'))}</button>
+        ${isNew ? '' : `
+          <button type="button" class="publish-button publish-button-danger" data-action="delete">${escapeHtml(t('publish.delete'))}</button>
+        `}
+      </div>
+    </form>
+  `;
+
+  const form = panel.querySelector('#publish-carousel-form');
+  renderSlides();
+
+  form.querySelector('[data-action="add-slide"]').addEventListener('click', () => {
+    state.slides.push({ image_url: '', linked_document: null });
+    renderSlides();
+  });
+
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => renderCarouselList(panel));
+
+  form.querySelector('[data-action="delete"]')?.addEventListener('click', async () => {
+    if (!window.confirm(t('publish.confirmDeleteCarousel', { title: carousel.title || '' }))) return;
+    const deleted = await runAction(async () => {
+      await deleteCarousel(carousel.id);
+      await reloadContent();
+    }, t('publish.deleted'));
+    if (deleted) renderCarouselList(panel);
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const values = new FormData(form);
+
+    const saved = await runAction(async () => {
+      const slides = state.slides
+        .map(slide => ({ ...slide, image_url: readUrl(slide.image_url || '') }))
+        .filter(slide => slide.image_url);
+
+      const fields = {
+        title: values.get('title').trim(),
+        jurisdiction_id: toId(values.get('jurisdiction_id')),
+        visible: values.get('visible') === 'on'
+      };
+      if (isNew) fields.institution_id = state.institution.id;
+
+      const savedCarousel = await saveCarousel(fields, carousel?.id || null);
+      await saveCarouselSlides(savedCarousel.id, slides);
+      await reloadContent();
+    }, t('publish.saved'));
+    if (saved) renderCarouselList(panel);
+  });
+}
+
+/**
+ * Render the slides of the carousel being edited
+ */
+function renderSlides() {
+  const list = document.getElementById('publish-slides');
+  if (!list) return;
+
+  const documentOptions = (selectedId) => [
+    `<option value="">${escapeHtml(t('publish.none'))}</option>`,
+    ...state.documents.map(doc => `
+      <option value="${doc.id}" ${doc.id === selectedId ? 'selected' : ''}>${escapeHtml(doc.title)}</option>
+    `)
+  ].join('');
+
+  list.innerHTML = state.slides.map((slide, index) => `
+    <li class="publish-slide" data-index="${index}">
+      <div class="publish-slide-preview">
+        ${slide.image_url && isSafeUrl(slide.image_url) ? `<img src="${escapeHtml(slide.image_url)}" alt="" loading="lazy" />` : ''}
+      </div>
+      <div class="publish-slide-fields">
+        <input type="url" class="publish-input" data-slide-field="image_url" value="${escapeHtml(slide.image_url || '')}"
+          placeholder="https://" aria-label="${escapeHtml(t('publish.field.imageUrl'))}" />
+        <input type="file" accept="image/*" class="publish-file" data-slide-upload aria-label="${escapeHtml(t('publish.upload'))}" />
+        <select class="publish-input" data-slide-field="linked_document" aria-label="${escapeHtml(t('publish.field.linkedDocument'))}">
+          ${documentOptions(slide.linked_document)}
+        </select>
+      </div>
+      <div class="publish-slide-actions">
+        <button type="button" class="publish-link" data-slide-move="-1" ${index === 0 ? 'disabled' : ''}
+          aria-label="${escapeHtml(t('publish.moveUp'))}">↑</button>
+        <button type="button" class="publish-link" data-slide-move="1" ${index === state.slides.length - 1 ? 'disabled' : ''}
+          aria-label="${escapeHtml(t('publish.moveDown'))}">↓</button>
+        <button type="button" class="publish-link" data-slide-remove aria-label="${escapeHtml(t('publish.removeSlide'))}">✕</button>
+      </div>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('.publish-slide').forEach(item => {
+    const index = Number(item.dataset.index);
+    const slide = state.slides[index];
+
+    item.querySelector('[data-slide-field="image_url"]').addEventListener('change', (event) => {
+      slide.image_url = event.target.value.trim();
+      renderSlides();
+    });
+
+    item.querySelector('[data-slide-field="linked_document"]').addEventListener('change', (event) => {
+      slide.linked_document = toId(event.target.value);
+    });
+
+    item.querySelector('[data-slide-upload]').addEventListener('change', async (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      await runAction(async () => {
+        slide.image_url = await uploadInstitutionImage(state.institution.id, 'carousels', file);
+      }, t('publish.uploaded'));
+      renderSlides();
+    });
+
+    item.querySelectorAll('[data-slide-move]').forEach(button => {
+      button.addEventListener('click', () => {
+        const target = index + Number(button.dataset.slideMove);
+        [state.slides[index], state.slides[target]] = [state.slides[target], state.slides[index]];
+        renderSlides();
+      });
+    });
+
+    item.querySelector('[data-slide-remove]').addEventListener('click', () => {
+      state.slides.splice(index, 1);
+      renderSlides();
+    });
+  });
+}
+
+// ============================================================================
+// Profile
+// ============================================================================
+
+/**
+ * Render an image field (preview, URL and upload)
+ * @param {string} name - Column name (avatar_url, cover_url)
+ * @param {string} label - Field label
+ * @returns {string} HTML
+ */
+function imageField(name, label) {
+  const value = state.institution[name] || '';
+  return `
+    <div class="publish-field publish-image-field" data-image-field="${name}">
+      <span>${escapeHtml(label)}</span>
+      <div class="publish-image-preview publish-image-preview-${name === 'avatar_url' ? 'avatar' : 'cover'}">
+        ${value && isSafeUrl(value) ? `<img src="${escapeHtml(value)}" alt="" />` : ''}
+      </div>
+      <input type="url" name="${name}" class="publish-input" value="${escapeHtml(value)}" placeholder="https://" />
+      <input type="file" accept="image/*" class="publish-file" aria-label="${escapeHtml(t('publish.upload'))}" />
+    </div>
+  `;
+}
+
+/**
+ * Render the profile editor (bio, avatar, cover, contact)
+ * @param {HTMLElement} panel
+ */
+function renderProfileEditor(panel) {
+  const inst = state.institution;
+
+  panel.innerHTML = `
+    <form class="publish-form" id="publish-profile-form">
+      <label class="publish-field">
+        <span>${escapeHtml(t('publish.field.bio'))}</span>
+        <textarea name="bio" class="publish-input" rows="4">${escapeHtml(inst.bio || '')}</textarea>
+      </label>
+
+      <div class="publish-field-row">
+        ${imageField('avatar_url', t('publish.field.avatar'))}
+        ${imageField('cover_url', t('publish.field.cover'))}
+      </div>
+
+      <fieldset class="publish-fieldset">
+        <legend>${escapeHtml(t('publish.contact'))}</legend>
+        <div class="publish-field-row">
+          <label class="publish-field">
+            <span>${escapeHtml(t('publish.field.email'))}</span>
+            <input type="email" name="contact_email" class="publish-input" value="${escapeHtml(inst.contact_email || '')}" />
+          </label>
+          <label class="publish-field">
+            <span>${escapeHtml(t('publish.field.phone'))}</span>
+            <input type="tel" name="contact_phone" class="publish-input" value="${escapeHtml(inst.contact_phone || '')}" />
+          </label>
+        </div>
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.address'))}</span>
+          <input type="text" name="contact_address" class="publish-input" value="${escapeHtml(inst.contact_address || '')}" />
+        </label>
+        <label class="publish-field">
+          <span>${escapeHtml(t('publish.field.website'))}</span>
+          <input type="url" name="contact_website" class="publish-input" value="${escapeHtml(inst.contact_website || '')}" placeholder="https://" />
+        </label>
+      </fieldset>
+
+      <div class="publish-actions">
+        <button type="submit" class="publish-button">${escapeHtml(t('publish.save'))}</button>
+      </div>
+    </form>
+  `;
+
+  const form = panel.querySelector('#publish-profile-form');
+
+  form.querySelectorAll('[data-image-field]').forEach(field => {
+    const name = field.dataset.imageField;
+    const urlInput = field.querySelector(`input[name="${name}"]`);
+    const preview = field.querySelector('.publish-image-preview');
+
+    const updatePreview = () => {
+      const url = urlInput.value.trim();
+      preview.innerHTML = url && isSafeUrl(url) ? `<img src="${escapeHtml(url)}" alt="" />` : '';
+    };
+
+    urlInput.addEventListener('change', updatePreview);
+    field.querySelector('input[type="file"]').addEventListener('change', async (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      const folder = name === 'avatar_url' ? 'avatars' : 'covers';
+      await runAction(async () => {
+        urlInput.value = await uploadInstitutionImage(inst.id, folder, file);
+        updatePreview();
+      }, t('publish.uploaded'));
+    });
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const values = new FormData(form);
+    const text = (name) => values.get(name).trim() || null;
+
+    await runAction(async () => {
+      const updated = await updateInstitutionProfile(inst.id, {
+        bio: text('bio'),
+        avatar_url: readUrl(values.get('avatar_url')),
+        cover_url: readUrl(values.get('cover_url')),
+        contact_email: text('contact_email'),
+        contact_phone: text('contact_phone'),
+        contact_address: text('contact_address'),
+        contact_website: readUrl(values.get('contact_website'))
+      });
+      Object.assign(inst, updated);
+    }, t('publish.saved'));
+  });
+}
+
+// ============================================================================
+// Feed Widget
+// ============================================================================
+
+/**
+ * Build a feed_widget_type value ("prayer_times[:METHOD][:SCHOOL]")
+ * @param {string} method - CALCULATION_METHODS key, or '' for the site default
+ * @param {string} school - ASR_SCHOOLS key, or '' for the site default
+ * @returns {string}
+ */
+function buildPrayerWidgetType(method, school) {
+  return [PRAYER_WIDGET, method, school].filter(Boolean).join(':');
+}
+
+/**
+ * Render the feed widget settings
+ * @param {HTMLElement} panel
+ */
+function renderFeedEditor(panel) {
+  const inst = state.institution;
+  const current = parsePrayerWidgetType(inst.feed_widget_type) || {};
+
+  const options = (entries, selected) => [
+    `<option value="">${escapeHtml(t('publish.siteDefault'))}</option>`,
+    ...Object.entries(entries).map(([key, entry]) => `
+      <option value="${key}" ${key === selected ? 'selected' : ''}>${escapeHtml(entry.name)}</option>
+    `)
+  ].join('');
+
+  panel.innerHTML = `
+    <form class="publish-form" id="publish-feed-form">
+      <p class="publish-hint">${escapeHtml(t('publish.feedHint'))}</p>
+
+      <label class="publish-check">
+        <input type="checkbox" name="enabled" ${inst.feed_widget_enabled ? 'checked' : ''} />
+        <span>${escapeHtml(t('publish.field.widgetEnabled'))}</span>
+      </label>
+
+      <div class="publish-field-row">
+        <label class="publish-field">
+          <span>${escapeHtml(t('prayer.settings.method'))}</span>
+          <select name="method" class="publish-input">${options(CALCULATION_METHODS, current.method)}</select>
+        </label>
+        <label class="publish-field">
+          <span>${escapeHtml(t('prayer.settings.asr'))}</span>
+          <select name="school" class="publish-input">${options(ASR_SCHOOLS, current.school)}</select>
+        </label>
+      </div>
+
+      <p class="publish-hint">
+        ${escapeHtml(t('publish.widgetType'))} <code id="publish-widget-type"></code>
+      </p>
+
+      <div class="publish-actions">
+        <button type="submit" class="publish-button">${escapeHtml(t('publish.save'))}</button>
+      </div>
+    </form>
+  `;
+
+  const form = panel.querySelector('#publish-feed-form');
+  const preview = form.querySelector('#publish-widget-type');
+  const updatePreview = () => {
+    preview.textContent = buildPrayerWidgetType(form.method.value, form.school.value);
+  };
+  form.addEventListener('change', updatePreview);
+  updatePreview();
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    await runAction(async () => {
+      const updated = await updateInstitutionProfile(inst.id, {
+        feed_widget_enabled: form.enabled.checked,
+        feed_widget_type: buildPrayerWidgetType(form.method.value, form.school.value)
+      });
+      Object.assign(inst, updated);
+    }, t('publish.saved'));
+  });
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+/**
+ * Start the portal: restore the session and follow sign-in / sign-out
+ * @param {HTMLElement} container - Element to render into
+ */
+export async function initializePublishPortal(container) {
+  if (!container) return;
+  root = container;
+
+  // Supabase runs auth callbacks while holding its session lock; defer work
+  // that queries the database so it does not wait on that lock
+  onAuthChange(user => {
+    setTimeout(() => handleUser(user), 0);
+  });
+
+  try {
+    await handleUser(await getCurrentUser());
+  } catch (error) {
+    console.error('[Publish] Failed to restore session:', error);
+    await handleUser(null);
+  }
+}
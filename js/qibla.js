@@ -0,0 +1,198 @@
+/**
+ * Qibla Module
+ * Great-circle bearing and distance from a location to the Kaaba, plus a
+ * compass helper built on DeviceOrientationEvent
+ *
+ * Bearing is the initial great-circle course in degrees clockwise from true
+ * north; distance uses the haversine formula on the mean Earth radius.
+ */
+
+import { formatNumber } from './i18n.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Kaaba coordinates (Masjid al-Haram, Makkah)
+ */
+export const KAABA = {
+  latitude: 21.422487,
+  longitude: 39.826206
+};
+
+/**
+ * Mean Earth radius in kilometres (IUGG)
+ */
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * 16-point compass rose, clockwise from north
+ */
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// ============================================================================
+// Calculation
+// ============================================================================
+
+/**
+ * Initial great-circle bearing from a location to the Kaaba
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Bearing in degrees (0-360, clockwise from true north)
+ */
+export function calculateQiblaBearing(latitude, longitude) {
+  const phi1 = toRadians(latitude);
+  const phi2 = toRadians(KAABA.latitude);
+  const deltaLambda = toRadians(KAABA.longitude - longitude);
+
+  const y = Math.sin(deltaLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Great-circle distance from a location to the Kaaba
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Distance in kilometres
+ */
+export function calculateDistanceToKaaba(latitude, longitude) {
+  const deltaPhi = toRadians(KAABA.latitude - latitude);
+  const deltaLambda = toRadians(KAABA.longitude - longitude);
+
+  const a = Math.sin(deltaPhi / 2) ** 2
+    + Math.cos(toRadians(latitude)) * Math.cos(toRadians(KAABA.latitude)) * Math.sin(deltaLambda / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Qibla bearing and distance for a location
+ * @param {Object} location - { latitude, longitude }
+ * @returns {{bearing: number, distanceKm: number}}
+ */
+export function calculateQibla(location) {
+  return {
+    bearing: calculateQiblaBearing(location.latitude, location.longitude),
+    distanceKm: calculateDistanceToKaaba(location.latitude, location.longitude)
+  };
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Format a bearing with its compass point (e.g., "295° WNW")
+ * @param {number} bearing - Degrees from true north
+ * @returns {string}
+ */
+export function formatBearing(bearing) {
+  const rounded = Math.round(bearing) % 360;
+  const point = COMPASS_POINTS[Math.round(bearing / 22.5) % 16];
+  return `${formatNumber(rounded)}° ${point}`;
+}
+
+/**
+ * Format a distance in kilometres (e.g., "7,919 km")
+ * @param {number} distanceKm - Distance in kilometres
+ * @returns {string}
+ */
+export function formatDistance(distanceKm) {
+  if (distanceKm < 1) {
+    return formatNumber(Math.round(distanceKm * 1000), { style: 'unit', unit: 'meter' });
+  }
+  return formatNumber(Math.round(distanceKm), { style: 'unit', unit: 'kilometer' });
+}
+
+// ============================================================================
+// Compass
+// ============================================================================
+
+/**
+ * Device heading from DeviceOrientationEvent
+ *
+ * iOS Safari exposes `webkitCompassHeading` and needs permission requested
+ * from a user gesture; Chromium fires `deviceorientationabsolute` with an
+ * earth-referenced `alpha` (counter-clockwise, so heading = 360 - alpha).
+ */
+export class QiblaCompass {
+  /**
+   * @param {Function} onHeading - Called with heading in degrees (0-360, clockwise from north)
+   */
+  constructor(onHeading) {
+    this.onHeading = onHeading;
+    this.eventName = null;
+    this.handleOrientation = this.handleOrientation.bind(this);
+  }
+
+  /**
+   * Whether the browser exposes device orientation at all
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && 'DeviceOrientationEvent' in window;
+  }
+
+  /**
+   * Start listening (call from a click handler so iOS can prompt)
+   * @returns {Promise<boolean>} False if permission was refused or unsupported
+   */
+  async start() {
+    if (!QiblaCompass.isSupported()) return false;
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        const permission = await DeviceOrientationEvent.requestPermission();
+        if (permission !== 'granted') return false;
+      } catch (error) {
+        console.warn('[Qibla] Orientation permission failed:', error);
+        return false;
+      }
+    }
+
+    this.stop();
+    this.eventName = 'ondeviceorientationabsolute' in window
+      ? 'deviceorientationabsolute'
+      : 'deviceorientation';
+    window.addEventListener(this.eventName, this.handleOrientation);
+    return true;
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (this.eventName) {
+      window.removeEventListener(this.eventName, this.handleOrientation);
+      this.eventName = null;
+    }
+  }
+
+  /**
+   * Convert an orientation event to a compass heading
+   * @param {DeviceOrientationEvent} event
+   */
+  handleOrientation(event) {
+    let heading = null;
+
+    if (typeof event.webkitCompassHeading === 'number') {
+      heading = event.webkitCompassHeading;
+    } else if (event.absolute && typeof event.alpha === 'number') {
+      heading = (360 - event.alpha) % 360;
+    }
+
+    // Relative-only orientation cannot point anywhere meaningful
+    if (heading === null) return;
+
+    this.onHeading(heading);
+  }
+}
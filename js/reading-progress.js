@@ -0,0 +1,547 @@
+/**
+ * Reading Progress Module
+ * Where readers are in each document, and the places they bookmarked
+ *
+ * - Stored in IndexedDB (IndexedDBCache, database "ummah-reading"), never
+ *   expiring, so progress and bookmarks work signed out and offline
+ * - Signed in, entries are synced with Supabase (reading_progress and
+ *   reading_bookmarks, supabase/migrations/20261019000800_reading_progress.sql):
+ *   a while after each change, on sign-in and when the connection returns.
+ *   The most recently updated copy wins
+ * - Deleted bookmarks that were synced stay as tombstones until the
+ *   deletion is synced; synced bookmarks missing remotely were deleted on
+ *   another device and are dropped
+ * - A READING_CHANGE_EVENT tells pages (the viewer, the index shelf and
+ *   library cards) that entries changed
+ *
+ * Entries:
+ *   progress:<docId>   { docId, title, institution, anchor, offset, progress, version, language, updatedAt, synced }
+ *   bookmark:<id>      { id, docId, title, anchor, excerpt, note, progress, createdAt, updatedAt, synced, remote, deleted }
+ *   sync:user          { userId } (account the synced entries belong to)
+ *
+ * anchor is the id of the section or paragraph at the top of the screen
+ * (see document-toc.js) and offset how far it was scrolled past, in pixels;
+ * progress is the share of the document read, from 0 to 1.
+ */
+
+import { IndexedDBCache } from './indexeddb-cache.js';
+import {
+  getCurrentUser,
+  onAuthChange,
+  getMyReadingProgress,
+  upsertReadingProgress,
+  getMyBookmarks,
+  upsertBookmarks,
+  deleteBookmarks
+} from './supabase-client.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const READING_CHANGE_EVENT = 'readingchange';
+
+const readingStore = new IndexedDBCache('ummah-reading', 'entries');
+
+// Entries stay until the reader clears them
+const READING_TTL = Number.POSITIVE_INFINITY;
+
+const KEY_PREFIX = {
+  PROGRESS: 'progress:',
+  BOOKMARK: 'bookmark:'
+};
+
+const SYNC_USER_KEY = 'sync:user';
+
+// Sync this long after the last change (scrolling saves progress often)
+const SYNC_DELAY = 5000;
+
+// Documents count as started / finished past these shares
+export const STARTED_PROGRESS = 0.02;
+export const FINISHED_PROGRESS = 0.98;
+
+// ============================================================================
+// Change Events
+// ============================================================================
+
+/**
+ * Tell pages that reading entries changed
+ * @param {string|null} docId - Document whose entries changed (null: any, after a sync)
+ */
+function notifyChange(docId) {
+  window.dispatchEvent(new CustomEvent(READING_CHANGE_EVENT, { detail: { docId } }));
+}
+
+/**
+ * Subscribe to reading progress and bookmark changes
+ * @param {Function} callback - Called with { docId } (docId null after a sync)
+ * @returns {Function} Unsubscribe function
+ */
+export function onReadingChange(callback) {
+  const handler = (event) => callback(event.detail);
+  window.addEventListener(READING_CHANGE_EVENT, handler);
+  return () => window.removeEventListener(READING_CHANGE_EVENT, handler);
+}
+
+// ============================================================================
+// Progress
+// ============================================================================
+
+/**
+ * Save where the reader is in a document
+ * @param {string} docId - Document ID
+ * @param {Object} position
+ * @param {string|null} position.anchor - Section or paragraph id at the top of the screen
+ * @param {number} position.offset - Pixels scrolled past the anchor
+ * @param {number} position.progress - Share of the document read (0-1)
+ * @param {number|null} position.version - Version being read
+ * @param {string|null} position.language - Language being read
+ * @param {string} position.title - Document title (for the shelf)
+ * @param {string} position.institution - Institution full name (for the shelf)
+ * @returns {Promise<Object>} Saved entry
+ */
+export async function saveReadingProgress(docId, { anchor = null, offset = 0, progress = 0, version = null, language = null, title = '', institution = '' } = {}) {
+  const entry = {
+    docId,
+    title,
+    institution,
+    anchor,
+    offset: Math.max(0, Math.round(offset)),
+    progress: clampProgress(progress),
+    version,
+    language,
+    updatedAt: new Date().toISOString(),
+    synced: false
+  };
+
+  await readingStore.set(progressKey(docId), entry, READING_TTL);
+  notifyChange(docId);
+  scheduleSync();
+  return entry;
+}
+
+/**
+ * Where the reader is in a document
+ * @param {string} docId - Document ID
+ * @returns {Promise<Object|null>} Progress entry, or null if never opened
+ */
+export async function getReadingProgress(docId) {
+  return readingStore.get(progressKey(docId));
+}
+
+/**
+ * Progress in every document opened
+ * @returns {Promise<Map<string, number>>} docId → share read (0-1)
+ */
+export async function getReadingProgressMap() {
+  const entries = await getEntries(KEY_PREFIX.PROGRESS);
+  return new Map(entries.map(entry => [entry.docId, entry.progress]));
+}
+
+/**
+ * Documents started but not finished, most recently read first
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Progress entries
+ */
+export async function listContinueReading(limit = 6) {
+  const entries = await getEntries(KEY_PREFIX.PROGRESS);
+  return entries
+    .filter(entry => entry.progress >= STARTED_PROGRESS && entry.progress < FINISHED_PROGRESS)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+}
+
+// ============================================================================
+// Bookmarks
+// ============================================================================
+
+/**
+ * Bookmark a place in a document
+ * @param {string} docId - Document ID
+ * @param {Object} bookmark
+ * @param {string|null} bookmark.anchor - Section or paragraph id
+ * @param {string} bookmark.excerpt - Start of the bookmarked text
+ * @param {string} bookmark.note - Reader's note
+ * @param {number} bookmark.progress - Share of the document before it (0-1)
+ * @param {string} bookmark.title - Document title
+ * @returns {Promise<Object>} Saved bookmark
+ */
+export async function addBookmark(docId, { anchor = null, excerpt = '', note = '', progress = 0, title = '' } = {}) {
+  const now = new Date().toISOString();
+  const bookmark = {
+    id: crypto.randomUUID(),
+    docId,
+    title,
+    anchor,
+    excerpt,
+    note: note.trim(),
+    progress: clampProgress(progress),
+    createdAt: now,
+    updatedAt: now,
+    synced: false,
+    remote: false,
+    deleted: false
+  };
+
+  await readingStore.set(bookmarkKey(bookmark.id), bookmark, READING_TTL);
+  notifyChange(docId);
+  scheduleSync();
+  return bookmark;
+}
+
+/**
+ * Change the note of a bookmark
+ * @param {string} id - Bookmark ID
+ * @param {string} note - New note
+ * @returns {Promise<Object|null>} Updated bookmark, or null if not found
+ */
+export async function updateBookmarkNote(id, note) {
+  const bookmark = await readingStore.get(bookmarkKey(id));
+  if (!bookmark || bookmark.deleted) return null;
+
+  const updated = { ...bookmark, note: note.trim(), updatedAt: new Date().toISOString(), synced: false };
+  await readingStore.set(bookmarkKey(id), updated, READING_TTL);
+  notifyChange(bookmark.docId);
+  scheduleSync();
+  return updated;
+}
+
+/**
+ * Delete a bookmark
+ * @param {string} id - Bookmark ID
+ * @returns {Promise<void>}
+ */
+export async function removeBookmark(id) {
+  const bookmark = await readingStore.get(bookmarkKey(id));
+  if (!bookmark) return;
+
+  // Bookmarks never synced can go at once
+  if (bookmark.remote) {
+    await readingStore.set(bookmarkKey(id), { ...bookmark, deleted: true, updatedAt: new Date().toISOString(), synced: false }, READING_TTL);
+    scheduleSync();
+  } else {
+    await readingStore.delete(bookmarkKey(id));
+  }
+  notifyChange(bookmark.docId);
+}
+
+/**
+ * Bookmarks of a document, in reading order
+ * @param {string} docId - Document ID
+ * @returns {Promise<Array>} Bookmarks
+ */
+export async function listBookmarks(docId) {
+  const bookmarks = await getEntries(KEY_PREFIX.BOOKMARK);
+  return bookmarks
+    .filter(bookmark => bookmark.docId === docId && !bookmark.deleted)
+    .sort((a, b) => a.progress - b.progress || a.createdAt.localeCompare(b.createdAt));
+}
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+let syncTimer = null;
+let syncInFlight = null;
+let syncAgain = false;
+let syncStarted = false;
+let stopSync = () => {};
+
+/**
+ * Sync a while after the last change
+ * @param {number} delay - Milliseconds to wait
+ */
+function scheduleSync(delay = SYNC_DELAY) {
+  if (!syncStarted) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    syncReadingData().catch((error) => {
+      console.warn('[ReadingProgress] Sync failed:', error);
+    });
+  }, delay);
+}
+
+/**
+ * Sync progress and bookmarks with the signed-in account
+ * A sync requested while one runs follows it
+ * @returns {Promise<boolean>} Whether a sync ran (false when signed out)
+ */
+export async function syncReadingData() {
+  if (syncInFlight) {
+    syncAgain = true;
+    return syncInFlight;
+  }
+
+  syncInFlight = (async () => {
+    try {
+      let ran = false;
+      do {
+        syncAgain = false;
+        ran = await runSync();
+      } while (syncAgain);
+      return ran;
+    } finally {
+      syncInFlight = null;
+    }
+  })();
+
+  return syncInFlight;
+}
+
+/**
+ * Pull remote entries, keep the newer copy of each, push the local changes
+ * @returns {Promise<boolean>} Whether a sync ran
+ */
+async function runSync() {
+  const user = await getCurrentUser();
+  if (!user) return false;
+
+  await adoptEntries(user.id);
+
+  const [remoteProgress, remoteBookmarks] = await Promise.all([
+    getMyReadingProgress(),
+    getMyBookmarks()
+  ]);
+
+  // Progress: the newer copy wins
+  const localProgress = new Map(
+    (await getEntries(KEY_PREFIX.PROGRESS)).map(entry => [entry.docId, entry])
+  );
+  for (const row of remoteProgress) {
+    const local = localProgress.get(row.doc_id);
+    if (!local || local.synced || isNewer(row.updated_at, local.updatedAt)) {
+      const entry = progressFromRow(row, local);
+      await readingStore.set(progressKey(row.doc_id), entry, READING_TTL);
+      localProgress.set(row.doc_id, entry);
+    }
+  }
+
+  // Bookmarks: the newer copy wins; synced ones missing remotely were deleted elsewhere
+  const remoteById = new Map(remoteBookmarks.map(row => [row.id, row]));
+  const localBookmarks = new Map(
+    (await getEntries(KEY_PREFIX.BOOKMARK)).map(bookmark => [bookmark.id, bookmark])
+  );
+  for (const bookmark of localBookmarks.values()) {
+    if (bookmark.remote && bookmark.synced && !remoteById.has(bookmark.id)) {
+      await readingStore.delete(bookmarkKey(bookmark.id));
+      localBookmarks.delete(bookmark.id);
+    }
+  }
+  for (const row of remoteBookmarks) {
+    const local = localBookmarks.get(row.id);
+    if (!local || local.synced || isNewer(row.updated_at, local.updatedAt)) {
+      const bookmark = bookmarkFromRow(row, local);
+      await readingStore.set(bookmarkKey(row.id), bookmark, READING_TTL);
+      localBookmarks.set(row.id, bookmark);
+    }
+  }
+
+  // Push what changed here
+  const pendingProgress = [...localProgress.values()].filter(entry => !entry.synced);
+  const pendingBookmarks = [...localBookmarks.values()].filter(bookmark => !bookmark.synced);
+  const deleted = pendingBookmarks.filter(bookmark => bookmark.deleted);
+  const changed = pendingBookmarks.filter(bookmark => !bookmark.deleted);
+
+  await upsertReadingProgress(pendingProgress.map(entry => progressToRow(entry, user.id)));
+  await upsertBookmarks(changed.map(bookmark => bookmarkToRow(bookmark, user.id)));
+  await deleteBookmarks(deleted.map(bookmark => bookmark.id));
+
+  // Entries changed again while pushing are left for the next sync
+  for (const entry of pendingProgress) {
+    await markSynced(progressKey(entry.docId), entry);
+  }
+  for (const bookmark of changed) {
+    await markSynced(bookmarkKey(bookmark.id), bookmark, { remote: true });
+  }
+  for (const bookmark of deleted) {
+    const current = await readingStore.get(bookmarkKey(bookmark.id));
+    if (current?.updatedAt === bookmark.updatedAt) {
+      await readingStore.delete(bookmarkKey(bookmark.id));
+    }
+  }
+
+  notifyChange(null);
+  return true;
+}
+
+/**
+ * Take over the entries of this browser for an account
+ * Entries synced for another account are dropped; ones made signed out are kept
+ * @param {string} userId - Signed-in user ID
+ * @returns {Promise<void>}
+ */
+async function adoptEntries(userId) {
+  const owner = await readingStore.get(SYNC_USER_KEY);
+  if (owner?.userId === userId) return;
+
+  if (owner) {
+    const entries = await getEntriesWithKeys([KEY_PREFIX.PROGRESS, KEY_PREFIX.BOOKMARK]);
+    for (const { key, value } of entries) {
+      if (value.synced || value.remote) {
+        await readingStore.delete(key);
+      }
+    }
+  }
+
+  await readingStore.set(SYNC_USER_KEY, { userId }, READING_TTL);
+}
+
+/**
+ * Mark an entry synced unless it changed since it was read
+ * @param {string} key - Entry key
+ * @param {Object} pushed - Entry as pushed
+ * @param {Object} extra - Fields to set along with synced
+ * @returns {Promise<void>}
+ */
+async function markSynced(key, pushed, extra = {}) {
+  const current = await readingStore.get(key);
+  if (current?.updatedAt === pushed.updatedAt) {
+    await readingStore.set(key, { ...current, ...extra, synced: true }, READING_TTL);
+  }
+}
+
+/**
+ * Start syncing for the signed-in reader (once per page)
+ * Syncs on sign-in (and the stored session on load), when the connection
+ * returns and a while after each change
+ * @returns {Function} Stops syncing
+ */
+export function startReadingSync() {
+  if (syncStarted) return stopReadingSync;
+  syncStarted = true;
+
+  const unsubscribeAuth = onAuthChange((user) => {
+    if (user) scheduleSync(0);
+  });
+  const handleOnline = () => scheduleSync(0);
+  window.addEventListener('online', handleOnline);
+
+  stopSync = () => {
+    unsubscribeAuth();
+    window.removeEventListener('online', handleOnline);
+  };
+  return stopReadingSync;
+}
+
+/**
+ * Stop syncing (local entries are still saved)
+ */
+function stopReadingSync() {
+  stopSync();
+  stopSync = () => {};
+  clearTimeout(syncTimer);
+  syncTimer = null;
+  syncStarted = false;
+}
+
+// ============================================================================
+// Rows
+// ============================================================================
+
+function progressToRow(entry, userId) {
+  return {
+    user_id: userId,
+    doc_id: entry.docId,
+    anchor: entry.anchor,
+    anchor_offset: entry.offset,
+    progress: entry.progress,
+    version: entry.version,
+    language: entry.language,
+    updated_at: entry.updatedAt
+  };
+}
+
+function progressFromRow(row, local) {
+  return {
+    docId: row.doc_id,
+    title: row.document?.title || local?.title || '',
+    institution: row.document?.institution?.full_name || local?.institution || '',
+    anchor: row.anchor,
+    offset: row.anchor_offset || 0,
+    progress: clampProgress(row.progress),
+    version: row.version,
+    language: row.language,
+    updatedAt: new Date(row.updated_at).toISOString(),
+    synced: true
+  };
+}
+
+function bookmarkToRow(bookmark, userId) {
+  return {
+    id: bookmark.id,
+    user_id: userId,
+    doc_id: bookmark.docId,
+    anchor: bookmark.anchor,
+    excerpt: bookmark.excerpt,
+    note: bookmark.note,
+    progress: bookmark.progress,
+    created_at: bookmark.createdAt,
+    updated_at: bookmark.updatedAt
+  };
+}
+
+function bookmarkFromRow(row, local) {
+  return {
+    id: row.id,
+    docId: row.doc_id,
+    title: local?.title || '',
+    anchor: row.anchor,
+    excerpt: row.excerpt || '',
+    note: row.note || '',
+    progress: clampProgress(row.progress),
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    synced: true,
+    remote: true,
+    deleted: false
+  };
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function progressKey(docId) {
+  return `${KEY_PREFIX.PROGRESS}${docId}`;
+}
+
+function bookmarkKey(id) {
+  return `${KEY_PREFIX.BOOKMARK}${id}`;
+}
+
+/**
+ * Whether a timestamp is later than another (Postgres and ISO formats)
+ * @param {string} a - Timestamp
+ * @param {string} b - Timestamp
+ * @returns {boolean}
+ */
+function isNewer(a, b) {
+  return Date.parse(a) > Date.parse(b);
+}
+
+function clampProgress(progress) {
+  return Math.min(1, Math.max(0, Number(progress) || 0));
+}
+
+/**
+ * All entries whose key starts with a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Array>} Values
+ */
+async function getEntries(prefix) {
+  return (await getEntriesWithKeys([prefix])).map(({ value }) => value);
+}
+
+/**
+ * All entries whose key starts with one of the prefixes, with their keys
+ * @param {Array<string>} prefixes - Key prefixes
+ * @returns {Promise<Array<{key: string, value: Object}>>}
+ */
+async function getEntriesWithKeys(prefixes) {
+  const keys = (await readingStore.keys()).filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+  const values = await Promise.all(keys.map(key => readingStore.get(key)));
+  return keys
+    .map((key, index) => ({ key, value: values[index] }))
+    .filter(({ value }) => value);
+}
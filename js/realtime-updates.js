@@ -0,0 +1,182 @@
+/**
+ * Realtime Updates Module
+ * Follows changes to published data with Supabase Realtime
+ *
+ * - One channel listens to postgres_changes on REALTIME_TABLES
+ * - Changes are collected for a moment, the cache namespaces built from
+ *   their tables are cleared (data-repository.js), then pages are told with
+ *   a REALTIME_CHANGE_EVENT carrying the batch
+ * - After a dropped connection, the next subscription clears every
+ *   namespace and announces all tables (changes missed meanwhile are not
+ *   replayed)
+ * - The client is injectable: anything with channel() and removeChannel()
+ *   works, such as a mock channel in tests
+ * - The tables must be in the supabase_realtime publication
+ *   (supabase/migrations/20261019000700_realtime.sql); Realtime applies
+ *   row-level security, so readers only receive rows they could read
+ *
+ * Batch (event detail): { tables: string[], changes: [{ table, eventType, record, oldRecord }] }
+ */
+
+import { supabase } from './supabase-client.js';
+import { invalidateCache } from './data-repository.js';
+import { CACHE_NAMESPACES } from './unified-cache.js';
+import { isPublished } from './document-lifecycle.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const REALTIME_CHANGE_EVENT = 'realtimechange';
+
+const CHANNEL_NAME = 'public-data-changes';
+
+// Wait this long after a change for others from the same save
+const DEFAULT_BATCH_DELAY = 300;
+
+/**
+ * Followed tables → cache namespaces built from their rows
+ * Documents, library rows and carousels embed their institution and
+ * jurisdiction, so profile changes clear those too
+ */
+export const REALTIME_TABLES = {
+  documents: [CACHE_NAMESPACES.DOCUMENTS, CACHE_NAMESPACES.LIBRARY],
+  carousels: [CACHE_NAMESPACES.FEED],
+  carousel_slides: [CACHE_NAMESPACES.FEED],
+  institutions: [
+    CACHE_NAMESPACES.INSTITUTIONS,
+    CACHE_NAMESPACES.DOCUMENTS,
+    CACHE_NAMESPACES.LIBRARY,
+    CACHE_NAMESPACES.FEED
+  ],
+  jurisdictions: [
+    CACHE_NAMESPACES.JURISDICTIONS,
+    CACHE_NAMESPACES.DOCUMENTS,
+    CACHE_NAMESPACES.LIBRARY,
+    CACHE_NAMESPACES.FEED
+  ]
+};
+
+// Active subscription: { stop } or null
+let subscription = null;
+
+// ============================================================================
+// Subscription
+// ============================================================================
+
+/**
+ * Start following changes (once per page; later calls return the same stop function)
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client (or a mock with channel() / removeChannel())
+ * @param {number} options.batchDelay - Milliseconds to collect changes before announcing them
+ * @returns {Function} Stops following changes
+ */
+export function startRealtimeUpdates({ client = supabase, batchDelay = DEFAULT_BATCH_DELAY } = {}) {
+  if (subscription) return subscription.stop;
+
+  let pending = [];
+  let pendingTables = new Set();
+  let flushTimer = null;
+  let disconnected = false;
+
+  const flush = async () => {
+    flushTimer = null;
+    const tables = [...pendingTables];
+    const changes = pending;
+    pending = [];
+    pendingTables = new Set();
+
+    const namespaces = new Set(tables.flatMap((table) => REALTIME_TABLES[table] || []));
+    try {
+      await invalidateCache(...namespaces);
+    } catch (error) {
+      console.warn('[Realtime] Failed to clear cached rows:', error);
+    }
+
+    window.dispatchEvent(new CustomEvent(REALTIME_CHANGE_EVENT, { detail: { tables, changes } }));
+  };
+
+  const queue = (tables, change = null) => {
+    tables.forEach((table) => pendingTables.add(table));
+    if (change) pending.push(change);
+    if (!flushTimer) flushTimer = setTimeout(flush, batchDelay);
+  };
+
+  const channel = client.channel(CHANNEL_NAME);
+  Object.keys(REALTIME_TABLES).forEach((table) => {
+    channel.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+      queue([table], {
+        table,
+        eventType: payload.eventType,
+        record: payload.new || {},
+        oldRecord: payload.old || {}
+      });
+    });
+  });
+
+  channel.subscribe((status, error) => {
+    if (status === 'SUBSCRIBED') {
+      // Catch up on whatever changed while the connection was down
+      if (disconnected) queue(Object.keys(REALTIME_TABLES));
+      disconnected = false;
+    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+      if (!disconnected) console.warn(`[Realtime] Channel ${status.toLowerCase()}:`, error || '');
+      disconnected = true;
+    }
+  });
+
+  subscription = {
+    stop: () => {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      subscription = null;
+      return client.removeChannel(channel);
+    }
+  };
+  return subscription.stop;
+}
+
+/**
+ * Subscribe to change batches
+ * @param {Function} callback - Called with { tables, changes } after the caches are cleared
+ * @returns {Function} Unsubscribe function
+ */
+export function onRealtimeChange(callback) {
+  const handler = (event) => callback(event.detail);
+  window.addEventListener(REALTIME_CHANGE_EVENT, handler);
+  return () => window.removeEventListener(REALTIME_CHANGE_EVENT, handler);
+}
+
+// ============================================================================
+// Reading changes
+// ============================================================================
+
+/**
+ * Documents that became readable in a batch: inserted as published, or
+ * moved to published by an update (edits to published documents excluded)
+ * @param {Array} changes - Batch changes
+ * @returns {Array} Document rows
+ */
+export function getNewlyPublishedDocuments(changes) {
+  const now = new Date();
+  const docs = new Map();
+
+  changes.forEach(({ table, eventType, record, oldRecord }) => {
+    if (table !== 'documents' || !isPublished(record, now)) return;
+    if (eventType === 'INSERT' || (eventType === 'UPDATE' && oldRecord.status && !isPublished(oldRecord, now))) {
+      docs.set(record.doc_id, record);
+    }
+  });
+
+  return [...docs.values()];
+}
+
+/**
+ * Whether a batch touches any of the given tables
+ * @param {Object} batch - { tables }
+ * @param {...string} tables - Table names
+ * @returns {boolean}
+ */
+export function hasTableChanges(batch, ...tables) {
+  return tables.some((table) => batch.tables.includes(table));
+}
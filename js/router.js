@@ -0,0 +1,479 @@
+/**
+ * Router Module
+ * History-API navigation between the reading pages (index, library,
+ * profiles, documents) without full page loads
+ *
+ * - A route matches a URL and names the HTML page it is shown on; the
+ *   page's body is fetched (once per page), swapped in, and the route's
+ *   view mounted after the previous view is unmounted
+ * - Every URL is still a real page, so deep links, reloads and links opened
+ *   in a new tab load it normally and the router takes over from there
+ * - Other pages (timetable, publish, offline), other origins, downloads,
+ *   modified clicks and in-page #anchors are left to the browser; a page
+ *   that cannot be fetched falls back to a full load
+ * - Scroll positions are kept per history entry and restored on back /
+ *   forward; new pages open at the top, or at their #anchor
+ * - Hovering or focusing a link prefetches its page and, through the
+ *   view's prefetch(), its data (read through the data-repository.js cache)
+ * - Body children marked data-router-persist (with an id) survive page
+ *   swaps: the prayer times marquee keeps running between pages
+ *
+ * Route: { name, page, match(url), view: { mount(context), unmount?(), prefetch?(url), routeKey?(url) } }
+ * Back / forward between entries with the same routeKey (by default path
+ * and query) are left to the view, e.g. document versions
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const ROUTE_CHANGE_EVENT = 'routechange';
+
+// Scroll positions by history entry, kept for reloads
+const SCROLL_STORAGE_KEY = 'routerScrollPositions';
+const MAX_SCROLL_POSITIONS = 50;
+
+// Hover this long before prefetching (skips links the pointer only crosses)
+const PREFETCH_HOVER_DELAY = 65;
+
+// Restored positions may lie beyond content that is still loading
+const SCROLL_RESTORE_ATTEMPTS = 20;
+const SCROLL_RESTORE_INTERVAL = 100;
+
+// Router state
+let routes = [];
+let options = {};
+let current = null; // { route, key }
+let navigationId = 0; // Drops navigations overtaken by newer ones
+let entryCounter = 0;
+let hoverTimer = null;
+const pageCache = new Map(); // page → Promise<Document>
+const prefetched = new Set(); // URLs prefetched since the last navigation
+const persisted = new Map(); // id → element kept across pages
+const scrollPositions = readScrollPositions();
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Take over navigation and mount the view of the current URL
+ * Pages without a matching route are left alone
+ * @param {Array} routeList - Route definitions
+ * @param {Object} routerOptions
+ * @param {Function} routerOptions.onPageChange - Called with { route, url } after a page is in place, before its view mounts (also for the first page)
+ * @returns {Promise<void>}
+ */
+export async function startRouter(routeList, routerOptions = {}) {
+  routes = routeList;
+  options = routerOptions;
+
+  const url = new URL(window.location.href);
+  const route = matchRoute(url);
+  if (!route) return;
+
+  if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual';
+  }
+  const entry = getEntryId();
+
+  // The first page is already here; keep its untouched markup for coming back
+  pageCache.set(route.page, Promise.resolve(document.cloneNode(true)));
+
+  document.addEventListener('click', onLinkClick);
+  document.addEventListener('mouseover', onLinkHover);
+  document.addEventListener('focusin', onLinkIntent);
+  document.addEventListener('touchstart', onLinkIntent, { passive: true });
+  window.addEventListener('popstate', onPopState);
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('pagehide', saveScrollPositions);
+
+  const id = ++navigationId;
+  await showView(route, url);
+
+  // Reloads come back to where the reader was
+  if (scrollPositions.has(entry)) {
+    restoreScroll(scrollPositions.get(entry), id);
+  }
+}
+
+/**
+ * Go to a URL: through the router when a route matches, otherwise with a full load
+ * @param {string} href - URL (absolute or relative to the current page)
+ * @param {Object} navigateOptions
+ * @param {boolean} navigateOptions.replace - Replace the current history entry instead of adding one
+ * @returns {Promise<void>}
+ */
+export async function navigate(href, { replace = false } = {}) {
+  const url = new URL(href, window.location.href);
+  const route = matchRoute(url);
+  if (!route) {
+    window.location.assign(url.href);
+    return;
+  }
+
+  const id = ++navigationId;
+  let page;
+  try {
+    page = await loadPage(route.page);
+  } catch (error) {
+    console.warn('[Router] Failed to load page, loading it in full:', error);
+    window.location.assign(url.href);
+    return;
+  }
+  if (id !== navigationId) return;
+
+  saveScrollPositions();
+  const state = { routerEntry: createEntryId() };
+  if (replace) {
+    history.replaceState(state, '', url.href);
+  } else {
+    history.pushState(state, '', url.href);
+  }
+
+  leaveView();
+  swapPage(page);
+  // At the top before the view mounts: views may scroll on their own (the
+  // viewer resumes where the reader left a document)
+  window.scrollTo({ top: 0, left: 0, behavior: 'instant' });
+  await showView(route, url);
+  if (id === navigationId) scrollToAnchor(url);
+}
+
+/**
+ * Prefetch a URL's page and data
+ * @param {string} href - URL (absolute or relative to the current page)
+ */
+export function prefetch(href) {
+  const url = new URL(href, window.location.href);
+  if (prefetched.has(url.href)) return;
+
+  const route = matchRoute(url);
+  if (!route) return;
+  prefetched.add(url.href);
+
+  loadPage(route.page).catch(() => {
+    // Navigating will try again (or load the page in full)
+  });
+  Promise.resolve()
+    .then(() => route.view.prefetch?.(url))
+    .catch((error) => console.warn(`[Router] Failed to prefetch ${route.name}:`, error));
+}
+
+/**
+ * Route of the page being shown
+ * @returns {Object|null} Route definition
+ */
+export function getCurrentRoute() {
+  return current?.route || null;
+}
+
+/**
+ * Subscribe to route changes (after the new view is mounted)
+ * @param {Function} callback - Called with { route, url }
+ * @returns {Function} Unsubscribe function
+ */
+export function onRouteChange(callback) {
+  const handler = (event) => callback(event.detail);
+  window.addEventListener(ROUTE_CHANGE_EVENT, handler);
+  return () => window.removeEventListener(ROUTE_CHANGE_EVENT, handler);
+}
+
+// ============================================================================
+// Routes and Views
+// ============================================================================
+
+/**
+ * Route for a URL
+ * @param {URL} url - URL
+ * @returns {Object|null} Route definition, or null for other pages and origins
+ */
+function matchRoute(url) {
+  if (url.origin !== window.location.origin) return null;
+  return routes.find((route) => route.match(url)) || null;
+}
+
+/**
+ * Identity of the view shown for a URL (see the module notes)
+ * @param {Object} route - Route definition
+ * @param {URL} url - URL
+ * @returns {string}
+ */
+function getRouteKey(route, url) {
+  const key = route.view.routeKey ? route.view.routeKey(url) : `${url.pathname}${url.search}`;
+  return `${route.name}:${key}`;
+}
+
+/**
+ * Unmount the current view (while its page is still in place)
+ */
+function leaveView() {
+  if (!current) return;
+  try {
+    current.route.view.unmount?.();
+  } catch (error) {
+    console.error(`[Router] Failed to leave ${current.route.name}:`, error);
+  }
+  current = null;
+}
+
+/**
+ * Mount the route's view and announce the change
+ * @param {Object} route - Route definition
+ * @param {URL} url - URL being shown
+ * @returns {Promise<void>}
+ */
+async function showView(route, url) {
+  current = { route, key: getRouteKey(route, url) };
+  prefetched.clear();
+  options.onPageChange?.({ route, url });
+
+  try {
+    await route.view.mount({ route, url });
+  } catch (error) {
+    console.error(`[Router] Failed to show ${route.name}:`, error);
+  }
+
+  window.dispatchEvent(new CustomEvent(ROUTE_CHANGE_EVENT, { detail: { route, url } }));
+}
+
+// ============================================================================
+// Pages
+// ============================================================================
+
+/**
+ * Fetch and parse a page (once; failed requests are retried next time)
+ * @param {string} page - Page path, e.g. 'library.html'
+ * @returns {Promise<Document>}
+ */
+function loadPage(page) {
+  if (!pageCache.has(page)) {
+    const request = fetch(new URL(page, document.baseURI), { credentials: 'same-origin' })
+      .then((response) => {
+        if (!response.ok) throw new Error(`${page}: HTTP ${response.status}`);
+        return response.text();
+      })
+      .then((html) => new DOMParser().parseFromString(html, 'text/html'));
+    request.catch(() => pageCache.delete(page));
+    pageCache.set(page, request);
+  }
+  return pageCache.get(page);
+}
+
+/**
+ * Replace the body with a page's body (scripts are already running)
+ * @param {Document} page - Parsed page
+ */
+function swapPage(page) {
+  document.body.querySelectorAll(':scope > [data-router-persist][id]').forEach((element) => {
+    persisted.set(element.id, element);
+  });
+
+  // Copies, so the cached page can be shown again later
+  const nodes = [...page.body.childNodes]
+    .filter((node) => node.nodeName !== 'SCRIPT')
+    .map((node) => {
+      const kept = node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-router-persist')
+        ? persisted.get(node.id)
+        : null;
+      return kept || document.importNode(node, true);
+    });
+
+  document.body.className = page.body.className;
+  document.body.replaceChildren(...nodes);
+  document.title = page.title;
+}
+
+// ============================================================================
+// Links and History
+// ============================================================================
+
+/**
+ * Link that the router handles for an event target
+ * @param {EventTarget} target - Event target
+ * @returns {HTMLAnchorElement|null}
+ */
+function getRouteLink(target) {
+  const link = target instanceof Element ? target.closest('a[href]') : null;
+  if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return null;
+
+  const url = new URL(link.href, window.location.href);
+  return matchRoute(url) ? link : null;
+}
+
+/**
+ * Whether a URL only differs from the current one by its #anchor
+ * @param {URL} url - URL
+ * @returns {boolean}
+ */
+function isSamePageAnchor(url) {
+  return url.hash !== ''
+    && url.pathname === window.location.pathname
+    && url.search === window.location.search;
+}
+
+/**
+ * Follow route links through the router
+ * @param {MouseEvent} event - Click event
+ */
+function onLinkClick(event) {
+  if (event.defaultPrevented || event.button !== 0) return;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+  const link = getRouteLink(event.target);
+  if (!link) return;
+
+  const url = new URL(link.href, window.location.href);
+  if (isSamePageAnchor(url)) return;
+
+  event.preventDefault();
+  navigate(url.href, { replace: url.href === window.location.href });
+}
+
+/**
+ * Prefetch links the pointer rests on
+ * @param {MouseEvent} event - Mouseover event
+ */
+function onLinkHover(event) {
+  const link = getRouteLink(event.target);
+  clearTimeout(hoverTimer);
+  if (link) {
+    hoverTimer = setTimeout(() => prefetch(link.href), PREFETCH_HOVER_DELAY);
+  }
+}
+
+/**
+ * Prefetch links as soon as they are focused or touched
+ * @param {Event} event - Focusin or touchstart event
+ */
+function onLinkIntent(event) {
+  const link = getRouteLink(event.target);
+  if (link) prefetch(link.href);
+}
+
+/**
+ * Show the entry reached with back / forward
+ */
+async function onPopState() {
+  const url = new URL(window.location.href);
+  const route = matchRoute(url);
+  if (!route) {
+    window.location.reload();
+    return;
+  }
+
+  // Entries the view added itself (versions, languages) or #anchors
+  if (current && getRouteKey(route, url) === current.key) return;
+
+  const entry = getEntryId();
+  const savedScroll = scrollPositions.get(entry);
+  const id = ++navigationId;
+
+  let page;
+  try {
+    page = await loadPage(route.page);
+  } catch (error) {
+    console.warn('[Router] Failed to load page, loading it in full:', error);
+    window.location.reload();
+    return;
+  }
+  if (id !== navigationId) return;
+
+  leaveView();
+  swapPage(page);
+  if (savedScroll == null) {
+    window.scrollTo({ top: 0, left: 0, behavior: 'instant' });
+  }
+  await showView(route, url);
+  if (id !== navigationId) return;
+
+  if (savedScroll != null) {
+    restoreScroll(savedScroll, id);
+  } else {
+    scrollToAnchor(url);
+  }
+}
+
+// ============================================================================
+// Scroll Positions
+// ============================================================================
+
+/**
+ * New history entry ID
+ * @returns {string}
+ */
+function createEntryId() {
+  entryCounter += 1;
+  return `${Date.now().toString(36)}-${entryCounter}`;
+}
+
+/**
+ * ID of the current history entry (entries added by views get one on first use)
+ * @returns {string}
+ */
+function getEntryId() {
+  if (!history.state?.routerEntry) {
+    history.replaceState({ ...history.state, routerEntry: createEntryId() }, '');
+  }
+  return history.state.routerEntry;
+}
+
+/**
+ * Remember the scroll position of the current entry
+ */
+function onScroll() {
+  if (!current) return;
+  const entry = getEntryId();
+  scrollPositions.delete(entry); // Keep the most recent entries last
+  scrollPositions.set(entry, window.scrollY);
+}
+
+/**
+ * Read the positions saved in this tab
+ * @returns {Map<string, number>}
+ */
+function readScrollPositions() {
+  try {
+    return new Map(JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || []);
+  } catch (error) {
+    return new Map();
+  }
+}
+
+/**
+ * Save the most recent positions for reloads in this tab
+ */
+function saveScrollPositions() {
+  const entries = [...scrollPositions].slice(-MAX_SCROLL_POSITIONS);
+  try {
+    sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('[Router] Failed to save scroll positions:', error);
+  }
+}
+
+/**
+ * Scroll back to a saved position, waiting for lists that are still loading
+ * @param {number} top - Saved scroll position
+ * @param {number} id - Navigation the position belongs to
+ * @returns {Promise<void>}
+ */
+async function restoreScroll(top, id) {
+  for (let attempt = 0; attempt < SCROLL_RESTORE_ATTEMPTS; attempt++) {
+    if (id !== navigationId) return;
+    window.scrollTo({ top, left: 0, behavior: 'instant' });
+    if (Math.abs(window.scrollY - top) < 2) return;
+    await new Promise((resolve) => setTimeout(resolve, SCROLL_RESTORE_INTERVAL));
+  }
+}
+
+/**
+ * Open a new page at its #anchor (pages are already at the top otherwise)
+ * @param {URL} url - URL being shown
+ */
+function scrollToAnchor(url) {
+  const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+  if (target) {
+    target.scrollIntoView();
+  }
+}
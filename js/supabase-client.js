@@ -10,6 +10,9 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { SUPABASE_URL, SUPABASE_ANON_KEY } from './supabase-config.js';
+import { formatDisplayDate } from './i18n.js';
+import { getArchetypeKey } from './account-archetypes.js';
+import { getDayAfter } from './library-facets.js';
 
 // Initialize Supabase client
 export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
@@ -145,20 +148,38 @@ export async function getJurisdictionById(id) {
 // =====================================================
 // DOCUMENT HELPERS
 // =====================================================
+// Readers only get published documents whose publish date has passed
+// (see js/document-lifecycle.js); row-level security enforces the same.
+// List queries leave out `content`; it is fetched per document.
 
 /**
- * Get all visible documents
+ * Document columns for list queries (everything but content)
+ */
+const DOCUMENT_LIST_COLUMNS = 'id, doc_id, title, item_type, version, doc_date, visible, language, status, publish_at, institution_id, jurisdiction_id';
+
+/**
+ * PostgREST filter for documents whose publish date has passed
+ * @returns {string} Value for query.or()
+ */
+function publishedBefore() {
+  return `publish_at.is.null,publish_at.lte."${new Date().toISOString()}"`;
+}
+
+/**
+ * Get all published documents (without content)
  * @returns {Promise<Array>} Array of document objects
  */
 export async function getDocuments() {
   const { data, error } = await supabase
     .from('documents')
     .select(`
-      *,
-      institution:institutions(id, name, full_name, label),
-      jurisdiction:jurisdictions(id, name, full_name, label)
+      ${DOCUMENT_LIST_COLUMNS},
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
+      jurisdiction:jurisdictions(id, name, full_name, label),
+      translations:document_translations(language)
     `)
-    .eq('visible', true)
+    .eq('status', 'published')
+    .or(publishedBefore())
     .order('doc_date', { ascending: false });
   
   if (error) {
@@ -179,7 +200,7 @@ export async function getDocumentByDocId(docId) {
     .from('documents')
     .select(`
       *,
-      institution:institutions(id, name, full_name, label),
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
       jurisdiction:jurisdictions(id, name, full_name, label)
     `)
     .eq('doc_id', docId)
@@ -194,6 +215,25 @@ export async function getDocumentByDocId(docId) {
   return data;
 }
 
+/**
+ * Get the HTML content of all published documents (for search indexing)
+ * @returns {Promise<Array>} Array of { doc_id, content, translations: [{ title, content }] }
+ */
+export async function getDocumentContents() {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('doc_id, content, translations:document_translations(title, content)')
+    .eq('status', 'published')
+    .or(publishedBefore());
+  
+  if (error) {
+    console.error('Error fetching document contents:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
 /**
  * Get documents by institution
  * @param {string} institutionName - Full institution name
@@ -203,11 +243,12 @@ export async function getDocumentsByInstitution(institutionName) {
   const { data, error } = await supabase
     .from('documents')
     .select(`
-      *,
-      institution:institutions(id, name, full_name, label),
+      ${DOCUMENT_LIST_COLUMNS},
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
       jurisdiction:jurisdictions(id, name, full_name, label)
     `)
-    .eq('visible', true)
+    .eq('status', 'published')
+    .or(publishedBefore())
     .eq('institutions.full_name', institutionName)
     .order('doc_date', { ascending: false });
   
@@ -228,11 +269,12 @@ export async function getDocumentsByJurisdiction(jurisdictionName) {
   const { data, error } = await supabase
     .from('documents')
     .select(`
-      *,
-      institution:institutions(id, name, full_name, label),
+      ${DOCUMENT_LIST_COLUMNS},
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
       jurisdiction:jurisdictions(id, name, full_name, label)
     `)
-    .eq('visible', true)
+    .eq('status', 'published')
+    .or(publishedBefore())
     .eq('jurisdictions.full_name', jurisdictionName)
     .order('doc_date', { ascending: false });
   
@@ -253,11 +295,12 @@ export async function getDocumentsByType(itemType) {
   const { data, error } = await supabase
     .from('documents')
     .select(`
-      *,
-      institution:institutions(id, name, full_name, label),
+      ${DOCUMENT_LIST_COLUMNS},
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
       jurisdiction:jurisdictions(id, name, full_name, label)
     `)
-    .eq('visible', true)
+    .eq('status', 'published')
+    .or(publishedBefore())
     .eq('item_type', itemType)
     .order('doc_date', { ascending: false });
   
@@ -277,7 +320,8 @@ export async function getDocumentTypes() {
   const { data, error } = await supabase
     .from('documents')
     .select('item_type')
-    .eq('visible', true);
+    .eq('status', 'published')
+    .or(publishedBefore());
   
   if (error) {
     console.error('Error fetching document types:', error);
@@ -288,6 +332,204 @@ export async function getDocumentTypes() {
   return types.sort();
 }
 
+// =====================================================
+// LIBRARY PAGE HELPERS
+// =====================================================
+// The library list reads library_documents a page at a time, with keyset
+// cursors (see supabase/migrations/20261019000600_library_pagination.sql).
+
+/**
+ * Library sort → library_documents column (all ascending, ties broken by id)
+ */
+const LIBRARY_SORT_COLUMNS = {
+  name: 'title',
+  postedIn: 'jurisdiction_name',
+  postedBy: 'institution_name'
+};
+
+/**
+ * Quote a value for a PostgREST or() filter
+ * @param {string|number} value - Filter value
+ * @returns {string} Quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Get a page of published library documents (without content)
+ * @param {Object} options
+ * @param {Object} options.filters - Filter state (see js/library-facets.js)
+ * @param {string} options.sort - 'name', 'postedIn' or 'postedBy'
+ * @param {Object|null} options.cursor - nextCursor of the previous page, or null for the first
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{rows: Array, nextCursor: Object|null}>} library_documents rows; nextCursor is null on the last page
+ */
+export async function getLibraryDocumentsPage({ filters = {}, sort = 'name', cursor = null, limit = 50 } = {}) {
+  const column = LIBRARY_SORT_COLUMNS[sort] || LIBRARY_SORT_COLUMNS.name;
+  let query = supabase
+    .from('library_documents')
+    .select('*')
+    .order(column, { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit + 1);
+  
+  // Facets match case-insensitively; the *_key columns are lowercased
+  const lowercase = (values) => values.map(value => value.toLowerCase());
+  if (filters.items?.length) query = query.in('item_type_key', lowercase(filters.items));
+  if (filters.postedBy?.length) query = query.in('institution_key', lowercase(filters.postedBy));
+  if (filters.postedIn?.length) query = query.in('jurisdiction_key', lowercase(filters.postedIn));
+  if (filters.archetypes?.length) query = query.in('archetype_key', lowercase(filters.archetypes));
+  // doc_date is a timestamp: include the whole `dateTo` day
+  if (filters.dateFrom) query = query.gte('doc_date', filters.dateFrom);
+  if (filters.dateTo) query = query.lt('doc_date', getDayAfter(filters.dateTo));
+  if (filters.versionMin != null) query = query.gte('version', filters.versionMin);
+  if (filters.versionMax != null) query = query.lte('version', filters.versionMax);
+  
+  if (cursor) {
+    const value = quoteFilterValue(cursor.value);
+    query = query.or(`${column}.gt.${value},and(${column}.eq.${value},id.gt.${cursor.id})`);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) {
+    console.error('Error fetching library page:', error);
+    throw error;
+  }
+  
+  const rows = data || [];
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+  
+  return {
+    rows: pageRows,
+    nextCursor: hasMore ? { value: last[column], id: last.id } : null
+  };
+}
+
+/**
+ * Get the Filters panel counts for the published library
+ * @param {Object} filters - Filter state (see js/library-facets.js)
+ * @returns {Promise<Object>} { items, postedBy, postedIn, archetypes: [{ value, count, label? }], versions: { min, max } }
+ */
+export async function getLibraryFacetCounts(filters = {}) {
+  const { data, error } = await supabase.rpc('library_facet_counts', {
+    filters: {
+      items: filters.items || [],
+      postedBy: filters.postedBy || [],
+      postedIn: filters.postedIn || [],
+      archetypes: filters.archetypes || [],
+      dateFrom: filters.dateFrom || null,
+      dateTo: filters.dateTo || null,
+      versionMin: filters.versionMin ?? null,
+      versionMax: filters.versionMax ?? null
+    }
+  });
+  
+  if (error) {
+    console.error('Error fetching library facet counts:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
+// =====================================================
+// DOCUMENT VERSION HELPERS
+// =====================================================
+
+/**
+ * List the recorded versions of a document (without content)
+ * @param {string} docId - Document ID (e.g., "book0")
+ * @returns {Promise<Array>} Array of { version, title, doc_date, created_at }, newest first
+ */
+export async function getDocumentVersions(docId) {
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select('version, title, doc_date, created_at')
+    .eq('doc_id', docId)
+    .order('version', { ascending: false });
+  
+  if (error) {
+    console.error('Error fetching document versions:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+/**
+ * Get one version of a document, including its content
+ * @param {string} docId - Document ID (e.g., "book0")
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version object or null
+ */
+export async function getDocumentVersion(docId, version) {
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select('doc_id, version, title, content, doc_date, created_at')
+    .eq('doc_id', docId)
+    .eq('version', version)
+    .single();
+  
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    console.error('Error fetching document version:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
+// =====================================================
+// DOCUMENT TRANSLATION HELPERS
+// =====================================================
+
+/**
+ * List the translations of a document (without content)
+ * @param {string} docId - Document ID (e.g., "book0")
+ * @returns {Promise<Array>} Array of { language, title, source_version, updated_at }
+ */
+export async function getDocumentTranslations(docId) {
+  const { data, error } = await supabase
+    .from('document_translations')
+    .select('language, title, source_version, updated_at')
+    .eq('doc_id', docId)
+    .order('language', { ascending: true });
+  
+  if (error) {
+    console.error('Error fetching document translations:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+/**
+ * Get one translation of a document, including its content
+ * @param {string} docId - Document ID (e.g., "book0")
+ * @param {string} language - Language code (e.g., "ar")
+ * @returns {Promise<Object|null>} Translation object or null
+ */
+export async function getDocumentTranslation(docId, language) {
+  const { data, error } = await supabase
+    .from('document_translations')
+    .select('doc_id, language, title, content, source_version, updated_at')
+    .eq('doc_id', docId)
+    .eq('language', language)
+    .single();
+  
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    console.error('Error fetching document translation:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
 // =====================================================
 // CAROUSEL HELPERS
 // =====================================================
@@ -301,7 +543,7 @@ export async function getCarousels() {
     .from('carousels')
     .select(`
       *,
-      institution:institutions(id, name, full_name, label),
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
       jurisdiction:jurisdictions(id, name, full_name, label),
       slides:carousel_slides(
         id,
@@ -335,7 +577,7 @@ export async function getCarouselsByInstitution(institutionName) {
     .from('carousels')
     .select(`
       *,
-      institution:institutions(id, name, full_name, label),
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
       jurisdiction:jurisdictions(id, name, full_name, label),
       slides:carousel_slides(
         id,
@@ -369,7 +611,7 @@ export async function getCarouselsByJurisdiction(jurisdictionName) {
     .from('carousels')
     .select(`
       *,
-      institution:institutions(id, name, full_name, label),
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
       jurisdiction:jurisdictions(id, name, full_name, label),
       slides:carousel_slides(
         id,
@@ -390,6 +632,595 @@ export async function getCarouselsByJurisdiction(jurisdictionName) {
   return data || [];
 }
 
+// =====================================================
+// JURISDICTION MEMBERSHIP HELPERS
+// =====================================================
+// Institutions that belong to a jurisdiction, with their role
+// (member, observer, moderator). Readers only see active memberships.
+
+/**
+ * Get the active members of a jurisdiction
+ * @param {string} jurisdictionName - Full jurisdiction name
+ * @returns {Promise<Array>} Array of membership objects with institution, earliest joined first
+ */
+export async function getJurisdictionMemberships(jurisdictionName) {
+  const jurisdiction = await getJurisdictionByFullName(jurisdictionName);
+  if (!jurisdiction) return [];
+  
+  const { data, error } = await supabase
+    .from('jurisdiction_memberships')
+    .select(`
+      id, role, status, joined_at, left_at,
+      institution:institutions(id, name, full_name, label, avatar_url)
+    `)
+    .eq('jurisdiction_id', jurisdiction.id)
+    .eq('status', 'active')
+    .order('joined_at', { ascending: true });
+  
+  if (error) {
+    console.error('Error fetching jurisdiction memberships:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+/**
+ * Get the jurisdictions an institution belongs to
+ * (institution members also see pending and inactive memberships)
+ * @param {number} institutionId - Institution ID
+ * @returns {Promise<Array>} Array of membership objects with jurisdiction, earliest joined first
+ */
+export async function getInstitutionMemberships(institutionId) {
+  const { data, error } = await supabase
+    .from('jurisdiction_memberships')
+    .select(`
+      id, role, status, joined_at, left_at,
+      jurisdiction:jurisdictions(id, name, full_name, label, avatar_url)
+    `)
+    .eq('institution_id', institutionId)
+    .order('joined_at', { ascending: true });
+  
+  if (error) {
+    console.error('Error fetching institution memberships:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+// =====================================================
+// AUTH HELPERS
+// =====================================================
+
+/**
+ * Sign in with email and password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signInWithPassword(email, password) {
+  const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+  
+  if (error) {
+    console.error('Error signing in:', error);
+    throw error;
+  }
+  
+  return data.user;
+}
+
+/**
+ * Email a sign-in link (existing users only)
+ * @param {string} email
+ * @param {string} redirectTo - Page to return to after following the link
+ * @returns {Promise<void>}
+ */
+export async function signInWithEmailLink(email, redirectTo) {
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: redirectTo, shouldCreateUser: false }
+  });
+  
+  if (error) {
+    console.error('Error sending sign-in link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sign out of the current session
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  const { error } = await supabase.auth.signOut();
+  
+  if (error) {
+    console.error('Error signing out:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the signed-in user from the stored session
+ * @returns {Promise<Object|null>} User or null when signed out
+ */
+export async function getCurrentUser() {
+  const { data, error } = await supabase.auth.getSession();
+  
+  if (error) {
+    console.error('Error reading session:', error);
+    throw error;
+  }
+  
+  return data.session?.user || null;
+}
+
+/**
+ * Subscribe to sign-in / sign-out
+ * @param {Function} callback - Called with the user (or null)
+ * @returns {Function} Unsubscribe function
+ */
+export function onAuthChange(callback) {
+  const { data } = supabase.auth.onAuthStateChange((event, session) => {
+    callback(session?.user || null, event);
+  });
+  return () => data.subscription.unsubscribe();
+}
+
+// =====================================================
+// READING PROGRESS HELPERS
+// =====================================================
+// Rows of the signed-in reader only (see
+// supabase/migrations/20261019000800_reading_progress.sql); the viewer goes
+// through reading-progress.js, which keeps them in IndexedDB first
+
+/**
+ * Get the signed-in reader's progress in every document
+ * @returns {Promise<Array>} reading_progress rows, with the document's title
+ *   and institution (null for documents no longer visible)
+ */
+export async function getMyReadingProgress() {
+  const { data, error } = await supabase
+    .from('reading_progress')
+    .select(`
+      *,
+      document:documents(title, institution:institutions(full_name))
+    `);
+  
+  if (error) {
+    console.error('Error fetching reading progress:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+/**
+ * Save reading progress rows (one per document)
+ * @param {Array} rows - { user_id, doc_id, anchor, anchor_offset, progress, version, language, updated_at }
+ * @returns {Promise<void>}
+ */
+export async function upsertReadingProgress(rows) {
+  if (rows.length === 0) return;
+  
+  const { error } = await supabase
+    .from('reading_progress')
+    .upsert(rows, { onConflict: 'user_id,doc_id' });
+  
+  if (error) {
+    console.error('Error saving reading progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the signed-in reader's bookmarks
+ * @returns {Promise<Array>} reading_bookmarks rows
+ */
+export async function getMyBookmarks() {
+  const { data, error } = await supabase
+    .from('reading_bookmarks')
+    .select('*')
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    console.error('Error fetching bookmarks:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+/**
+ * Save bookmarks (ids are generated by the browser)
+ * @param {Array} rows - { id, user_id, doc_id, anchor, excerpt, note, progress, created_at, updated_at }
+ * @returns {Promise<void>}
+ */
+export async function upsertBookmarks(rows) {
+  if (rows.length === 0) return;
+  
+  const { error } = await supabase
+    .from('reading_bookmarks')
+    .upsert(rows, { onConflict: 'id' });
+  
+  if (error) {
+    console.error('Error saving bookmarks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete bookmarks
+ * @param {Array<string>} ids - Bookmark IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteBookmarks(ids) {
+  if (ids.length === 0) return;
+  
+  const { error } = await supabase
+    .from('reading_bookmarks')
+    .delete()
+    .in('id', ids);
+  
+  if (error) {
+    console.error('Error deleting bookmarks:', error);
+    throw error;
+  }
+}
+
+// =====================================================
+// PUBLISHING HELPERS
+// =====================================================
+// Writes are limited by row-level security to institutions the signed-in
+// user is a member of (see supabase/migrations/*_institution_publishing.sql)
+
+/**
+ * Storage bucket for uploaded images
+ */
+const IMAGE_BUCKET = 'ummah-images';
+
+/**
+ * Institution columns members may edit
+ */
+const INSTITUTION_PROFILE_FIELDS = [
+  'bio',
+  'avatar_url',
+  'cover_url',
+  'contact_email',
+  'contact_phone',
+  'contact_address',
+  'contact_website',
+  'feed_widget_enabled',
+  'feed_widget_type'
+];
+
+/**
+ * Get the institutions the signed-in user can publish for
+ * @returns {Promise<Array>} Array of institution objects
+ */
+export async function getMyInstitutions() {
+  const user = await getCurrentUser();
+  if (!user) return [];
+  
+  const { data, error } = await supabase
+    .from('institution_users')
+    .select('institution:institutions(*)')
+    .eq('user_id', user.id);
+  
+  if (error) {
+    console.error('Error fetching memberships:', error);
+    throw error;
+  }
+  
+  return (data || [])
+    .map(row => row.institution)
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get every document of an institution, drafts included (without content)
+ * @param {number} institutionId - Institution ID
+ * @returns {Promise<Array>} Array of document objects
+ */
+export async function getInstitutionDocuments(institutionId) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select(`
+      id, doc_id, title, item_type, version, doc_date, language,
+      status, publish_at, review_note, institution_id, jurisdiction_id,
+      jurisdiction:jurisdictions(id, name, full_name, label)
+    `)
+    .eq('institution_id', institutionId)
+    .order('doc_date', { ascending: false });
+  
+  if (error) {
+    console.error('Error fetching institution documents:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+/**
+ * Create or update a document
+ * Raise `version` to publish a new version; the previous one stays in
+ * document_versions. Saving with the same version corrects it in place.
+ * @param {Object} fields - documents columns to write
+ * @param {number|null} id - Row ID to update, or null to create
+ * @returns {Promise<Object>} Saved document
+ */
+export async function saveDocument(fields, id = null) {
+  const query = id
+    ? supabase.from('documents').update(fields).eq('id', id)
+    : supabase.from('documents').insert(fields);
+  
+  const { data, error } = await query.select().single();
+  
+  if (error) {
+    console.error('Error saving document:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
+/**
+ * Delete a document (and its version history)
+ * @param {number} id - Row ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDocument(id) {
+  const { error } = await supabase
+    .from('documents')
+    .delete()
+    .eq('id', id);
+  
+  if (error) {
+    console.error('Error deleting document:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a document to another lifecycle status
+ * The database refuses transitions the user is not allowed to make.
+ * @param {number} id - Row ID
+ * @param {string} status - DOCUMENT_STATUS value
+ * @param {Object} options
+ * @param {string|null} options.publishAt - ISO time to publish at (when publishing)
+ * @param {string|null} options.reviewNote - Note for the institution (when reviewing)
+ * @returns {Promise<Object>} Updated document
+ */
+export async function setDocumentStatus(id, status, { publishAt, reviewNote } = {}) {
+  const updates = { status };
+  if (publishAt !== undefined) updates.publish_at = publishAt;
+  if (reviewNote !== undefined) updates.review_note = reviewNote;
+  
+  const { data, error } = await supabase
+    .from('documents')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+  
+  if (error) {
+    console.error('Error changing document status:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
+/**
+ * Get the jurisdictions the signed-in user reviews for
+ * @returns {Promise<Array>} Array of jurisdiction objects
+ */
+export async function getMyJurisdictions() {
+  const user = await getCurrentUser();
+  if (!user) return [];
+  
+  const { data, error } = await supabase
+    .from('jurisdiction_users')
+    .select('jurisdiction:jurisdictions(*)')
+    .eq('user_id', user.id);
+  
+  if (error) {
+    console.error('Error fetching reviewer memberships:', error);
+    throw error;
+  }
+  
+  return (data || [])
+    .map(row => row.jurisdiction)
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get documents submitted in jurisdictions (in review, approved, published)
+ * @param {Array<number>} jurisdictionIds - Jurisdiction IDs
+ * @returns {Promise<Array>} Array of document objects (without content), oldest submission first
+ */
+export async function getDocumentsForReview(jurisdictionIds) {
+  if (jurisdictionIds.length === 0) return [];
+  
+  const { data, error } = await supabase
+    .from('documents')
+    .select(`
+      id, doc_id, title, item_type, version, doc_date, language,
+      status, publish_at, submitted_at, reviewed_at, review_note,
+      institution_id, jurisdiction_id,
+      institution:institutions(id, name, full_name, label, profit_model, visibility),
+      jurisdiction:jurisdictions(id, name, full_name, label)
+    `)
+    .in('jurisdiction_id', jurisdictionIds)
+    .in('status', ['in_review', 'approved', 'published'])
+    .order('submitted_at', { ascending: true, nullsFirst: false });
+  
+  if (error) {
+    console.error('Error fetching documents for review:', error);
+    throw error;
+  }
+  
+  return data || [];
+}
+
+/**
+ * Get every carousel of an institution, hidden ones included
+ * @param {number} institutionId - Institution ID
+ * @returns {Promise<Array>} Array of carousel objects with slides
+ */
+export async function getInstitutionCarousels(institutionId) {
+  const { data, error } = await supabase
+    .from('carousels')
+    .select(`
+      *,
+      jurisdiction:jurisdictions(id, name, full_name, label),
+      slides:carousel_slides(
+        id,
+        image_url,
+        display_order,
+        linked_document:documents(id, doc_id, title)
+      )
+    `)
+    .eq('institution_id', institutionId)
+    .order('created_at', { ascending: false });
+  
+  if (error) {
+    console.error('Error fetching institution carousels:', error);
+    throw error;
+  }
+  
+  return (data || []).map(carousel => ({
+    ...carousel,
+    slides: (carousel.slides || []).sort((a, b) => a.display_order - b.display_order)
+  }));
+}
+
+/**
+ * Create or update a carousel
+ * @param {Object} fields - carousels columns to write
+ * @param {number|null} id - Row ID to update, or null to create
+ * @returns {Promise<Object>} Saved carousel
+ */
+export async function saveCarousel(fields, id = null) {
+  const query = id
+    ? supabase.from('carousels').update(fields).eq('id', id)
+    : supabase.from('carousels').insert(fields);
+  
+  const { data, error } = await query.select().single();
+  
+  if (error) {
+    console.error('Error saving carousel:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
+/**
+ * Replace the slides of a carousel
+ * @param {number} carouselId - Carousel ID
+ * @param {Array} slides - Array of { image_url, linked_document } in display order
+ * @returns {Promise<void>}
+ */
+export async function saveCarouselSlides(carouselId, slides) {
+  const { error: deleteError } = await supabase
+    .from('carousel_slides')
+    .delete()
+    .eq('carousel_id', carouselId);
+  
+  if (deleteError) {
+    console.error('Error clearing carousel slides:', deleteError);
+    throw deleteError;
+  }
+  
+  if (slides.length === 0) return;
+  
+  const { error } = await supabase
+    .from('carousel_slides')
+    .insert(slides.map((slide, index) => ({
+      carousel_id: carouselId,
+      image_url: slide.image_url,
+      display_order: index,
+      linked_document: slide.linked_document || null
+    })));
+  
+  if (error) {
+    console.error('Error saving carousel slides:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a carousel and its slides
+ * @param {number} id - Carousel ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCarousel(id) {
+  const { error } = await supabase
+    .from('carousels')
+    .delete()
+    .eq('id', id);
+  
+  if (error) {
+    console.error('Error deleting carousel:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an institution's profile and feed widget fields
+ * Other columns are dropped (members cannot change them)
+ * @param {number} id - Institution ID
+ * @param {Object} fields - Subset of INSTITUTION_PROFILE_FIELDS
+ * @returns {Promise<Object>} Updated institution
+ */
+export async function updateInstitutionProfile(id, fields) {
+  const updates = {};
+  INSTITUTION_PROFILE_FIELDS.forEach(field => {
+    if (field in fields) updates[field] = fields[field];
+  });
+  
+  const { data, error } = await supabase
+    .from('institutions')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+  
+  if (error) {
+    console.error('Error updating institution profile:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
+/**
+ * Upload an image for an institution
+ * @param {number} institutionId - Institution ID
+ * @param {string} folder - 'avatars' | 'covers' | 'carousels'
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Public URL of the uploaded image
+ */
+export async function uploadInstitutionImage(institutionId, folder, file) {
+  const safeName = file.name.toLowerCase().replace(/[^a-z0-9.]+/g, '-');
+  const path = `institutions/${institutionId}/${folder}/${Date.now()}-${safeName}`;
+  
+  const { error } = await supabase.storage
+    .from(IMAGE_BUCKET)
+    .upload(path, file, { cacheControl: '31536000', contentType: file.type });
+  
+  if (error) {
+    console.error('Error uploading image:', error);
+    throw error;
+  }
+  
+  return supabase.storage.from(IMAGE_BUCKET).getPublicUrl(path).data.publicUrl;
+}
+
 // =====================================================
 // SQUIRCLE ICON HELPERS
 // =====================================================
@@ -450,6 +1281,8 @@ export async function getInstitutionConfigLegacy() {
     lastUpdated: new Date().toISOString(),
     institutions: institutions.reduce((acc, inst) => {
       acc[inst.full_name] = {
+        name: inst.name,
+        archetype: getArchetypeKey(inst),
         avatar: inst.avatar_url,
         cover: inst.cover_url,
         bio: inst.bio,
@@ -483,6 +1316,8 @@ export async function getJurisdictionConfigLegacy() {
     lastUpdated: new Date().toISOString(),
     jurisdictions: jurisdictions.reduce((acc, jur) => {
       acc[jur.full_name] = {
+        name: jur.name,
+        label: jur.label,
         avatar: jur.avatar_url,
         cover: jur.cover_url,
         bio: jur.bio,
@@ -514,10 +1349,15 @@ export async function getDocumentsConfigLegacy() {
     item: doc.item_type,
     institution: doc.institution?.full_name || '',
     jurisdiction: doc.jurisdiction?.full_name || '',
+    institutionName: doc.institution?.name || '',
+    jurisdictionName: doc.jurisdiction?.name || '',
+    archetype: getArchetypeKey(doc.institution),
     version: doc.version,
     date: doc.doc_date,
     dateFormatted: formatDate(doc.doc_date),
-    visible: doc.visible
+    visible: doc.visible,
+    language: doc.language || 'en',
+    languages: [doc.language || 'en', ...(doc.translations || []).map(t => t.language)]
   }));
   
   // Transform carousels as Feed items
@@ -528,6 +1368,9 @@ export async function getDocumentsConfigLegacy() {
     item: 'Feed',
     institution: carousel.institution?.full_name || '',
     jurisdiction: carousel.jurisdiction?.full_name || '',
+    institutionName: carousel.institution?.name || '',
+    jurisdictionName: carousel.jurisdiction?.name || '',
+    archetype: getArchetypeKey(carousel.institution),
     version: 1,
     date: carousel.created_at,
     dateFormatted: formatDate(carousel.created_at),
@@ -546,18 +1389,11 @@ export async function getDocumentsConfigLegacy() {
 }
 
 /**
- * Format date for display
+ * Format date for display (Gregorian with Hijri in parentheses)
  * @param {string} dateStr - ISO date string
  * @returns {string} Formatted date string
  */
 function formatDate(dateStr) {
   if (!dateStr) return '';
-  const date = new Date(dateStr);
-  const day = String(date.getDate()).padStart(2, '0');
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const month = months[date.getMonth()];
-  const year = date.getFullYear();
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  return `${day} ${month} ${year} | ${hours}:${minutes}`;
+  return formatDisplayDate(dateStr);
 }
@@ -0,0 +1,320 @@
+/**
+ * Timetable Page Module
+ * Printable monthly / yearly prayer timetable with CSV and iCalendar export
+ *
+ * URL parameters (all optional):
+ *   ?month=2026-10            Month to show (default: current month)
+ *   ?year=2026                Whole year instead of a month
+ *   ?lat=..&lon=..&city=..&country=..&tz=..
+ *                             Fixed location (default: the reader's location)
+ *   ?institution=.. | ?jurisdiction=..
+ *                             Use that profile's calculation defaults
+ */
+
+import { prayerTimesService, LOCATION_QUALITY } from './prayer-times-service.js';
+import {
+  timetableToCSV,
+  timetableToICS,
+  timetableToDocumentHtml,
+  describeLocation,
+  describeMethod,
+  downloadTextFile
+} from './prayer-timetable-export.js';
+import { escapeHtml } from './utils.js';
+import { t, initLocale, formatDate } from './i18n.js';
+
+// ============================================================================
+// Dark Mode Toggle
+// ============================================================================
+
+const DARK_MODE_KEY = 'darkMode';
+
+function initDarkMode() {
+  const adminSeal = document.querySelector('.admin-seal');
+  if (!adminSeal) return;
+
+  const savedMode = localStorage.getItem(DARK_MODE_KEY);
+  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+
+  if (savedMode === 'true' || (!savedMode && prefersDark)) {
+    document.documentElement.classList.add('dark');
+  }
+
+  adminSeal.addEventListener('click', () => {
+    document.documentElement.classList.toggle('dark');
+    const isDark = document.documentElement.classList.contains('dark');
+    localStorage.setItem(DARK_MODE_KEY, isDark);
+  });
+}
+
+// ============================================================================
+// State
+// ============================================================================
+
+const TIMETABLE_COLUMNS = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+const state = {
+  location: null,
+  period: 'month',   // 'month' | 'year'
+  month: null,       // "YYYY-MM"
+  year: null,        // number
+  timetable: null
+};
+
+// ============================================================================
+// URL Handling
+// ============================================================================
+
+/**
+ * Read page options from the URL
+ */
+function readUrlOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const now = new Date();
+  const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+  const year = parseInt(params.get('year'), 10);
+  const month = params.get('month');
+
+  state.period = year && !month ? 'year' : 'month';
+  state.year = year || now.getFullYear();
+  state.month = /^\d{4}-\d{2}$/.test(month || '') ? month : currentMonth;
+
+  const lat = parseFloat(params.get('lat'));
+  const lon = parseFloat(params.get('lon'));
+
+  return {
+    location: !isNaN(lat) && !isNaN(lon)
+      ? {
+        latitude: lat,
+        longitude: lon,
+        city: params.get('city') || null,
+        country: params.get('country') || null,
+        timezone: params.get('tz') || undefined,
+        quality: LOCATION_QUALITY.GPS_CACHED
+      }
+      : null,
+    institution: params.get('institution'),
+    jurisdiction: params.get('jurisdiction')
+  };
+}
+
+/**
+ * Reflect the current period in the URL (keeps other parameters)
+ */
+function updateUrl() {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('month');
+  params.delete('year');
+  if (state.period === 'year') {
+    params.set('year', state.year);
+  } else {
+    params.set('month', state.month);
+  }
+  history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+}
+
+/**
+ * Date range for the current period
+ * @returns {{from: string, to: string}}
+ */
+function getRange() {
+  if (state.period === 'year') {
+    return { from: `${state.year}-01-01`, to: `${state.year}-12-31` };
+  }
+  const [year, month] = state.month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return { from: `${state.month}-01`, to: `${state.month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+/**
+ * File name stem for downloads
+ */
+function getFileStem() {
+  const place = describeLocation(state.timetable).replace(/[^\w]+/g, '-').replace(/^-|-$/g, '').toLowerCase();
+  const period = state.period === 'year' ? state.year : state.month;
+  return `prayer-times-${place}-${period}`;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Render the timetable table
+ */
+function renderTimetable() {
+  const container = document.getElementById('timetable');
+  const summary = document.getElementById('timetable-summary');
+  if (!container || !state.timetable) return;
+
+  const today = new Date().toLocaleDateString('en-CA');
+
+  if (summary) {
+    const fallbackNote = state.location?.quality === LOCATION_QUALITY.FALLBACK ? ` ${escapeHtml(t('location.fallback'))}` : '';
+    summary.innerHTML = `
+      <p><strong>${escapeHtml(describeLocation(state.timetable))}</strong>${fallbackNote}</p>
+      <p>${escapeHtml(describeMethod(state.timetable))}</p>
+    `;
+  }
+
+  const rows = state.timetable.days.map(day => {
+    const date = new Date(`${day.date}T12:00:00Z`);
+    const label = formatDate(date, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+    return `
+      <tr class="${day.date === today ? 'is-today' : ''}">
+        <td class="timetable-date">${escapeHtml(label)}</td>
+        ${TIMETABLE_COLUMNS.map(name => `<td>${escapeHtml(day.timings[name])}</td>`).join('')}
+      </tr>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <table class="prayer-timetable">
+      <thead>
+        <tr>
+          <th>${escapeHtml(t('timetable.date'))}</th>
+          ${TIMETABLE_COLUMNS.map(name => `<th>${escapeHtml(t(`prayer.name.${name.toLowerCase()}`))}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Load and render the timetable for the current period
+ */
+async function loadTimetable() {
+  const container = document.getElementById('timetable');
+  if (container) {
+    container.innerHTML = `
+      <div class="timetable-loading">
+        <span class="loading-spinner"></span>
+        <span>${escapeHtml(t('timetable.loading'))}</span>
+      </div>
+    `;
+  }
+
+  try {
+    const { from, to } = getRange();
+    state.timetable = await prayerTimesService.getTimetable(state.location, from, to);
+    renderTimetable();
+    updateUrl();
+  } catch (error) {
+    console.error('Failed to load timetable:', error);
+    if (container) {
+      container.innerHTML = `<p class="timetable-error">${escapeHtml(t('timetable.loadError', { message: error.message }))}</p>`;
+    }
+  }
+}
+
+// ============================================================================
+// Controls
+// ============================================================================
+
+/**
+ * Wire up period selectors and export buttons
+ */
+function initControls() {
+  const periodSelect = document.getElementById('timetable-period');
+  const monthInput = document.getElementById('timetable-month');
+  const yearInput = document.getElementById('timetable-year');
+
+  const syncInputs = () => {
+    if (periodSelect) periodSelect.value = state.period;
+    if (monthInput) {
+      monthInput.value = state.month;
+      monthInput.classList.toggle('hidden', state.period !== 'month');
+    }
+    if (yearInput) {
+      yearInput.value = state.year;
+      yearInput.classList.toggle('hidden', state.period !== 'year');
+    }
+  };
+  syncInputs();
+
+  periodSelect?.addEventListener('change', () => {
+    state.period = periodSelect.value;
+    syncInputs();
+    loadTimetable();
+  });
+
+  monthInput?.addEventListener('change', () => {
+    if (!monthInput.value) return;
+    state.month = monthInput.value;
+    loadTimetable();
+  });
+
+  yearInput?.addEventListener('change', () => {
+    const year = parseInt(yearInput.value, 10);
+    if (!year) return;
+    state.year = year;
+    loadTimetable();
+  });
+
+  document.getElementById('timetable-print')?.addEventListener('click', () => window.print());
+
+  document.getElementById('timetable-csv')?.addEventListener('click', () => {
+    if (!state.timetable) return;
+    downloadTextFile(`${getFileStem()}.csv`, timetableToCSV(state.timetable), 'text/csv');
+  });
+
+  document.getElementById('timetable-ics')?.addEventListener('click', () => {
+    if (!state.timetable) return;
+    downloadTextFile(`${getFileStem()}.ics`, timetableToICS(state.timetable), 'text/calendar');
+  });
+
+  document.getElementById('timetable-document')?.addEventListener('click', async (event) => {
+    if (!state.timetable) return;
+    const period = state.period === 'year' ? state.year : state.month;
+    const html = timetableToDocumentHtml(state.timetable, t('timetable.documentTitle', { period }));
+    try {
+      await navigator.clipboard.writeText(html);
+      event.target.textContent = t('common.copied');
+    } catch {
+      downloadTextFile(`${getFileStem()}.html`, html, 'text/html');
+    }
+  });
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+/**
+ * Apply calculation defaults of the profile named in the URL
+ */
+async function applyProfileDefaults(options) {
+  try {
+    const { getInstitutionFeedConfig, getJurisdictionFeedConfig } = await import('./config.js');
+    let feedConfig = null;
+    if (options.institution) {
+      feedConfig = await getInstitutionFeedConfig(options.institution);
+    } else if (options.jurisdiction) {
+      feedConfig = await getJurisdictionFeedConfig(options.jurisdiction);
+    }
+    if (feedConfig?.widget) {
+      await prayerTimesService.setProfileDefaults(feedConfig.widget);
+    }
+  } catch (error) {
+    console.warn('Error loading profile calculation defaults:', error);
+  }
+}
+
+async function initTimetablePage() {
+  initDarkMode();
+  initLocale();
+
+  const options = readUrlOptions();
+  initControls();
+
+  if (options.institution || options.jurisdiction) {
+    await applyProfileDefaults(options);
+  }
+
+  state.location = options.location || await prayerTimesService.getLocation();
+  await loadTimetable();
+}
+
+document.addEventListener('DOMContentLoaded', initTimetablePage);
@@ -14,7 +14,11 @@ export const CACHE_NAMESPACES = {
   GEOCODING: 'geocoding',
   LOCATION: 'location',
   CONFIG: 'config',
-  FEED: 'feed'
+  FEED: 'feed',
+  DOCUMENTS: 'documents',
+  LIBRARY: 'library',
+  INSTITUTIONS: 'institutions',
+  JURISDICTIONS: 'jurisdictions'
 };
 
 // Default TTL values
@@ -23,7 +27,11 @@ export const CACHE_DEFAULT_TTL = {
   GEOCODING: 7 * 24 * 60 * 60 * 1000, // 7 days
   LOCATION: 30 * 60 * 1000,           // 30 minutes (reasonable for prayer times)
   CONFIG: 5 * 60 * 1000,               // 5 minutes
-  FEED: 15 * 60 * 1000                 // 15 minutes
+  FEED: 15 * 60 * 1000,                // 15 minutes
+  DOCUMENTS: 60 * 60 * 1000,           // 1 hour (revalidated sooner, see data-repository.js)
+  LIBRARY: 10 * 60 * 1000,             // 10 minutes
+  INSTITUTIONS: 24 * 60 * 60 * 1000,   // 24 hours
+  JURISDICTIONS: 24 * 60 * 60 * 1000   // 24 hours
 };
 
 // Location precision for cache keys (4 decimals = ~11m accuracy)
@@ -325,9 +333,12 @@ class UnifiedCacheManager {
    * @param {Function} fetchFn - Async function to fetch fresh data
    * @param {number} ttl - Time to live in milliseconds
    * @param {number} staleTTL - Time before considering cache stale (default: 80% of TTL)
+   * @param {Object} options
+   * @param {boolean} options.revalidateStored - Also refresh in background when
+   *   the value comes from IndexedDB (its age is unknown there)
    * @returns {Promise<{value: *, isStale: boolean}>} Cached value and staleness flag
    */
-  async getOrFetchStale(key, fetchFn, ttl, staleTTL = ttl * 0.8) {
+  async getOrFetchStale(key, fetchFn, ttl, staleTTL = ttl * 0.8, { revalidateStored = false } = {}) {
     // Check memory cache first
     if (this.memoryCache.has(key)) {
       const cached = this.memoryCache.get(key);
@@ -351,6 +362,9 @@ class UnifiedCacheManager {
       if (value !== null) {
         // Restore to memory cache
         this.memoryCache.set(key, { value, timestamp: Date.now(), ttl });
+        if (revalidateStored) {
+          this._refreshInBackground(key, fetchFn, ttl);
+        }
         return { value, isStale: true }; // Assume stale if from IDB
       }
     } catch (error) {
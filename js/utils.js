@@ -3,38 +3,31 @@
  * Shared helper functions for the document management system
  */
 
+import { formatDisplayDate } from './i18n.js';
+import { readFilterParams, matchesFilters } from './library-facets.js';
+
 /**
  * Parse URL query parameters
- * @returns {Object} Object containing filter parameters
+ * @param {Location|URL} url - URL to read (default: the current page)
+ * @returns {Object} Filter state (see library-facets.js)
  */
-export function parseQueryParams() {
-  const params = new URLSearchParams(window.location.search);
-  return {
-    item: params.get('item'),
-    institution: params.get('institution'),
-    jurisdiction: params.get('jurisdiction')
-  };
+export function parseQueryParams(url = window.location) {
+  return readFilterParams(new URLSearchParams(url.search));
 }
 
 /**
  * Parse hash-based URL parameters (for client-side routing compatibility)
- * @returns {Object} Object containing filter parameters
+ * @param {Location|URL} url - URL to read (default: the current page)
+ * @returns {Object} Filter state (see library-facets.js)
  */
-export function parseHashParams() {
-  const hash = window.location.hash.slice(1); // Remove #
-  if (!hash) return { item: null, institution: null, jurisdiction: null };
-  
-  const params = new URLSearchParams(hash);
-  return {
-    item: params.get('item'),
-    institution: params.get('institution'),
-    jurisdiction: params.get('jurisdiction')
-  };
+export function parseHashParams(url = window.location) {
+  const hash = url.hash.slice(1); // Remove #
+  return readFilterParams(new URLSearchParams(hash));
 }
 
 /**
  * Build a filter URL for the library page
- * @param {string} type - Filter type (item, institution, jurisdiction)
+ * @param {string} type - Filter type (item, institution, jurisdiction, archetype, postedBy, postedIn)
  * @param {string} value - Filter value
  * @param {boolean} isAll - Whether this is the "All" option (no filter)
  * @returns {string} URL with query parameters
@@ -47,19 +40,12 @@ export function buildFilterUrl(type, value, isAll = false) {
 }
 
 /**
- * Format a date string for display
+ * Format a date string for display (Gregorian with Hijri in parentheses)
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date string
  */
 export function formatDate(dateString) {
-  const date = new Date(dateString);
-  const day = date.getDate().toString().padStart(2, '0');
-  const month = date.toLocaleString('en-US', { month: 'short' });
-  const year = date.getFullYear();
-  const hours = date.getHours().toString().padStart(2, '0');
-  const minutes = date.getMinutes().toString().padStart(2, '0');
-
-  return `${day} ${month} ${year} | ${hours}:${minutes}`;
+  return formatDisplayDate(dateString);
 }
 
 /**
@@ -76,20 +62,12 @@ export function sortDocuments(documents, sortBy) {
       return sorted.sort((a, b) => a.title.localeCompare(b.title));
 
     case 'postedIn':
-      // Sort by jurisdiction name (without [type] suffix)
-      return sorted.sort((a, b) => {
-        const aJurisdiction = (a.jurisdiction || "").replace(/\s*\[.*?\]\s*/g, "");
-        const bJurisdiction = (b.jurisdiction || "").replace(/\s*\[.*?\]\s*/g, "");
-        return aJurisdiction.localeCompare(bJurisdiction);
-      });
+      // Sort by jurisdiction display name
+      return sorted.sort((a, b) => (a.jurisdictionName || "").localeCompare(b.jurisdictionName || ""));
 
     case 'postedBy':
-      // Sort by institution name (without [type] suffix)
-      return sorted.sort((a, b) => {
-        const aInstitution = (a.institution || "").replace(/\s*\[.*?\]\s*/g, "");
-        const bInstitution = (b.institution || "").replace(/\s*\[.*?\]\s*/g, "");
-        return aInstitution.localeCompare(bInstitution);
-      });
+      // Sort by institution display name
+      return sorted.sort((a, b) => (a.institutionName || "").localeCompare(b.institutionName || ""));
 
     case 'version':
       // Keep for backward compatibility with profile mode
@@ -111,22 +89,11 @@ export function sortDocuments(documents, sortBy) {
 /**
  * Filter documents based on query parameters
  * @param {Array} documents - Array of document objects
- * @param {Object} filters - Filter criteria
+ * @param {Object} filters - Filter state (see library-facets.js)
  * @returns {Array} Filtered array
  */
 export function filterDocuments(documents, filters) {
-  return documents.filter(doc => {
-    if (filters.item && doc.item.toLowerCase() !== filters.item.toLowerCase()) {
-      return false;
-    }
-    if (filters.institution && doc.institution.toLowerCase() !== filters.institution.toLowerCase()) {
-      return false;
-    }
-    if (filters.jurisdiction && doc.jurisdiction.toLowerCase() !== filters.jurisdiction.toLowerCase()) {
-      return false;
-    }
-    return true;
-  });
+  return documents.filter(doc => matchesFilters(doc, filters));
 }
 
 /**
@@ -169,3 +136,54 @@ export function showError(message) {
     errorDiv.remove();
   }, 5000);
 }
+
+/**
+ * Show a toast at the bottom of the page, replacing the previous one
+ * @param {string} message - Toast text
+ * @param {Object} options
+ * @param {string} options.actionLabel - Label of the action button (none if empty)
+ * @param {Function} options.onAction - Called when the action is clicked (the toast closes)
+ * @param {string} options.closeLabel - Accessible label of the close button
+ * @param {number} options.duration - Milliseconds before it closes itself (0: stays)
+ * @returns {HTMLElement} Toast element
+ */
+export function showToast(message, { actionLabel = '', onAction = null, closeLabel = 'Close', duration = 0 } = {}) {
+  document.querySelector('.app-toast')?.remove();
+
+  const toast = document.createElement('div');
+  toast.className = 'app-toast';
+  toast.setAttribute('role', 'status');
+  toast.setAttribute('aria-live', 'polite');
+
+  const text = document.createElement('span');
+  text.className = 'app-toast-message';
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel) {
+    const action = document.createElement('button');
+    action.type = 'button';
+    action.className = 'app-toast-action';
+    action.textContent = actionLabel;
+    action.addEventListener('click', () => {
+      toast.remove();
+      onAction?.();
+    });
+    toast.appendChild(action);
+  }
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'app-toast-close';
+  close.setAttribute('aria-label', closeLabel);
+  close.textContent = '×';
+  close.addEventListener('click', () => toast.remove());
+  toast.appendChild(close);
+
+  document.body.appendChild(toast);
+
+  if (duration > 0) {
+    setTimeout(() => toast.remove(), duration);
+  }
+  return toast;
+}
@@ -52,24 +52,25 @@ const commonPlugins = [
 // Entry points for each page
 const entryPoints = [
   {
-    input: 'js/index-main.js',
-    name: 'index-main',
-    statsFile: 'dist/stats/index.html'
+    // index.html, library.html and document-viewer.html (see js/router.js)
+    input: 'js/app-main.js',
+    name: 'app-main',
+    statsFile: 'dist/stats/app.html'
   },
   {
-    input: 'js/library-main.js',
-    name: 'library-main',
-    statsFile: 'dist/stats/library.html'
+    input: 'js/timetable.js',
+    name: 'timetable',
+    statsFile: 'dist/stats/timetable.html'
   },
   {
-    input: 'js/marquee.js',
-    name: 'marquee',
-    statsFile: 'dist/stats/marquee.html'
+    input: 'js/publish-main.js',
+    name: 'publish-main',
+    statsFile: 'dist/stats/publish.html'
   },
   {
-    input: 'js/document-viewer.js',
-    name: 'document-viewer',
-    statsFile: 'dist/stats/document-viewer.html'
+    input: 'js/offline-main.js',
+    name: 'offline-main',
+    statsFile: 'dist/stats/offline.html'
   }
 ];
 
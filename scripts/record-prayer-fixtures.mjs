@@ -0,0 +1,120 @@
+/**
+ * Record Prayer Fixtures Script
+ * Records api.aladhan.com timings for the calculator tests
+ *
+ * Usage:
+ *   npm run record:prayer-fixtures
+ *
+ * Sends each case below to the API exactly as PrayerTimesService does
+ * (method id, school id, latitudeAdjustmentMethod=3) and writes the
+ * returned `data.timings` and `data.meta.timezone` to
+ * tests/fixtures/prayer-timings.js. tests/prayer-calculator.test.js then
+ * checks the offline calculator against them within a stated tolerance.
+ */
+
+import fs from 'fs';
+import { CALCULATION_METHODS, ASR_SCHOOLS, TIMING_NAMES } from '../js/prayer-calculator.js';
+
+// Configuration
+const OUTPUT_FILE = './tests/fixtures/prayer-timings.js';
+const API_URL = 'https://api.aladhan.com/v1/timings';
+
+/**
+ * Cases to record: several methods, both Asr schools and a range of latitudes
+ */
+const CASES = [
+  { name: 'Jakarta, KEMENAG', date: '2024-03-15', latitude: -6.2088, longitude: 106.8456, method: 'KEMENAG', school: 'SHAFI' },
+  { name: 'Makkah, Umm al-Qura', date: '2024-01-15', latitude: 21.4225, longitude: 39.8262, method: 'MAKKAH', school: 'SHAFI' },
+  { name: 'London, ISNA (summer)', date: '2024-06-21', latitude: 51.5074, longitude: -0.1278, method: 'ISNA', school: 'SHAFI' },
+  { name: 'London, MWL (winter)', date: '2024-12-21', latitude: 51.5074, longitude: -0.1278, method: 'MWL', school: 'SHAFI' },
+  { name: 'Karachi, Hanafi Asr', date: '2024-09-01', latitude: 24.8607, longitude: 67.0011, method: 'KARACHI', school: 'HANAFI' },
+  { name: 'Stockholm, MWL (twilight all night)', date: '2024-06-21', latitude: 59.3293, longitude: 18.0686, method: 'MWL', school: 'SHAFI' },
+  { name: 'Oslo, MWL (winter)', date: '2024-01-10', latitude: 59.9139, longitude: 10.7522, method: 'MWL', school: 'SHAFI' }
+];
+
+// =====================================================
+// RECORDING
+// =====================================================
+
+/**
+ * API request for a case, as PrayerTimesService builds it
+ * @returns {string} URL
+ */
+function buildRequestUrl({ date, latitude, longitude, method, school }) {
+  const [year, month, day] = date.split('-');
+  const params = new URLSearchParams({
+    latitude,
+    longitude,
+    method: CALCULATION_METHODS[method].id,
+    school: ASR_SCHOOLS[school].id,
+    latitudeAdjustmentMethod: 3
+  });
+  return `${API_URL}/${day}-${month}-${year}?${params}`;
+}
+
+/**
+ * Fetch the timings for one case
+ * @returns {Promise<Object>} Case with `timezone` and `timings` filled in
+ */
+async function recordCase(testCase) {
+  const response = await fetch(buildRequestUrl(testCase));
+  const body = await response.json();
+
+  if (body.code !== 200 || !body.data) {
+    throw new Error(`${testCase.name}: ${body.data || response.statusText}`);
+  }
+
+  // Some responses append the zone abbreviation ("04:40 (WIB)")
+  const timings = {};
+  TIMING_NAMES.forEach(name => {
+    timings[name] = body.data.timings[name].split(' ')[0];
+  });
+
+  return { ...testCase, timezone: body.data.meta.timezone, timings };
+}
+
+/**
+ * Fixture module source
+ */
+function renderFixtureFile(cases, recordedAt) {
+  const entries = cases.map(({ timings, ...testCase }) => `  {
+${Object.entries(testCase).map(([key, value]) => `    ${key}: ${JSON.stringify(value).replace(/"/g, "'")},`).join('\n')}
+    timings: { ${TIMING_NAMES.map(name => `${name}: '${timings[name]}'`).join(', ')} }
+  }`);
+
+  return `/**
+ * Aladhan prayer timings
+ *
+ * Each case is a request as PrayerTimesService sends it to api.aladhan.com
+ * (method id, school, latitudeAdjustmentMethod=3) with the \`data.timings\`
+ * and \`data.meta.timezone\` it returned, recorded on ${recordedAt} by
+ * scripts/record-prayer-fixtures.mjs. Re-run the script to refresh them;
+ * don't edit by hand.
+ */
+
+export const PRAYER_TIMING_FIXTURES = [
+${entries.join(',\n')}
+];
+`;
+}
+
+// =====================================================
+// MAIN
+// =====================================================
+
+async function main() {
+  const recorded = [];
+
+  for (const testCase of CASES) {
+    console.log(`🕌 ${testCase.name}...`);
+    recorded.push(await recordCase(testCase));
+  }
+
+  fs.writeFileSync(OUTPUT_FILE, renderFixtureFile(recorded, new Date().toISOString().slice(0, 10)));
+  console.log(`✅ Written ${OUTPUT_FILE}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Recording failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,296 @@
+/**
+ * Render Document Script
+ * Renders a document (any version) to a self-contained, paginated HTML file
+ * ready for "Print → Save as PDF" or an HTML-to-PDF tool
+ *
+ * Usage:
+ *   npm run render:document -- book0
+ *   npm run render:document -- book0 --version 2 --out ./book0-v2.html
+ *
+ * Options:
+ *   --version N     Version to render (default: latest)
+ *   --out PATH      Output file (default: dist/print/<doc_id>-v<N>.html)
+ *   --base-url URL  Site URL for the permalink and QR code
+ *                   (default: SITE_URL from .env; omitted when unset)
+ *
+ * Reads SUPABASE_URL and SUPABASE_ANON_KEY from .env. The page layout
+ * mirrors js/document-viewer.js, with the @page rules, QR permalink and
+ * date formats taken from the same modules (js/document-print.js,
+ * js/i18n.js) so the two cannot drift; styles come from
+ * dist/output.css (run `npm run build:css` first), with fonts and the
+ * admin seal inlined so the file works offline. Document HTML goes through
+ * the same allowlist sanitizer as the viewer (js/html-sanitizer.js, on a
+ * jsdom window), and a Content-Security-Policy blocks every script in the
+ * output as a second line of defence.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { JSDOM } from 'jsdom';
+import { sanitizeHtml } from '../js/html-sanitizer.js';
+import { buildPrintPageCss, buildPrintPermalinkHtml } from '../js/document-print.js';
+import { formatDate, formatDisplayDate } from '../js/i18n.js';
+
+dotenv.config();
+
+// Configuration
+const OUTPUT_DIR = './dist/print';
+const STYLESHEET = './dist/output.css';
+const ADMIN_SEAL = './images/admin-seal.webp';
+const FONTS_DIR = './fonts';
+
+// =====================================================
+// ARGUMENTS
+// =====================================================
+
+/**
+ * Parse command line arguments
+ * @returns {{docId: string, version: number|null, out: string|null, baseUrl: string}}
+ */
+function parseArgs(argv) {
+  const options = { docId: null, version: null, out: null, baseUrl: process.env.SITE_URL || '' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--version') {
+      options.version = parseInt(argv[++i], 10) || null;
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+    } else if (arg === '--base-url') {
+      options.baseUrl = argv[++i];
+    } else if (!arg.startsWith('--') && !options.docId) {
+      options.docId = arg;
+    }
+  }
+
+  return options;
+}
+
+// =====================================================
+// DATA
+// =====================================================
+
+/**
+ * Fetch a document, optionally at a specific version
+ * @returns {Promise<Object>} Document row (version fields overlaid)
+ */
+async function fetchDocument(supabase, docId, version) {
+  const { data: doc, error } = await supabase
+    .from('documents')
+    .select(`
+      *,
+      institution:institutions(id, name, full_name, label),
+      jurisdiction:jurisdictions(id, name, full_name, label)
+    `)
+    .eq('doc_id', docId)
+    .single();
+
+  if (error) {
+    throw new Error(error.code === 'PGRST116' ? `Document "${docId}" not found` : error.message);
+  }
+
+  if (!version || version === (doc.version || 1)) {
+    return doc;
+  }
+
+  const { data: row, error: versionError } = await supabase
+    .from('document_versions')
+    .select('version, title, content, doc_date')
+    .eq('doc_id', docId)
+    .eq('version', version)
+    .single();
+
+  if (versionError) {
+    throw new Error(versionError.code === 'PGRST116' ? `Version ${version} of "${docId}" not found` : versionError.message);
+  }
+
+  return { ...doc, ...row };
+}
+
+// =====================================================
+// FORMATTING
+// =====================================================
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Clean document HTML with the viewer's allowlist sanitizer
+ * The sanitizer parses with DOMParser, which Node lacks, so it runs
+ * against a jsdom window.
+ */
+function sanitizeDocumentContent(html) {
+  if (!globalThis.DOMParser) {
+    const { window } = new JSDOM('');
+    globalThis.DOMParser = window.DOMParser;
+    globalThis.Node = window.Node;
+  }
+  return sanitizeHtml(html);
+}
+
+/**
+ * Format a date like the viewer
+ * @returns {{full: string, short: string}} "05/Mar/2025 (4 Ramadan 1446 AH) | 10:00"
+ *   for the header, "Mar 05, 2025" for the running footer
+ */
+function formatDocumentDate(dateStr) {
+  if (!dateStr) return { full: '', short: '' };
+  return {
+    full: formatDisplayDate(dateStr, '/'),
+    short: formatDate(dateStr, { day: '2-digit', month: 'short', year: 'numeric' })
+  };
+}
+
+// =====================================================
+// ASSETS
+// =====================================================
+
+/**
+ * Read a file as a data: URL
+ */
+function toDataUrl(filePath, mimeType) {
+  return `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+/**
+ * Built stylesheet with fonts inlined
+ */
+function loadStylesheet() {
+  if (!fs.existsSync(STYLESHEET)) {
+    console.warn(`⚠️  ${STYLESHEET} not found - run "npm run build:css" for full styling`);
+    return '';
+  }
+
+  return fs.readFileSync(STYLESHEET, 'utf8').replace(/url\(['"]?\/fonts\/([^'")]+)['"]?\)/g, (match, file) => {
+    const fontPath = path.join(FONTS_DIR, file);
+    return fs.existsSync(fontPath) ? `url(${toDataUrl(fontPath, 'font/woff2')})` : match;
+  });
+}
+
+// =====================================================
+// RENDERING
+// =====================================================
+
+/**
+ * Build the paginated HTML file
+ */
+function renderDocumentFile(doc, permalink) {
+  const institutionName = doc.institution?.full_name || 'Unknown Institution';
+  const jurisdictionName = doc.jurisdiction?.full_name || 'Unknown Jurisdiction';
+  const version = doc.version || 1;
+  const date = formatDocumentDate(doc.doc_date);
+
+  const pageCss = buildPrintPageCss({
+    institution: institutionName,
+    jurisdiction: jurisdictionName,
+    version,
+    date: date.short
+  });
+
+  const permalinkBlock = permalink ? buildPrintPermalinkHtml(permalink) : '';
+
+  const seal = fs.existsSync(ADMIN_SEAL) ? toDataUrl(ADMIN_SEAL, 'image/webp') : '';
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data: https:; style-src 'unsafe-inline'; font-src data:" />
+    <title>DAARUSSALAAM — ${escapeHtml(doc.title)} (v${version})</title>
+    <style>${loadStylesheet()}</style>
+    <style>${pageCss}</style>
+  </head>
+  <body>
+    <div class="paper-sheet">
+      <div class="document-body">
+        ${seal ? `<img src="${seal}" alt="Administrative Seal" class="admin-seal" />` : ''}
+        <div class="arabic right">
+          <p>بسم الله الرحمن الرحيم</p>
+          <p>
+            <em>In the name of Allah. The Most Compassionate. The Most Merciful.</em>
+          </p>
+        </div>
+
+        <hr />
+        <p>Institution : ${escapeHtml(institutionName)}</p>
+        <p>Jurisdiction : ${escapeHtml(jurisdictionName)}</p>
+        <p>Version : ${version}</p>
+        ${date.full ? `<p>Date : ${escapeHtml(date.full)}</p>` : ''}
+        <hr />
+
+        <div class="document-content">${sanitizeDocumentContent(doc.content) || '<p>No content available.</p>'}</div>
+
+        <hr />
+        <div class="arabic right">
+          <p>اهدنا الصراط المستقيم</p>
+          <p><em>Guide us to the straight path.</em></p>
+        </div>
+
+        <hr />
+
+        <strong><p class="end-book">END OF ${escapeHtml(doc.item_type?.toUpperCase() || 'DOCUMENT')}</p></strong>
+        ${permalinkBlock}
+      </div>
+    </div>
+  </body>
+</html>
+`;
+}
+
+// =====================================================
+// MAIN
+// =====================================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.docId) {
+    console.error('Usage: npm run render:document -- <doc_id> [--version N] [--out PATH] [--base-url URL]');
+    process.exit(1);
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY;
+  if (!supabaseUrl || !supabaseKey) {
+    console.error('❌ SUPABASE_URL and SUPABASE_ANON_KEY must be set in .env');
+    process.exit(1);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  console.log(`📄 Rendering ${options.docId}${options.version ? ` (v${options.version})` : ''}...`);
+  const doc = await fetchDocument(supabase, options.docId, options.version);
+  const version = doc.version || 1;
+
+  let permalink = '';
+  if (options.baseUrl) {
+    const url = new URL('document-viewer.html', options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`);
+    url.searchParams.set('doc', options.docId);
+    url.searchParams.set('v', version);
+    permalink = url.toString();
+  } else {
+    console.warn('⚠️  No --base-url or SITE_URL - the permalink and QR code are omitted');
+  }
+
+  const outFile = options.out || path.join(OUTPUT_DIR, `${options.docId}-v${version}.html`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, renderDocumentFile(doc, permalink));
+
+  console.log(`✅ Written ${outFile}`);
+  console.log('   Open it in a browser and use Print → Save as PDF.');
+}
+
+main().catch((error) => {
+  console.error('❌ Render failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+-- =====================================================
+-- DOCUMENT VERSION HISTORY
+-- =====================================================
+-- Every version of a document's content is kept in document_versions.
+-- The documents table stays the "latest" row; a trigger snapshots it into
+-- document_versions whenever it is inserted or its title, content, version
+-- or date changes. Editing a document without bumping `version` updates
+-- that version's snapshot in place.
+
+create table if not exists public.document_versions (
+  id bigint generated always as identity primary key,
+  doc_id text not null references public.documents (doc_id) on update cascade on delete cascade,
+  version integer not null,
+  title text not null,
+  content text,
+  doc_date timestamptz,
+  created_at timestamptz not null default now(),
+  unique (doc_id, version)
+);
+
+create index if not exists document_versions_doc_id_idx
+  on public.document_versions (doc_id, version desc);
+
+-- Snapshot the current row of documents
+create or replace function public.snapshot_document_version()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.document_versions (doc_id, version, title, content, doc_date)
+  values (new.doc_id, coalesce(new.version, 1), new.title, new.content, new.doc_date)
+  on conflict (doc_id, version) do update
+    set title = excluded.title,
+        content = excluded.content,
+        doc_date = excluded.doc_date;
+  return new;
+end;
+$$;
+
+drop trigger if exists documents_snapshot_version on public.documents;
+create trigger documents_snapshot_version
+  after insert or update of title, content, version, doc_date on public.documents
+  for each row execute function public.snapshot_document_version();
+
+-- Backfill: the current content becomes the first recorded version
+insert into public.document_versions (doc_id, version, title, content, doc_date)
+select doc_id, coalesce(version, 1), title, content, doc_date
+from public.documents
+on conflict (doc_id, version) do nothing;
+
+-- Readers can see the history of visible documents only
+alter table public.document_versions enable row level security;
+
+drop policy if exists "Public read access to visible document versions" on public.document_versions;
+create policy "Public read access to visible document versions"
+  on public.document_versions for select
+  to anon, authenticated
+  using (
+    exists (
+      select 1 from public.documents d
+      where d.doc_id = document_versions.doc_id and d.visible
+    )
+  );
@@ -0,0 +1,62 @@
+-- =====================================================
+-- DOCUMENT TRANSLATIONS
+-- =====================================================
+-- documents.language is the language of documents.content (the original).
+-- document_translations holds one row per additional language, keyed by
+-- a BCP 47 language code ("ar", "en", "ms", "ur", "id", ...).
+-- source_version records which version of the original was translated so
+-- the viewer can flag translations that lag behind the latest version.
+
+alter table public.documents
+  add column if not exists language text not null default 'en';
+
+create table if not exists public.document_translations (
+  id bigint generated always as identity primary key,
+  doc_id text not null references public.documents (doc_id) on update cascade on delete cascade,
+  language text not null check (language ~ '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$'),
+  title text,
+  content text not null,
+  source_version integer,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (doc_id, language)
+);
+
+create index if not exists document_translations_doc_id_idx
+  on public.document_translations (doc_id);
+
+-- Keep updated_at current and default source_version to the document's version
+create or replace function public.touch_document_translation()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.updated_at := now();
+  if new.source_version is null then
+    select coalesce(d.version, 1) into new.source_version
+    from public.documents d
+    where d.doc_id = new.doc_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists document_translations_touch on public.document_translations;
+create trigger document_translations_touch
+  before insert or update on public.document_translations
+  for each row execute function public.touch_document_translation();
+
+-- Readers can see translations of visible documents only
+alter table public.document_translations enable row level security;
+
+drop policy if exists "Public read access to visible document translations" on public.document_translations;
+create policy "Public read access to visible document translations"
+  on public.document_translations for select
+  to anon, authenticated
+  using (
+    exists (
+      select 1 from public.documents d
+      where d.doc_id = document_translations.doc_id and d.visible
+    )
+  );
@@ -0,0 +1,200 @@
+-- =====================================================
+-- INSTITUTION PUBLISHING
+-- =====================================================
+-- Signed-in members of an institution can manage its own documents,
+-- carousels, profile fields and feed widget from publish.html.
+-- Membership lives in institution_users (added by an administrator in the
+-- dashboard); every write below is checked against it by row-level security,
+-- so the anon key never grants more than the policies allow.
+
+create table if not exists public.institution_users (
+  id bigint generated always as identity primary key,
+  institution_id bigint not null references public.institutions (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (institution_id, user_id)
+);
+
+create index if not exists institution_users_user_id_idx
+  on public.institution_users (user_id);
+
+alter table public.institution_users enable row level security;
+
+-- Members can see their own memberships (to list the institutions they manage)
+drop policy if exists "Users read their own institution memberships" on public.institution_users;
+create policy "Users read their own institution memberships"
+  on public.institution_users for select
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Whether the signed-in user is a member of an institution.
+-- Security definer so policies on other tables can call it without
+-- depending on institution_users' own policies.
+create or replace function public.is_institution_member(target_institution_id bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.institution_users iu
+    where iu.institution_id = target_institution_id
+      and iu.user_id = auth.uid()
+  );
+$$;
+
+revoke all on function public.is_institution_member(bigint) from public;
+grant execute on function public.is_institution_member(bigint) to anon, authenticated;
+
+-- =====================================================
+-- DOCUMENTS
+-- =====================================================
+-- Members also see their hidden (draft) documents so they can edit and
+-- preview them. New versions are recorded by snapshot_document_version().
+
+drop policy if exists "Members read their institution documents" on public.documents;
+create policy "Members read their institution documents"
+  on public.documents for select
+  to authenticated
+  using (public.is_institution_member(institution_id));
+
+drop policy if exists "Members create institution documents" on public.documents;
+create policy "Members create institution documents"
+  on public.documents for insert
+  to authenticated
+  with check (public.is_institution_member(institution_id));
+
+drop policy if exists "Members update institution documents" on public.documents;
+create policy "Members update institution documents"
+  on public.documents for update
+  to authenticated
+  using (public.is_institution_member(institution_id))
+  with check (public.is_institution_member(institution_id));
+
+drop policy if exists "Members delete institution documents" on public.documents;
+create policy "Members delete institution documents"
+  on public.documents for delete
+  to authenticated
+  using (public.is_institution_member(institution_id));
+
+drop policy if exists "Members read their institution document versions" on public.document_versions;
+create policy "Members read their institution document versions"
+  on public.document_versions for select
+  to authenticated
+  using (
+    exists (
+      select 1 from public.documents d
+      where d.doc_id = document_versions.doc_id
+        and public.is_institution_member(d.institution_id)
+    )
+  );
+
+-- =====================================================
+-- CAROUSELS
+-- =====================================================
+
+drop policy if exists "Members read their institution carousels" on public.carousels;
+create policy "Members read their institution carousels"
+  on public.carousels for select
+  to authenticated
+  using (public.is_institution_member(institution_id));
+
+drop policy if exists "Members create institution carousels" on public.carousels;
+create policy "Members create institution carousels"
+  on public.carousels for insert
+  to authenticated
+  with check (public.is_institution_member(institution_id));
+
+drop policy if exists "Members update institution carousels" on public.carousels;
+create policy "Members update institution carousels"
+  on public.carousels for update
+  to authenticated
+  using (public.is_institution_member(institution_id))
+  with check (public.is_institution_member(institution_id));
+
+drop policy if exists "Members delete institution carousels" on public.carousels;
+create policy "Members delete institution carousels"
+  on public.carousels for delete
+  to authenticated
+  using (public.is_institution_member(institution_id));
+
+-- Slides follow the carousel they belong to
+drop policy if exists "Members manage institution carousel slides" on public.carousel_slides;
+create policy "Members manage institution carousel slides"
+  on public.carousel_slides for all
+  to authenticated
+  using (
+    exists (
+      select 1 from public.carousels c
+      where c.id = carousel_slides.carousel_id
+        and public.is_institution_member(c.institution_id)
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.carousels c
+      where c.id = carousel_slides.carousel_id
+        and public.is_institution_member(c.institution_id)
+    )
+  );
+
+-- =====================================================
+-- INSTITUTION PROFILE
+-- =====================================================
+-- Members may edit the profile and feed widget columns only; name,
+-- full_name and label stay with administrators.
+
+revoke update on public.institutions from anon, authenticated;
+grant update (
+  bio,
+  avatar_url,
+  cover_url,
+  contact_email,
+  contact_phone,
+  contact_address,
+  contact_website,
+  feed_widget_enabled,
+  feed_widget_type
+) on public.institutions to authenticated;
+
+drop policy if exists "Members update their institution profile" on public.institutions;
+create policy "Members update their institution profile"
+  on public.institutions for update
+  to authenticated
+  using (public.is_institution_member(id))
+  with check (public.is_institution_member(id));
+
+-- =====================================================
+-- STORAGE
+-- =====================================================
+-- Members upload images under institutions/<institution id>/ in the
+-- ummah-images bucket. Public read access is configured with the bucket.
+
+drop policy if exists "Members upload institution images" on storage.objects;
+create policy "Members upload institution images"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'ummah-images'
+    and (storage.foldername(name))[1] = 'institutions'
+    and case
+      when (storage.foldername(name))[2] ~ '^[0-9]+$'
+        then public.is_institution_member(((storage.foldername(name))[2])::bigint)
+      else false
+    end
+  );
+
+drop policy if exists "Members delete institution images" on storage.objects;
+create policy "Members delete institution images"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'ummah-images'
+    and (storage.foldername(name))[1] = 'institutions'
+    and case
+      when (storage.foldername(name))[2] ~ '^[0-9]+$'
+        then public.is_institution_member(((storage.foldername(name))[2])::bigint)
+      else false
+    end
+  );
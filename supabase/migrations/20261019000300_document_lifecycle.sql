@@ -0,0 +1,301 @@
+-- =====================================================
+-- DOCUMENT LIFECYCLE
+-- =====================================================
+-- Documents move through
+--   draft → in_review → approved → published (optionally scheduled) → archived
+-- Documents posted in a jurisdiction are approved by that jurisdiction's
+-- members (jurisdiction_users); documents without a jurisdiction go from
+-- draft straight to published.
+--
+-- Readers see published documents once publish_at has passed; archived
+-- documents stay readable by link (the viewer marks them archived) but
+-- leave the library. `visible` is kept in step with the status for older
+-- clients: it is true only while a document is published.
+
+alter table public.documents
+  add column if not exists status text not null default 'draft'
+    check (status in ('draft', 'in_review', 'approved', 'published', 'archived')),
+  add column if not exists publish_at timestamptz,
+  add column if not exists submitted_at timestamptz,
+  add column if not exists reviewed_by uuid references auth.users (id) on delete set null,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists review_note text,
+  add column if not exists archived_at timestamptz;
+
+-- Existing documents: visible ones are published, the rest stay drafts
+update public.documents
+set status = 'published',
+    publish_at = coalesce(publish_at, doc_date, now())
+where status = 'draft' and visible;
+
+create index if not exists documents_status_publish_at_idx
+  on public.documents (status, publish_at);
+
+-- =====================================================
+-- JURISDICTION REVIEWERS
+-- =====================================================
+
+create table if not exists public.jurisdiction_users (
+  id bigint generated always as identity primary key,
+  jurisdiction_id bigint not null references public.jurisdictions (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (jurisdiction_id, user_id)
+);
+
+create index if not exists jurisdiction_users_user_id_idx
+  on public.jurisdiction_users (user_id);
+
+alter table public.jurisdiction_users enable row level security;
+
+drop policy if exists "Users read their own jurisdiction memberships" on public.jurisdiction_users;
+create policy "Users read their own jurisdiction memberships"
+  on public.jurisdiction_users for select
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Whether the signed-in user reviews for a jurisdiction
+create or replace function public.is_jurisdiction_member(target_jurisdiction_id bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.jurisdiction_users ju
+    where ju.jurisdiction_id = target_jurisdiction_id
+      and ju.user_id = auth.uid()
+  );
+$$;
+
+revoke all on function public.is_jurisdiction_member(bigint) from public;
+grant execute on function public.is_jurisdiction_member(bigint) to anon, authenticated;
+
+-- =====================================================
+-- READER VISIBILITY
+-- =====================================================
+
+-- Whether readers may open a document with this status
+create or replace function public.document_is_readable(doc_status text, doc_publish_at timestamptz)
+returns boolean
+language sql
+stable
+as $$
+  select doc_status = 'archived'
+    or (doc_status = 'published' and (doc_publish_at is null or doc_publish_at <= now()));
+$$;
+
+-- Restrictive: applies on top of every other select policy, so unpublished
+-- and scheduled documents stay hidden from everyone but their institution
+-- and reviewers
+drop policy if exists "Lifecycle limits document reads" on public.documents;
+create policy "Lifecycle limits document reads"
+  on public.documents as restrictive for select
+  to anon, authenticated
+  using (
+    public.document_is_readable(status, publish_at)
+    or public.is_institution_member(institution_id)
+    or (jurisdiction_id is not null and public.is_jurisdiction_member(jurisdiction_id))
+  );
+
+drop policy if exists "Public read access to readable documents" on public.documents;
+create policy "Public read access to readable documents"
+  on public.documents for select
+  to anon, authenticated
+  using (public.document_is_readable(status, publish_at));
+
+drop policy if exists "Reviewers read submitted documents" on public.documents;
+create policy "Reviewers read submitted documents"
+  on public.documents for select
+  to authenticated
+  using (
+    status <> 'draft'
+    and jurisdiction_id is not null
+    and public.is_jurisdiction_member(jurisdiction_id)
+  );
+
+drop policy if exists "Reviewers update submitted documents" on public.documents;
+create policy "Reviewers update submitted documents"
+  on public.documents for update
+  to authenticated
+  using (
+    status <> 'draft'
+    and jurisdiction_id is not null
+    and public.is_jurisdiction_member(jurisdiction_id)
+  )
+  with check (
+    jurisdiction_id is not null
+    and public.is_jurisdiction_member(jurisdiction_id)
+  );
+
+-- History and translations follow the document
+drop policy if exists "Public read access to visible document versions" on public.document_versions;
+create policy "Public read access to visible document versions"
+  on public.document_versions for select
+  to anon, authenticated
+  using (
+    exists (
+      select 1 from public.documents d
+      where d.doc_id = document_versions.doc_id
+        and public.document_is_readable(d.status, d.publish_at)
+    )
+  );
+
+drop policy if exists "Public read access to visible document translations" on public.document_translations;
+create policy "Public read access to visible document translations"
+  on public.document_translations for select
+  to anon, authenticated
+  using (
+    exists (
+      select 1 from public.documents d
+      where d.doc_id = document_translations.doc_id
+        and public.document_is_readable(d.status, d.publish_at)
+    )
+  );
+
+-- =====================================================
+-- TRANSITIONS
+-- =====================================================
+-- Signed-in users may only make the moves below; writes from the dashboard
+-- or the service role (no auth.uid()) are trusted as-is.
+--
+--   draft      → in_review   institution (document has a jurisdiction)
+--   draft      → published   institution (document has no jurisdiction)
+--   in_review  → draft       institution (withdraw) or reviewer (changes requested)
+--   in_review  → approved    reviewer
+--   approved   → draft       institution or reviewer
+--   approved   → published   institution
+--   published  → draft       institution (unpublish)
+--   published  → archived    institution or reviewer
+--   archived   → published   institution (restore)
+--
+-- Editing a document that is in review or approved sends it back to draft,
+-- and so does editing a published or archived document that needs review
+-- (it is unpublished until approved again). A status change cannot carry
+-- content edits past review: changed content only moves to draft or
+-- in_review, so restoring an edited archived document needs approval too.
+
+create or replace function public.enforce_document_lifecycle()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  actor uuid := auth.uid();
+  needs_review boolean := new.jurisdiction_id is not null;
+  is_publisher boolean;
+  is_reviewer boolean;
+  content_changed boolean;
+begin
+  if actor is null then
+    new.visible := new.status = 'published';
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if not (
+      new.status = 'draft'
+      or (new.status = 'in_review' and needs_review)
+      or (new.status = 'published' and not needs_review)
+    ) then
+      raise exception 'A new document cannot start as %', new.status
+        using errcode = 'insufficient_privilege';
+    end if;
+
+    if new.status = 'in_review' then
+      new.submitted_at := now();
+    elsif new.status = 'published' then
+      new.publish_at := coalesce(new.publish_at, now());
+    end if;
+
+    new.reviewed_by := null;
+    new.reviewed_at := null;
+    new.archived_at := null;
+    new.visible := new.status = 'published';
+    return new;
+  end if;
+
+  is_publisher := public.is_institution_member(old.institution_id);
+  is_reviewer := old.jurisdiction_id is not null and public.is_jurisdiction_member(old.jurisdiction_id);
+  content_changed := (new.doc_id, new.title, new.content, new.version, new.doc_date, new.item_type,
+                      new.language, new.institution_id, new.jurisdiction_id)
+    is distinct from (old.doc_id, old.title, old.content, old.version, old.doc_date, old.item_type,
+                      old.language, old.institution_id, old.jurisdiction_id);
+
+  -- Reviewers decide; they do not edit
+  if not is_publisher and (content_changed or new.publish_at is distinct from old.publish_at) then
+    raise exception 'Reviewers can only change the status of a document'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  -- Bookkeeping columns are set here, not by clients
+  new.submitted_at := old.submitted_at;
+  new.reviewed_by := old.reviewed_by;
+  new.reviewed_at := old.reviewed_at;
+  new.archived_at := old.archived_at;
+
+  if new.status is distinct from old.status then
+    if content_changed and needs_review and new.status not in ('draft', 'in_review') then
+      raise exception 'Changed content needs review before the document is %', new.status
+        using errcode = 'insufficient_privilege';
+    end if;
+
+    if not (
+      (old.status = 'draft' and new.status = 'in_review' and is_publisher and needs_review)
+      or (old.status = 'draft' and new.status = 'published' and is_publisher and not needs_review)
+      or (old.status = 'in_review' and new.status = 'draft' and (is_publisher or is_reviewer))
+      or (old.status = 'in_review' and new.status = 'approved' and is_reviewer)
+      or (old.status = 'approved' and new.status = 'draft' and (is_publisher or is_reviewer))
+      or (old.status = 'approved' and new.status = 'published' and is_publisher)
+      or (old.status = 'published' and new.status = 'draft' and is_publisher)
+      or (old.status = 'published' and new.status = 'archived' and (is_publisher or is_reviewer))
+      or (old.status = 'archived' and new.status = 'published' and is_publisher)
+    ) then
+      raise exception 'A document cannot move from % to %', old.status, new.status
+        using errcode = 'insufficient_privilege';
+    end if;
+
+    if new.status = 'in_review' then
+      new.submitted_at := now();
+      new.review_note := null;
+    elsif new.status = 'approved' then
+      new.reviewed_by := actor;
+      new.reviewed_at := now();
+    elsif new.status = 'published' and old.status <> 'archived' then
+      new.publish_at := coalesce(new.publish_at, now());
+    elsif new.status = 'archived' then
+      new.archived_at := now();
+    end if;
+
+    if old.status = 'archived' then
+      new.archived_at := null;
+    end if;
+    if new.status = 'draft' then
+      new.reviewed_by := null;
+      new.reviewed_at := null;
+    end if;
+  elsif content_changed and (old.status in ('in_review', 'approved')
+                             or (needs_review and old.status in ('published', 'archived'))) then
+    -- What was reviewed is no longer what would be (or is) published
+    new.status := 'draft';
+    new.reviewed_by := null;
+    new.reviewed_at := null;
+    new.archived_at := null;
+  end if;
+
+  if new.status = 'published' and new.jurisdiction_id is distinct from old.jurisdiction_id then
+    raise exception 'Move the document back to draft before changing its jurisdiction'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  new.visible := new.status = 'published';
+  return new;
+end;
+$$;
+
+drop trigger if exists documents_enforce_lifecycle on public.documents;
+create trigger documents_enforce_lifecycle
+  before insert or update on public.documents
+  for each row execute function public.enforce_document_lifecycle();
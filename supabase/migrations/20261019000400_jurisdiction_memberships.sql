@@ -0,0 +1,90 @@
+-- =====================================================
+-- JURISDICTION MEMBERSHIPS
+-- =====================================================
+-- Which institutions belong to a jurisdiction. Until now the site worked
+-- out a jurisdiction's "contributors" from the institutions that had posted
+-- documents in it; this makes membership explicit, so members that have not
+-- posted yet are listed too.
+--
+-- Roles:    member, observer, moderator
+-- Statuses: pending (applied or invited), active, inactive (left or removed)
+--
+-- Readers see active memberships. Reviewers of a jurisdiction
+-- (jurisdiction_users) manage its memberships; institution members can see
+-- every membership of their own institution, whatever its status.
+
+create table if not exists public.jurisdiction_memberships (
+  id bigint generated always as identity primary key,
+  jurisdiction_id bigint not null references public.jurisdictions (id) on delete cascade,
+  institution_id bigint not null references public.institutions (id) on delete cascade,
+  role text not null default 'member'
+    check (role in ('member', 'observer', 'moderator')),
+  status text not null default 'active'
+    check (status in ('pending', 'active', 'inactive')),
+  joined_at timestamptz not null default now(),
+  left_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (jurisdiction_id, institution_id)
+);
+
+create index if not exists jurisdiction_memberships_institution_id_idx
+  on public.jurisdiction_memberships (institution_id);
+
+alter table public.jurisdiction_memberships enable row level security;
+
+drop policy if exists "Public read access to active jurisdiction memberships" on public.jurisdiction_memberships;
+create policy "Public read access to active jurisdiction memberships"
+  on public.jurisdiction_memberships for select
+  to anon, authenticated
+  using (status = 'active');
+
+drop policy if exists "Members read their institution memberships" on public.jurisdiction_memberships;
+create policy "Members read their institution memberships"
+  on public.jurisdiction_memberships for select
+  to authenticated
+  using (public.is_institution_member(institution_id));
+
+drop policy if exists "Reviewers manage jurisdiction memberships" on public.jurisdiction_memberships;
+create policy "Reviewers manage jurisdiction memberships"
+  on public.jurisdiction_memberships for all
+  to authenticated
+  using (public.is_jurisdiction_member(jurisdiction_id))
+  with check (public.is_jurisdiction_member(jurisdiction_id));
+
+-- left_at follows the status
+create or replace function public.set_jurisdiction_membership_left_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'inactive' then
+    new.left_at := coalesce(new.left_at, now());
+  else
+    new.left_at := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists jurisdiction_memberships_set_left_at on public.jurisdiction_memberships;
+create trigger jurisdiction_memberships_set_left_at
+  before insert or update on public.jurisdiction_memberships
+  for each row execute function public.set_jurisdiction_membership_left_at();
+
+-- =====================================================
+-- BACKFILL
+-- =====================================================
+-- Every institution that has posted in a jurisdiction becomes an active
+-- member, joined on the date of its first document there.
+
+insert into public.jurisdiction_memberships (jurisdiction_id, institution_id, role, status, joined_at)
+select d.jurisdiction_id,
+       d.institution_id,
+       'member',
+       'active',
+       coalesce(min(d.doc_date)::timestamptz, now())
+from public.documents d
+where d.jurisdiction_id is not null
+  and d.institution_id is not null
+group by d.jurisdiction_id, d.institution_id
+on conflict (jurisdiction_id, institution_id) do nothing;
@@ -0,0 +1,82 @@
+-- =====================================================
+-- INSTITUTION ARCHETYPES
+-- =====================================================
+-- An institution's archetype (profit model × visibility) used to live only
+-- in the bracket suffix of its full name, e.g.
+--   "Ummah Cabinet [Non-Profit • Private]"
+-- and was parsed back out by the site. It is now stored in its own columns:
+--
+--   profit_model   non_profit | profit | user_paid
+--   visibility     private | public | at_cost
+--
+-- Allowed pairs are the archetypes in md/account-archetypes.md.
+-- full_name keeps its suffix (it is the key used in ?institution= links);
+-- the site shows `name`, which this migration makes sure is suffix-free.
+
+alter table public.institutions
+  add column if not exists profit_model text
+    check (profit_model in ('non_profit', 'profit', 'user_paid')),
+  add column if not exists visibility text
+    check (visibility in ('private', 'public', 'at_cost'));
+
+alter table public.institutions
+  drop constraint if exists institutions_archetype_check;
+alter table public.institutions
+  add constraint institutions_archetype_check check (
+    (profit_model is null and visibility is null)
+    or (profit_model, visibility) in (
+      ('non_profit', 'private'),
+      ('non_profit', 'public'),
+      ('profit', 'private'),
+      ('profit', 'public'),
+      ('user_paid', 'at_cost')
+    )
+  );
+
+create index if not exists institutions_archetype_idx
+  on public.institutions (profit_model, visibility);
+
+-- =====================================================
+-- BACKFILL
+-- =====================================================
+-- Derive the archetype from the bracket suffix of full_name (or from label
+-- when full_name has none), e.g. "[User-Paid  •  At-Cost]" → user_paid,
+-- at_cost. Suffixes that are not a known archetype are left unset.
+
+with suffixes as (
+  select id,
+         regexp_split_to_array(
+           coalesce((regexp_match(full_name, '\[([^\]]*)\]\s*$'))[1], label, ''),
+           '\s*•\s*'
+         ) as parts
+  from public.institutions
+  where profit_model is null
+),
+parsed as (
+  select id,
+         replace(lower(trim(parts[1])), '-', '_') as profit_model,
+         replace(lower(trim(parts[2])), '-', '_') as visibility
+  from suffixes
+  where array_length(parts, 1) = 2
+)
+update public.institutions i
+set profit_model = p.profit_model,
+    visibility = p.visibility
+from parsed p
+where i.id = p.id
+  and (p.profit_model, p.visibility) in (
+    ('non_profit', 'private'),
+    ('non_profit', 'public'),
+    ('profit', 'private'),
+    ('profit', 'public'),
+    ('user_paid', 'at_cost')
+  );
+
+-- Display names without the suffix
+update public.institutions
+set name = trim(regexp_replace(full_name, '\s*\[[^\]]*\]\s*$', ''))
+where name is null or name ~ '\[';
+
+update public.jurisdictions
+set name = trim(regexp_replace(full_name, '\s*\[[^\]]*\]\s*$', ''))
+where name is null or name ~ '\[';
@@ -0,0 +1,257 @@
+-- =====================================================
+-- LIBRARY PAGINATION
+-- =====================================================
+-- The library used to download every published document, content included,
+-- and filter and sort them in the browser. It now reads pages of
+-- library_documents: one row per published document, without content, with
+-- the institution and jurisdiction names it is sorted and filtered by.
+--
+-- Pages are fetched with keyset cursors: ordered by the sort column, then id,
+-- each page starts after the last row of the previous one, so documents
+-- published meanwhile do not shift or repeat rows.
+--
+-- library_facet_counts() returns the counts shown in the Filters panel
+-- (see js/library-facets.js for the counting rule).
+--
+-- Facets match case-insensitively (?item=book selects "Book"): the *_key
+-- columns hold the lowercased values and clients filter them with lowercased
+-- selections. Date ranges cover whole days: doc_date is a timestamp, so the
+-- range ends before the day after `dateTo`.
+--
+-- The institution and jurisdiction names are copied onto documents (the
+-- library_* columns, kept current by the triggers below) so every sort and
+-- filter reads one table and can use the indexes at the end of this section;
+-- through a left join each page would scan and sort all published documents.
+
+alter table public.documents
+  add column if not exists library_institution text not null default '',
+  add column if not exists library_institution_name text not null default '',
+  add column if not exists library_archetype text not null default '',
+  add column if not exists library_jurisdiction text not null default '',
+  add column if not exists library_jurisdiction_name text not null default '';
+
+-- Derive the library columns on every write, so clients cannot set them
+create or replace function public.set_document_library_names()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  inst record;
+  juris record;
+begin
+  select full_name, name, profit_model, visibility into inst
+  from public.institutions where id = new.institution_id;
+  select full_name, name into juris
+  from public.jurisdictions where id = new.jurisdiction_id;
+
+  new.library_institution := coalesce(inst.full_name, '');
+  new.library_institution_name := coalesce(inst.name, '');
+  new.library_archetype := coalesce(inst.profit_model || '.' || inst.visibility, '');
+  new.library_jurisdiction := coalesce(juris.full_name, '');
+  new.library_jurisdiction_name := coalesce(juris.name, '');
+  return new;
+end;
+$$;
+
+drop trigger if exists documents_set_library_names on public.documents;
+create trigger documents_set_library_names
+  before insert or update on public.documents
+  for each row execute function public.set_document_library_names();
+
+-- Renaming an institution or jurisdiction renames it on its documents
+create or replace function public.sync_institution_library_names()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.documents
+    set library_institution = coalesce(new.full_name, ''),
+        library_institution_name = coalesce(new.name, ''),
+        library_archetype = coalesce(new.profit_model || '.' || new.visibility, '')
+  where institution_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists institutions_sync_library_names on public.institutions;
+create trigger institutions_sync_library_names
+  after update of full_name, name, profit_model, visibility on public.institutions
+  for each row execute function public.sync_institution_library_names();
+
+create or replace function public.sync_jurisdiction_library_names()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.documents
+    set library_jurisdiction = coalesce(new.full_name, ''),
+        library_jurisdiction_name = coalesce(new.name, '')
+  where jurisdiction_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists jurisdictions_sync_library_names on public.jurisdictions;
+create trigger jurisdictions_sync_library_names
+  after update of full_name, name on public.jurisdictions
+  for each row execute function public.sync_jurisdiction_library_names();
+
+-- Backfill: documents_set_library_names fills the columns as each row is touched
+update public.documents set library_institution = library_institution;
+
+create or replace view public.library_documents
+with (security_invoker = true)
+as
+select d.id,
+       d.doc_id,
+       d.title,
+       d.item_type,
+       d.version,
+       d.doc_date,
+       d.visible,
+       d.language,
+       d.library_institution as institution,
+       d.library_institution_name as institution_name,
+       d.library_archetype as archetype,
+       d.library_jurisdiction as jurisdiction,
+       d.library_jurisdiction_name as jurisdiction_name,
+       array(
+         select t.language
+         from public.document_translations t
+         where t.doc_id = d.doc_id
+         order by t.language
+       ) as translation_languages,
+       lower(coalesce(d.item_type, '')) as item_type_key,
+       lower(d.library_institution) as institution_key,
+       lower(d.library_jurisdiction) as jurisdiction_key,
+       lower(d.library_archetype) as archetype_key
+from public.documents d
+where d.status = 'published'
+  and (d.publish_at is null or d.publish_at <= now());
+
+grant select on public.library_documents to anon, authenticated;
+
+-- Keyset order for each sort (LIBRARY_SORT_COLUMNS in js/supabase-client.js)
+create index if not exists documents_title_id_idx
+  on public.documents (title, id)
+  where status = 'published';
+create index if not exists documents_library_institution_name_id_idx
+  on public.documents (library_institution_name, id)
+  where status = 'published';
+create index if not exists documents_library_jurisdiction_name_id_idx
+  on public.documents (library_jurisdiction_name, id)
+  where status = 'published';
+
+-- Facet and date filters; the expressions match the view's *_key columns
+create index if not exists documents_item_type_key_idx
+  on public.documents (lower(coalesce(item_type, '')))
+  where status = 'published';
+create index if not exists documents_institution_key_idx
+  on public.documents (lower(library_institution))
+  where status = 'published';
+create index if not exists documents_jurisdiction_key_idx
+  on public.documents (lower(library_jurisdiction))
+  where status = 'published';
+create index if not exists documents_archetype_key_idx
+  on public.documents (lower(library_archetype))
+  where status = 'published';
+create index if not exists documents_published_doc_date_idx
+  on public.documents (doc_date)
+  where status = 'published';
+
+-- =====================================================
+-- FACET COUNTS
+-- =====================================================
+-- filters: { items, postedBy, postedIn, archetypes, dateFrom, dateTo,
+--            versionMin, versionMax } as in js/library-facets.js
+-- Returns { items, postedBy, postedIn, archetypes: [{ value, count }],
+--           versions: { min, max } }; postedBy and postedIn options also
+-- carry the display name as `label`. Each facet's counts apply every other
+-- filter but its own; values that match nothing are listed with count 0.
+
+create or replace function public.library_facet_counts(filters jsonb default '{}'::jsonb)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  with params as (
+    select array(select lower(value) from jsonb_array_elements_text(coalesce(filters -> 'items', '[]')) value) as items,
+           array(select lower(value) from jsonb_array_elements_text(coalesce(filters -> 'postedBy', '[]')) value) as posted_by,
+           array(select lower(value) from jsonb_array_elements_text(coalesce(filters -> 'postedIn', '[]')) value) as posted_in,
+           array(select lower(value) from jsonb_array_elements_text(coalesce(filters -> 'archetypes', '[]')) value) as archetypes,
+           (filters ->> 'dateFrom')::date as date_from,
+           (filters ->> 'dateTo')::date as date_to,
+           (filters ->> 'versionMin')::int as version_min,
+           (filters ->> 'versionMax')::int as version_max
+  ),
+  docs as (
+    select d.*,
+           (cardinality(p.items) = 0 or d.item_type_key = any (p.items)) as in_items,
+           (cardinality(p.posted_by) = 0 or d.institution_key = any (p.posted_by)) as in_posted_by,
+           (cardinality(p.posted_in) = 0 or d.jurisdiction_key = any (p.posted_in)) as in_posted_in,
+           (cardinality(p.archetypes) = 0 or d.archetype_key = any (p.archetypes)) as in_archetypes,
+           ((p.date_from is null or d.doc_date >= p.date_from)
+             and (p.date_to is null or d.doc_date < p.date_to + 1)
+             and (p.version_min is null or coalesce(d.version, 1) >= p.version_min)
+             and (p.version_max is null or coalesce(d.version, 1) <= p.version_max)) as in_ranges
+    from public.library_documents d
+    cross join params p
+  )
+  select jsonb_build_object(
+    'items', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n)), '[]')
+      from (
+        select min(item_type) as value,
+               count(*) filter (where in_ranges and in_posted_by and in_posted_in and in_archetypes) as n
+        from docs
+        where item_type <> ''
+        group by item_type_key
+      ) s
+    ),
+    'postedBy', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'label', label, 'count', n)), '[]')
+      from (
+        select min(institution) as value,
+               max(institution_name) as label,
+               count(*) filter (where in_ranges and in_items and in_posted_in and in_archetypes) as n
+        from docs
+        where institution <> ''
+        group by institution_key
+      ) s
+    ),
+    'postedIn', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'label', label, 'count', n)), '[]')
+      from (
+        select min(jurisdiction) as value,
+               max(jurisdiction_name) as label,
+               count(*) filter (where in_ranges and in_items and in_posted_by and in_archetypes) as n
+        from docs
+        where jurisdiction <> ''
+        group by jurisdiction_key
+      ) s
+    ),
+    'archetypes', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n)), '[]')
+      from (
+        select min(archetype) as value,
+               count(*) filter (where in_ranges and in_items and in_posted_by and in_posted_in) as n
+        from docs
+        where archetype <> ''
+        group by archetype_key
+      ) s
+    ),
+    'versions', (
+      select jsonb_build_object('min', coalesce(min(coalesce(version, 1)), 1), 'max', coalesce(max(coalesce(version, 1)), 1))
+      from docs
+    )
+  );
+$$;
+
+grant execute on function public.library_facet_counts(jsonb) to anon, authenticated;
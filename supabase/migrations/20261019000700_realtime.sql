@@ -0,0 +1,35 @@
+-- =====================================================
+-- REALTIME
+-- =====================================================
+-- Open library pages follow changes to documents, carousels and profiles
+-- through Supabase Realtime (see js/realtime-updates.js) instead of waiting
+-- for a reload. Realtime applies row-level security, so readers only
+-- receive rows they are allowed to select (published documents, ...).
+--
+-- documents gets the full previous row on updates, so a document moving to
+-- published can be told apart from an edit to one already published.
+
+do $$
+declare
+  table_name text;
+begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    create publication supabase_realtime;
+  end if;
+
+  foreach table_name in array array['documents', 'carousels', 'carousel_slides', 'institutions', 'jurisdictions']
+  loop
+    if not exists (
+      select 1
+      from pg_publication_tables
+      where pubname = 'supabase_realtime'
+        and schemaname = 'public'
+        and tablename = table_name
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', table_name);
+    end if;
+  end loop;
+end;
+$$;
+
+alter table public.documents replica identity full;
@@ -0,0 +1,56 @@
+-- =====================================================
+-- READING PROGRESS AND BOOKMARKS
+-- =====================================================
+-- Where signed-in readers are in each document, and the places they
+-- bookmarked. The viewer keeps both in IndexedDB first (see
+-- js/reading-progress.js) and syncs them here, so they follow the reader
+-- between devices. Rows are private: readers only see and change their own.
+--
+-- reading_progress:  one row per reader and document; anchor is the id of
+--                    the section or paragraph at the top of the screen
+-- reading_bookmarks: ids are generated by the browser, so bookmarks made
+--                    offline keep their id once synced
+
+create table if not exists public.reading_progress (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  doc_id text not null references public.documents (doc_id) on update cascade on delete cascade,
+  anchor text,
+  anchor_offset real not null default 0,
+  progress real not null default 0 check (progress between 0 and 1),
+  version integer,
+  language text,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, doc_id)
+);
+
+create table if not exists public.reading_bookmarks (
+  id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  doc_id text not null references public.documents (doc_id) on update cascade on delete cascade,
+  anchor text,
+  excerpt text,
+  note text,
+  progress real not null default 0 check (progress between 0 and 1),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists reading_bookmarks_user_id_idx
+  on public.reading_bookmarks (user_id, doc_id);
+
+alter table public.reading_progress enable row level security;
+alter table public.reading_bookmarks enable row level security;
+
+drop policy if exists "Readers manage their reading progress" on public.reading_progress;
+create policy "Readers manage their reading progress"
+  on public.reading_progress for all
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "Readers manage their bookmarks" on public.reading_bookmarks;
+create policy "Readers manage their bookmarks"
+  on public.reading_bookmarks for all
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
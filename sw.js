@@ -4,8 +4,8 @@
  * Uses cache-first strategy for static assets and network-first for API calls
  */
 
-const CACHE_NAME = 'ummah-confederation-v1.3.0';
-const RUNTIME_CACHE = 'ummah-runtime-v1.3.0';
+const CACHE_NAME = 'ummah-confederation-v1.7.0';
+const RUNTIME_CACHE = 'ummah-runtime-v1.7.0';
 
 // Assets to cache on install (static assets)
 const STATIC_CACHE_URLS = [
@@ -13,11 +13,12 @@ const STATIC_CACHE_URLS = [
   '/index.html',
   '/library.html',
   '/offline.html',
+  '/timetable.html',
+  '/document-viewer.html',
   '/dist/output.css',
-  '/dist/js/index-main.js',
-  '/dist/js/library-main.js',
-  '/dist/js/feed.js',
-  '/dist/js/marquee.js',
+  '/dist/js/app-main.js',
+  '/dist/js/timetable.js',
+  '/dist/js/offline-main.js',
   '/images/admin-seal.webp',
   '/images/favicon.png'
 ];
@@ -98,6 +99,12 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Page navigations fall back to the cached page, then to offline.html
+  if (request.mode === 'navigate') {
+    event.respondWith(navigationWithFallback(request));
+    return;
+  }
+
   // Determine cache strategy based on resource type
   const strategy = getCacheStrategy(url);
 
@@ -256,6 +263,28 @@ async function staleWhileRevalidate(request) {
   return cachedResponse || fetchPromise;
 }
 
+/**
+ * Page navigation strategy
+ * Stale while revalidate; offline, pages opened with a query string
+ * (e.g. document-viewer.html?doc=...) are served from their cached page,
+ * and anything else uncached gets offline.html with the saved documents
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function navigationWithFallback(request) {
+  try {
+    const response = await staleWhileRevalidate(request);
+    if (response) {
+      return response;
+    }
+  } catch (error) {
+    console.error('[SW] Navigation failed:', error);
+  }
+
+  const cachedPage = await caches.match(request, { ignoreSearch: true });
+  return cachedPage || caches.match('/offline.html');
+}
+
 /**
  * Network only strategy
  * @param {Request} request - Fetch request
@@ -295,6 +324,18 @@ self.addEventListener('message', (event) => {
       event.ports[0].postMessage({ type: 'CACHE_STATS', data: stats });
     });
   }
+
+  if (data.type === 'SCHEDULE_PRAYER_NOTIFICATIONS') {
+    event.waitUntil(schedulePrayerNotifications(data));
+  }
+
+  if (data.type === 'CLEAR_PRAYER_NOTIFICATIONS') {
+    event.waitUntil(clearPrayerNotifications());
+  }
+
+  if (data.type === 'CHECK_PRAYER_NOTIFICATIONS') {
+    event.waitUntil(showDuePrayerNotifications());
+  }
 });
 
 /**
@@ -366,7 +407,21 @@ self.addEventListener('push', (event) => {
 });
 
 /**
- * Sync event - handle background sync (if needed in future)
+ * Notification click - focus an open page or open the home page
+ */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => 'focus' in c);
+      return client ? client.focus() : self.clients.openWindow('/');
+    })
+  );
+});
+
+/**
+ * Sync event - show prayer reminders that came due while no page was open
  */
 self.addEventListener('sync', (event) => {
 
@@ -376,15 +431,209 @@ self.addEventListener('sync', (event) => {
 });
 
 /**
- * Sync prayer times in background
+ * Periodic sync event - same as one-off sync, fired by the browser on its own schedule
+ */
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'sync-prayer-times') {
+    event.waitUntil(syncPrayerTimes());
+  }
+});
+
+/**
+ * Sync prayer reminders in background
+ * The page sends a schedule covering the coming days (computed from the
+ * reader's chosen source), so the worker only shows what is due.
  * @returns {Promise<void>}
  */
 async function syncPrayerTimes() {
   try {
-    // This would sync prayer times in the background
-    // Implementation depends on your specific requirements
+    await showDuePrayerNotifications();
   } catch (error) {
     console.error('[SW] Sync failed:', error);
   }
 }
 
+// ============================================================================
+// Prayer Notifications
+// ============================================================================
+
+const PRAYER_NOTIFICATION_DB = 'ummah-sw';
+const PRAYER_NOTIFICATION_STORE = 'state';
+const PRAYER_NOTIFICATION_KEY = 'prayer-notifications';
+const PRAYER_NOTIFICATION_TAG_PREFIX = 'prayer-';
+
+// Reminders older than this are dropped instead of shown late
+const PRAYER_NOTIFICATION_GRACE = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Open the worker's state database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openPrayerNotificationDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(PRAYER_NOTIFICATION_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PRAYER_NOTIFICATION_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read stored reminder state ({ schedule, settings })
+ * @returns {Promise<Object|null>}
+ */
+async function readPrayerNotificationState() {
+  const db = await openPrayerNotificationDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(PRAYER_NOTIFICATION_STORE, 'readonly')
+      .objectStore(PRAYER_NOTIFICATION_STORE)
+      .get(PRAYER_NOTIFICATION_KEY);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persist reminder state (null removes it)
+ * @param {Object|null} state
+ * @returns {Promise<void>}
+ */
+async function writePrayerNotificationState(state) {
+  const db = await openPrayerNotificationDB();
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(PRAYER_NOTIFICATION_STORE, 'readwrite')
+      .objectStore(PRAYER_NOTIFICATION_STORE);
+    const request = state === null
+      ? store.delete(PRAYER_NOTIFICATION_KEY)
+      : store.put(state, PRAYER_NOTIFICATION_KEY);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store a schedule sent by the page and show / trigger reminders
+ * @param {Object} data - { schedule, settings }
+ * @returns {Promise<void>}
+ */
+async function schedulePrayerNotifications(data) {
+  try {
+    const previous = await readPrayerNotificationState();
+    const shown = new Set((previous?.schedule || []).filter((e) => e.shown).map((e) => e.id));
+
+    const state = {
+      schedule: pruneSchedule(data.schedule.map((entry) => ({ ...entry, shown: shown.has(entry.id) }))),
+      settings: data.settings
+    };
+
+    await triggerPrayerNotifications(state.schedule);
+    await writePrayerNotificationState(state);
+    await showDuePrayerNotifications();
+  } catch (error) {
+    console.error('[SW] Failed to schedule prayer notifications:', error);
+  }
+}
+
+/**
+ * Drop stored reminders and cancel OS-scheduled ones
+ * @returns {Promise<void>}
+ */
+async function clearPrayerNotifications() {
+  try {
+    await writePrayerNotificationState(null);
+    await cancelTriggeredPrayerNotifications();
+  } catch (error) {
+    console.error('[SW] Failed to clear prayer notifications:', error);
+  }
+}
+
+/**
+ * Show reminders whose time has come (and not too long ago)
+ * @returns {Promise<void>}
+ */
+async function showDuePrayerNotifications() {
+  const state = await readPrayerNotificationState();
+  if (!state?.settings?.enabled) return;
+
+  const now = Date.now();
+  const due = state.schedule.filter((entry) =>
+    !entry.shown && !entry.triggered && entry.fireAt <= now && now - entry.fireAt < PRAYER_NOTIFICATION_GRACE
+  );
+  if (due.length === 0) return;
+
+  for (const entry of due) {
+    await self.registration.showNotification(entry.title, getPrayerNotificationOptions(entry));
+    entry.shown = true;
+  }
+
+  state.schedule = pruneSchedule(state.schedule);
+  await writePrayerNotificationState(state);
+}
+
+/**
+ * Hand future reminders to the OS where Notification Triggers are supported
+ * Marks entries as triggered; callers persist the schedule afterwards.
+ * @param {Array<Object>} schedule
+ * @returns {Promise<void>}
+ */
+async function triggerPrayerNotifications(schedule) {
+  if (typeof TimestampTrigger === 'undefined' || !('showTrigger' in Notification.prototype)) return;
+
+  await cancelTriggeredPrayerNotifications();
+
+  const now = Date.now();
+  for (const entry of schedule) {
+    if (entry.shown || entry.fireAt <= now) continue;
+    await self.registration.showNotification(entry.title, {
+      ...getPrayerNotificationOptions(entry),
+      showTrigger: new TimestampTrigger(entry.fireAt)
+    });
+    entry.triggered = true;
+  }
+}
+
+/**
+ * Cancel pending OS-scheduled prayer reminders
+ * @returns {Promise<void>}
+ */
+async function cancelTriggeredPrayerNotifications() {
+  if (typeof TimestampTrigger === 'undefined') return;
+
+  const notifications = await self.registration.getNotifications({ includeTriggered: true });
+  notifications
+    .filter((notification) => notification.tag.startsWith(PRAYER_NOTIFICATION_TAG_PREFIX))
+    .forEach((notification) => notification.close());
+}
+
+/**
+ * Notification options for a reminder
+ * @param {Object} entry - Schedule entry
+ * @returns {Object}
+ */
+function getPrayerNotificationOptions(entry) {
+  return {
+    body: entry.body,
+    icon: '/images/admin-seal.webp',
+    badge: '/images/favicon.png',
+    tag: `${PRAYER_NOTIFICATION_TAG_PREFIX}${entry.id}`,
+    vibrate: [200, 100, 200],
+    data: {
+      prayer: entry.prayer,
+      date: entry.date
+    }
+  };
+}
+
+/**
+ * Remove shown and expired reminders
+ * @param {Array<Object>} schedule
+ * @returns {Array<Object>}
+ */
+function pruneSchedule(schedule) {
+  const cutoff = Date.now() - PRAYER_NOTIFICATION_GRACE;
+  return schedule
+    .filter((entry) => !entry.shown && entry.fireAt > cutoff)
+    .sort((a, b) => a.fireAt - b.fireAt);
+}
@@ -0,0 +1,107 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../js/supabase-client.js', () => ({
+  getDocumentByDocId: vi.fn(),
+  getDocumentVersions: vi.fn(),
+  getDocumentVersion: vi.fn(),
+  getDocumentTranslations: vi.fn(),
+  getDocumentTranslation: vi.fn(),
+  getLibraryDocumentsPage: vi.fn(),
+  signOut: vi.fn(async () => {})
+}));
+
+const client = await import('../js/supabase-client.js');
+const {
+  getDocumentVersions,
+  getDocumentVersion,
+  getDocumentTranslations,
+  getDocumentTranslation,
+  getLibraryDocumentsPage,
+  invalidateCache,
+  signOut
+} = await import('../js/data-repository.js');
+const { CACHE_NAMESPACES } = await import('../js/unified-cache.js');
+
+const published = { doc_id: 'book1', status: 'published', publish_at: '2024-01-01T00:00:00Z' };
+const draft = { doc_id: 'book2', status: 'draft', publish_at: null };
+
+const versions = [{ version: 2, title: 'Book' }, { version: 1, title: 'Book' }];
+const version = { doc_id: 'book1', version: 1, content: '<p>v1</p>' };
+const translations = [{ language: 'ar', title: 'كتاب', source_version: 2 }];
+const translation = { doc_id: 'book1', language: 'ar', content: '<p>ar</p>', source_version: 2 };
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  await invalidateCache(CACHE_NAMESPACES.DOCUMENTS, CACHE_NAMESPACES.LIBRARY);
+
+  client.getDocumentByDocId.mockImplementation(async (docId) => (docId === draft.doc_id ? draft : published));
+  client.getDocumentVersions.mockResolvedValue(versions);
+  client.getDocumentVersion.mockResolvedValue(version);
+  client.getDocumentTranslations.mockResolvedValue(translations);
+  client.getDocumentTranslation.mockResolvedValue(translation);
+  client.getLibraryDocumentsPage.mockResolvedValue({ rows: [published], nextCursor: null });
+});
+
+/**
+ * Read twice and count the Supabase fetches
+ */
+async function readTwice(read, fetcher) {
+  const first = await read();
+  const second = await read();
+  return { first, second, fetches: fetcher.mock.calls.length };
+}
+
+describe('versions and translations', () => {
+  it('are cached while their document is readable', async () => {
+    const reads = [
+      [() => getDocumentVersions('book1'), client.getDocumentVersions, versions],
+      [() => getDocumentVersion('book1', 1), client.getDocumentVersion, version],
+      [() => getDocumentTranslations('book1'), client.getDocumentTranslations, translations],
+      [() => getDocumentTranslation('book1', 'ar'), client.getDocumentTranslation, translation]
+    ];
+
+    for (const [read, fetcher, expected] of reads) {
+      const { first, second, fetches } = await readTwice(read, fetcher);
+      expect(first).toEqual(expected);
+      expect(second).toEqual(expected);
+      expect(fetches).toBe(1);
+    }
+  });
+
+  it('are fetched each time while their document is only previewed', async () => {
+    const reads = [
+      [() => getDocumentVersions('book2'), client.getDocumentVersions, versions],
+      [() => getDocumentVersion('book2', 1), client.getDocumentVersion, version],
+      [() => getDocumentTranslations('book2'), client.getDocumentTranslations, translations],
+      [() => getDocumentTranslation('book2', 'ar'), client.getDocumentTranslation, translation]
+    ];
+
+    for (const [read, fetcher, expected] of reads) {
+      expect(await read()).toEqual(expected);
+      const fetches = fetcher.mock.calls.length;
+
+      expect(await read()).toEqual(expected);
+      expect(fetcher.mock.calls.length).toBeGreaterThan(fetches);
+    }
+  });
+});
+
+describe('signOut', () => {
+  it('drops cached documents, versions, translations and library pages', async () => {
+    await getDocumentVersions('book1');
+    await getDocumentTranslation('book1', 'ar');
+    await getLibraryDocumentsPage({ sort: 'newest' });
+
+    await signOut();
+
+    await getDocumentVersions('book1');
+    await getDocumentTranslation('book1', 'ar');
+    await getLibraryDocumentsPage({ sort: 'newest' });
+
+    expect(client.signOut).toHaveBeenCalledTimes(1);
+    expect(client.getDocumentVersions).toHaveBeenCalledTimes(2);
+    expect(client.getDocumentTranslation).toHaveBeenCalledTimes(2);
+    expect(client.getLibraryDocumentsPage).toHaveBeenCalledTimes(2);
+  });
+});
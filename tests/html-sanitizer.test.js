@@ -0,0 +1,201 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { sanitizeHtml, sanitizeInlineHtml, isSafeUrl } from '../js/html-sanitizer.js';
+
+/**
+ * Parse sanitized output the way innerHTML would
+ */
+function parse(html) {
+  return new DOMParser().parseFromString(html, 'text/html').body;
+}
+
+/**
+ * Everything in the output that could run script or load active content
+ */
+function findActiveContent(html) {
+  const body = parse(html);
+  const found = [];
+
+  body.querySelectorAll('script, style, svg, math, iframe, object, embed, form, template, base, meta, link')
+    .forEach(element => found.push(element.localName));
+
+  body.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      if (name.startsWith('on') || name === 'srcdoc' || name === 'style' || name === 'formaction') {
+        found.push(`${element.localName}[${name}]`);
+      }
+      if (['href', 'src', 'cite'].includes(name) && !isSafeUrl(value, name === 'src')) {
+        found.push(`${element.localName}[${name}=${value}]`);
+      }
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Sanitize, check nothing active survives, and check a second pass is stable
+ * (output that changes when re-parsed is how mutation XSS slips through)
+ */
+function expectSafe(html, options) {
+  const output = sanitizeHtml(html, options);
+  expect(findActiveContent(output)).toEqual([]);
+  expect(sanitizeHtml(output, options)).toBe(output);
+  return output;
+}
+
+describe('isSafeUrl', () => {
+  it.each([
+    'https://example.org/page',
+    'http://example.org',
+    'mailto:office@example.org',
+    'tel:+62215550100',
+    '/documents/abc',
+    '../relative',
+    '#fn1',
+    '//cdn.example.org/image.png'
+  ])('allows %s', url => {
+    expect(isSafeUrl(url)).toBe(true);
+  });
+
+  it.each([
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    '  javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    'java\u0000script:alert(1)',
+    '\u0001javascript:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=',
+    'blob:https://example.org/1234',
+    'file:///etc/passwd'
+  ])('rejects %j', url => {
+    expect(isSafeUrl(url)).toBe(false);
+    expect(isSafeUrl(url, true)).toBe(false);
+  });
+
+  it('allows raster data images only when asked', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgo=';
+    expect(isSafeUrl(png, true)).toBe(true);
+    expect(isSafeUrl(png)).toBe(false);
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('keeps document formatting', () => {
+    const html = '<h2 id="fn1" class="arabic right" dir="rtl">بسم الله</h2>'
+      + '<p>See <a href="https://example.org" target="_blank">the source</a><sup><a href="#fn1">1</a></sup></p>'
+      + '<table><tbody><tr><td colspan="2">Cell</td></tr></tbody></table>';
+
+    expect(sanitizeHtml(html)).toBe(
+      '<h2 id="fn1" class="arabic right" dir="rtl">بسم الله</h2>'
+      + '<p>See <a href="https://example.org" target="_blank" rel="noopener noreferrer">the source</a><sup><a href="#fn1">1</a></sup></p>'
+      + '<table><tbody><tr><td colspan="2">Cell</td></tr></tbody></table>'
+    );
+  });
+
+  it.each([
+    ['plain', '<a href="javascript:alert(1)">x</a>'],
+    ['mixed case', '<a href="JaVaScRiPt:alert(1)">x</a>'],
+    ['tab', '<a href="java\tscript:alert(1)">x</a>'],
+    ['tab entity', '<a href="java&#x09;script:alert(1)">x</a>'],
+    ['newline entity', '<a href="java&#10;script:alert(1)">x</a>'],
+    ['named entities', '<a href="javascript&colon;alert&lpar;1&rpar;">x</a>'],
+    ['encoded letters', '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>'],
+    ['leading control character', '<a href="&#x01;javascript:alert(1)">x</a>']
+  ])('drops javascript: links (%s)', (_label, html) => {
+    expect(expectSafe(html)).toBe('<a>x</a>');
+  });
+
+  it.each([
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<img src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">',
+    '<img src="data:image/svg+xml,<svg onload=alert(1)>">'
+  ])('drops non-image data: URLs in %s', html => {
+    const output = expectSafe(html);
+    expect(output).not.toContain('data:');
+  });
+
+  it('keeps raster data images', () => {
+    const html = '<img src="data:image/png;base64,iVBORw0KGgo=" alt="seal">';
+    expect(expectSafe(html)).toBe(html);
+  });
+
+  it.each([
+    '<img src="x" onerror="alert(1)">',
+    '<p onclick="alert(1)" ONMOUSEOVER="alert(2)">text</p>',
+    '<a href="#fn1" onfocus="alert(1)" autofocus>x</a>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+    '<body onload="alert(1)"><p>text</p></body>'
+  ])('strips event handlers and styles from %s', html => {
+    expectSafe(html);
+  });
+
+  it.each([
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<p srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;">text</p>',
+    '<iframe src="javascript:alert(1)"></iframe>'
+  ])('never passes srcdoc or frames: %s', html => {
+    expect(expectSafe(html)).not.toContain('srcdoc');
+  });
+
+  it.each([
+    '<svg><script>alert(1)</script></svg>',
+    '<svg><a href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<svg><foreignObject><p onclick="alert(1)">x</p></foreignObject></svg>',
+    '<p><svg onload="alert(1)"></svg>after</p>',
+    '<script>alert(1)</script>'
+  ])('drops script and SVG content: %s', html => {
+    const output = expectSafe(html);
+    expect(output).not.toContain('alert');
+  });
+
+  it.each([
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+    '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+    '<math><style><img src=x onerror=alert(1)></style></math>',
+    '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+    '<noscript><style></noscript><img src=x onerror=alert(1)>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<template><img src=x onerror=alert(1)></template>'
+  ])('is stable against mutation XSS: %s', html => {
+    expectSafe(html);
+  });
+
+  it('drops ids that could clobber page globals or chrome', () => {
+    const output = expectSafe(
+      '<form id="supabase"></form>'
+      + '<img id="currentUser" name="currentUser" src="/a.png">'
+      + '<a id="location" href="#">x</a>'
+      + '<p id="app-header">y</p>'
+      + '<p id="fnref2">z</p>'
+    );
+    const body = parse(output);
+
+    expect(body.querySelector('form')).toBeNull();
+    expect(body.querySelector('[name]')).toBeNull();
+    expect(Array.from(body.querySelectorAll('[id]')).map(element => element.id)).toEqual(['fnref2']);
+  });
+
+  it('keeps only formatting classes', () => {
+    expect(expectSafe('<p class="arabic hidden fixed inset-0 z-50 right">x</p>'))
+      .toBe('<p class="arabic right">x</p>');
+    expect(expectSafe('<p class="modal-open">x</p>')).toBe('<p>x</p>');
+  });
+
+  it('unwraps unknown elements but keeps their text', () => {
+    expect(expectSafe('<custom-note><p>kept</p></custom-note>')).toBe('<p>kept</p>');
+  });
+});
+
+describe('sanitizeInlineHtml', () => {
+  it('allows inline formatting only', () => {
+    expect(sanitizeInlineHtml('<strong>Bold</strong> <a href="https://example.org">link</a><div>block</div>'))
+      .toBe('<strong>Bold</strong> linkblock');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyFilters,
+  matchesFilters,
+  withSelectedOptions,
+  getDayAfter
+} from '../js/library-facets.js';
+
+const doc = {
+  item: 'Book',
+  institution: 'Majlis Ugama',
+  jurisdiction: 'Brunei',
+  archetype: 'non_profit.public',
+  date: '2024-03-15T16:45:00+00:00',
+  version: 2
+};
+
+function filtersWith(changes) {
+  return { ...createEmptyFilters(), ...changes };
+}
+
+describe('matchesFilters', () => {
+  it('includes the whole last day of a date range', () => {
+    expect(matchesFilters(doc, filtersWith({ dateTo: '2024-03-15' }))).toBe(true);
+    expect(matchesFilters(doc, filtersWith({ dateFrom: '2024-03-15', dateTo: '2024-03-15' }))).toBe(true);
+    expect(matchesFilters(doc, filtersWith({ dateTo: '2024-03-14' }))).toBe(false);
+    expect(matchesFilters(doc, filtersWith({ dateFrom: '2024-03-16' }))).toBe(false);
+  });
+
+  it('matches facet values whatever their case', () => {
+    expect(matchesFilters(doc, filtersWith({ items: ['book'] }))).toBe(true);
+    expect(matchesFilters(doc, filtersWith({ postedBy: ['MAJLIS UGAMA'] }))).toBe(true);
+    expect(matchesFilters(doc, filtersWith({ items: ['policy'] }))).toBe(false);
+  });
+});
+
+describe('withSelectedOptions', () => {
+  it('does not list a selection twice when its case differs', () => {
+    const counts = { items: [{ value: 'Book', label: null, count: 3 }] };
+    expect(withSelectedOptions(counts, filtersWith({ items: ['book'] })).items).toHaveLength(1);
+  });
+});
+
+describe('getDayAfter', () => {
+  it('rolls over months and years', () => {
+    expect(getDayAfter('2024-02-29')).toBe('2024-03-01');
+    expect(getDayAfter('2024-12-31')).toBe('2025-01-01');
+  });
+});
@@ -0,0 +1,113 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const storeReads = vi.hoisted(() => []);
+
+vi.mock('../js/indexeddb-cache.js', () => ({
+  // In-memory stand-in for the offline store
+  IndexedDBCache: class {
+    constructor() {
+      this.entries = new Map();
+    }
+    async get(key) {
+      storeReads.push(key);
+      return this.entries.has(key) ? { ...this.entries.get(key) } : null;
+    }
+    async put(key, value) {
+      this.entries.set(key, { ...value });
+    }
+    async delete(key) {
+      this.entries.delete(key);
+    }
+    async keys() {
+      return [...this.entries.keys()];
+    }
+  }
+}));
+
+vi.mock('../js/supabase-client.js', () => ({
+  getDocumentByDocId: vi.fn(async (docId) => ({
+    doc_id: docId,
+    title: `Document ${docId}`,
+    content: docId.startsWith('illustrated')
+      ? '<p><img src="https://example.org/seal.png" /></p>'
+      : `<p>${docId}</p>`,
+    version: 1
+  })),
+  getDocumentTranslations: vi.fn(async () => []),
+  getDocumentTranslation: vi.fn(async () => null)
+}));
+
+const {
+  saveDocumentOffline,
+  saveCollectionOffline,
+  removeDocumentOffline,
+  removeCollectionOffline,
+  getDocumentOfflineStatus,
+  listSavedDocuments,
+  listSavedCollections,
+  getOfflineStorageUsage,
+  collectionKey,
+  COLLECTION_TYPE
+} = await import('../js/offline-library.js');
+
+const institution = { type: COLLECTION_TYPE.INSTITUTION, name: 'Institution One', displayName: 'One' };
+const key = collectionKey(institution.type, institution.name);
+
+beforeEach(async () => {
+  for (const collection of await listSavedCollections()) {
+    await removeCollectionOffline(collection.type, collection.name);
+  }
+  for (const entry of await listSavedDocuments()) {
+    await removeDocumentOffline(entry.docId);
+  }
+});
+
+describe('saveCollectionOffline', () => {
+  it('lets go of documents that left the collection when saved again', async () => {
+    await saveDocumentOffline('book3');
+    await saveCollectionOffline(institution, ['book1', 'book2', 'book3']);
+
+    const result = await saveCollectionOffline(institution, ['book1']);
+
+    expect(result).toEqual({ saved: 1, failed: 0 });
+    expect((await listSavedCollections())[0].docIds).toEqual(['book1']);
+    expect(await getDocumentOfflineStatus('book1')).toMatchObject({ pinned: false, collections: [key] });
+    // Only the collection kept it
+    expect(await getDocumentOfflineStatus('book2')).toBeNull();
+    // Saved on its own as well, so it stays, without the collection
+    expect(await getDocumentOfflineStatus('book3')).toMatchObject({ pinned: true, collections: [] });
+  });
+
+  it('keeps documents another collection still pins', async () => {
+    const jurisdiction = { type: COLLECTION_TYPE.JURISDICTION, name: 'Jurisdiction One' };
+    await saveCollectionOffline(institution, ['book1', 'book2']);
+    await saveCollectionOffline(jurisdiction, ['book2']);
+
+    await saveCollectionOffline(institution, ['book1']);
+
+    expect(await getDocumentOfflineStatus('book2')).toMatchObject({
+      pinned: false,
+      collections: [collectionKey(jurisdiction.type, jurisdiction.name)]
+    });
+    expect((await listSavedDocuments()).map(entry => entry.docId).sort()).toEqual(['book1', 'book2']);
+  });
+});
+
+describe('getOfflineStorageUsage', () => {
+  it('counts content and each image once from the recorded sizes', async () => {
+    const image = new Blob(['x'.repeat(1000)], { type: 'image/png' });
+    const fetch = vi.fn(async () => ({ ok: true, status: 200, blob: async () => image }));
+    vi.stubGlobal('fetch', fetch);
+
+    const first = await saveDocumentOffline('illustrated1');
+    const second = await saveDocumentOffline('illustrated2');
+
+    storeReads.length = 0;
+    const usage = await getOfflineStorageUsage();
+    expect(usage).toMatchObject({ documents: 2, collections: 0 });
+    expect(usage.bytes).toBe(first.contentBytes + second.contentBytes + 1000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(storeReads.filter(key => key.startsWith('image:'))).toEqual([]);
+  });
+});
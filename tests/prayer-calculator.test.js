@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculatePrayerTimes,
+  getMethodParams,
+  TIMING_NAMES
+} from '../js/prayer-calculator.js';
+import { PRAYER_TIMING_FIXTURES } from './fixtures/prayer-timings.js';
+
+const TROMSO = { latitude: 69.6496, longitude: 18.956, timezone: 'Europe/Oslo' };
+
+/**
+ * Largest difference allowed from the API's timings, in minutes. Both sides
+ * round to the minute on their own, and the API's sun position model is not
+ * the calculator's, so one timing can land either side of a minute boundary
+ * when the exact time is close to it.
+ */
+const TOLERANCE_MINUTES = 1;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes from `from` to `to`, going forward past midnight if needed
+ */
+function minutesAfter(from, to) {
+  return (toMinutes(to) - toMinutes(from) + 1440) % 1440;
+}
+
+describe('calculatePrayerTimes', () => {
+  describe.each(PRAYER_TIMING_FIXTURES)('$name', fixture => {
+    it(`matches the Aladhan timings within ${TOLERANCE_MINUTES} minute`, () => {
+      const times = calculatePrayerTimes({
+        date: fixture.date,
+        latitude: fixture.latitude,
+        longitude: fixture.longitude,
+        timezone: fixture.timezone,
+        params: getMethodParams(fixture.method, fixture.school)
+      });
+
+      TIMING_NAMES.forEach(name => {
+        const difference = minutesAfter(fixture.timings[name], times[name]);
+        expect(Math.min(difference, 1440 - difference), name).toBeLessThanOrEqual(TOLERANCE_MINUTES);
+      });
+    });
+  });
+
+  it('counts the Ramadan Isha interval for Umm al-Qura', () => {
+    const times = calculatePrayerTimes({
+      date: '2024-03-20',
+      latitude: 21.4225,
+      longitude: 39.8262,
+      timezone: 'Asia/Riyadh',
+      params: getMethodParams('MAKKAH', 'SHAFI')
+    });
+
+    expect(minutesAfter(times.Maghrib, times.Isha)).toBe(120);
+  });
+
+  describe.each([
+    ['midnight sun', '2024-06-21'],
+    ['polar night', '2024-12-21']
+  ])('Tromsø, %s', (_label, date) => {
+    it.each(['angle-based', 'one-seventh'])('gives every timing as a clock time with the %s rule', rule => {
+      const times = calculatePrayerTimes({
+        ...TROMSO,
+        date,
+        params: { ...getMethodParams('MWL', 'SHAFI'), highLatitudeRule: rule }
+      });
+
+      TIMING_NAMES.forEach(name => {
+        expect(times[name]).toMatch(/^\d{2}:\d{2}$/);
+      });
+
+      // Prayers follow each other through one day, wrapping past midnight once
+      const gaps = TIMING_NAMES.map((name, index) => {
+        const next = TIMING_NAMES[(index + 1) % TIMING_NAMES.length];
+        return minutesAfter(times[name], times[next]);
+      });
+      expect(gaps.every(gap => gap > 0)).toBe(true);
+      expect(gaps.reduce((sum, gap) => sum + gap, 0)).toBe(1440);
+    });
+
+    it('keeps the fixed Isha interval for Umm al-Qura', () => {
+      const times = calculatePrayerTimes({
+        ...TROMSO,
+        date,
+        params: getMethodParams('MAKKAH', 'SHAFI')
+      });
+
+      expect(times.Maghrib).toMatch(/^\d{2}:\d{2}$/);
+      expect(minutesAfter(times.Maghrib, times.Isha)).toBe(90);
+    });
+  });
+
+  it('places Fajr and Isha by the one-seventh rule in the polar night', () => {
+    const params = getMethodParams('MWL', 'SHAFI');
+    const angleBased = calculatePrayerTimes({ ...TROMSO, date: '2024-12-21', params });
+    const oneSeventh = calculatePrayerTimes({
+      ...TROMSO,
+      date: '2024-12-21',
+      params: { ...params, highLatitudeRule: 'one-seventh' }
+    });
+
+    const night = minutesAfter(oneSeventh.Maghrib, oneSeventh.Sunrise);
+    expect(Math.abs(minutesAfter(oneSeventh.Fajr, oneSeventh.Sunrise) - night / 7)).toBeLessThanOrEqual(1);
+    expect(Math.abs(minutesAfter(oneSeventh.Maghrib, oneSeventh.Isha) - night / 7)).toBeLessThanOrEqual(1);
+    expect(oneSeventh.Sunrise).toBe(angleBased.Sunrise);
+  });
+
+  it('leaves polar days unresolved when the high-latitude rule is off', () => {
+    const times = calculatePrayerTimes({
+      ...TROMSO,
+      date: '2024-06-21',
+      params: { ...getMethodParams('MWL', 'SHAFI'), highLatitudeRule: 'none' }
+    });
+
+    expect(times.Sunrise).toBe('--:--');
+  });
+});
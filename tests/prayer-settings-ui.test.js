@@ -0,0 +1,106 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { prayerTimesService } from '../js/prayer-times-service.js';
+import { renderCalculationSettings, buildTimetableUrl } from '../js/prayer-settings-ui.js';
+import { getHijriAdjustment } from '../js/hijri-calendar.js';
+
+/**
+ * Change a select's value the way a reader does
+ */
+function choose(select, value) {
+  select.value = value;
+  select.dispatchEvent(new Event('change'));
+}
+
+describe('renderCalculationSettings', () => {
+  let container;
+
+  beforeEach(async () => {
+    await prayerTimesService.setUserSettings(null);
+    await prayerTimesService.setProfileDefaults(null);
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    renderCalculationSettings(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  const methodSelect = () => container.querySelector('select[data-setting="method"]');
+  const schoolSelect = () => container.querySelector('select[data-setting="school"]');
+  const origin = () => container.querySelector('.prayer-widget-setting-origin').textContent.trim();
+
+  it('shows the active method and school', () => {
+    expect(methodSelect().value).toBe('KEMENAG');
+    expect(schoolSelect().value).toBe('SHAFI');
+    expect(origin()).toBe('Default');
+    expect(container.querySelector('.prayer-widget-setting-reset')).toBeNull();
+  });
+
+  it('saves the reader\'s method and school over the profile default', async () => {
+    await prayerTimesService.setProfileDefaults({ enabled: true, type: 'prayer_times:MWL' });
+    expect(methodSelect().value).toBe('MWL');
+    expect(origin()).toBe('Profile default');
+
+    choose(methodSelect(), 'MAKKAH');
+    choose(schoolSelect(), 'HANAFI');
+
+    expect(prayerTimesService.getCalculationSettings()).toEqual({ method: 'MAKKAH', school: 'HANAFI', origin: 'user' });
+    expect(JSON.parse(localStorage.getItem('prayerSettings'))).toEqual({ method: 'MAKKAH', school: 'HANAFI' });
+    expect(methodSelect().value).toBe('MAKKAH');
+    expect(schoolSelect().value).toBe('HANAFI');
+    expect(origin()).toMatch(/^Your setting/);
+  });
+
+  it('resets to the profile default', async () => {
+    await prayerTimesService.setProfileDefaults({ enabled: true, type: 'prayer_times:KARACHI:hanafi' });
+    choose(methodSelect(), 'ISNA');
+
+    container.querySelector('.prayer-widget-setting-reset').click();
+
+    expect(prayerTimesService.getCalculationSettings()).toEqual({ method: 'KARACHI', school: 'HANAFI', origin: 'profile' });
+    expect(methodSelect().value).toBe('KARACHI');
+    expect(container.querySelector('.prayer-widget-setting-reset')).toBeNull();
+  });
+
+  it('shifts the Hijri date by the chosen number of days', () => {
+    const select = container.querySelector('select[data-hijri-adjustment]');
+    expect([...select.options].map(option => option.textContent)).toEqual(
+      ['−2 days', '−1 day', 'No adjustment', '+1 day', '+2 days']
+    );
+    expect(select.value).toBe('0');
+
+    const before = prayerTimesService.getState().formattedHijriDate;
+    choose(select, '1');
+
+    expect(getHijriAdjustment()).toBe(1);
+    expect(prayerTimesService.getState().formattedHijriDate).not.toBe(before);
+
+    choose(select, '0');
+    expect(getHijriAdjustment()).toBe(0);
+    expect(localStorage.getItem('hijriAdjustment')).toBeNull();
+  });
+
+  it('stops following the service once removed', async () => {
+    const removed = container;
+    removed.remove();
+    await prayerTimesService.setProfileDefaults({ enabled: true, type: 'prayer_times:MWL' });
+
+    expect(removed.querySelector('select[data-setting="method"]').value).toBe('KEMENAG');
+  });
+});
+
+describe('buildTimetableUrl', () => {
+  it('carries the location into the timetable page', () => {
+    const url = buildTimetableUrl({
+      latitude: 21.42251,
+      longitude: 39.82616,
+      city: 'Makkah',
+      country: 'Unknown',
+      timezone: 'Asia/Riyadh'
+    });
+    expect(url).toBe('timetable.html?lat=21.4225&lon=39.8262&city=Makkah&tz=Asia%2FRiyadh');
+    expect(buildTimetableUrl(null)).toBe('timetable.html');
+  });
+});
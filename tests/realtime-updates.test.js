@@ -0,0 +1,151 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../js/supabase-client.js', () => ({ supabase: null }));
+vi.mock('../js/data-repository.js', () => ({ invalidateCache: vi.fn(async () => {}) }));
+
+const { invalidateCache } = await import('../js/data-repository.js');
+const {
+  startRealtimeUpdates,
+  onRealtimeChange,
+  getNewlyPublishedDocuments,
+  hasTableChanges
+} = await import('../js/realtime-updates.js');
+
+const BATCH_DELAY = 50;
+
+/**
+ * Stand-in for a Supabase client: records handlers so tests can emit
+ * postgres_changes payloads and channel statuses
+ */
+function createFakeClient() {
+  const handlers = new Map();
+  let statusCallback = null;
+
+  const channel = {
+    on(type, filter, handler) {
+      handlers.set(filter.table, handler);
+      return channel;
+    },
+    subscribe(callback) {
+      statusCallback = callback;
+      return channel;
+    }
+  };
+
+  return {
+    channel: vi.fn(() => channel),
+    removeChannel: vi.fn(async () => 'ok'),
+    emit(table, payload) {
+      handlers.get(table)({ schema: 'public', table, ...payload });
+    },
+    setStatus(status) {
+      statusCallback(status);
+    },
+    tables: () => [...handlers.keys()]
+  };
+}
+
+const published = { doc_id: 'book1', status: 'published', publish_at: '2024-01-01T00:00:00Z', title: 'Book 1' };
+const draft = { doc_id: 'book2', status: 'draft', publish_at: null, title: 'Book 2' };
+
+describe('startRealtimeUpdates', () => {
+  let client;
+  let stop;
+  let batches;
+  let unsubscribe;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    invalidateCache.mockClear();
+    client = createFakeClient();
+    stop = startRealtimeUpdates({ client, batchDelay: BATCH_DELAY });
+    client.setStatus('SUBSCRIBED');
+    batches = [];
+    unsubscribe = onRealtimeChange(batch => batches.push(batch));
+  });
+
+  afterEach(async () => {
+    unsubscribe();
+    await stop();
+    vi.useRealTimers();
+  });
+
+  it('follows every table on one channel', () => {
+    expect(client.channel).toHaveBeenCalledTimes(1);
+    expect(client.tables().sort()).toEqual(
+      ['carousel_slides', 'carousels', 'documents', 'institutions', 'jurisdictions']
+    );
+  });
+
+  it('batches INSERT, UPDATE and DELETE payloads, clears caches, then announces', async () => {
+    client.emit('documents', { eventType: 'INSERT', new: published, old: {} });
+    client.emit('documents', {
+      eventType: 'UPDATE',
+      new: { ...draft, status: 'published', publish_at: '2024-02-01T00:00:00Z' },
+      old: draft
+    });
+    client.emit('documents', { eventType: 'DELETE', new: {}, old: { id: 7 } });
+
+    expect(batches).toHaveLength(0);
+    await vi.advanceTimersByTimeAsync(BATCH_DELAY);
+
+    expect(invalidateCache).toHaveBeenCalledTimes(1);
+    expect(invalidateCache.mock.calls[0].sort()).toEqual(['documents', 'library']);
+
+    expect(batches).toHaveLength(1);
+    const [batch] = batches;
+    expect(batch.tables).toEqual(['documents']);
+    expect(batch.changes.map(change => change.eventType)).toEqual(['INSERT', 'UPDATE', 'DELETE']);
+    expect(batch.changes[2]).toEqual({ table: 'documents', eventType: 'DELETE', record: {}, oldRecord: { id: 7 } });
+
+    // Inserted as published and moved to published are announced; deletions are not
+    expect(getNewlyPublishedDocuments(batch.changes).map(doc => doc.doc_id)).toEqual(['book1', 'book2']);
+  });
+
+  it('does not announce edits to documents that were already published', async () => {
+    client.emit('documents', {
+      eventType: 'UPDATE',
+      new: { ...published, title: 'Book 1 (revised)' },
+      old: published
+    });
+    client.emit('documents', { eventType: 'INSERT', new: draft, old: {} });
+    await vi.advanceTimersByTimeAsync(BATCH_DELAY);
+
+    expect(batches).toHaveLength(1);
+    expect(getNewlyPublishedDocuments(batches[0].changes)).toEqual([]);
+  });
+
+  it('clears the namespaces built from profile rows', async () => {
+    client.emit('institutions', { eventType: 'UPDATE', new: { id: 1, full_name: 'Renamed' }, old: { id: 1 } });
+    await vi.advanceTimersByTimeAsync(BATCH_DELAY);
+
+    expect(invalidateCache.mock.calls[0].sort()).toEqual(['documents', 'feed', 'institutions', 'library']);
+    expect(hasTableChanges(batches[0], 'institutions')).toBe(true);
+    expect(hasTableChanges(batches[0], 'carousels')).toBe(false);
+  });
+
+  it('announces every table after reconnecting', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    client.setStatus('CHANNEL_ERROR');
+    client.setStatus('SUBSCRIBED');
+    await vi.advanceTimersByTimeAsync(BATCH_DELAY);
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].tables.sort()).toEqual(
+      ['carousel_slides', 'carousels', 'documents', 'institutions', 'jurisdictions']
+    );
+    expect(batches[0].changes).toEqual([]);
+  });
+
+  it('returns the running subscription and removes its channel when stopped', async () => {
+    expect(startRealtimeUpdates({ client: createFakeClient() })).toBe(stop);
+
+    client.emit('carousels', { eventType: 'INSERT', new: { id: 3 }, old: {} });
+    await stop();
+    await vi.advanceTimersByTimeAsync(BATCH_DELAY);
+
+    expect(client.removeChannel).toHaveBeenCalledTimes(1);
+    expect(batches).toHaveLength(0);
+  });
+});